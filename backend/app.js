@@ -18,9 +18,14 @@ const path = require('path');
 const jwt = require('jsonwebtoken');
 
 const apiRouter = require('./routes/index');
+const { jsonReplacer } = require('./utils/decimal');
+const { getLeaderStatus } = require('./utils/leaderElection');
 
 const app = express();
 
+// Decimal128 money values go out as plain decimal strings
+app.set('json replacer', jsonReplacer);
+
 // default DB status until server sets it
 app.locals.dbConnected = false;
 
@@ -130,7 +135,8 @@ app.get('/api/health', (req, res) => res.json({
   ok: true,
   uptime: process.uptime(),
   env: process.env.NODE_ENV || 'development',
-  dbConnected: !!app.locals.dbConnected
+  dbConnected: !!app.locals.dbConnected,
+  leader: getLeaderStatus()
 }));
 
 // 404
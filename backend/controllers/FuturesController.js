@@ -1,100 +1,161 @@
 /**
  * Futures Controller - Professional Refactor
- * Features: Input validation, live price fetch, standardized responses
+ * Features: Input validation, server-side entry pricing, standardized responses
+ * Margin, prices and PnL are exact decimals (utils/decimal), rounded to USDT precision.
+ * Pairs must be listed futures-enabled markets; margin * leverage is checked against the
+ * market's minimum notional and the position size against its maximum order size.
+ * Positions are closed and valued at the mark price (utils/futures), which needs no outside
+ * provider, so closing works offline and for custom coins.
+ * Margin and payouts go through the USDT ledger balance; jobs/liquidationEngine force-closes
+ * positions that reach their liquidation price and closes those whose take-profit, stop-loss
+ * or trailing stop the mark crosses. jobs/fundingScheduler settles funding (utils/funding).
+ * Positions open in the user's margin mode: isolated (margin can be added or removed) or
+ * cross (all positions share the USDT balance).
  */
 const FuturesPosition = require("../models/FuturesPosition");
 const User = require("../models/User");
-const axios = require("axios");
-
-async function getCurrentPrice(pair) {
-  const [base] = pair.split("/");
-  const map = {
-    BTC: "bitcoin",
-    ETH: "ethereum",
-    SOL: "solana",
-    BNB: "binancecoin",
-  };
-  const coinId = map[base.toUpperCase()] || base.toLowerCase();
-  try {
-    const { data } = await axios.get(`https://api.coingecko.com/api/v3/simple/price`, {
-      params: { ids: coinId, vs_currencies: "usd" },
-    });
-    return data[coinId]?.usd || null;
-  } catch {
-    return null;
-  }
-}
+const { getPairPrice, slippageBound, slippageBps, DEFAULT_MAX_SLIPPAGE_BPS } = require("../utils/marketPrice");
+const { dec, isPositive, quantize, coinDecimals, ROUND_DOWN } = require("../utils/decimal");
+const { requireTradableMarket, checkNotional, checkMaxSize, getMarket, normalizeSymbol } = require("../utils/markets");
+const { requireFreshPrice } = require("../utils/priceGuard");
+const { getFundingInfo } = require("../utils/funding");
+const {
+  getMarkPrice,
+  getMarkPrices,
+  positionPnl,
+  openPosition,
+  settlePosition,
+  tpSlUpdate,
+  updateTpSl,
+  getFuturesAccount,
+  setMarginMode,
+  adjustMargin
+} = require("../utils/futures");
 
 exports.openFuturesPosition = async (req, res) => {
   try {
-    const { pair, direction, amount, price, leverage, tp, sl } = req.body;
-    if (!pair || !direction || !amount || !price || !leverage)
+    // `price` is optional and only used as the expected price for maxSlippageBps
+    const { pair, direction, amount, price, leverage, tp, sl, trailingStop, maxSlippageBps } = req.body;
+    if (!pair || !direction || !amount || !leverage)
       return res.status(400).json({ success: false, error: "Missing fields" });
+    if (!["long", "short"].includes(direction)) return res.status(400).json({ success: false, error: "Invalid direction" });
 
-    const user = await User.findById(req.user.id);
-    if (!user) return res.status(404).json({ success: false, error: "User not found" });
+    const market = await requireTradableMarket(pair, { futures: true });
+    await requireFreshPrice(market);
+    const entryPrice = await getPairPrice(market.base, market.quote);
+    if (!entryPrice) return res.status(409).json({ success: false, error: "No market price available", code: "NO_PRICE" });
 
-    // Check USDT balance
-    let usdtWallet = user.wallets.find((w) => w.coin.toUpperCase() === "USDT");
-    if (!usdtWallet || usdtWallet.balance < amount) {
-      return res.status(400).json({ success: false, error: "Not enough USDT balance" });
+    const expectedPrice = isPositive(price) ? dec(price) : entryPrice;
+    const bound = slippageBound(expectedPrice, direction, maxSlippageBps != null ? maxSlippageBps : DEFAULT_MAX_SLIPPAGE_BPS);
+    if (direction === "long" ? entryPrice.gt(bound) : entryPrice.lt(bound)) {
+      return res.status(409).json({ success: false, error: "Price moved beyond the allowed slippage", code: "SLIPPAGE_EXCEEDED" });
     }
-    usdtWallet.balance -= amount;
-    await user.save();
 
-    const position = await FuturesPosition.create({
+    const margin = quantize(amount, await coinDecimals("USDT"), ROUND_DOWN);
+    if (!isPositive(margin)) return res.status(400).json({ success: false, error: "Invalid amount" });
+    if (!(Number(leverage) >= 1)) return res.status(400).json({ success: false, error: "Invalid leverage" });
+    const notional = margin.times(Number(leverage));
+    checkNotional(market, notional);
+    checkMaxSize(market, notional.div(entryPrice));
+    const triggers = tpSlUpdate({ direction }, entryPrice, { tp: tp || undefined, sl: sl || undefined, trailingStop: trailingStop || undefined });
+
+    // Margin is debited from the USDT ledger balance, in the user's margin mode
+    const user = await User.findById(req.user.id).select("futuresMarginMode").lean();
+    if (!user) return res.status(404).json({ success: false, error: "User not found" });
+    const position = await openPosition({
       user: req.user.id,
-      pair,
+      pair: market.symbol,
       direction,
-      amount,
-      entryPrice: price,
-      leverage,
-      tp,
-      sl,
+      amount: margin,
+      entryPrice,
+      leverage: Number(leverage),
+      marginMode: user.futuresMarginMode,
+      ...triggers,
+    });
+    res.status(201).json({
+      success: true,
+      msg: "Position opened",
+      data: position,
+      execution: {
+        fillPrice: entryPrice.toFixed(),
+        expectedPrice: expectedPrice.toFixed(),
+        slippageBps: slippageBps(expectedPrice, entryPrice, direction),
+        fees: {}
+      }
     });
-    res.status(201).json({ success: true, msg: "Position opened", data: position });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
   }
 };
 
 exports.closeFuturesPosition = async (req, res) => {
   try {
     const { positionId } = req.body;
-    const position = await FuturesPosition.findById(positionId);
+    const position = await FuturesPosition.findOne({ _id: positionId, user: req.user.id });
     if (!position || position.status !== "open") {
       return res.status(404).json({ success: false, error: "Position not found or already closed" });
     }
-    const currentPrice = await getCurrentPrice(position.pair);
-    if (!currentPrice) return res.status(400).json({ success: false, error: "Failed to fetch price" });
-
-    // Simple PnL calculation
-    let pnl = 0;
-    const entry = position.entryPrice;
-    const amt = position.amount;
-    const lev = position.leverage;
-    if (position.direction === "long") {
-      pnl = ((currentPrice - entry) / entry) * amt * lev;
-    } else {
-      pnl = ((entry - currentPrice) / entry) * amt * lev;
+    const mark = await getMarkPrice(position.pair);
+    if (!mark) return res.status(409).json({ success: false, error: "No mark price available", code: "NO_PRICE" });
+
+    // Margin + PnL back to the USDT ledger balance, never below zero
+    await settlePosition(position, { price: mark.markPrice, reason: "manual" });
+
+    res.json({ success: true, msg: "Position closed", data: position });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+};
+
+// POST /futures/tpsl { positionId, tp?, sl?, trailingStop?: { callbackRate, activationPrice? } }; null clears one
+exports.updateFuturesTpSl = async (req, res) => {
+  try {
+    const { positionId, tp, sl, trailingStop } = req.body;
+    const position = await FuturesPosition.findOne({ _id: positionId, user: req.user.id });
+    if (!position || position.status !== "open") {
+      return res.status(404).json({ success: false, error: "Position not found or already closed" });
     }
+    const updated = await updateTpSl(position, { tp, sl, trailingStop });
+    res.json({ success: true, msg: "Position updated", data: updated });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+};
 
-    // Refund margin + PnL to user's USDT wallet
-    const user = await User.findById(position.user);
-    let usdtWallet = user.wallets.find((w) => w.coin.toUpperCase() === "USDT");
-    if (!usdtWallet) {
-      user.wallets.push({ coin: "USDT", balance: 0, address: "" });
-      usdtWallet = user.wallets.find((w) => w.coin.toUpperCase() === "USDT");
+// POST /futures/add-margin and /futures/remove-margin { positionId, amount } (isolated positions)
+function marginAdjuster(action) {
+  return async (req, res) => {
+    try {
+      const { positionId, amount } = req.body;
+      const position = await FuturesPosition.findOne({ _id: positionId, user: req.user.id });
+      if (!position || position.status !== "open") {
+        return res.status(404).json({ success: false, error: "Position not found or already closed" });
+      }
+      const updated = await adjustMargin(position, action, amount);
+      res.json({ success: true, msg: action === "add" ? "Margin added" : "Margin removed", data: updated });
+    } catch (err) {
+      res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
     }
-    usdtWallet.balance += amt + pnl;
-    await user.save();
+  };
+}
 
-    position.status = "closed";
-    position.closedPrice = currentPrice;
-    position.pnl = pnl;
-    await position.save();
+exports.addMargin = marginAdjuster("add");
+exports.removeMargin = marginAdjuster("remove");
 
-    res.json({ success: true, msg: "Position closed", data: position });
+// POST /futures/margin-mode { marginMode: "isolated" | "cross" }; only with no open positions
+exports.setFuturesMarginMode = async (req, res) => {
+  try {
+    const marginMode = await setMarginMode(req.user.id, String(req.body.marginMode || "").toLowerCase());
+    res.json({ success: true, msg: "Margin mode updated", data: { marginMode } });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+};
+
+// GET /futures/account - margin mode, balance, available balance and open position totals
+exports.getFuturesAccount = async (req, res) => {
+  try {
+    res.json({ success: true, data: await getFuturesAccount(req.user.id) });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
@@ -103,8 +164,31 @@ exports.closeFuturesPosition = async (req, res) => {
 exports.listMyFuturesPositions = async (req, res) => {
   try {
     const positions = await FuturesPosition.find({ user: req.user.id }).sort({ createdAt: -1 });
-    res.json({ success: true, data: positions });
+
+    // value open positions at the current mark price
+    const pairs = [...new Set(positions.filter(p => p.status === "open").map(p => p.pair))];
+    const marks = pairs.length ? await getMarkPrices(pairs) : new Map();
+    const data = await Promise.all(positions.map(async p => {
+      const mark = p.status === "open" ? marks.get(p.pair) : null;
+      if (!mark) return p.toObject();
+      return { ...p.toObject(), markPrice: mark.markPrice.toFixed(), unrealizedPnl: (await positionPnl(p, mark.markPrice)).toFixed() };
+    }));
+    res.json({ success: true, data });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
   }
-};
\ No newline at end of file
+};
+
+// GET /futures/funding/:pair?limit=50 (public; :pair as BTC-USDT)
+exports.getFundingRates = async (req, res) => {
+  try {
+    const symbol = normalizeSymbol(String(req.params.pair || "").replace(/[-_]/, "/"));
+    const market = symbol ? await getMarket(symbol) : null;
+    if (!market || market.status === "delisted" || market.futuresEnabled === false) {
+      return res.status(404).json({ success: false, error: "Futures market not found", code: "MARKET_NOT_FOUND" });
+    }
+    res.json({ success: true, data: await getFundingInfo(market.symbol, req.query.limit) });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+};
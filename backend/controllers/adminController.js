@@ -11,20 +11,34 @@
  */
 const path = require('path');
 const fs = require('fs');
+const mongoose = require('mongoose');
 const { broadcast } = require('../utils/broadcaster');
 
 // Models
 const User = require('../models/User');
 const Coin = require('../models/Coin');
 const Trade = require('../models/Trade');
+const Order = require('../models/Order');
 const Wallet = require('../models/Wallet');
 const AuditLog = require('../models/AuditLog');
 const Setting = require('../models/Setting');
+const FeeSchedule = require('../models/FeeSchedule');
+const Market = require('../models/Market');
+const LedgerEntry = require('../models/LedgerEntry');
 const DepositRequest = require("../models/DepositRequest");
 const WithdrawRequest = require("../models/WithdrawRequest");
 
 const { getAllBalances, postLedgerEntry } = require('../utils/ledger');
 const walletSummaryCache = require('../utils/walletSummaryCache');
+const { cancelOrder } = require('../utils/matchingEngine');
+const { ENV_DEFAULTS: FEE_ENV_DEFAULTS } = require('../utils/fees');
+const { dec, toStr, isPositive } = require('../utils/decimal');
+const { serializeMarket, clearMarketCache, normalizeSymbol } = require('../utils/markets');
+const { haltMarket, resumeMarket, evaluateCircuitBreakers } = require('../utils/circuitBreaker');
+const { PROVIDER_NAMES, getProviderStatus, sourcesFor } = require('../utils/priceProviders');
+const { getPriceServiceStatus } = require('../jobs/priceService');
+const priceScenarios = require('../utils/priceScenarios');
+const priceReplay = require('../utils/priceReplay');
 
 async function createAudit(action, actorId, details = {}) {
   try {
@@ -40,7 +54,7 @@ module.exports = {
   async getSummary(req, res) {
     try {
       const usersCount = await User.countDocuments({});
-      const openTrades = Trade ? await Trade.countDocuments({ status: 'open' }) : 0;
+      const openTrades = await Order.countDocuments({ status: { $in: ['open', 'partially_filled'] } });
       const pendingWallets = Wallet ? await Wallet.countDocuments({ status: 'pending' }) : 0;
       const wsClients = (global.io && global.io.sockets) ? (global.io.sockets.sockets ? Object.keys(global.io.sockets.sockets).length : 0) : 0;
 
@@ -150,12 +164,12 @@ module.exports = {
 
       const uppercaseCoin = String(coin).toUpperCase();
       const numericDelta = Number(delta);
-      if (!Number.isFinite(numericDelta)) return res.status(400).json({ error: "Invalid delta" });
+      if (!Number.isFinite(numericDelta) || !dec(delta).isFinite()) return res.status(400).json({ error: "Invalid delta" });
 
       // Create a ledger entry (source-of-truth). This enforces non-negative balances.
       let ledgerResult;
       try {
-        ledgerResult = await postLedgerEntry(user._id, 'adjustment', uppercaseCoin, numericDelta, {
+        ledgerResult = await postLedgerEntry(user._id, 'adjustment', uppercaseCoin, dec(delta), {
           subtype: 'admin',
           ref: `admin_adjust_balance:${id}`,
           note: reason || 'Admin adjustment',
@@ -272,7 +286,7 @@ module.exports = {
         await user.save();
       }
 
-      await createAudit("wallet:approve", req.user && req.user._id, { walletId: id, ledgerBalance: ledgerResult.balance });
+      await createAudit("wallet:approve", req.user && req.user._id, { walletId: id, ledgerBalance: toStr(ledgerResult.balance) });
 
       // Invalidate wallet summary cache for this user (ensure next summary read is fresh)
       try {
@@ -332,23 +346,31 @@ module.exports = {
   },
 
   // POST /admin/trades/:id/cancel
+  // Accepts an order id, or a fill (Trade) id which resolves to its order.
+  // Uses the same cancel path as users so any held funds are released.
   async cancelTrade(req, res) {
     try {
       const { id } = req.params;
-      const trade = await Trade.findById(id);
-      if (!trade) return res.status(404).json({ error: "Trade not found" });
-
-      if (trade.status === "closed") return res.status(400).json({ error: "Trade already closed" });
+      if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: "Order not found" });
+      let orderId = id;
+      if (!(await Order.exists({ _id: id }))) {
+        const fill = await Trade.findById(id).select('order').lean();
+        if (!fill) return res.status(404).json({ error: "Order not found" });
+        orderId = fill.order;
+      }
 
-      trade.status = "closed";
-      trade.closedAt = new Date();
-      trade.closedBy = req.user && req.user._id;
-      await trade.save();
+      let order;
+      try {
+        order = await cancelOrder(orderId, { actorId: req.user && req.user._id });
+      } catch (err) {
+        if (err && err.status) return res.status(err.status).json({ error: err.message, code: err.code });
+        throw err;
+      }
 
-      await createAudit("trade:cancel", req.user && req.user._id, { tradeId: id });
-      broadcast({ type: "trade_cancelled", payload: { id } });
+      await createAudit("trade:cancel", req.user && req.user._id, { orderId: order._id, user: order.user });
+      broadcast({ type: "trade_cancelled", payload: { id: String(order._id), pair: order.pair } });
 
-      return res.json({ success: true, data: trade });
+      return res.json({ success: true, data: order });
     } catch (e) {
       console.error("cancelTrade error:", e && (e.stack || e.message || e));
       return res.status(500).json({ error: "Failed to cancel trade" });
@@ -363,8 +385,8 @@ module.exports = {
 
       if (body.type === "price_update") {
         const { symbol, price } = body.payload;
-        if (!symbol || typeof price === "undefined") return res.status(400).json({ error: "price_update requires symbol and price" });
-        await Coin.findOneAndUpdate({ symbol: String(symbol).toUpperCase() }, { $set: { price: Number(price), lastPriceUpdate: new Date() } }, { upsert: true });
+        if (!symbol || typeof price === "undefined" || !dec(price).isFinite()) return res.status(400).json({ error: "price_update requires symbol and price" });
+        await Coin.findOneAndUpdate({ symbol: String(symbol).toUpperCase() }, { $set: { price: toStr(price), lastPriceUpdate: new Date() } }, { upsert: true });
       }
 
       await createAudit("admin:broadcast", req.user && req.user._id, { broadcast: body });
@@ -382,15 +404,24 @@ module.exports = {
     try {
       const { symbol, price, broadcast: doBroadcast } = req.body || {};
       if (!symbol || typeof price === "undefined") return res.status(400).json({ error: "Missing symbol or price" });
+      if (!dec(price).isFinite() || dec(price).lt(0)) return res.status(400).json({ error: "Invalid price" });
 
       const updated = await Coin.findOneAndUpdate(
         { symbol: String(symbol).toUpperCase() },
-        { $set: { price: Number(price), priceMode: 'manual', targetPrice: Number(price), lastPriceUpdate: new Date() } },
+        // the price service holds the coin at the override (drift toward it) instead of the feed
+        { $set: { price: toStr(price), priceMode: 'drift', adminControlEnabled: true, targetPrice: Number(price), lastPriceUpdate: new Date() } },
         { upsert: true, new: true }
       );
 
       await createAudit("admin:price_override", req.user && req.user._id, { symbol, price });
 
+      // an override is a tick like any other: check the price bands before the next engine run
+      try {
+        await evaluateCircuitBreakers([{ symbol: String(symbol).toUpperCase(), price: Number(price) }]);
+      } catch (e) {
+        console.warn("priceOverride circuit breaker check failed:", e && e.message);
+      }
+
       if (doBroadcast) {
         broadcast({ type: "price_update", payload: { symbol: String(symbol).toUpperCase(), price: Number(price) } });
       }
@@ -402,6 +433,358 @@ module.exports = {
     }
   },
 
+  // GET /admin/fees
+  async listFeeSchedules(req, res) {
+    try {
+      const rows = await FeeSchedule.find({}).sort({ scope: 1, pair: 1 }).populate('user', 'email username').lean();
+      return res.json({ success: true, data: { schedules: rows, envDefaults: FEE_ENV_DEFAULTS } });
+    } catch (e) {
+      console.error("listFeeSchedules error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to list fee schedules" });
+    }
+  },
+
+  // POST /admin/fees { scope: default|pair|user, pair?, userId?, makerRate, takerRate, note? }
+  async upsertFeeSchedule(req, res) {
+    try {
+      const { scope, pair, userId, makerRate, takerRate, note } = req.body || {};
+      if (!['default', 'pair', 'user'].includes(scope)) return res.status(400).json({ error: "Invalid scope" });
+      const maker = Number(makerRate);
+      const taker = Number(takerRate);
+      if (![maker, taker].every(r => Number.isFinite(r) && r >= 0 && r <= 0.05)) {
+        return res.status(400).json({ error: "Rates must be between 0 and 0.05" });
+      }
+      if (scope === 'pair' && !/^[A-Z0-9]+\/[A-Z0-9]+$/i.test(String(pair || ''))) return res.status(400).json({ error: "Invalid pair" });
+      if (scope === 'user' && !(mongoose.isValidObjectId(userId) && await User.exists({ _id: userId }))) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const key = {
+        scope,
+        pair: scope === 'pair' ? String(pair).toUpperCase() : null,
+        user: scope === 'user' ? userId : null
+      };
+      const row = await FeeSchedule.findOneAndUpdate(
+        key,
+        { $set: { ...key, makerRate: maker, takerRate: taker, note: note || '', updatedBy: req.user && req.user._id } },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      await createAudit("admin:fee_schedule_update", req.user && req.user._id, { ...key, makerRate: maker, takerRate: taker });
+      return res.json({ success: true, data: row });
+    } catch (e) {
+      console.error("upsertFeeSchedule error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to save fee schedule" });
+    }
+  },
+
+  // DELETE /admin/fees/:id
+  async deleteFeeSchedule(req, res) {
+    try {
+      const { id } = req.params;
+      if (!mongoose.isValidObjectId(id)) return res.status(404).json({ error: "Fee schedule not found" });
+      const row = await FeeSchedule.findByIdAndDelete(id);
+      if (!row) return res.status(404).json({ error: "Fee schedule not found" });
+      await createAudit("admin:fee_schedule_delete", req.user && req.user._id, { id, scope: row.scope, pair: row.pair, user: row.user });
+      return res.json({ success: true, data: row });
+    } catch (e) {
+      console.error("deleteFeeSchedule error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to delete fee schedule" });
+    }
+  },
+
+  // GET /admin/fees/revenue?from=&to=
+  // Platform fee revenue from ledger 'fee' entries, per coin and per pair, labelled by source:
+  // "trading" (maker/taker fees on fills) or "liquidation" (futures liquidation fees).
+  async getFeeRevenue(req, res) {
+    try {
+      const match = { type: 'fee' };
+      const from = req.query.from ? new Date(req.query.from) : null;
+      const to = req.query.to ? new Date(req.query.to) : null;
+      if ((from && isNaN(from)) || (to && isNaN(to))) return res.status(400).json({ error: "Invalid date range" });
+      if (from || to) {
+        match.createdAt = {};
+        if (from) match.createdAt.$gte = from;
+        if (to) match.createdAt.$lte = to;
+      }
+
+      const rows = await LedgerEntry.aggregate([
+        { $match: match },
+        {
+          $group: {
+            _id: {
+              coin: '$coin',
+              pair: '$meta.pair',
+              source: { $cond: [{ $eq: ['$subtype', 'liquidation_fee'] }, 'liquidation', 'trading'] }
+            },
+            revenue: { $sum: { $multiply: ['$amount', -1] } },
+            count: { $sum: 1 }
+          }
+        },
+        { $project: { _id: 0, coin: '$_id.coin', pair: '$_id.pair', source: '$_id.source', revenue: 1, count: 1 } },
+        { $sort: { source: 1, coin: 1, pair: 1 } }
+      ]);
+
+      const byCoin = {};
+      const bySource = {};
+      rows.forEach(r => {
+        byCoin[r.coin] = dec(byCoin[r.coin]).plus(dec(r.revenue)).toFixed();
+        const source = bySource[r.source] = bySource[r.source] || {};
+        source[r.coin] = dec(source[r.coin]).plus(dec(r.revenue)).toFixed();
+      });
+
+      return res.json({ success: true, data: { byCoin, bySource, byPair: rows, from, to } });
+    } catch (e) {
+      console.error("getFeeRevenue error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to compute fee revenue" });
+    }
+  },
+
+  // GET /admin/markets (including delisted)
+  async listMarkets(req, res) {
+    try {
+      const rows = await Market.find({}).sort({ quote: 1, base: 1 }).lean();
+      return res.json({ success: true, data: rows.map(serializeMarket) });
+    } catch (e) {
+      console.error("listMarkets error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to list markets" });
+    }
+  },
+
+  // POST /admin/markets { base, quote, tickSize, lotSize, minNotional?, maxOrderSize?, status?, statusReason?, futuresEnabled?,
+  //   circuitBreaker?: { enabled, maxMovePct, windowMinutes, cooldownMinutes } }
+  // Creates the market or updates the fields given; tickSize and lotSize are required on create.
+  // Halting and resuming a trading market goes through /admin/markets/halt and /resume.
+  async upsertMarket(req, res) {
+    try {
+      const { base, quote, tickSize, lotSize, minNotional, maxOrderSize, status, statusReason, futuresEnabled, circuitBreaker } = req.body || {};
+      const symbol = normalizeSymbol(`${base || ''}/${quote || ''}`);
+      if (!symbol || !/^[A-Z0-9]+\/[A-Z0-9]+$/.test(symbol)) return res.status(400).json({ error: "Invalid base/quote" });
+
+      const existing = await Market.findOne({ symbol }).select('status').lean();
+      const exists = !!existing;
+      if (!exists && (tickSize == null || lotSize == null)) {
+        return res.status(400).json({ error: "tickSize and lotSize are required for a new market" });
+      }
+      if (tickSize != null && !isPositive(tickSize)) return res.status(400).json({ error: "tickSize must be positive" });
+      if (lotSize != null && !isPositive(lotSize)) return res.status(400).json({ error: "lotSize must be positive" });
+      if (minNotional != null && !(dec(minNotional).isFinite() && dec(minNotional).gte(0))) {
+        return res.status(400).json({ error: "minNotional must be zero or positive" });
+      }
+      if (maxOrderSize != null && !isPositive(maxOrderSize)) return res.status(400).json({ error: "maxOrderSize must be positive or null" });
+      if (status != null && !['trading', 'delisted'].includes(status)) return res.status(400).json({ error: "Invalid status" });
+      if (status === 'trading' && existing && existing.status === 'halted') {
+        return res.status(409).json({ error: "Market is halted; resume it with /admin/markets/resume" });
+      }
+      if (circuitBreaker != null && typeof circuitBreaker !== 'object') return res.status(400).json({ error: "Invalid circuitBreaker" });
+      const band = circuitBreaker || {};
+      if (band.maxMovePct != null && !(Number(band.maxMovePct) >= 0.1)) return res.status(400).json({ error: "maxMovePct must be at least 0.1" });
+      if (band.windowMinutes != null && !(Number(band.windowMinutes) >= 1)) return res.status(400).json({ error: "windowMinutes must be at least 1" });
+      if (band.cooldownMinutes != null && !(Number(band.cooldownMinutes) >= 0)) return res.status(400).json({ error: "cooldownMinutes must be zero or positive" });
+
+      const [b, q] = symbol.split('/');
+      const changes = {};
+      if (tickSize != null) changes.tickSize = toStr(tickSize);
+      if (lotSize != null) changes.lotSize = toStr(lotSize);
+      if (minNotional != null) changes.minNotional = toStr(minNotional);
+      if (maxOrderSize !== undefined) changes.maxOrderSize = maxOrderSize === null ? null : toStr(maxOrderSize);
+      if (status != null) Object.assign(changes, { status, haltSource: null, haltedAt: null, resumeAt: null });
+      if (statusReason != null) changes.statusReason = String(statusReason);
+      if (futuresEnabled != null) changes.futuresEnabled = !!futuresEnabled;
+      if (band.enabled != null) changes['circuitBreaker.enabled'] = !!band.enabled;
+      ['maxMovePct', 'windowMinutes', 'cooldownMinutes'].forEach(k => {
+        if (band[k] != null) changes[`circuitBreaker.${k}`] = Number(band[k]);
+      });
+
+      const row = await Market.findOneAndUpdate(
+        { symbol },
+        { $set: { symbol, base: b, quote: q, ...changes, updatedBy: req.user && req.user._id } },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+      clearMarketCache(symbol);
+
+      await createAudit(exists ? "admin:market_update" : "admin:market_create", req.user && req.user._id, { symbol, ...changes });
+      return res.json({ success: true, data: serializeMarket(row) });
+    } catch (e) {
+      console.error("upsertMarket error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to save market" });
+    }
+  },
+
+  // POST /admin/markets/halt { symbol, reason }
+  async haltMarket(req, res) {
+    try {
+      const { symbol, reason } = req.body || {};
+      const sym = normalizeSymbol(symbol);
+      if (!sym) return res.status(400).json({ error: "Invalid symbol" });
+      const market = await haltMarket(sym, { reason: String(reason || 'Halted by admin'), source: 'manual', actorId: req.user && req.user._id });
+      if (!market) {
+        const current = await Market.findOne({ symbol: sym }).lean();
+        if (!current) return res.status(404).json({ error: "Market not found" });
+        return res.status(409).json({ error: `Market is ${current.status}` });
+      }
+      return res.json({ success: true, data: serializeMarket(market) });
+    } catch (e) {
+      console.error("haltMarket error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to halt market" });
+    }
+  },
+
+  // POST /admin/markets/resume { symbol } - resumes manual and circuit breaker halts
+  async resumeMarket(req, res) {
+    try {
+      const sym = normalizeSymbol((req.body || {}).symbol);
+      if (!sym) return res.status(400).json({ error: "Invalid symbol" });
+      const market = await resumeMarket(sym, { actorId: req.user && req.user._id });
+      if (!market) {
+        const current = await Market.findOne({ symbol: sym }).lean();
+        if (!current) return res.status(404).json({ error: "Market not found" });
+        return res.status(409).json({ error: `Market is ${current.status}` });
+      }
+      return res.json({ success: true, data: serializeMarket(market) });
+    } catch (e) {
+      console.error("resumeMarket error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to resume market" });
+    }
+  },
+
+  // GET /admin/price-providers - provider health and the default source order
+  async getPriceProviders(req, res) {
+    try {
+      return res.json({ success: true, data: getProviderStatus() });
+    } catch (e) {
+      console.error("getPriceProviders error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to load price providers" });
+    }
+  },
+
+  // GET /admin/price-service - price loop state and the source driving each coin
+  async getPriceService(req, res) {
+    try {
+      return res.json({ success: true, data: await getPriceServiceStatus() });
+    } catch (e) {
+      console.error("getPriceService error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to load price service status" });
+    }
+  },
+
+  // GET /admin/price-scenarios?symbol=&status= (status "active" = scheduled, running or paused)
+  async listPriceScenarios(req, res) {
+    try {
+      const rows = await priceScenarios.listScenarios({ symbol: req.query.symbol, status: req.query.status, limit: req.query.limit });
+      return res.json({ success: true, data: rows });
+    } catch (e) {
+      console.error("listPriceScenarios error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to list price scenarios" });
+    }
+  },
+
+  // POST /admin/price-scenarios { symbol, name?, startAt?, steps: [{ action: ramp|hold|jump, targetPrice?, minutes? }] }
+  // e.g. steps [{ action: "ramp", targetPrice: 2, minutes: 30 }, { action: "hold", minutes: 10 }, { action: "ramp", targetPrice: 1.5, minutes: 5 }]
+  async createPriceScenario(req, res) {
+    try {
+      const { symbol, name, steps, startAt } = req.body || {};
+      const scenario = await priceScenarios.createScenario({ symbol, name, steps, startAt, actorId: req.user && req.user._id });
+      return res.json({ success: true, data: scenario });
+    } catch (e) {
+      if (e && e.status) return res.status(e.status).json({ error: e.message, code: e.code });
+      console.error("createPriceScenario error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to create price scenario" });
+    }
+  },
+
+  // POST /admin/price-scenarios/:id/:action - action pause | resume | cancel
+  async updatePriceScenario(req, res) {
+    const handlers = { pause: priceScenarios.pauseScenario, resume: priceScenarios.resumeScenario, cancel: priceScenarios.cancelScenario };
+    try {
+      const handler = handlers[req.params.action];
+      if (!handler) return res.status(400).json({ error: "Action must be pause, resume or cancel" });
+      const scenario = await handler(req.params.id, { actorId: req.user && req.user._id });
+      return res.json({ success: true, data: scenario });
+    } catch (e) {
+      if (e && e.status) return res.status(e.status).json({ error: e.message, code: e.code });
+      console.error("updatePriceScenario error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to update price scenario" });
+    }
+  },
+
+  // GET /admin/price-replay - active replay with its data time, the last finished one and the replay files
+  async getPriceReplay(req, res) {
+    try {
+      return res.json({ success: true, data: await priceReplay.getReplayStatus() });
+    } catch (e) {
+      console.error("getPriceReplay error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to load price replay" });
+    }
+  },
+
+  // POST /admin/price-replay/start { file, symbols, speed?: 1-100, from? }
+  async startPriceReplay(req, res) {
+    try {
+      const { file, symbols, speed, from } = req.body || {};
+      const replay = await priceReplay.startReplay({ file, symbols, speed, from, actorId: req.user && req.user._id });
+      return res.json({ success: true, data: replay });
+    } catch (e) {
+      if (e && e.status) return res.status(e.status).json({ error: e.message, code: e.code });
+      console.error("startPriceReplay error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to start price replay" });
+    }
+  },
+
+  // POST /admin/price-replay/:action - pause | resume { speed? } | seek { to | offsetMs } | stop
+  async controlPriceReplay(req, res) {
+    const body = req.body || {};
+    const actorId = req.user && req.user._id;
+    const handlers = {
+      pause: () => priceReplay.pauseReplay({ actorId }),
+      resume: () => priceReplay.resumeReplay({ speed: body.speed, actorId }),
+      seek: () => priceReplay.seekReplay({ to: body.to, offsetMs: body.offsetMs, actorId }),
+      stop: () => priceReplay.stopReplay({ actorId })
+    };
+    try {
+      const handler = handlers[req.params.action];
+      if (!handler) return res.status(400).json({ error: "Action must be pause, resume, seek or stop" });
+      return res.json({ success: true, data: await handler() });
+    } catch (e) {
+      if (e && e.status) return res.status(e.status).json({ error: e.message, code: e.code });
+      console.error("controlPriceReplay error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to update price replay" });
+    }
+  },
+
+  // POST /admin/coins/:symbol/price-source { primary, fallbacks, coingeckoId, staleAfterMs, maxJumpPct }
+  // primary null resets the coin to the default order (PRICE_PROVIDER_ORDER); null limits
+  // fall back to PRICE_STALE_AFTER_MS / PRICE_MAX_JUMP_PCT.
+  async setPriceSource(req, res) {
+    try {
+      const symbol = String(req.params.symbol || '').toUpperCase();
+      const { primary, fallbacks, coingeckoId, staleAfterMs, maxJumpPct } = req.body || {};
+      const known = (name) => PROVIDER_NAMES.includes(String(name).toLowerCase());
+      if (primary != null && !known(primary)) return res.status(400).json({ error: `primary must be one of ${PROVIDER_NAMES.join(', ')}` });
+      if (fallbacks != null && !(Array.isArray(fallbacks) && fallbacks.every(known))) {
+        return res.status(400).json({ error: `fallbacks must be a list of ${PROVIDER_NAMES.join(', ')}` });
+      }
+      if (staleAfterMs != null && !(Number(staleAfterMs) >= 1000)) return res.status(400).json({ error: "staleAfterMs must be at least 1000" });
+      if (maxJumpPct != null && !(Number(maxJumpPct) >= 0.1)) return res.status(400).json({ error: "maxJumpPct must be at least 0.1" });
+
+      const changes = {};
+      if (primary !== undefined) changes['priceSource.primary'] = primary ? String(primary).toLowerCase() : null;
+      if (fallbacks != null) changes['priceSource.fallbacks'] = fallbacks.map(f => String(f).toLowerCase());
+      if (coingeckoId !== undefined) changes.coingeckoId = coingeckoId ? String(coingeckoId).trim() : null;
+      if (staleAfterMs !== undefined) changes['priceGuard.staleAfterMs'] = staleAfterMs == null ? null : Number(staleAfterMs);
+      if (maxJumpPct !== undefined) changes['priceGuard.maxJumpPct'] = maxJumpPct == null ? null : Number(maxJumpPct);
+
+      const coin = await Coin.findOneAndUpdate({ symbol }, { $set: changes }, { new: true }).select('symbol priceSource coingeckoId priceGuard').lean();
+      if (!coin) return res.status(404).json({ error: "Coin not found" });
+
+      await createAudit("admin:price_source_update", req.user && req.user._id, { symbol, ...changes });
+      return res.json({ success: true, data: { ...coin, effectiveSources: sourcesFor(coin) } });
+    } catch (e) {
+      console.error("setPriceSource error:", e && (e.stack || e.message || e));
+      return res.status(500).json({ error: "Failed to save price source" });
+    }
+  },
+
   // GET /admin/logs
   async getLogs(req, res) {
     try {
@@ -2,14 +2,21 @@
  * coinController.js
  * - GET /api/coin  -> list coins from DB
  * - GET /api/coin/:symbol -> single coin
+ * - GET /api/coin/:symbol/klines?interval=1h&from=&to=&limit= -> OHLCV candles (utils/candles)
  *
  * Safe, defensive controller:
  *  - Validates and clamps pagination inputs
  *  - Returns minimal, stable shape for frontend
  *  - Avoids leaking internal DB fields
+ *  - Prices are exact decimals returned as strings
+ *  - List rows carry rolling 24h stats (open24h, high24h, low24h, change24h, changePercent24h,
+ *    volume24h) from utils/tickers; previousPrice stays the last engine tick
  */
 
 const Coin = require("../models/Coin");
+const { toStr, DEFAULT_DECIMALS } = require("../utils/decimal");
+const { INTERVALS, getKlines } = require("../utils/candles");
+const { getTickers } = require("../utils/tickers");
 
 // Helper: sanitize symbol for icon url fallback
 function safeSymbolForIcon(sym) {
@@ -20,6 +27,17 @@ function safeSymbolForIcon(sym) {
   }
 }
 
+function tickerFields(t) {
+  return {
+    open24h: t ? t.open : null,
+    high24h: t ? t.high : null,
+    low24h: t ? t.low : null,
+    change24h: t ? t.change : null,
+    changePercent24h: t ? t.changePercent : null,
+    volume24h: t ? t.volume : "0"
+  };
+}
+
 // GET /api/coin
 exports.getCoins = async (req, res) => {
   try {
@@ -38,6 +56,7 @@ exports.getCoins = async (req, res) => {
       name: 1,
       price: 1,
       previousPrice: 1,
+      decimals: 1,
       icon: 1,
       isCustom: 1,
       chartHistory: 1
@@ -51,11 +70,20 @@ exports.getCoins = async (req, res) => {
       .lean()
       .exec();
 
+    let tickers = new Map();
+    try {
+      tickers = new Map((await getTickers()).coins.map(t => [t.symbol, t]));
+    } catch (e) {
+      console.warn("coinController.getCoins tickers unavailable:", e && e.message);
+    }
+
     const out = (coins || []).map(c => ({
+      ...tickerFields(tickers.get(c.symbol)),
       symbol: c.symbol,
       name: c.name,
-      price: Number(c.price || 0),
-      previousPrice: Number(c.previousPrice || 0),
+      price: toStr(c.price),
+      previousPrice: toStr(c.previousPrice),
+      decimals: Number.isInteger(c.decimals) ? c.decimals : DEFAULT_DECIMALS,
       iconUrl: c.icon || `/icons/main/${safeSymbolForIcon(c.symbol)}.png`,
       isCustom: !!c.isCustom,
       chartHistory: Array.isArray(c.chartHistory) ? c.chartHistory.slice(-100) : [] // limit client payload size
@@ -87,6 +115,7 @@ exports.getCoin = async (req, res) => {
       name: 1,
       price: 1,
       previousPrice: 1,
+      decimals: 1,
       icon: 1,
       isCustom: 1,
       chartHistory: 1
@@ -100,8 +129,9 @@ exports.getCoin = async (req, res) => {
       data: {
         symbol: coin.symbol,
         name: coin.name,
-        price: Number(coin.price || 0),
-        previousPrice: Number(coin.previousPrice || 0),
+        price: toStr(coin.price),
+        previousPrice: toStr(coin.previousPrice),
+        decimals: Number.isInteger(coin.decimals) ? coin.decimals : DEFAULT_DECIMALS,
         iconUrl: coin.icon || `/icons/main/${safeSymbolForIcon(coin.symbol)}.png`,
         isCustom: !!coin.isCustom,
         chartHistory: Array.isArray(coin.chartHistory) ? coin.chartHistory : []
@@ -111,4 +141,33 @@ exports.getCoin = async (req, res) => {
     console.error("coinController.getCoin error:", err && (err.stack || err.message || err));
     res.status(500).json({ success: false, error: "Failed to load coin" });
   }
-};
\ No newline at end of file
+};
+// Accepts epoch milliseconds or an ISO date; null when absent, undefined when invalid
+function parseTime(value) {
+  if (value == null || value === "") return null;
+  const d = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(String(value));
+  return isNaN(d) ? undefined : d;
+}
+
+// GET /api/coin/:symbol/klines
+exports.getKlines = async (req, res) => {
+  try {
+    const symbol = String(req.params.symbol || "").trim().toUpperCase();
+    if (!/^[A-Z0-9]{1,10}$/.test(symbol)) {
+      return res.status(400).json({ success: false, error: "Invalid symbol format" });
+    }
+    const interval = String(req.query.interval || "1h");
+    if (!INTERVALS[interval]) {
+      return res.status(400).json({ success: false, error: `interval must be one of ${Object.keys(INTERVALS).join(", ")}` });
+    }
+    const from = parseTime(req.query.from);
+    const to = parseTime(req.query.to);
+    if (from === undefined || to === undefined) return res.status(400).json({ success: false, error: "Invalid from/to" });
+
+    const candles = await getKlines(symbol, interval, { from, to, limit: req.query.limit });
+    res.json({ success: true, data: { symbol, interval, candles } });
+  } catch (err) {
+    console.error("coinController.getKlines error:", err && (err.stack || err.message || err));
+    res.status(500).json({ success: false, error: "Failed to load klines" });
+  }
+};
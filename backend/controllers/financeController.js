@@ -31,7 +31,7 @@ exports.requestWithdraw = async (req, res) => {
     const { coin, amount, address } = req.body;
     // Check available balance in ledger before creating withdraw
     const bal = await getBalance(req.user.id, coin);
-    if (bal < amount) return res.status(400).json({ success: false, error: "Insufficient balance." });
+    if (!(Number(amount) > 0) || bal.lt(amount)) return res.status(400).json({ success: false, error: "Insufficient balance." });
     const reqDoc = new WithdrawRequest({
       user: req.user.id,
       coin,
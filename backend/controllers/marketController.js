@@ -0,0 +1,122 @@
+/**
+ * Market Controller - public market registry and market data
+ * - GET /api/markets?quote=USDT&status=trading -> listed pairs with their trading rules
+ * - GET /api/market/:pair/depth?limit=50 -> aggregated order book with its sequence number
+ * - GET /api/market/:pair/trades?limit=50 -> public trade tape, newest first
+ * - GET /api/market/tickers?symbol=BTC&pair=BTC-USDT -> rolling 24h tickers (utils/tickers)
+ * - GET /api/market/index/:symbol -> composite index price with its constituents (utils/indexPrice)
+ * Delisted markets are hidden unless requested with status=delisted.
+ * :pair may be written BTC-USDT, BTC_USDT or BTC%2FUSDT.
+ */
+const Market = require("../models/Market");
+const { serializeMarket, getMarket, normalizeSymbol } = require("../utils/markets");
+const { getDepth, getRecentTrades } = require("../utils/marketData");
+const { getTickers } = require("../utils/tickers");
+const { withPairLock } = require("../utils/matchingEngine");
+const Coin = require("../models/Coin");
+const { freshIndexOf, getLatestIndex } = require("../utils/indexPrice");
+
+const STATUSES = ["trading", "halted", "delisted"];
+
+// GET /api/markets
+exports.listMarkets = async (req, res) => {
+  try {
+    const filter = {};
+    const status = String(req.query.status || "").toLowerCase();
+    if (status) {
+      if (!STATUSES.includes(status)) return res.status(400).json({ success: false, error: "Invalid status" });
+      filter.status = status;
+    } else {
+      filter.status = { $ne: "delisted" };
+    }
+    if (req.query.quote) filter.quote = String(req.query.quote).toUpperCase();
+    if (req.query.base) filter.base = String(req.query.base).toUpperCase();
+
+    const markets = await Market.find(filter).sort({ quote: 1, base: 1 }).lean();
+    res.json({ success: true, data: markets.map(serializeMarket) });
+  } catch (err) {
+    console.error("marketController.listMarkets error:", err && (err.stack || err.message || err));
+    res.status(500).json({ success: false, error: "Failed to load markets", data: [] });
+  }
+};
+
+async function listedPair(req, res) {
+  const symbol = normalizeSymbol(String(req.params.pair || "").replace(/[-_]/, "/"));
+  const market = symbol ? await getMarket(symbol) : null;
+  if (!market || market.status === "delisted") {
+    res.status(404).json({ success: false, error: "Market not found", code: "MARKET_NOT_FOUND" });
+    return null;
+  }
+  return market.symbol;
+}
+
+// GET /api/market/:pair/depth
+exports.getDepth = async (req, res) => {
+  try {
+    const pair = await listedPair(req, res);
+    if (!pair) return;
+    // read under the pair lock so seq matches the levels returned
+    const depth = await withPairLock(pair, () => getDepth(pair, req.query.limit));
+    res.json({ success: true, data: depth });
+  } catch (err) {
+    console.error("marketController.getDepth error:", err && (err.stack || err.message || err));
+    res.status(500).json({ success: false, error: "Failed to load order book" });
+  }
+};
+
+// GET /api/market/:pair/trades
+exports.getTrades = async (req, res) => {
+  try {
+    const pair = await listedPair(req, res);
+    if (!pair) return;
+    const trades = await getRecentTrades(pair, req.query.limit);
+    res.json({ success: true, data: trades });
+  } catch (err) {
+    console.error("marketController.getTrades error:", err && (err.stack || err.message || err));
+    res.status(500).json({ success: false, error: "Failed to load trades", data: [] });
+  }
+};
+
+// GET /api/market/tickers
+exports.getTickers = async (req, res) => {
+  try {
+    const { coins, pairs, ts } = await getTickers();
+    const symbol = req.query.symbol ? String(req.query.symbol).toUpperCase() : null;
+    const pair = req.query.pair ? normalizeSymbol(String(req.query.pair).replace(/[-_]/, "/")) : null;
+    res.json({
+      success: true,
+      data: {
+        coins: symbol ? coins.filter(t => t.symbol === symbol) : coins,
+        pairs: pair ? pairs.filter(t => t.pair === pair) : symbol ? pairs.filter(t => t.base === symbol) : pairs,
+        ts
+      }
+    });
+  } catch (err) {
+    console.error("marketController.getTickers error:", err && (err.stack || err.message || err));
+    res.status(500).json({ success: false, error: "Failed to load tickers" });
+  }
+};
+
+// GET /api/market/index/:symbol
+exports.getIndexPrice = async (req, res) => {
+  try {
+    const symbol = String(req.params.symbol || "").toUpperCase();
+    const coin = await Coin.findOne({ symbol }).select("symbol indexPrice indexUpdatedAt").lean();
+    if (!coin) return res.status(404).json({ success: false, error: "Coin not found", code: "COIN_NOT_FOUND" });
+    const latest = await getLatestIndex(symbol);
+    res.json({
+      success: true,
+      data: {
+        symbol,
+        price: coin.indexPrice,
+        updatedAt: coin.indexUpdatedAt,
+        fresh: !!freshIndexOf(coin),
+        method: latest ? latest.method : null,
+        constituents: latest ? latest.constituents : []
+      }
+    });
+  } catch (err) {
+    console.error("marketController.getIndexPrice error:", err && (err.stack || err.message || err));
+    res.status(500).json({ success: false, error: "Failed to load index price" });
+  }
+};
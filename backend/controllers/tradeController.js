@@ -1,58 +1,41 @@
 /**
- * Trade Controller - Fixed to match route names
+ * Trade Controller - spot orders routed through the matching engine
  */
 const Trade = require("../models/Trade");
-const { postLedgerEntry, getBalance } = require("../utils/ledger");
+const Order = require("../models/Order");
+const ConditionalOrder = require("../models/ConditionalOrder");
+const {
+  placeOrder,
+  cancelOrder,
+  cancelAllOrders,
+  amendOrder,
+  parsePair,
+  OPEN_STATUSES
+} = require("../utils/matchingEngine");
+const { createConditionalOrders, cancelConditionalOrder } = require("../utils/conditionalOrders");
+const { getFeeRates } = require("../utils/fees");
 const { createAudit } = require("../utils/auditLog");
 
 // POST /api/trade/place
 exports.placeTrade = async (req, res) => {
   try {
-    const { pair, size, side, price, type } = req.body;
+    const { pair, size, side, price, type, maxSlippageBps } = req.body;
 
-    const [base, quote] = pair.split("/");
-    if (!base || !quote) {
-      return res.status(400).json({ success: false, error: "Invalid pair format." });
-    }
-
-    const spendCoin = side === "buy" ? quote : base;
-    const cost = side === "buy" ? size * (price || 1) : size;
-
-    const available = await getBalance(req.user.id, spendCoin);
-    if (available < cost) {
-      return res.status(400).json({ success: false, error: "Insufficient balance." });
-    }
-
-    await postLedgerEntry(req.user.id, "trade", spendCoin, -cost, {
-      subtype: side,
-      note: `${type || "market"} ${side} ${size} ${pair} @${price || "market"}`
-    });
-
-    const receiveCoin = side === "buy" ? base : quote;
-    const received = side === "buy" ? size : size * (price || 1);
-
-    await postLedgerEntry(req.user.id, "trade", receiveCoin, received, {
-      subtype: side,
-      note: `Fill side ${side}, pair ${pair}`
-    });
-
-    const trade = new Trade({
-      user: req.user.id,
+    const { order, fills, execution } = await placeOrder({
+      userId: req.user.id,
       pair,
-      size,
-      price: price || 0,
       side,
-      type: type || "market",
-      status: "filled",
-      filledAt: new Date(),
+      type,
+      amount: size,
+      price,
+      maxSlippageBps
     });
 
-    await trade.save();
-    await createAudit("trade:place", req.user.id, { tradeId: trade._id });
+    await createAudit("order:place", req.user.id, { orderId: order._id, fills: fills.length, fillPrice: execution.fillPrice });
 
-    res.status(201).json({ success: true, data: trade });
+    res.status(201).json({ success: true, data: { order, fills, execution } });
   } catch (err) {
-    res.status(500).json({ success: false, error: err.message });
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
   }
 };
 
@@ -65,3 +48,100 @@ exports.getMyTrades = async (req, res) => {
     res.status(500).json({ success: false, error: err.message });
   }
 };
+
+// GET /api/trade/open-orders?pair=
+exports.getOpenOrders = async (req, res) => {
+  try {
+    const filter = { user: req.user.id, status: { $in: OPEN_STATUSES } };
+    if (req.query.pair) filter.pair = parsePair(req.query.pair).pair;
+    const orders = await Order.find(filter).sort({ createdAt: -1 }).lean();
+    res.json({ success: true, data: orders });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+};
+
+// DELETE /api/trade/order/:id
+exports.cancelMyOrder = async (req, res) => {
+  try {
+    const order = await cancelOrder(req.params.id, { userId: req.user.id, actorId: req.user.id });
+    await createAudit("order:cancel", req.user.id, { orderId: order._id });
+    res.json({ success: true, data: order });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+};
+
+// POST /api/trade/cancel-all?pair=
+exports.cancelAllMyOrders = async (req, res) => {
+  try {
+    const pair = req.query.pair || (req.body && req.body.pair);
+    const orders = await cancelAllOrders(req.user.id, { pair, actorId: req.user.id });
+    await createAudit("order:cancel_all", req.user.id, { pair: pair || null, count: orders.length });
+    res.json({ success: true, data: { cancelled: orders.length, orders } });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+};
+
+// PATCH /api/trade/order/:id { price?, size? }
+exports.amendMyOrder = async (req, res) => {
+  try {
+    const { price, size } = req.body;
+    const { order, fills } = await amendOrder(req.params.id, req.user.id, { price, amount: size });
+    await createAudit("order:amend", req.user.id, { orderId: order._id, price, size, fills: fills.length });
+    res.json({ success: true, data: { order, fills } });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+};
+
+// POST /api/trade/conditional { pair, side, kind, triggerPrice, limitPrice?, size } or { oco: [leg, leg] }
+exports.placeConditionalOrder = async (req, res) => {
+  try {
+    const legs = Array.isArray(req.body.oco) ? req.body.oco : [req.body];
+    const orders = await createConditionalOrders(req.user.id, legs);
+    await createAudit("conditional:place", req.user.id, {
+      ids: orders.map(o => o._id),
+      kinds: orders.map(o => o.kind),
+      ocoGroup: orders[0].ocoGroup
+    });
+    res.status(201).json({ success: true, data: orders });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+};
+
+// GET /api/trade/conditional?status=
+exports.getMyConditionalOrders = async (req, res) => {
+  try {
+    const filter = { user: req.user.id };
+    if (req.query.status) filter.status = String(req.query.status);
+    const orders = await ConditionalOrder.find(filter).sort({ createdAt: -1 }).limit(200).lean();
+    res.json({ success: true, data: orders });
+  } catch (err) {
+    res.status(500).json({ success: false, error: err.message });
+  }
+};
+
+// DELETE /api/trade/conditional/:id (cancels the OCO sibling too)
+exports.cancelMyConditionalOrder = async (req, res) => {
+  try {
+    const orders = await cancelConditionalOrder(req.params.id, req.user.id);
+    await createAudit("conditional:cancel", req.user.id, { ids: orders.map(o => o._id) });
+    res.json({ success: true, data: orders });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+};
+
+// GET /api/trade/fees?pair= — the caller's effective maker/taker rates
+exports.getMyFeeRates = async (req, res) => {
+  try {
+    const pair = req.query.pair ? parsePair(req.query.pair).pair : null;
+    const rates = await getFeeRates(req.user.id, pair);
+    res.json({ success: true, data: { pair, ...rates } });
+  } catch (err) {
+    res.status(err.status || 500).json({ success: false, error: err.message, code: err.code });
+  }
+};
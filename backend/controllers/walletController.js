@@ -5,16 +5,21 @@
  * Enhancements:
  * - GET /wallet/summary: authoritative ledger-derived summary with prices and precomputed fiat values.
  * - Uses walletSummaryCache to speed up repeated reads and minimize recomputation.
+ * - Balances, prices and fiat values are exact decimals returned as strings.
+ * - Balances are valued at the composite index price (utils/indexPrice) when fresh, else the
+ *   last price; each row says which (priceType "index" / "last").
  */
 
 const User = require("../models/User");
 const DepositRequest = require("../models/DepositRequest");
 const WithdrawRequest = require("../models/WithdrawRequest");
-const Trade = require("../models/Trade");
 const Coin = require("../models/Coin");
+const LedgerEntry = require("../models/LedgerEntry");
 
 const { getBalance, getAllBalances, postLedgerEntry } = require('../utils/ledger');
 const walletSummaryCache = require('../utils/walletSummaryCache');
+const { dec, quantizePrice, ROUND_DOWN } = require('../utils/decimal');
+const { freshIndexOf } = require('../utils/indexPrice');
 
 // User can only view their wallets
 exports.getWallet = async (req, res) => {
@@ -52,27 +57,29 @@ exports.getWalletSummary = async (req, res) => {
       coins = await Coin.find({ symbol: { $in: symbols } }).lean();
     }
 
-    // Map symbol -> price
+    // Map symbol -> valuation price: the composite index when fresh, else the last price
     const priceMap = {};
+    const now = Date.now();
     coins.forEach(c => {
-      priceMap[String(c.symbol).toUpperCase()] = typeof c.price === 'number' ? c.price : 0;
+      const index = freshIndexOf(c, now);
+      priceMap[String(c.symbol).toUpperCase()] = index ? { price: index, priceType: "index" } : { price: dec(c.price), priceType: "last" };
     });
 
-    // Compose result rows
+    // Compose result rows (exact decimals, serialised as strings)
     const rows = balances.map(b => {
       const coin = String(b.coin).toUpperCase();
-      const balance = Number(b.balance || 0);
-      const price = Number(priceMap[coin] || 0);
-      const fiatValue = Number((balance * price) || 0);
-      return { coin, balance, price, fiatValue };
+      const balance = dec(b.balance);
+      const { price, priceType } = priceMap[coin] || { price: dec(0), priceType: "last" };
+      const fiatValue = quantizePrice(balance.times(price), ROUND_DOWN);
+      return { coin, balance: balance.toFixed(), price: price.toFixed(), priceType, fiatValue: fiatValue.toFixed() };
     });
 
     // total fiat
-    const totalFiat = rows.reduce((acc, r) => acc + Number(r.fiatValue || 0), 0);
+    const totalFiat = rows.reduce((acc, r) => acc.plus(r.fiatValue), dec(0));
 
     const result = {
       balances: rows,
-      totalFiat: Number(totalFiat),
+      totalFiat: totalFiat.toFixed(),
       fetchedAt: new Date().toISOString()
     };
 
@@ -97,12 +104,14 @@ exports.listTransactions = async (req, res) => {
     const userId = req.user.id;
     const { coin = "", type = "", date = "", page = 0, limit = 20 } = req.query;
 
-    // Fetch all types for the user
-    const [deposits, withdrawals, trades] = await Promise.all([
+    // Fetch all types for the user; trades come from their ledger legs (holds, fills,
+    // releases) so each row carries the coin that moved and its signed amount
+    const [deposits, withdrawals, legs] = await Promise.all([
       DepositRequest.find({ user: userId }),
       WithdrawRequest.find({ user: userId }),
-      Trade.find({ user: userId }),
+      LedgerEntry.find({ user: userId, type: { $in: ["trade", "fee"] } }),
     ]);
+    const TRADE_LEG_STATUS = { order_hold: "held", fill: "filled", order_release: "released" };
 
     // Merge and map
     let txs = [
@@ -124,14 +133,16 @@ exports.listTransactions = async (req, res) => {
         description: w.note || "",
         status: w.status,
       })),
-      ...trades.map((t) => ({
-        _id: t._id,
-        coin: t.coin,
-        type: "trade",
-        amount: t.amount,
-        timestamp: t.createdAt,
-        description: t.side ? `${t.side} ${t.pair}` : "",
-        status: t.status || "filled",
+      ...legs.map((l) => ({
+        _id: l._id,
+        coin: l.coin,
+        type: l.type,
+        amount: l.amount,
+        timestamp: l.createdAt,
+        description: l.type === "trade" && l.meta && l.meta.side ? `${l.meta.side} ${l.note || ""}` : l.note || "",
+        subtype: l.subtype,
+        ref: l.ref,
+        status: l.type === "fee" ? "settled" : TRADE_LEG_STATUS[l.subtype] || "settled",
       })),
     ];
 
@@ -180,9 +191,9 @@ exports.adminSetBalance = async (req, res) => {
       prevLedgerBalance = 0;
     }
     const desiredBalance = Number(balance);
-    const delta = desiredBalance - Number(prevLedgerBalance);
+    const delta = dec(balance).minus(prevLedgerBalance);
 
-    if (delta === 0) {
+    if (delta.isZero()) {
       // Nothing to change at ledger level, but ensure embedded wallet is synced
       if (!wallet) {
         user.wallets.push({ coin: uppercaseCoin, balance: desiredBalance, address: "" });
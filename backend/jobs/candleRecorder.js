@@ -0,0 +1,42 @@
+/**
+ * candleRecorder.js
+ * - Listens to the price engine's in-process "coin_prices" event (utils/broadcaster emitter)
+ * - Folds every tick into the 1m..1d candles of each coin (utils/candles)
+ * - Ticks arriving while a write is running are coalesced into the next one; a failed
+ *   write is logged and the next tick carries on
+ */
+
+const { emitter } = require("../utils/broadcaster");
+const candles = require("../utils/candles");
+
+function startCandleRecorder() {
+  let inProgress = false;
+  let queued = null;
+
+  async function run(snapshot) {
+    if (inProgress) {
+      queued = snapshot;
+      return;
+    }
+    inProgress = true;
+    try {
+      await candles.recordPrices(snapshot);
+    } catch (err) {
+      console.warn("candle recording failed:", err && (err.message || err));
+    } finally {
+      inProgress = false;
+    }
+    if (queued) {
+      const next = queued;
+      queued = null;
+      run(next);
+    }
+  }
+
+  const onPrices = (snapshot) => { run(snapshot); };
+  emitter.on("coin_prices", onPrices);
+  console.log("Candle recorder listening for coin_prices");
+  return () => emitter.removeListener("coin_prices", onPrices);
+}
+
+module.exports = startCandleRecorder;
@@ -0,0 +1,48 @@
+/**
+ * conditionalOrderWatcher.js
+ * - Listens to the price engine's in-process "coin_prices" event (utils/broadcaster emitter)
+ * - Runs the circuit breakers first, so a tick that halts a market never fires orders on it
+ * - Fires pending stop / take-profit / OCO orders whose trigger has crossed
+ * - Protects against overlapping runs; ticks arriving mid-run are coalesced into the next one
+ */
+
+const { emitter } = require("../utils/broadcaster");
+const { evaluateTriggers } = require("../utils/conditionalOrders");
+const { evaluateCircuitBreakers } = require("../utils/circuitBreaker");
+
+function startConditionalOrderWatcher() {
+  let inProgress = false;
+  let queued = null;
+
+  async function run(snapshot) {
+    if (inProgress) {
+      queued = snapshot;
+      return;
+    }
+    inProgress = true;
+    try {
+      await evaluateCircuitBreakers(snapshot);
+    } catch (err) {
+      console.error("circuit breaker check failed:", err && (err.stack || err.message || err));
+    }
+    try {
+      await evaluateTriggers(snapshot);
+    } catch (err) {
+      console.error("conditional order check failed:", err && (err.stack || err.message || err));
+    } finally {
+      inProgress = false;
+    }
+    if (queued) {
+      const next = queued;
+      queued = null;
+      run(next);
+    }
+  }
+
+  const onPrices = (snapshot) => { run(snapshot); };
+  emitter.on("coin_prices", onPrices);
+  console.log("Conditional order watcher listening for coin_prices");
+  return () => emitter.removeListener("coin_prices", onPrices);
+}
+
+module.exports = startConditionalOrderWatcher;
@@ -0,0 +1,35 @@
+/**
+ * fundingScheduler.js
+ * - Every FUNDING_CHECK_MS (default 60s) settles perpetual funding that has fallen due
+ *   (utils/funding.runFundingOnce); funding times themselves are fixed by FUNDING_INTERVAL_HOURS
+ * - Also finishes settlements a previous leader left half done
+ * - Skips a run while the previous one is still going
+ */
+
+const { runFundingOnce, nextFundingTime } = require("../utils/funding");
+
+const CHECK_MS = parseInt(process.env.FUNDING_CHECK_MS || "60000", 10);
+
+function startFundingScheduler() {
+  let inProgress = false;
+
+  async function run() {
+    if (inProgress) return;
+    inProgress = true;
+    try {
+      const settled = await runFundingOnce();
+      settled.forEach(f => console.log(`Funding settled for ${f.pair} at ${f.fundingTime.toISOString()}: rate ${f.rate}, ${f.positions} positions`));
+    } catch (err) {
+      console.error("funding run failed:", err && (err.stack || err.message || err));
+    } finally {
+      inProgress = false;
+    }
+  }
+
+  run();
+  const id = setInterval(run, CHECK_MS);
+  console.log(`Funding scheduler running; next funding at ${nextFundingTime().toISOString()}`);
+  return () => clearInterval(id);
+}
+
+module.exports = startFundingScheduler;
@@ -0,0 +1,37 @@
+/**
+ * indexCalculator.js
+ * - Recomputes the composite index price of every coin (utils/indexPrice) every
+ *   INDEX_INTERVAL_MS (default 10s)
+ * - Emits the new values in-process as "index_prices" ([{ symbol, price }], utils/broadcaster emitter)
+ * - Skips a run while the previous one is still going
+ */
+
+const { emitter } = require("../utils/broadcaster");
+const { runIndexOnce } = require("../utils/indexPrice");
+
+const INTERVAL_MS = parseInt(process.env.INDEX_INTERVAL_MS || "10000", 10);
+
+function startIndexCalculator() {
+  let inProgress = false;
+
+  async function run() {
+    if (inProgress) return;
+    inProgress = true;
+    try {
+      const results = await runIndexOnce();
+      const snapshot = results.filter(r => r.price).map(r => ({ symbol: r.symbol, price: r.price.toNumber() }));
+      if (snapshot.length) emitter.emit("index_prices", snapshot);
+    } catch (err) {
+      console.error("index price run failed:", err && (err.stack || err.message || err));
+    } finally {
+      inProgress = false;
+    }
+  }
+
+  run();
+  const id = setInterval(run, INTERVAL_MS);
+  console.log(`Index calculator running every ${INTERVAL_MS}ms`);
+  return () => clearInterval(id);
+}
+
+module.exports = startIndexCalculator;
@@ -0,0 +1,48 @@
+/**
+ * liquidationEngine.js
+ * - Listens to the price engine's in-process "coin_prices" event (utils/broadcaster emitter)
+ * - Liquidates open futures positions whose mark price has reached their liquidation price
+ *   (utils/futures.evaluateLiquidations)
+ * - Then closes positions whose take-profit, stop-loss or trailing stop the mark has crossed
+ *   (utils/futures.evaluateTriggers), so a liquidated position never also fires them
+ * - Ticks arriving mid-run are coalesced into the next one
+ */
+
+const { emitter } = require("../utils/broadcaster");
+const { evaluateLiquidations, evaluateTriggers } = require("../utils/futures");
+
+function startLiquidationEngine() {
+  let inProgress = false;
+  let queued = false;
+
+  async function run() {
+    if (inProgress) {
+      queued = true;
+      return;
+    }
+    inProgress = true;
+    try {
+      await evaluateLiquidations();
+    } catch (err) {
+      console.error("liquidation check failed:", err && (err.stack || err.message || err));
+    }
+    try {
+      await evaluateTriggers();
+    } catch (err) {
+      console.error("TP/SL check failed:", err && (err.stack || err.message || err));
+    } finally {
+      inProgress = false;
+    }
+    if (queued) {
+      queued = false;
+      run();
+    }
+  }
+
+  const onPrices = () => { run(); };
+  emitter.on("coin_prices", onPrices);
+  console.log("Liquidation engine listening for coin_prices");
+  return () => emitter.removeListener("coin_prices", onPrices);
+}
+
+module.exports = startLiquidationEngine;
@@ -0,0 +1,298 @@
+/**
+ * priceService.js - the one writer of coin prices
+ *
+ * Every coin (listed and admin-created custom coins alike, all in the Coin collection) is
+ * driven by exactly one source each tick, chosen by priceModeFor() (utils/priceModes):
+ *  - feed:       external or local providers (utils/priceProviders), primary then fallbacks;
+ *                the last price is kept when none answers
+ *  - drift:      moves toward targetPrice by driftSpeed per tick (admin control, price overrides)
+ *  - simulation: the coin's stochastic model (utils/priceModels: gbm, ou, jump, correlated)
+ * An active price scenario (utils/priceScenarios) or historical replay (utils/priceReplay)
+ * overrides the mode of its coins while it runs.
+ *
+ * Each tick makes one bulkWrite to Coin (price, previousPrice, chartHistory, lastPriceSource, status),
+ * emits one "coin_prices" snapshot on the broadcaster's in-process emitter (candles, circuit
+ * breakers and conditional orders listen there) and sends the same snapshot to clients via
+ * global.io and global.wss. Only the elected leader runs the loop (see server.js); other nodes
+ * relay the stored prices to their clients with startPriceRelay().
+ *
+ *  - Protects against overlapping runs with an inProgress guard
+ *  - Feed quotes are screened for outliers and every coin's staleness is tracked (utils/priceGuard)
+ *  - Prices are computed and stored as exact decimals; provider quotes are kept verbatim
+ *    (chart points and the broadcast snapshot carry plain numbers)
+ *  - getPriceServiceStatus() reports the loop and which source drives each coin
+ */
+
+const Coin = require("../models/Coin");
+const { emitter } = require("../utils/broadcaster");
+const { dec, quantizePrice } = require("../utils/decimal");
+const { fetchCoinPrices, getProviderStatus } = require("../utils/priceProviders");
+const priceModels = require("../utils/priceModels");
+const { scenarioPrices, ACTIVE_STATUSES: ACTIVE_SCENARIOS } = require("../utils/priceScenarios");
+const { replayPrices } = require("../utils/priceReplay");
+const { screenQuote, statusFor, notifyStatusChanges } = require("../utils/priceGuard");
+const PriceScenario = require("../models/PriceScenario");
+const { PRICE_MODES, priceModeFor } = require("../utils/priceModes");
+
+const INTERVAL_MS = parseInt(process.env.PRICE_ENGINE_INTERVAL_MS || "5000", 10);
+const MAX_CHART_POINTS = Math.max(50, parseInt(process.env.MAX_CHART_POINTS || "500", 10));
+
+let inProgress = false;
+const state = { running: false, ticks: 0, lastTickAt: null, lastDurationMs: null, lastError: null };
+
+function driftPrice(coin, current) {
+  if (coin.targetPrice == null) return current; // drift without a target holds the price
+  const target = dec(coin.targetPrice);
+  const driftSpeed = Math.max(0, Number(coin.driftSpeed || 0.03));
+  const step = target.minus(current).times(driftSpeed);
+  // prevent NaN
+  return step.isFinite() ? quantizePrice(current.plus(step)) : current;
+}
+
+// Broadcast lightweight snapshot to this node's Socket.IO and /ws clients
+function sendToClients(snapshot) {
+  try {
+    if (global.io && typeof global.io.emit === "function") global.io.emit("coin_prices", snapshot);
+  } catch (_) {}
+  try {
+    if (global.wss && global.wss.clients) {
+      global.wss.clients.forEach(client => {
+        try {
+          if (client && client.readyState === 1) {
+            client.send(JSON.stringify({ type: "coin_prices", payload: snapshot }));
+          }
+        } catch (_) {}
+      });
+    }
+  } catch (_) {}
+}
+
+async function tickOnce() {
+  if (inProgress) {
+    // Avoid overlapping runs
+    console.warn("price tick skipped: previous run still in progress");
+    return;
+  }
+  inProgress = true;
+  const started = Date.now();
+
+  try {
+    const coins = await Coin.find({}).lean().exec();
+    if (!Array.isArray(coins) || coins.length === 0) return;
+
+    // scenarios win over a replay, which wins over the coin's own mode
+    const scripted = new Map();
+    try {
+      (await replayPrices(coins, Date.now())).forEach((v, sym) => scripted.set(sym, v));
+    } catch (e) {
+      console.warn("price replay failed:", e && e.message);
+    }
+    try {
+      (await scenarioPrices(coins, Date.now())).forEach((v, sym) => scripted.set(sym, v));
+    } catch (e) {
+      console.warn("price scenarios failed:", e && e.message);
+    }
+
+    const feedCoins = coins.filter(c => !scripted.has(c.symbol) && priceModeFor(c) === "feed");
+    const quotes = feedCoins.length ? await fetchCoinPrices(feedCoins) : {};
+
+    const bulkOps = [];
+    const snapshot = []; // snapshot to broadcast
+    const next = new Map(); // symbol -> { price: Decimal, source }
+
+    const nextPrice = (c) => {
+      if (scripted.has(c.symbol)) return scripted.get(c.symbol);
+      // defensive numeric conversions
+      const current = dec(c.price);
+      const mode = priceModeFor(c);
+      if (mode === "drift") return { price: driftPrice(c, current), source: mode };
+      if (mode === "simulation") {
+        const simulated = dec(priceModels.step(c, current.toNumber(), INTERVAL_MS));
+        return { price: simulated.isFinite() ? quantizePrice(simulated) : current, source: `simulation:${(c.simulation && c.simulation.model) || "gbm"}` };
+      }
+      // keep current price when no source could price the coin, or its quote looks like a bad print
+      const quoted = quotes[String(c.symbol || "").toUpperCase()];
+      if (!quoted) return { price: current, source: "stale", fresh: false };
+      const screened = screenQuote(c, current, quoted.price);
+      if (!screened.accept) {
+        return {
+          price: current,
+          source: `rejected:${quoted.source}`,
+          fresh: false,
+          rejected: { source: quoted.source, price: quoted.price.toFixed(), jumpPct: screened.jumpPct }
+        };
+      }
+      return { price: quoted.price, source: quoted.source };
+    };
+
+    // correlated coins move last, against this tick's return of their reference
+    const isCorrelated = (c) => priceModeFor(c) === "simulation" && c.simulation && c.simulation.model === "correlated";
+    coins.filter(c => !isCorrelated(c)).forEach(c => next.set(c.symbol, nextPrice(c)));
+    const references = new Set(coins.filter(isCorrelated).map(c => String(c.simulation.referenceSymbol || "").toUpperCase()));
+    references.forEach(sym => {
+      if (next.has(sym)) priceModels.observeReference(sym, next.get(sym).price.toNumber());
+    });
+    coins.filter(isCorrelated).forEach(c => next.set(c.symbol, nextPrice(c)));
+
+    const now = new Date();
+    const statusChanges = [];
+
+    for (const c of coins) {
+      const current = dec(c.price);
+      const prev = current.isFinite() && current.gt(0) ? current : dec(c.previousPrice);
+      const tick = next.get(c.symbol);
+      const { source } = tick;
+      let newPrice = tick.price;
+
+      // Ensure non-negative and finite
+      if (!newPrice.isFinite() || newPrice.lt(0)) newPrice = current.isFinite() && current.gt(0) ? current : dec(0);
+
+      const chartPoint = { price: newPrice.toNumber(), ts: Date.now() };
+      const $set = {
+        previousPrice: prev.isFinite() ? prev.toFixed() : "0",
+        price: newPrice.toFixed(),
+        lastPriceSource: source
+      };
+
+      // lastPriceUpdate only moves when a source priced the coin; staleness is measured from it
+      const fresh = tick.fresh !== false;
+      if (fresh) $set.lastPriceUpdate = now;
+      const { status, reason } = statusFor(c, { freshAt: fresh ? now : c.lastPriceUpdate, rejected: tick.rejected || null }, now.getTime());
+      if (status !== (c.priceStatus || "ok")) {
+        Object.assign($set, { priceStatus: status, priceStatusReason: reason, priceStatusSince: now });
+        statusChanges.push({
+          symbol: c.symbol,
+          from: c.priceStatus || "ok",
+          to: status,
+          reason,
+          price: newPrice.toFixed(),
+          lastPriceUpdate: fresh ? now : c.lastPriceUpdate || null
+        });
+      }
+
+      bulkOps.push({
+        updateOne: {
+          filter: { _id: c._id },
+          update: {
+            $set,
+            // push with $each + $slice to cap the length
+            $push: { chartHistory: { $each: [chartPoint], $slice: -Math.abs(MAX_CHART_POINTS) } }
+          }
+        }
+      });
+
+      snapshot.push({ symbol: c.symbol, price: newPrice.toNumber() });
+    }
+
+    if (bulkOps.length > 0) {
+      // run unordered to continue on individual doc errors
+      await Coin.bulkWrite(bulkOps, { ordered: false });
+    }
+
+    if (statusChanges.length) await notifyStatusChanges(statusChanges);
+
+    // In-process listeners (candles, circuit breakers, conditional orders)
+    try {
+      emitter.emit("coin_prices", snapshot);
+    } catch (e) {
+      console.warn("coin_prices listener failed:", e && e.message);
+    }
+
+    sendToClients(snapshot);
+
+    state.lastError = null;
+  } catch (err) {
+    state.lastError = err && (err.message || String(err));
+    console.error("price tick error:", err && (err.stack || err.message || err));
+  } finally {
+    state.ticks += 1;
+    state.lastTickAt = new Date();
+    state.lastDurationMs = Date.now() - started;
+    inProgress = false;
+  }
+}
+
+function scenarioSummary(s) {
+  return s ? { id: s._id, status: s.status, currentStep: s.currentStep, steps: s.steps.length } : null;
+}
+
+/**
+ * Loop state, provider health and the source driving each coin.
+ */
+async function getPriceServiceStatus() {
+  const [coins, scenarios] = await Promise.all([
+    Coin.find({})
+      .select("symbol isCustom priceMode adminControlEnabled targetPrice driftSpeed priceSource simulation price lastPriceSource lastPriceUpdate priceStatus priceStatusReason priceStatusSince")
+      .sort({ symbol: 1 })
+      .lean(),
+    PriceScenario.find({ status: { $in: ACTIVE_SCENARIOS } }).select("symbol status currentStep steps").lean()
+  ]);
+  const scenarioBySymbol = new Map(scenarios.map(s => [s.symbol, s]));
+  return {
+    ...state,
+    intervalMs: INTERVAL_MS,
+    providers: getProviderStatus(),
+    coins: coins.map(c => ({
+      symbol: c.symbol,
+      mode: priceModeFor(c),
+      scenario: scenarioSummary(scenarioBySymbol.get(c.symbol)),
+      lastSource: c.lastPriceSource || null,
+      configuredSources: c.priceSource && c.priceSource.primary ? [c.priceSource.primary, ...(c.priceSource.fallbacks || [])] : null,
+      targetPrice: priceModeFor(c) === "drift" ? c.targetPrice : null,
+      model: priceModeFor(c) === "simulation" ? priceModels.getModelStatus(c.symbol) || { model: (c.simulation && c.simulation.model) || "gbm" } : null,
+      price: c.price,
+      lastPriceUpdate: c.lastPriceUpdate,
+      priceStatus: c.priceStatus || "ok",
+      priceStatusReason: c.priceStatusReason || "",
+      priceStatusSince: c.priceStatusSince || null
+    }))
+  };
+}
+
+function startPriceService() {
+  console.log(`Price service starting (interval ${INTERVAL_MS}ms, chart limit ${MAX_CHART_POINTS})`);
+  state.running = true;
+  // run immediately, then interval
+  tickOnce().catch(e => console.warn("initial price tick failed:", e && e.message));
+  const id = setInterval(() => {
+    tickOnce().catch(e => console.warn("price tick failed:", e && e.message));
+  }, INTERVAL_MS);
+  return () => {
+    clearInterval(id);
+    state.running = false;
+  };
+}
+
+/**
+ * Followers (utils/leaderElection) do not run the price loop; this relays the leader's
+ * prices, read back from Coin, to the node's own clients whenever they change.
+ * @param {Function} isLeader - skips relaying while this node runs the loop itself
+ */
+function startPriceRelay(isLeader = () => false) {
+  let inProgress = false;
+  let lastSeen = 0;
+  const id = setInterval(async () => {
+    if (inProgress || isLeader()) return;
+    inProgress = true;
+    try {
+      const coins = await Coin.find({}).select("symbol price lastPriceUpdate").lean();
+      const newest = coins.reduce((max, c) => Math.max(max, new Date(c.lastPriceUpdate || 0).getTime()), 0);
+      if (newest > lastSeen) {
+        lastSeen = newest;
+        sendToClients(coins.map(c => ({ symbol: c.symbol, price: dec(c.price).toNumber() })));
+      }
+    } catch (e) {
+      console.warn("price relay failed:", e && e.message);
+    } finally {
+      inProgress = false;
+    }
+  }, INTERVAL_MS);
+  return () => clearInterval(id);
+}
+
+module.exports = startPriceService;
+module.exports.startPriceRelay = startPriceRelay;
+module.exports.tickOnce = tickOnce;
+module.exports.priceModeFor = priceModeFor;
+module.exports.getPriceServiceStatus = getPriceServiceStatus;
+module.exports.PRICE_MODES = PRICE_MODES;
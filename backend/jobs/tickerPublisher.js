@@ -0,0 +1,30 @@
+/**
+ * tickerPublisher.js
+ * - Recomputes 24h tickers (utils/tickers) every TICKER_INTERVAL_MS
+ * - Publishes them on the market stream "ticker" channel: one "tickers" message with every
+ *   coin and pair to "*" subscribers, and a "ticker" message per pair to that pair's subscribers
+ */
+
+const { getTickers, TICKER_INTERVAL_MS } = require("../utils/tickers");
+const { publish } = require("../utils/marketStream");
+
+async function publishTickersOnce() {
+  const data = await getTickers({ force: true });
+  publish("ticker", "*", "tickers", data);
+  data.pairs.forEach(t => publish("ticker", t.pair, "ticker", { ...t, ts: data.ts }, { wildcard: false }));
+  return data;
+}
+
+function startTickerPublisher(intervalMs = TICKER_INTERVAL_MS) {
+  let inProgress = false;
+  const id = setInterval(() => {
+    if (inProgress) return;
+    inProgress = true;
+    publishTickersOnce()
+      .catch(e => console.warn("ticker publish failed:", e && (e.message || e)))
+      .finally(() => { inProgress = false; });
+  }, intervalMs);
+  return () => clearInterval(id);
+}
+
+module.exports = { startTickerPublisher, publishTickersOnce };
@@ -63,6 +63,20 @@ const protect = async (req, res, next) => {
   }
 };
 
+/**
+ * User id from a JWT (userId or id claim), or null when the token is missing or invalid.
+ * For connections that cannot go through protect, e.g. WebSocket handshakes.
+ */
+const userIdFromToken = (token) => {
+  if (!token) return null;
+  try {
+    const decoded = jwt.verify(String(token), JWT_SECRET);
+    return decoded.userId?.toString() || decoded.id?.toString() || null;
+  } catch (_) {
+    return null;
+  }
+};
+
 /**
  * Middleware to restrict access to admins only.
  * User must be authenticated and have 'admin' role.
@@ -86,4 +100,4 @@ const adminOnly = (req, res, next) => {
   next();
 };
 
-module.exports = { protect, adminOnly };
\ No newline at end of file
+module.exports = { protect, adminOnly, userIdFromToken };
\ No newline at end of file
@@ -48,16 +48,48 @@ exports.validateDepositWithdraw = (req, res, next) => {
   next();
 };
 
-// Trade create validator — more in tradeController for demo
+// Trade create validator — matching rules live in utils/matchingEngine
 exports.validateTradeCreate = (req, res, next) => {
   const schema = Joi.object({
-    pair: Joi.string().min(3).max(16).regex(/^[A-Z0-9/_-]+$/i).required(),
+    pair: Joi.string().min(3).max(16).regex(/^[A-Z0-9]+\/[A-Z0-9]+$/i).required(),
     size: Joi.number().min(0.000001).required(),
     side: Joi.string().valid("buy", "sell").required(),
-    price: Joi.number().min(0),
+    price: Joi.number().greater(0).when("type", { is: "limit", then: Joi.required() }),
     type: Joi.string().valid("market", "limit").optional(),
+    maxSlippageBps: Joi.number().integer().min(0).max(10000).optional(),
   });
   const { error } = schema.validate(req.body);
   if (error) return res.status(400).json({ success: false, error: error.details[0].message });
   next();
+};
+
+// Order amend validator — at least one of price/size
+exports.validateOrderAmend = (req, res, next) => {
+  const schema = Joi.object({
+    price: Joi.number().greater(0),
+    size: Joi.number().min(0.000001),
+  }).or("price", "size");
+  const { error } = schema.validate(req.body);
+  if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+  next();
+};
+
+// Conditional (stop / take-profit) order validator — single leg or { oco: [leg, leg] }
+const conditionalLeg = Joi.object({
+  pair: Joi.string().min(3).max(16).regex(/^[A-Z0-9]+\/[A-Z0-9]+$/i).required(),
+  side: Joi.string().valid("buy", "sell").required(),
+  kind: Joi.string().valid("stop_market", "stop_limit", "take_profit").required(),
+  triggerPrice: Joi.number().greater(0).required(),
+  limitPrice: Joi.number().greater(0).when("kind", { is: "stop_limit", then: Joi.required(), otherwise: Joi.forbidden() }),
+  size: Joi.number().min(0.000001).required(),
+  maxSlippageBps: Joi.number().integer().min(0).max(10000).optional(),
+});
+
+exports.validateConditionalOrder = (req, res, next) => {
+  const schema = Array.isArray(req.body && req.body.oco)
+    ? Joi.object({ oco: Joi.array().items(conditionalLeg).length(2).required() })
+    : conditionalLeg;
+  const { error } = schema.validate(req.body);
+  if (error) return res.status(400).json({ success: false, error: error.details[0].message });
+  next();
 };
\ No newline at end of file
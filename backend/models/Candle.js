@@ -0,0 +1,31 @@
+/**
+ * Candle Model - OHLCV candles per coin and interval
+ * - Prices are the coin's USD price as recorded by the price engine (utils/candles).
+ * - volume is the base amount traded on the coin's spot pairs, from real fills; trades counts them.
+ * - openTime is the start of the interval bucket (UTC); a candle stays open until its bucket ends.
+ * - Short intervals expire (expireAt, TTL index); 1h and longer are kept.
+ */
+const mongoose = require("mongoose");
+
+const { Decimal128 } = mongoose.Schema.Types;
+
+const candleSchema = new mongoose.Schema(
+  {
+    symbol: { type: String, required: true, uppercase: true, trim: true },
+    interval: { type: String, enum: ["1m", "5m", "15m", "1h", "4h", "1d"], required: true },
+    openTime: { type: Date, required: true },
+    open: { type: Decimal128, default: null },
+    high: { type: Decimal128, default: null },
+    low: { type: Decimal128, default: null },
+    close: { type: Decimal128, default: null },
+    volume: { type: Decimal128, default: 0 },
+    trades: { type: Number, default: 0 },
+    expireAt: { type: Date, default: null },
+  },
+  { timestamps: false }
+);
+
+candleSchema.index({ symbol: 1, interval: 1, openTime: 1 }, { unique: true });
+candleSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Candle", candleSchema);
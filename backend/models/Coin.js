@@ -15,13 +15,43 @@ const CoinSchema = new mongoose.Schema({
   name: { type: String, required: true, trim: true },
   icon: { type: String, default: "" },
 
-  // Prices
-  price: { type: Number, default: 0, min: 0 },
-  previousPrice: { type: Number, default: 0, min: 0 },
+  // Prices (exact decimals; chart points below stay plain numbers)
+  price: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+  previousPrice: { type: mongoose.Schema.Types.Decimal128, default: 0 },
+
+  // Balance precision in decimal places (see utils/decimal)
+  decimals: { type: Number, default: 8, min: 0, max: 18 },
 
   // Chart history (capped by code)
   chartHistory: { type: [ChartPointSchema], default: [] },
 
+  // Price sources (utils/priceProviders): primary then fallbacks; no primary = PRICE_PROVIDER_ORDER
+  priceSource: {
+    primary: { type: String, default: null, lowercase: true, trim: true },
+    fallbacks: { type: [String], default: [] }
+  },
+  coingeckoId: { type: String, default: null, trim: true },
+
+  // Which source jobs/priceService drives the price from: "feed" (priceSource providers),
+  // "drift" (toward targetPrice) or "simulation"; null = derived from the fields below
+  priceMode: { type: String, enum: ["feed", "drift", "simulation", null], default: null },
+  lastPriceSource: { type: String, default: null },
+
+  // Stochastic model for "simulation" mode (utils/priceModels); null fields use the model defaults
+  simulation: {
+    model: { type: String, enum: ["gbm", "ou", "jump", "correlated", null], default: null },
+    seed: { type: Number, default: null },
+    mu: { type: Number, default: null },
+    sigma: { type: Number, default: null },
+    meanPrice: { type: Number, default: null },
+    reversionSpeed: { type: Number, default: null },
+    jumpIntensity: { type: Number, default: null },
+    jumpMean: { type: Number, default: null },
+    jumpVolatility: { type: Number, default: null },
+    rho: { type: Number, default: null },
+    referenceSymbol: { type: String, default: null, uppercase: true, trim: true }
+  },
+
   // If coin is added via admin UI
   isCustom: { type: Boolean, default: false },
 
@@ -30,8 +60,28 @@ const CoinSchema = new mongoose.Schema({
   targetPrice: { type: Number, default: null },
   driftSpeed: { type: Number, default: 0.03, min: 0.001, max: 1.0 }, // validated range
 
+  // Price health (utils/priceGuard): limits override PRICE_STALE_AFTER_MS / PRICE_MAX_JUMP_PCT
+  priceGuard: {
+    staleAfterMs: { type: Number, default: null, min: 1000 },
+    maxJumpPct: { type: Number, default: null, min: 0.1 }
+  },
+  priceStatus: { type: String, enum: ["ok", "stale", "anomalous"], default: "ok" },
+  priceStatusReason: { type: String, default: "" },
+  priceStatusSince: { type: Date, default: null },
+
+  // Composite index (utils/indexPrice): weighted sources, empty = INDEX_PROVIDERS
+  indexSources: {
+    type: [new mongoose.Schema({
+      provider: { type: String, required: true, lowercase: true, trim: true },
+      weight: { type: Number, default: 1, min: 0 }
+    }, { _id: false })],
+    default: []
+  },
+  indexPrice: { type: mongoose.Schema.Types.Decimal128, default: null },
+  indexUpdatedAt: { type: Date, default: null },
+
   // housekeeping
-  lastPriceUpdate: { type: Date, default: Date.now },
+  lastPriceUpdate: { type: Date, default: Date.now }, // last time a source priced the coin
   marketCapRank: { type: Number, default: null }
 }, { timestamps: true });
 
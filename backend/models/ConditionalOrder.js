@@ -0,0 +1,39 @@
+/**
+ * ConditionalOrder Model - spot stop / take-profit orders waiting for a trigger
+ * - Watched by jobs/conditionalOrderWatcher.js against the price engine's coin_prices stream.
+ * - Once the trigger crosses, a normal Order is placed and linked via `order`.
+ * - Legs of a one-cancels-the-other pair share `ocoGroup`.
+ */
+const mongoose = require("mongoose");
+
+const { Decimal128 } = mongoose.Schema.Types;
+
+const conditionalOrderSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    pair: { type: String, required: true, uppercase: true, trim: true },
+    side: { type: String, enum: ["buy", "sell"], required: true },
+    kind: { type: String, enum: ["stop_market", "stop_limit", "take_profit"], required: true },
+    triggerPrice: { type: Decimal128, required: true },
+    triggerCondition: { type: String, enum: ["gte", "lte"], required: true }, // fire when price >= / <= trigger
+    limitPrice: { type: Decimal128, default: null }, // stop_limit only
+    amount: { type: Decimal128, required: true },
+    maxSlippageBps: { type: Number, min: 0, max: 10000, default: null },
+    ocoGroup: { type: String, default: null, index: true },
+    status: {
+      type: String,
+      enum: ["pending", "triggered", "cancelled", "failed"],
+      default: "pending"
+    },
+    triggeredAt: { type: Date },
+    triggeredPrice: { type: Decimal128 },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", default: null },
+    error: { type: String, default: "" },
+    cancelledAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+conditionalOrderSchema.index({ status: 1, pair: 1 });
+
+module.exports = mongoose.model("ConditionalOrder", conditionalOrderSchema);
@@ -1,3 +1,8 @@
+/**
+ * CustomCoin Model - legacy
+ * Custom coins now live in Coin (isCustom) and are priced by jobs/priceService.
+ * Kept only so scripts/migrateCustomCoins.js can read old documents.
+ */
 const mongoose = require("mongoose");
 
 const candleSchema = new mongoose.Schema({
@@ -24,7 +29,7 @@ const customCoinSchema = new mongoose.Schema({
   priceTimerEnd: { type: Date, default: null },
   priceDirection: { type: String, enum: ["bull", "bear", "neutral"], default: "neutral" },
 
-  // Candlesticks / chart
+  // Legacy daily candles; candles now live in the Candle collection (utils/candles)
   candlesticks: { type: [candleSchema], default: [] },
 
   // housekeeping
@@ -0,0 +1,25 @@
+/**
+ * FeeSchedule Model - maker/taker fee rates
+ * - scope "default": platform-wide rates (at most one document)
+ * - scope "pair":    rates for one trading pair
+ * - scope "user":    per-user override (applies to every pair)
+ * Rates are fractions of the received amount (0.001 = 0.1%).
+ */
+const mongoose = require("mongoose");
+
+const feeScheduleSchema = new mongoose.Schema(
+  {
+    scope: { type: String, enum: ["default", "pair", "user"], required: true },
+    pair: { type: String, uppercase: true, trim: true, default: null },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    makerRate: { type: Number, required: true, min: 0, max: 0.05 },
+    takerRate: { type: Number, required: true, min: 0, max: 0.05 },
+    note: { type: String, default: "" },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+feeScheduleSchema.index({ scope: 1, pair: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model("FeeSchedule", feeScheduleSchema);
@@ -0,0 +1,30 @@
+/**
+ * FundingRate Model - one perpetual funding settlement per pair and funding time (utils/funding)
+ * - rate is a fraction of position notional; positive means longs pay shorts.
+ * - The unique (pair, fundingTime) index makes each settlement happen once, whichever node
+ *   runs it; status stays "settling" until every position has been charged or paid.
+ */
+const mongoose = require("mongoose");
+
+const { Decimal128 } = mongoose.Schema.Types;
+
+const fundingRateSchema = new mongoose.Schema({
+  pair: { type: String, required: true, trim: true },
+  fundingTime: { type: Date, required: true },
+  rate: { type: Number, required: true },
+  premium: { type: Number, default: null }, // (mark - index) / index before clamping; null without an index
+  markPrice: { type: Decimal128, default: null },
+  indexPrice: { type: Decimal128, default: null },
+  status: { type: String, enum: ["settling", "settled"], default: "settling" },
+  positions: { type: Number, default: 0 },
+  paidByLongs: { type: Decimal128, default: "0" }, // net, negative when longs received
+  // owed by the paying side, and what it actually paid; receivers get collected / charged of their due
+  charged: { type: Decimal128, default: "0" },
+  collected: { type: Decimal128, default: "0" },
+  settledAt: { type: Date, default: null }
+}, { timestamps: true });
+
+fundingRateSchema.index({ pair: 1, fundingTime: -1 }, { unique: true });
+fundingRateSchema.index({ status: 1 });
+
+module.exports = mongoose.model("FundingRate", fundingRateSchema);
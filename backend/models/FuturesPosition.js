@@ -3,21 +3,49 @@
  */
 const mongoose = require("mongoose");
 
+const { Decimal128 } = mongoose.Schema.Types;
+
 const futuresPositionSchema = new mongoose.Schema(
   {
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     pair: { type: String, required: true, trim: true },
     direction: { type: String, enum: ["long", "short"], required: true },
-    amount: { type: Number, required: true, min: 0 },
+    amount: { type: Decimal128, required: true }, // margin in USDT
     leverage: { type: Number, required: true, min: 1 },
-    entryPrice: { type: Number, required: true },
-    tp: { type: Number },
-    sl: { type: Number },
-    status: { type: String, enum: ["open", "closed"], default: "open" },
-    closedPrice: { type: Number },
-    pnl: { type: Number },
+    entryPrice: { type: Decimal128, required: true },
+    size: { type: Decimal128 }, // base units, fixed at open (margin * leverage / entryPrice)
+    // isolated: only the margin is at risk; cross: shares the user's USDT balance (utils/futures)
+    marginMode: { type: String, enum: ["isolated", "cross"], default: "isolated" },
+    // where the margin was debited: "ledger" (USDT ledger balance), or unset for positions
+    // opened against the legacy embedded user.wallets, which are settled back there
+    marginSource: { type: String, enum: ["ledger", null], default: null },
+    tp: { type: Decimal128 },
+    sl: { type: Decimal128 },
+    status: { type: String, enum: ["open", "closed", "liquidated"], default: "open" },
+    // maintenance margin rate (fraction of notional) and, for isolated positions, the mark
+    // price that triggers liquidation (utils/futures)
+    maintenanceMarginRate: { type: Number },
+    liquidationPrice: { type: Decimal128 },
+    // trailing stop: fires when the mark moves callbackRate % back from peakPrice, the best
+    // mark since activationPrice was reached (peakPrice null = not active yet)
+    trailingStop: {
+      type: new mongoose.Schema({
+        callbackRate: { type: Number, required: true, min: 0.1, max: 10 },
+        activationPrice: { type: Decimal128, default: null },
+        peakPrice: { type: Decimal128, default: null },
+      }, { _id: false }),
+      default: null,
+    },
+    lastFundingAt: { type: Date, default: null }, // funding time last settled (utils/funding)
+    closeReason: { type: String, enum: ["manual", "liquidation", "take_profit", "stop_loss", "trailing_stop", null], default: null },
+    closedPrice: { type: Decimal128 },
+    closedAt: { type: Date },
+    pnl: { type: Decimal128 }, // realised; a loss is capped at the margin
+    fee: { type: Decimal128 }, // liquidation fee kept out of the margin
   },
   { timestamps: true }
 );
 
+futuresPositionSchema.index({ status: 1, pair: 1 });
+
 module.exports = mongoose.model("FuturesPosition", futuresPositionSchema);
\ No newline at end of file
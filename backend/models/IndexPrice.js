@@ -0,0 +1,32 @@
+/**
+ * IndexPrice Model - history of composite index prices (utils/indexPrice)
+ * - One document per coin per index run, with every constituent quote and whether it was
+ *   used, so any index value can be traced back to its sources.
+ * - Documents expire after INDEX_HISTORY_DAYS (default 7).
+ */
+const mongoose = require("mongoose");
+
+const { Decimal128 } = mongoose.Schema.Types;
+
+const constituentSchema = new mongoose.Schema({
+  source: { type: String, required: true },
+  price: { type: Decimal128, default: null },
+  weight: { type: Number, default: 1 },
+  quotedAt: { type: Date, default: null },
+  status: { type: String, enum: ["included", "outlier", "stale"], required: true },
+  deviationPct: { type: Number, default: null } // from the median of the fresh quotes
+}, { _id: false });
+
+const indexPriceSchema = new mongoose.Schema({
+  symbol: { type: String, required: true, uppercase: true, trim: true },
+  price: { type: Decimal128, default: null }, // null when no constituent qualified
+  method: { type: String, enum: ["weighted_median", "internal"], required: true },
+  constituents: { type: [constituentSchema], default: [] },
+  computedAt: { type: Date, required: true },
+  expireAt: { type: Date, default: null }
+});
+
+indexPriceSchema.index({ symbol: 1, computedAt: -1 });
+indexPriceSchema.index({ expireAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("IndexPrice", indexPriceSchema);
@@ -0,0 +1,16 @@
+/**
+ * LeaderLease Model - time-limited lease naming the node that runs the DB-writing jobs
+ * - One document per lease (_id = lease name); written only by utils/leaderElection.
+ * - expiresAt is set from the database clock, so nodes with skewed clocks agree on expiry.
+ */
+const mongoose = require("mongoose");
+
+const leaderLeaseSchema = new mongoose.Schema({
+  _id: { type: String },
+  holder: { type: String, required: true },
+  acquiredAt: { type: Date },
+  renewedAt: { type: Date },
+  expiresAt: { type: Date, required: true }
+}, { versionKey: false });
+
+module.exports = mongoose.model("LeaderLease", leaderLeaseSchema);
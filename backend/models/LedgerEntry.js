@@ -7,12 +7,13 @@ const Schema = mongoose.Schema;
 const ledgerEntrySchema = new Schema(
   {
     user:      { type: Schema.Types.ObjectId, ref: 'User', required: true },
-    type:      { type: String, enum: ['deposit', 'withdraw', 'trade', 'fee', 'adjustment', 'referral'], required: true },
+    type:      { type: String, enum: ['deposit', 'withdraw', 'trade', 'futures', 'fee', 'adjustment', 'referral'], required: true },
     subtype:   { type: String }, // optional: BUY/SELL for trades, admin for adjustments
     ref:       { type: String }, // external reference (trade id, request id, etc.)
     coin:      { type: String, required: true },
-    amount:    { type: Number, required: true },
-    balance:   { type: Number, required: true }, // Wallet balance after transaction
+    amount:    { type: Schema.Types.Decimal128, required: true },
+    balance:   { type: Schema.Types.Decimal128, required: true }, // Wallet balance after transaction
+    seq:       { type: Number }, // per user+coin sequence; absent on entries written before sequencing
     note:      { type: String, default: "" },
     meta:      { type: Object, default: {} },
     createdAt: { type: Date, default: Date.now }
@@ -20,5 +21,10 @@ const ledgerEntrySchema = new Schema(
 );
 
 ledgerEntrySchema.index({ user: 1, coin: 1, createdAt: 1 });
+// One entry per sequence number per account: concurrent writers collide instead of both committing
+ledgerEntrySchema.index(
+  { user: 1, coin: 1, seq: 1 },
+  { unique: true, partialFilterExpression: { seq: { $exists: true } } }
+);
 
 module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
\ No newline at end of file
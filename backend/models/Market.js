@@ -0,0 +1,53 @@
+/**
+ * Market Model - registry of tradable pairs and their trading rules
+ * - symbol is "BASE/QUOTE"; spot and futures orders are validated against it (utils/markets).
+ * - Prices must be multiples of tickSize and sizes multiples of lotSize (base units).
+ * - price * size must reach minNotional (quote units); size may not exceed maxOrderSize (null = no cap).
+ * - Only "trading" markets accept new orders; "halted" keeps resting orders, "delisted" hides the market.
+ * - circuitBreaker is the price band: a move of more than maxMovePct within windowMinutes halts the
+ *   market (utils/circuitBreaker); breaker halts resume after cooldownMinutes (0 = admin resume only).
+ */
+const mongoose = require("mongoose");
+
+const { Decimal128 } = mongoose.Schema.Types;
+
+const circuitBreakerSchema = new mongoose.Schema(
+  {
+    enabled: { type: Boolean, default: true },
+    maxMovePct: { type: Number, default: () => Number(process.env.CIRCUIT_BREAKER_MOVE_PCT || 10), min: 0.1 },
+    windowMinutes: { type: Number, default: () => Number(process.env.CIRCUIT_BREAKER_WINDOW_MINUTES || 5), min: 1 },
+    cooldownMinutes: { type: Number, default: () => Number(process.env.CIRCUIT_BREAKER_COOLDOWN_MINUTES || 15), min: 0 },
+  },
+  { _id: false }
+);
+
+const marketSchema = new mongoose.Schema(
+  {
+    symbol: { type: String, required: true, uppercase: true, trim: true, unique: true },
+    base: { type: String, required: true, uppercase: true, trim: true },
+    quote: { type: String, required: true, uppercase: true, trim: true },
+    status: { type: String, enum: ["trading", "halted", "delisted"], default: "trading" },
+    statusReason: { type: String, default: "" },
+    haltSource: { type: String, enum: ["manual", "circuit_breaker", null], default: null },
+    haltedAt: { type: Date, default: null },
+    resumeAt: { type: Date, default: null },
+    circuitBreaker: { type: circuitBreakerSchema, default: () => ({}) },
+    tickSize: { type: Decimal128, required: true },
+    lotSize: { type: Decimal128, required: true },
+    minNotional: { type: Decimal128, default: 0 },
+    maxOrderSize: { type: Decimal128, default: null },
+    futuresEnabled: { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// symbol is always derived from base/quote
+marketSchema.pre("validate", function (next) {
+  if (this.base && this.quote) this.symbol = `${this.base}/${this.quote}`.toUpperCase();
+  next();
+});
+
+marketSchema.index({ status: 1, quote: 1 });
+
+module.exports = mongoose.model("Market", marketSchema);
@@ -0,0 +1,44 @@
+/**
+ * Order Model - spot order book entries
+ * - One document per order placed (market or limit); fills live in Trade.
+ * - `reserved` tracks the funds still held for the unfilled remainder.
+ * - Resting orders are matched by price, then `priorityAt`, then _id.
+ */
+const mongoose = require("mongoose");
+
+const { Decimal128 } = mongoose.Schema.Types;
+
+const orderSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    pair: { type: String, required: true, uppercase: true, trim: true },
+    base: { type: String, required: true, uppercase: true, trim: true },
+    quote: { type: String, required: true, uppercase: true, trim: true },
+    side: { type: String, enum: ["buy", "sell"], required: true },
+    type: { type: String, enum: ["market", "limit"], default: "limit" },
+    price: { type: Decimal128, default: null }, // limit price; for market orders the worst acceptable price
+    amount: { type: Decimal128, required: true },
+    filled: { type: Decimal128, default: 0 },
+    filledQuote: { type: Decimal128, default: 0 }, // sum of quote amounts of all fills
+    remaining: { type: Decimal128, default: 0 },
+    avgFillPrice: { type: Decimal128, default: 0 },
+    reserved: {
+      coin: { type: String, uppercase: true, trim: true },
+      amount: { type: Decimal128, default: 0 }
+    },
+    status: {
+      type: String,
+      enum: ["open", "partially_filled", "filled", "cancelled", "rejected"],
+      default: "open"
+    },
+    priorityAt: { type: Date, default: Date.now },
+    cancelledAt: { type: Date },
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+  },
+  { timestamps: true }
+);
+
+// Book lookups: resting orders per pair/side in price-time order
+orderSchema.index({ pair: 1, side: 1, status: 1, price: 1, priorityAt: 1 });
+
+module.exports = mongoose.model("Order", orderSchema);
@@ -0,0 +1,35 @@
+/**
+ * PriceReplay Model - a recorded price file played back through jobs/priceService
+ * - Played by utils/priceReplay; while running or paused it replaces the live source of
+ *   the chosen symbols (only one replay is active at a time).
+ * - Playback position is stored as an anchor: the data time `position` reached at wall
+ *   time `anchoredAt`; while running, data time advances `speed` times faster than the
+ *   clock. Pause, resume, seek and speed changes re-anchor it.
+ */
+const mongoose = require("mongoose");
+
+const priceReplaySchema = new mongoose.Schema(
+  {
+    file: { type: String, required: true, trim: true },
+    format: { type: String, enum: ["ticks", "ohlcv"], required: true },
+    symbols: { type: [String], required: true },
+    speed: { type: Number, default: 1, min: 1, max: 100 },
+    status: {
+      type: String,
+      enum: ["running", "paused", "completed", "stopped"],
+      default: "running"
+    },
+    dataStart: { type: Date, required: true },
+    dataEnd: { type: Date, required: true },
+    position: { type: Date, required: true },
+    anchoredAt: { type: Date, required: true },
+    completedAt: { type: Date },
+    stoppedAt: { type: Date },
+    startedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+  },
+  { timestamps: true }
+);
+
+priceReplaySchema.index({ status: 1 });
+
+module.exports = mongoose.model("PriceReplay", priceReplaySchema);
@@ -0,0 +1,51 @@
+/**
+ * PriceScenario Model - scripted price timeline for one coin
+ * - Played by utils/priceScenarios inside jobs/priceService; while a scenario is running
+ *   or paused it drives the coin instead of the coin's own price mode.
+ * - Steps run in order: "ramp" moves linearly to targetPrice over durationMs, "hold" keeps
+ *   the price for durationMs, "jump" sets targetPrice at once.
+ * - Progress is persisted (currentStep, stepElapsedMs, stepStartedAt) so a restart resumes
+ *   the timeline where it was; time the backend was down counts as elapsed.
+ */
+const mongoose = require("mongoose");
+
+const { Decimal128 } = mongoose.Schema.Types;
+
+const stepSchema = new mongoose.Schema({
+  action: { type: String, enum: ["ramp", "hold", "jump"], required: true },
+  targetPrice: { type: Decimal128, default: null }, // ramp / jump
+  durationMs: { type: Number, default: 0, min: 0 }
+}, { _id: false });
+
+const priceScenarioSchema = new mongoose.Schema(
+  {
+    symbol: { type: String, required: true, uppercase: true, trim: true },
+    name: { type: String, default: "", trim: true },
+    steps: { type: [stepSchema], required: true },
+    status: {
+      type: String,
+      enum: ["scheduled", "running", "paused", "completed", "cancelled"],
+      default: "scheduled"
+    },
+    startAt: { type: Date, default: null }, // null = start on the next tick
+    currentStep: { type: Number, default: 0 },
+    stepStartPrice: { type: Decimal128, default: null },
+    stepStartedAt: { type: Date, default: null }, // start of the current unpaused stretch
+    stepElapsedMs: { type: Number, default: 0 }, // time spent in the step before that stretch
+    startedAt: { type: Date },
+    pausedAt: { type: Date },
+    completedAt: { type: Date },
+    cancelledAt: { type: Date },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null }
+  },
+  { timestamps: true }
+);
+
+priceScenarioSchema.index({ status: 1, symbol: 1 });
+// at most one active (scheduled, running or paused) scenario per coin ($in filters need MongoDB 6.0+)
+priceScenarioSchema.index(
+  { symbol: 1 },
+  { unique: true, partialFilterExpression: { status: { $in: ["scheduled", "running", "paused"] } } }
+);
+
+module.exports = mongoose.model("PriceScenario", priceScenarioSchema);
@@ -1,18 +1,32 @@
 /**
- * Trade Model - Premium Refactor
+ * Trade Model - executed fills
+ * - One document per user per fill; a book match produces two (maker + taker)
+ *   sharing the same matchId. Fills against house liquidity have no counterparty.
+ * - The fee ledger entry for a fill has ref = this document's _id.
  */
 const mongoose = require("mongoose");
 
 const tradeSchema = new mongoose.Schema(
   {
-    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, index: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    counterparty: { type: mongoose.Schema.Types.ObjectId, ref: "User", default: null },
+    matchId: { type: String, required: true },
     pair: { type: String, required: true, trim: true },
-    type: { type: String, enum: ["buy", "sell"], required: true },
-    amount: { type: Number, required: true, min: 0 },
-    price: { type: Number, required: true, min: 0 },
-    status: { type: String, enum: ["open", "closed"], default: "open" },
+    side: { type: String, enum: ["buy", "sell"], required: true },
+    amount: { type: mongoose.Schema.Types.Decimal128, required: true },
+    price: { type: mongoose.Schema.Types.Decimal128, required: true },
+    quoteAmount: { type: mongoose.Schema.Types.Decimal128, required: true },
+    liquidity: { type: String, enum: ["maker", "taker"], required: true },
+    fee: { type: mongoose.Schema.Types.Decimal128, default: 0 }, // charged in feeCoin (the asset received)
+    feeCoin: { type: String, uppercase: true, trim: true },
+    feeRate: { type: Number, default: 0, min: 0 },
+    filledAt: { type: Date, default: Date.now },
   },
   { timestamps: true }
 );
 
-module.exports = mongoose.model("Trade", tradeSchema);
\ No newline at end of file
+tradeSchema.index({ pair: 1, filledAt: -1 });
+tradeSchema.index({ liquidity: 1, filledAt: -1 }); // 24h taker window of utils/tickers
+
+module.exports = mongoose.model("Trade", tradeSchema);
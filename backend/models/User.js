@@ -51,6 +51,10 @@ const userSchema = new mongoose.Schema(
     resetPasswordExpires: { type: Date },
     role: { type: String, enum: ["user", "admin"], default: "user" },
     isBanned: { type: Boolean, default: false },
+    // margin mode for new futures positions (utils/futures)
+    futuresMarginMode: { type: String, enum: ["isolated", "cross"], default: "isolated" },
+    // stamped by every futures open in its transaction, so a concurrent mode change conflicts
+    futuresOpenedAt: { type: Date },
 
     // New: depositAddresses per user, per coin, per network.
     // Structure:
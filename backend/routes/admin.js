@@ -45,6 +45,28 @@ router.post('/trades/:id/cancel', adminController.cancelTrade.bind(adminControll
 // Broadcast & Price override
 router.post('/broadcast', adminController.broadcast.bind(adminController));
 router.post('/price_override', adminController.priceOverride.bind(adminController));
+router.get('/price-providers', adminController.getPriceProviders.bind(adminController));
+router.get('/price-service', adminController.getPriceService.bind(adminController));
+router.get('/price-scenarios', adminController.listPriceScenarios.bind(adminController));
+router.post('/price-scenarios', adminController.createPriceScenario.bind(adminController));
+router.post('/price-scenarios/:id/:action', adminController.updatePriceScenario.bind(adminController));
+router.get('/price-replay', adminController.getPriceReplay.bind(adminController));
+router.post('/price-replay/start', adminController.startPriceReplay.bind(adminController));
+router.post('/price-replay/:action', adminController.controlPriceReplay.bind(adminController));
+router.post('/coins/:symbol/price-source', adminController.setPriceSource.bind(adminController));
+
+// Custom coins (created in Coin, priced by jobs/priceService)
+router.use('/custom-coins', require('./adminCustomCoin'));
+
+// Fee schedule & revenue
+router.get('/fees', adminController.listFeeSchedules.bind(adminController));
+router.post('/fees', adminController.upsertFeeSchedule.bind(adminController));
+router.get('/fees/revenue', adminController.getFeeRevenue.bind(adminController));
+router.delete('/fees/:id', adminController.deleteFeeSchedule.bind(adminController));
+router.get('/markets', adminController.listMarkets.bind(adminController));
+router.post('/markets', adminController.upsertMarket.bind(adminController));
+router.post('/markets/halt', adminController.haltMarket.bind(adminController));
+router.post('/markets/resume', adminController.resumeMarket.bind(adminController));
 
 // Logs & Settings
 router.get('/logs', adminController.getLogs.bind(adminController));
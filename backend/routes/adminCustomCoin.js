@@ -1,11 +1,15 @@
 const express = require("express");
 const router = express.Router();
 const Coin = require("../models/Coin");
+const { clearPrecisionCache } = require("../utils/decimal");
+const { createAudit } = require("../utils/auditLog");
+const { ensureDefaultMarkets } = require("../utils/markets");
+const { MODELS, PARAMS, normalizeModelConfig, getModelStatus, resetModel } = require("../utils/priceModels");
 
 // Add custom coin
 router.post("/add", async (req, res) => {
   try {
-    const { symbol, name, icon, price } = req.body;
+    const { symbol, name, icon, price, decimals } = req.body;
 
     const exists = await Coin.findOne({ symbol: symbol.toUpperCase() });
     if (exists) return res.json({ success: false, error: "Coin already exists" });
@@ -17,9 +21,13 @@ router.post("/add", async (req, res) => {
       price,
       previousPrice: price,
       isCustom: true,
-      adminControlEnabled: true,
-      targetPrice: price,
+      // simulated from its listing price until an admin sets a target (/set-target)
+      priceMode: "simulation",
+      ...(decimals != null ? { decimals } : {}),
     });
+    clearPrecisionCache(coin.symbol);
+    // list it against USDT with the default rules, as the startup listing would
+    await ensureDefaultMarkets().catch(e => console.warn("Default market not listed:", e && e.message));
 
     res.json({ success: true, coin });
   } catch (e) {
@@ -35,6 +43,7 @@ router.post("/set-target", async (req, res) => {
     const coin = await Coin.findOne({ symbol: symbol.toUpperCase() });
     if (!coin) return res.json({ success: false, error: "Coin not found" });
 
+    coin.priceMode = "drift";
     coin.adminControlEnabled = true;
     coin.targetPrice = targetPrice;
     if (driftSpeed) coin.driftSpeed = driftSpeed;
@@ -55,6 +64,8 @@ router.post("/disable-control", async (req, res) => {
 
     if (!coin) return res.json({ success: false, error: "Not found" });
 
+    // back to the coin's default source (simulation for custom coins, feeds otherwise)
+    coin.priceMode = null;
     coin.adminControlEnabled = false;
     coin.targetPrice = null;
 
@@ -66,4 +77,69 @@ router.post("/disable-control", async (req, res) => {
   }
 });
 
+// Simulation model of a coin: saved config plus the running RNG state
+router.get("/model/:symbol", async (req, res) => {
+  try {
+    const symbol = String(req.params.symbol || "").toUpperCase();
+    const coin = await Coin.findOne({ symbol }).select("symbol priceMode simulation").lean();
+    if (!coin) return res.json({ success: false, error: "Coin not found" });
+
+    res.json({ success: true, coin: coin.symbol, config: coin.simulation || null, running: getModelStatus(symbol), models: MODELS, params: PARAMS });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Set simulation model { symbol, model: gbm|ou|jump|correlated, seed?, mu?, sigma?, meanPrice?,
+// reversionSpeed?, jumpIntensity?, jumpMean?, jumpVolatility?, rho?, referenceSymbol? }
+// and switch the coin to simulation mode. Omitted parameters use the model defaults.
+router.post("/model", async (req, res) => {
+  try {
+    const symbol = String((req.body && req.body.symbol) || "").toUpperCase();
+    let config;
+    try {
+      config = normalizeModelConfig(req.body || {});
+    } catch (err) {
+      return res.status(400).json({ success: false, error: err.message });
+    }
+
+    const coin = await Coin.findOne({ symbol });
+    if (!coin) return res.json({ success: false, error: "Coin not found" });
+    if (config.referenceSymbol) {
+      if (config.referenceSymbol === symbol) return res.status(400).json({ success: false, error: "A coin cannot reference itself" });
+      if (!(await Coin.exists({ symbol: config.referenceSymbol }))) return res.json({ success: false, error: "Reference coin not found" });
+    }
+
+    // store only what the admin set, so later default changes still apply
+    const body = req.body || {};
+    coin.simulation = { model: config.model, seed: config.seed, referenceSymbol: config.referenceSymbol };
+    Object.keys(PARAMS).forEach(name => {
+      coin.simulation[name] = body[name] != null && body[name] !== "" ? config[name] : null;
+    });
+    coin.priceMode = "simulation";
+    coin.adminControlEnabled = false;
+    await coin.save();
+    resetModel(symbol);
+
+    await createAudit("admin:price_model", req.user && req.user._id, { symbol, ...config });
+
+    res.json({ success: true, coin });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
+// Restart a coin's model run (a seeded coin replays its path from the current price)
+router.post("/model/reset", async (req, res) => {
+  try {
+    const symbol = String((req.body && req.body.symbol) || "").toUpperCase();
+    if (!(await Coin.exists({ symbol }))) return res.json({ success: false, error: "Coin not found" });
+    resetModel(symbol);
+
+    res.json({ success: true });
+  } catch (e) {
+    res.status(500).json({ success: false, error: e.message });
+  }
+});
+
 module.exports = router;
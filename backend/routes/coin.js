@@ -4,6 +4,9 @@ const coinCtrl = require("../controllers/coinController");
 // GET /api/coin
 router.get("/", coinCtrl.getCoins);
 
+// GET /api/coin/:symbol/klines?interval=1h&from=&to=
+router.get("/:symbol/klines", coinCtrl.getKlines);
+
 // GET /api/coin/:symbol
 router.get("/:symbol", coinCtrl.getCoin);
 
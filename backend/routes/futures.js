@@ -7,6 +7,12 @@ const { protect } = require("../middlewares/auth");
 
 router.post("/futures/open", protect, fut.openFuturesPosition);
 router.post("/futures/close", protect, fut.closeFuturesPosition);
+router.post("/futures/tpsl", protect, fut.updateFuturesTpSl);
+router.post("/futures/add-margin", protect, fut.addMargin);
+router.post("/futures/remove-margin", protect, fut.removeMargin);
+router.post("/futures/margin-mode", protect, fut.setFuturesMarginMode);
+router.get("/futures/account", protect, fut.getFuturesAccount);
 router.get("/futures/my-positions", protect, fut.listMyFuturesPositions);
+router.get("/funding/:pair", fut.getFundingRates);
 
 module.exports = router;
\ No newline at end of file
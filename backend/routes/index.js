@@ -11,6 +11,8 @@ const adminRouter = require("./admin");
 const authRouter = require("./auth");
 const userRouter = require("./user");
 const coinRouter = require("./coin");
+const marketsRouter = require("./markets");
+const marketRouter = require("./market");
 const announcementsRouter = require("./announcements");
 const chatRouter = require("./chat");
 const financeRouter = require("./finance");
@@ -20,12 +22,15 @@ const walletRouter = require("./wallet");
 const kycRouter = require("./kyc");
 const newsRouter = require("./news");
 const referralRouter = require("./referral");
+const { getLeaderStatus } = require("../utils/leaderElection");
 
 // Mount sub-routes
 router.use("/admin", adminRouter);
 router.use("/auth", authRouter);
 router.use("/user", userRouter);
 router.use("/coin", coinRouter);
+router.use("/markets", marketsRouter);
+router.use("/market", marketRouter);
 router.use("/announcements", announcementsRouter);
 router.use("/announcement", announcementsRouter); // legacy alias
 router.use("/chat", chatRouter);
@@ -80,6 +85,8 @@ router.get("/", (req, res) => {
       "/api/auth/*",
       "/api/user/*",
       "/api/coin/*",
+      "/api/markets",
+      "/api/market/*",
       "/api/announcements/*",
       "/api/chat/*",
       "/api/finance/*",
@@ -100,7 +107,8 @@ router.get("/health", (req, res) =>
   res.status(200).json({
     ok: true,
     timestamp: Date.now(),
-    env: process.env.NODE_ENV || "development"
+    env: process.env.NODE_ENV || "development",
+    leader: getLeaderStatus()
   })
 );
 
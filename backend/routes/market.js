@@ -0,0 +1,10 @@
+const router = require("express").Router();
+const marketCtrl = require("../controllers/marketController");
+
+// Public market data; :pair as BTC-USDT
+router.get("/tickers", marketCtrl.getTickers);
+router.get("/index/:symbol", marketCtrl.getIndexPrice);
+router.get("/:pair/depth", marketCtrl.getDepth);
+router.get("/:pair/trades", marketCtrl.getTrades);
+
+module.exports = router;
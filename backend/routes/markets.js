@@ -0,0 +1,7 @@
+const router = require("express").Router();
+const marketCtrl = require("../controllers/marketController");
+
+// GET /api/markets
+router.get("/", marketCtrl.listMarkets);
+
+module.exports = router;
@@ -3,9 +3,26 @@
  */
 const router = require("express").Router();
 const { protect } = require("../middlewares/auth");
-const { placeTrade, getMyTrades } = require("../controllers/tradeController");
+const {
+  validateTradeCreate,
+  validateOrderAmend,
+  validateConditionalOrder
+} = require("../middlewares/validators");
+const trade = require("../controllers/tradeController");
 
-router.post("/place", protect, placeTrade);
-router.get("/my", protect, getMyTrades);
+router.post("/place", protect, validateTradeCreate, trade.placeTrade);
+router.get("/my", protect, trade.getMyTrades);
+router.get("/fees", protect, trade.getMyFeeRates);
 
-module.exports = router;
\ No newline at end of file
+// Resting orders
+router.get("/open-orders", protect, trade.getOpenOrders);
+router.delete("/order/:id", protect, trade.cancelMyOrder);
+router.patch("/order/:id", protect, validateOrderAmend, trade.amendMyOrder);
+router.post("/cancel-all", protect, trade.cancelAllMyOrders);
+
+// Conditional orders (stop-market, stop-limit, take-profit, OCO)
+router.post("/conditional", protect, validateConditionalOrder, trade.placeConditionalOrder);
+router.get("/conditional", protect, trade.getMyConditionalOrders);
+router.delete("/conditional/:id", protect, trade.cancelMyConditionalOrder);
+
+module.exports = router;
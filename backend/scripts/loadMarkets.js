@@ -0,0 +1,58 @@
+/**
+ * Idempotent market loader
+ *
+ * Lists every coin in the Coin collection against USDT (e.g. BTC/USDT) in the Market
+ * registry (utils/markets.ensureDefaultMarkets, which the server also runs on startup).
+ * Existing markets are left untouched so admin changes survive re-runs.
+ *
+ * Usage:
+ *   MONGO_URI="mongodb://127.0.0.1:27017/aexon" node scripts/loadMarkets.js
+ *
+ * Exits with 0 on success, 1 on error.
+ */
+
+const mongoose = require("mongoose");
+const Coin = require("../models/Coin");
+const Market = require("../models/Market");
+const { ensureDefaultMarkets } = require("../utils/markets");
+require("dotenv").config();
+
+async function start() {
+  const uri =
+    process.env.MONGO_URI ||
+    process.env.MONGODB_URI ||
+    process.env.DATABASE_URL ||
+    "mongodb://127.0.0.1:27017/aexon";
+
+  console.log("Connecting to database:", uri);
+
+  try {
+    await mongoose.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
+  } catch (err) {
+    console.error("MongoDB connection error:", err && (err.stack || err));
+    process.exit(1);
+  }
+
+  try {
+    if (!(await Coin.exists({}))) {
+      console.error("No coins in the database; run seed:coins first.");
+      await mongoose.disconnect();
+      process.exit(1);
+    }
+
+    console.log("Listing coins without a market...");
+    const created = await ensureDefaultMarkets();
+    console.log(`Bulk operation complete. created: ${created}`);
+    console.log("Total markets in DB:", await Market.countDocuments());
+
+    await mongoose.disconnect();
+    console.log("Disconnected. Load markets finished successfully.");
+    process.exit(0);
+  } catch (err) {
+    console.error("Load markets error:", err && (err.stack || err));
+    try { await mongoose.disconnect(); } catch (_) {}
+    process.exit(1);
+  }
+}
+
+start();
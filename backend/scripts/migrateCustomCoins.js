@@ -0,0 +1,84 @@
+/**
+ * Idempotent custom coin migration
+ *
+ * Copies legacy CustomCoin documents (driven by the old coin simulator) into the Coin
+ * collection, where jobs/priceService now prices every coin. Coins that already exist in
+ * Coin are left untouched. A coin with a target price keeps drifting toward it; the rest
+ * are simulated from their last price.
+ *
+ * Usage:
+ *   MONGO_URI="mongodb://127.0.0.1:27017/aexon" node scripts/migrateCustomCoins.js
+ *
+ * Exits with 0 on success, 1 on error.
+ */
+
+const mongoose = require("mongoose");
+const Coin = require("../models/Coin");
+const CustomCoin = require("../models/CustomCoin");
+const { dec } = require("../utils/decimal");
+require("dotenv").config();
+
+async function start() {
+  const uri =
+    process.env.MONGO_URI ||
+    process.env.MONGODB_URI ||
+    process.env.DATABASE_URL ||
+    "mongodb://127.0.0.1:27017/aexon";
+
+  console.log("Connecting to database:", uri);
+
+  try {
+    await mongoose.connect(uri, { useNewUrlParser: true, useUnifiedTopology: true });
+  } catch (err) {
+    console.error("MongoDB connection error:", err && (err.stack || err));
+    process.exit(1);
+  }
+
+  try {
+    const customs = await CustomCoin.find({}).lean();
+    if (!customs.length) {
+      console.log("No custom coins to migrate.");
+      await mongoose.disconnect();
+      process.exit(0);
+    }
+
+    const ops = customs.map((c) => {
+      const price = dec(c.price).isFinite() ? dec(c.price).toFixed() : "0";
+      const drift = c.targetPrice != null;
+      return {
+        updateOne: {
+          filter: { symbol: String(c.symbol).toUpperCase() },
+          update: {
+            $setOnInsert: {
+              symbol: String(c.symbol).toUpperCase(),
+              name: c.name,
+              icon: c.icon || "",
+              decimals: Number.isInteger(c.decimals) ? Math.min(18, Math.max(0, c.decimals)) : 8,
+              price,
+              previousPrice: price,
+              isCustom: true,
+              priceMode: drift ? "drift" : "simulation",
+              adminControlEnabled: drift,
+              targetPrice: drift ? c.targetPrice : null
+            }
+          },
+          upsert: true
+        }
+      };
+    });
+
+    console.log("Running bulk upsert for", ops.length, "custom coins...");
+    const result = await Coin.bulkWrite(ops, { ordered: false });
+    console.log(`Bulk operation complete. created: ${result.upsertedCount || 0}, already present: ${ops.length - (result.upsertedCount || 0)}`);
+
+    await mongoose.disconnect();
+    console.log("Disconnected. Custom coin migration finished successfully.");
+    process.exit(0);
+  } catch (err) {
+    console.error("Custom coin migration error:", err && (err.stack || err));
+    try { await mongoose.disconnect(); } catch (_) {}
+    process.exit(1);
+  }
+}
+
+start();
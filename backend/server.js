@@ -40,74 +40,214 @@ global.__DB_CONNECTED__ = false;
 
 // Handles for DB-dependent services to allow stopping them on disconnect
 let dbServiceHandles = {
+  leaderElectionStop: null,
+  priceRelayStop: null,
+  tickerPublisherStop: null
+};
+
+// Handles for the DB-writing jobs only the elected leader runs (utils/leaderElection)
+let leaderServiceHandles = {
   priceEngineStop: null,
-  simulatorStop: null,
-  randomizerStop: null
+  conditionalWatcherStop: null,
+  candleRecorderStop: null,
+  indexCalculatorStop: null,
+  liquidationEngineStop: null,
+  fundingSchedulerStop: null
 };
 
-function startDbServices() {
-  // start price engine
-  if (!dbServiceHandles.priceEngineStop) {
+function startLeaderServices() {
+  // start the price service (the only writer of coin prices)
+  if (!leaderServiceHandles.priceEngineStop) {
     try {
-      const startPriceEngine = require('./jobs/priceUpdater');
-      if (typeof startPriceEngine === 'function') {
-        dbServiceHandles.priceEngineStop = startPriceEngine();
-        console.log('Price engine started (jobs/priceUpdater).');
+      const startPriceService = require('./jobs/priceService');
+      if (typeof startPriceService === 'function') {
+        leaderServiceHandles.priceEngineStop = startPriceService();
+        console.log('Price service started (jobs/priceService).');
       }
     } catch (e) {
       console.warn('Price engine not started:', e && (e.message || e));
     }
   }
 
-  // start custom coin simulator if present
-  if (!dbServiceHandles.simulatorStop) {
+  // trip circuit breakers and fire stop / take-profit orders from the price engine's ticks
+  if (!leaderServiceHandles.conditionalWatcherStop) {
     try {
-      const simulator = require('./utils/coinPriceSimulator');
-      if (simulator && typeof simulator.startSimulator === 'function') {
-        dbServiceHandles.simulatorStop = simulator.startSimulator();
-        console.log('Coin simulator started (utils/coinPriceSimulator).');
-      }
+      const startConditionalOrderWatcher = require('./jobs/conditionalOrderWatcher');
+      leaderServiceHandles.conditionalWatcherStop = startConditionalOrderWatcher();
+      console.log('Conditional order watcher started (jobs/conditionalOrderWatcher).');
     } catch (e) {
-      console.warn('Coin simulator not started:', e && (e.message || e));
+      console.warn('Conditional order watcher not started:', e && (e.message || e));
     }
   }
 
-  // start price randomizer if present
-  if (!dbServiceHandles.randomizerStop) {
+  // fold price engine ticks into OHLCV candles
+  if (!leaderServiceHandles.candleRecorderStop) {
     try {
-      const randomizer = require('./utils/priceRandomizer');
-      if (randomizer && typeof randomizer.startPriceRandomizer === 'function') {
-        dbServiceHandles.randomizerStop = randomizer.startPriceRandomizer();
-        console.log('Price randomizer started (utils/priceRandomizer).');
-      }
+      const startCandleRecorder = require('./jobs/candleRecorder');
+      leaderServiceHandles.candleRecorderStop = startCandleRecorder();
+      console.log('Candle recorder started (jobs/candleRecorder).');
+    } catch (e) {
+      console.warn('Candle recorder not started:', e && (e.message || e));
+    }
+  }
+
+  // composite index prices from the configured providers (utils/indexPrice)
+  if (!leaderServiceHandles.indexCalculatorStop) {
+    try {
+      const startIndexCalculator = require('./jobs/indexCalculator');
+      leaderServiceHandles.indexCalculatorStop = startIndexCalculator();
+      console.log('Index calculator started (jobs/indexCalculator).');
+    } catch (e) {
+      console.warn('Index calculator not started:', e && (e.message || e));
+    }
+  }
+
+  // liquidate futures positions that reach their liquidation price
+  if (!leaderServiceHandles.liquidationEngineStop) {
+    try {
+      const startLiquidationEngine = require('./jobs/liquidationEngine');
+      leaderServiceHandles.liquidationEngineStop = startLiquidationEngine();
+      console.log('Liquidation engine started (jobs/liquidationEngine).');
     } catch (e) {
-      console.warn('Price randomizer not started:', e && (e.message || e));
+      console.warn('Liquidation engine not started:', e && (e.message || e));
+    }
+  }
+
+  // settle perpetual futures funding every funding interval
+  if (!leaderServiceHandles.fundingSchedulerStop) {
+    try {
+      const startFundingScheduler = require('./jobs/fundingScheduler');
+      leaderServiceHandles.fundingSchedulerStop = startFundingScheduler();
+      console.log('Funding scheduler started (jobs/fundingScheduler).');
+    } catch (e) {
+      console.warn('Funding scheduler not started:', e && (e.message || e));
+    }
+  }
+}
+
+function stopLeaderServices() {
+  try {
+    if (leaderServiceHandles.priceEngineStop && typeof leaderServiceHandles.priceEngineStop === 'function') {
+      leaderServiceHandles.priceEngineStop();
+      leaderServiceHandles.priceEngineStop = null;
+      console.log('Price service stopped.');
+    }
+  } catch (e) { console.warn('Failed stopping price service:', e && e.message); }
+  try {
+    if (leaderServiceHandles.conditionalWatcherStop && typeof leaderServiceHandles.conditionalWatcherStop === 'function') {
+      leaderServiceHandles.conditionalWatcherStop();
+      leaderServiceHandles.conditionalWatcherStop = null;
+      console.log('Conditional order watcher stopped.');
+    }
+  } catch (e) { console.warn('Failed stopping conditional order watcher:', e && e.message); }
+  try {
+    if (leaderServiceHandles.candleRecorderStop && typeof leaderServiceHandles.candleRecorderStop === 'function') {
+      leaderServiceHandles.candleRecorderStop();
+      leaderServiceHandles.candleRecorderStop = null;
+      console.log('Candle recorder stopped.');
+    }
+  } catch (e) { console.warn('Failed stopping candle recorder:', e && e.message); }
+  try {
+    if (leaderServiceHandles.indexCalculatorStop && typeof leaderServiceHandles.indexCalculatorStop === 'function') {
+      leaderServiceHandles.indexCalculatorStop();
+      leaderServiceHandles.indexCalculatorStop = null;
+      console.log('Index calculator stopped.');
+    }
+  } catch (e) { console.warn('Failed stopping index calculator:', e && e.message); }
+  try {
+    if (leaderServiceHandles.liquidationEngineStop && typeof leaderServiceHandles.liquidationEngineStop === 'function') {
+      leaderServiceHandles.liquidationEngineStop();
+      leaderServiceHandles.liquidationEngineStop = null;
+      console.log('Liquidation engine stopped.');
+    }
+  } catch (e) { console.warn('Failed stopping liquidation engine:', e && e.message); }
+  try {
+    if (leaderServiceHandles.fundingSchedulerStop && typeof leaderServiceHandles.fundingSchedulerStop === 'function') {
+      leaderServiceHandles.fundingSchedulerStop();
+      leaderServiceHandles.fundingSchedulerStop = null;
+      console.log('Funding scheduler stopped.');
+    }
+  } catch (e) { console.warn('Failed stopping funding scheduler:', e && e.message); }
+}
+
+// Settlement is only all-or-nothing inside MongoDB transactions: refuse to run against a
+// standalone server unless LEDGER_REQUIRE_TRANSACTIONS=false (utils/ledger)
+async function checkLedgerTransactions() {
+  try {
+    await require('./utils/ledger').checkTransactionSupport();
+  } catch (err) {
+    console.error(err && (err.message || err));
+    process.exit(1);
+  }
+}
+
+function startDbServices() {
+  // list coins that have no market yet, so order paths do not reject every pair after an upgrade
+  require('./utils/markets').ensureDefaultMarkets()
+    .then((created) => { if (created) console.log(`Listed ${created} default market(s) (utils/markets).`); })
+    .catch((e) => console.warn('Default markets not listed:', e && (e.message || e)));
+
+  // elect one node (Mongo lease, or Redis with REDIS_URL) to run the DB-writing jobs
+  if (!dbServiceHandles.leaderElectionStop) {
+    try {
+      const { startLeaderElection } = require('./utils/leaderElection');
+      dbServiceHandles.leaderElectionStop = startLeaderElection({ onElected: startLeaderServices, onDemoted: stopLeaderServices });
+      console.log('Leader election started (utils/leaderElection).');
+    } catch (e) {
+      console.warn('Leader election not started:', e && (e.message || e));
+    }
+  }
+
+  // followers relay the leader's prices to their own clients
+  if (!dbServiceHandles.priceRelayStop) {
+    try {
+      const { startPriceRelay } = require('./jobs/priceService');
+      const { isLeader } = require('./utils/leaderElection');
+      dbServiceHandles.priceRelayStop = startPriceRelay(isLeader);
+      console.log('Price relay started (jobs/priceService).');
+    } catch (e) {
+      console.warn('Price relay not started:', e && (e.message || e));
+    }
+  }
+
+  // 24h tickers on the market stream "ticker" channel (every node, for its own clients)
+  if (!dbServiceHandles.tickerPublisherStop) {
+    try {
+      const { startTickerPublisher } = require('./jobs/tickerPublisher');
+      dbServiceHandles.tickerPublisherStop = startTickerPublisher();
+      console.log('Ticker publisher started (jobs/tickerPublisher).');
+    } catch (e) {
+      console.warn('Ticker publisher not started:', e && (e.message || e));
     }
   }
 }
 
 function stopDbServices() {
   try {
-    if (dbServiceHandles.priceEngineStop && typeof dbServiceHandles.priceEngineStop === 'function') {
-      dbServiceHandles.priceEngineStop();
-      dbServiceHandles.priceEngineStop = null;
-      console.log('Price engine stopped.');
+    // steps down first, which stops the leader-only jobs
+    if (dbServiceHandles.leaderElectionStop && typeof dbServiceHandles.leaderElectionStop === 'function') {
+      dbServiceHandles.leaderElectionStop();
+      dbServiceHandles.leaderElectionStop = null;
+      console.log('Leader election stopped.');
     }
-  } catch (e) { console.warn('Failed stopping price engine:', e && e.message); }
+  } catch (e) { console.warn('Failed stopping leader election:', e && e.message); }
   try {
-    if (dbServiceHandles.simulatorStop && typeof dbServiceHandles.simulatorStop === 'function') {
-      dbServiceHandles.simulatorStop();
-      dbServiceHandles.simulatorStop = null;
-      console.log('Coin simulator stopped.');
+    stopLeaderServices();
+  } catch (e) { console.warn('Failed stopping leader services:', e && e.message); }
+  try {
+    if (dbServiceHandles.priceRelayStop && typeof dbServiceHandles.priceRelayStop === 'function') {
+      dbServiceHandles.priceRelayStop();
+      dbServiceHandles.priceRelayStop = null;
+      console.log('Price relay stopped.');
     }
-  } catch (e) { console.warn('Failed stopping simulator:', e && e.message); }
+  } catch (e) { console.warn('Failed stopping price relay:', e && e.message); }
   try {
-    if (dbServiceHandles.randomizerStop && typeof dbServiceHandles.randomizerStop === 'function') {
-      dbServiceHandles.randomizerStop();
-      dbServiceHandles.randomizerStop = null;
-      console.log('Price randomizer stopped.');
+    if (dbServiceHandles.tickerPublisherStop && typeof dbServiceHandles.tickerPublisherStop === 'function') {
+      dbServiceHandles.tickerPublisherStop();
+      dbServiceHandles.tickerPublisherStop = null;
+      console.log('Ticker publisher stopped.');
     }
-  } catch (e) { console.warn('Failed stopping randomizer:', e && e.message); }
+  } catch (e) { console.warn('Failed stopping ticker publisher:', e && e.message); }
 }
 
 async function main() {
@@ -137,6 +277,8 @@ async function main() {
     }
   }
 
+  if (global.__DB_CONNECTED__) await checkLedgerTransactions();
+
   // Load express app (app.js should export the Express app)
   const app = require('./app');
 
@@ -156,8 +298,12 @@ async function main() {
       }
     });
     global.io = io;
+    const marketStream = require('./utils/marketStream');
+    const userStream = require('./utils/userStream');
     io.on('connection', (socket) => {
       console.log('Socket.IO client connected', socket.id);
+      marketStream.handleSocketIoConnection(socket);
+      userStream.handleSocketIoConnection(socket);
       socket.on('disconnect', (reason) => {
         console.log('Socket.IO disconnected', socket.id, reason);
       });
@@ -173,8 +319,12 @@ async function main() {
     const WebSocket = require('ws');
     const wss = new WebSocket.Server({ server, path: '/ws' });
     global.wss = wss;
-    wss.on('connection', (ws) => {
+    const marketStream = require('./utils/marketStream');
+    const userStream = require('./utils/userStream');
+    wss.on('connection', (ws, req) => {
       try { ws.send(JSON.stringify({ type: 'connected', ts: Date.now() })); } catch {}
+      marketStream.handleWsConnection(ws);
+      userStream.handleWsConnection(ws, req);
     });
     wss.on('error', (e) => console.warn('ws server error:', e && e.message));
     console.log('Native WebSocket attached @ /ws (global.wss)');
@@ -247,7 +397,9 @@ async function main() {
       console.log('Mongoose event: connected');
       global.__DB_CONNECTED__ = true;
       try { app.locals.dbConnected = true; } catch (e) {}
-      try { startDbServices(); } catch (e) { console.warn('Error starting DB services on connected:', e && e.message); }
+      checkLedgerTransactions().then(() => {
+        try { startDbServices(); } catch (e) { console.warn('Error starting DB services on connected:', e && e.message); }
+      });
     });
     mongoose.connection.on('disconnected', () => {
       console.warn('Mongoose event: disconnected');
@@ -0,0 +1,80 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb } = require("./helpers");
+const Candle = require("../models/Candle");
+const candles = require("../utils/candles");
+const { emitter } = require("../utils/broadcaster");
+const startCandleRecorder = require("../jobs/candleRecorder");
+
+const { bucketStart, recordPrices, recordFills, getKlines } = candles;
+
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+const MINUTE = 60 * 1000;
+
+const fill = (amount, filledAt, liquidity = "taker") => ({ pair: "BTC/USDT", amount, liquidity, filledAt: new Date(filledAt) });
+
+test("bucketStart: buckets align to UTC multiples of the interval", () => {
+  const ts = Date.parse("2026-01-01T05:47:31Z");
+  assert.equal(bucketStart(ts, "15m").toISOString(), "2026-01-01T05:45:00.000Z");
+  assert.equal(bucketStart(ts, "4h").toISOString(), "2026-01-01T04:00:00.000Z");
+  assert.equal(bucketStart(ts, "1d").toISOString(), "2026-01-01T00:00:00.000Z");
+});
+
+test("recordPrices: ticks fold into the open candle of every interval", async (t) => {
+  const db = memoryDb(t);
+  await recordPrices([{ symbol: "btc", price: 100 }, { symbol: "ETH", price: 0 }], T0 + 1000);
+  await recordPrices([{ symbol: "BTC", price: 104 }], T0 + 20 * 1000);
+  await recordPrices([{ symbol: "BTC", price: 98 }], T0 + 40 * 1000);
+  await recordPrices([{ symbol: "BTC", price: 101 }], T0 + MINUTE);
+
+  assert.equal(db.docs(Candle, { symbol: "BTC" }).length, 7);
+  assert.equal(db.docs(Candle, { symbol: "ETH" }).length, 0);
+  const [first, second] = await getKlines("BTC", "1m");
+  assert.deepEqual([first.open, first.high, first.low, first.close], ["100", "104", "98", "98"]);
+  assert.equal(first.closeTime, T0 + MINUTE - 1);
+  assert.deepEqual([second.open, second.close], ["101", "101"]);
+  const [hour] = await getKlines("BTC", "1h");
+  assert.deepEqual([hour.open, hour.high, hour.low, hour.close], ["100", "104", "98", "101"]);
+
+  assert.equal(db.doc(Candle, { interval: "1m", openTime: new Date(T0) }).expireAt.getTime(), T0 + MINUTE + 7 * 24 * 60 * MINUTE);
+  assert.equal(db.doc(Candle, { interval: "1h" }).expireAt, null);
+});
+
+test("recordFills: taker volume is added, and a candle opened by a fill waits for its first tick", async (t) => {
+  memoryDb(t);
+  await recordFills([fill("0.5", T0 + 1000), fill("0.5", T0 + 1000, "maker"), fill("0.25", T0 + 2000)]);
+  assert.deepEqual(await getKlines("BTC", "1m"), []);
+
+  await recordPrices([{ symbol: "BTC", price: 100 }], T0 + 3000);
+  const [candle] = await getKlines("BTC", "1m");
+  assert.deepEqual([candle.open, candle.volume, candle.trades], ["100", "0.75", 2]);
+});
+
+test("getKlines: the latest candles up to `to`, or a range forward from `from`", async (t) => {
+  memoryDb(t);
+  for (let i = 0; i < 5; i++) await recordPrices([{ symbol: "BTC", price: 100 + i }], T0 + i * MINUTE);
+
+  assert.deepEqual((await getKlines("BTC", "1m", { limit: 2 })).map(c => c.close), ["103", "104"]);
+  assert.deepEqual((await getKlines("BTC", "1m", { to: new Date(T0 + 2 * MINUTE), limit: 2 })).map(c => c.close), ["101", "102"]);
+  assert.deepEqual((await getKlines("BTC", "1m", { from: new Date(T0 + MINUTE + 5), limit: 2 })).map(c => c.close), ["101", "102"]);
+});
+
+test("startCandleRecorder: a failed write is logged and the next tick is still recorded", async (t) => {
+  memoryDb(t);
+  t.mock.method(console, "log", () => {});
+  const warn = t.mock.method(console, "warn", () => {});
+  const record = t.mock.method(candles, "recordPrices", async () => { throw new Error("db down"); });
+  const stop = startCandleRecorder();
+  t.after(stop);
+  const flush = () => new Promise(resolve => setImmediate(resolve));
+
+  emitter.emit("coin_prices", [{ symbol: "BTC", price: 100 }]);
+  await flush();
+  assert.match(warn.mock.calls[0].arguments.join(" "), /candle recording failed: db down/);
+
+  record.mock.mockImplementation(async () => {});
+  emitter.emit("coin_prices", [{ symbol: "BTC", price: 101 }]);
+  await flush();
+  assert.equal(record.mock.callCount(), 2);
+  assert.deepEqual(record.mock.calls[1].arguments[0], [{ symbol: "BTC", price: 101 }]);
+});
@@ -0,0 +1,72 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb } = require("./helpers");
+const AuditLog = require("../models/AuditLog");
+const Market = require("../models/Market");
+const { emitter } = require("../utils/broadcaster");
+const { evaluateCircuitBreakers, haltMarket, resumeMarket } = require("../utils/circuitBreaker");
+const { clearMarketCache, requireTradableMarket } = require("../utils/markets");
+
+const MINUTE = 60 * 1000;
+
+function setup(t, circuitBreaker = { maxMovePct: 10, windowMinutes: 5, cooldownMinutes: 15 }) {
+  const db = memoryDb(t);
+  db.insert(Market, { symbol: "BTC/USDT", base: "BTC", quote: "USDT", tickSize: "0.01", lotSize: "0.001", circuitBreaker });
+  clearMarketCache();
+  const events = [];
+  const listener = (payload) => events.push(payload.type);
+  emitter.on("broadcast", listener);
+  t.after(() => emitter.off("broadcast", listener));
+  return { db, events };
+}
+
+test("evaluateCircuitBreakers: a move beyond the band within the window halts the market", async (t) => {
+  const { db, events } = setup(t);
+  const now = Date.parse("2026-01-01T00:00:00Z");
+
+  assert.deepEqual(await evaluateCircuitBreakers([{ symbol: "BTC", price: 100 }], now), { halted: [], resumed: [] });
+  assert.deepEqual((await evaluateCircuitBreakers([{ symbol: "BTC", price: 109 }], now + MINUTE)).halted, []);
+  const { halted } = await evaluateCircuitBreakers([{ symbol: "BTC", price: 112 }], now + 2 * MINUTE);
+
+  assert.deepEqual(halted, ["BTC/USDT"]);
+  const market = db.doc(Market, { symbol: "BTC/USDT" });
+  assert.equal(market.status, "halted");
+  assert.equal(market.haltSource, "circuit_breaker");
+  assert.equal(market.resumeAt.getTime(), now + 17 * MINUTE);
+  assert.equal(db.doc(AuditLog, { action: "market:circuit_breaker_halt" }).details.from, "100");
+  assert.deepEqual(events, ["market_halt"]);
+  await assert.rejects(requireTradableMarket("BTC/USDT"), { code: "MARKET_HALTED" });
+});
+
+test("evaluateCircuitBreakers: prices older than the window are not compared", async (t) => {
+  const { db } = setup(t);
+  const now = Date.parse("2026-02-01T00:00:00Z");
+  await evaluateCircuitBreakers([{ symbol: "BTC", price: 100 }], now);
+  await evaluateCircuitBreakers([{ symbol: "BTC", price: 115 }], now + 6 * MINUTE);
+  assert.equal(db.doc(Market, { symbol: "BTC/USDT" }).status, "trading");
+});
+
+test("evaluateCircuitBreakers: breaker halts resume after the cooldown, manual halts do not", async (t) => {
+  const { db, events } = setup(t);
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-03-01T00:00:00Z") });
+  await haltMarket("BTC/USDT", { source: "circuit_breaker", resumeAt: new Date(Date.now() + 15 * MINUTE) });
+
+  assert.deepEqual((await evaluateCircuitBreakers([], Date.now() + 10 * MINUTE)).resumed, []);
+  t.mock.timers.tick(16 * MINUTE);
+  assert.deepEqual((await evaluateCircuitBreakers([], Date.now())).resumed, ["BTC/USDT"]);
+  assert.equal(db.doc(Market, { symbol: "BTC/USDT" }).status, "trading");
+
+  await haltMarket("BTC/USDT", { reason: "listing review" });
+  t.mock.timers.tick(60 * MINUTE);
+  assert.deepEqual((await evaluateCircuitBreakers([], Date.now())).resumed, []);
+  assert.equal((await resumeMarket("BTC/USDT")).status, "trading");
+  assert.deepEqual(events, ["market_halt", "market_resume", "market_halt", "market_resume"]);
+});
+
+test("evaluateCircuitBreakers: a disabled band never halts", async (t) => {
+  const { db } = setup(t, { enabled: false, maxMovePct: 1 });
+  const now = Date.parse("2026-04-01T00:00:00Z");
+  await evaluateCircuitBreakers([{ symbol: "BTC", price: 100 }], now);
+  await evaluateCircuitBreakers([{ symbol: "BTC", price: 200 }], now + MINUTE);
+  assert.equal(db.doc(Market, { symbol: "BTC/USDT" }).status, "trading");
+});
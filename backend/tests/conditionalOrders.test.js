@@ -0,0 +1,117 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb } = require("./helpers");
+const Coin = require("../models/Coin");
+const ConditionalOrder = require("../models/ConditionalOrder");
+const FeeSchedule = require("../models/FeeSchedule");
+const Market = require("../models/Market");
+const Order = require("../models/Order");
+const { getBalance, postLedgerEntry } = require("../utils/ledger");
+const { clearMarketCache } = require("../utils/markets");
+const {
+  createConditionalOrders, cancelConditionalOrder, evaluateTriggers, triggerConditionFor
+} = require("../utils/conditionalOrders");
+
+const BOB = "64b000000000000000000002";
+
+async function setup(t, btcPrice) {
+  const db = memoryDb(t);
+  db.insert(Coin, [{ symbol: "BTC", name: "Bitcoin", price: btcPrice }, { symbol: "ETH", name: "Ether", price: 2000 }]);
+  db.insert(FeeSchedule, { scope: "default", makerRate: 0, takerRate: 0 });
+  db.insert(Market, [
+    { symbol: "BTC/USDT", base: "BTC", quote: "USDT", tickSize: "0.01", lotSize: "0.001" },
+    { symbol: "ETH/USDT", base: "ETH", quote: "USDT", tickSize: "0.01", lotSize: "0.001" }
+  ]);
+  clearMarketCache();
+  await postLedgerEntry(BOB, "deposit", "BTC", 1);
+  return db;
+}
+
+const stopLoss = { pair: "BTC/USDT", side: "sell", kind: "stop_market", triggerPrice: 90, size: 1 };
+const takeProfit = { pair: "BTC/USDT", side: "sell", kind: "take_profit", triggerPrice: 120, size: 1 };
+
+test("triggerConditionFor: stops fire on a move against the position, take-profits on one for it", () => {
+  assert.equal(triggerConditionFor("stop_market", "sell"), "lte");
+  assert.equal(triggerConditionFor("stop_limit", "buy"), "gte");
+  assert.equal(triggerConditionFor("take_profit", "sell"), "gte");
+  assert.equal(triggerConditionFor("take_profit", "buy"), "lte");
+});
+
+test("createConditionalOrders: rejects a stop-limit without a limit price and OCO legs on two pairs", async (t) => {
+  await setup(t, 100);
+  await assert.rejects(createConditionalOrders(BOB, [{ ...stopLoss, kind: "stop_limit" }]), { code: "INVALID_PRICE" });
+  await assert.rejects(createConditionalOrders(BOB, [stopLoss, { ...takeProfit, pair: "ETH/USDT" }]), { code: "INVALID_CONDITIONAL" });
+  await assert.rejects(createConditionalOrders(BOB, [{ ...stopLoss, triggerPrice: 90.005 }]), { code: "INVALID_TICK_SIZE" });
+});
+
+test("evaluateTriggers: a stop fires once the price crosses it and places a market order", async (t) => {
+  const db = await setup(t, 89);
+  const [stop] = await createConditionalOrders(BOB, [stopLoss]);
+
+  assert.deepEqual(await evaluateTriggers([{ symbol: "BTC", price: 91 }]), []);
+  const [fired] = await evaluateTriggers([{ symbol: "BTC", price: 89 }]);
+
+  assert.equal(String(fired._id), String(stop._id));
+  const stored = db.doc(ConditionalOrder, { _id: stop._id });
+  assert.equal(stored.status, "triggered");
+  assert.equal(String(stored.triggeredPrice), "89");
+  const placed = db.doc(Order, { _id: stored.order });
+  assert.equal(placed.type, "market");
+  assert.equal(placed.status, "filled");
+  assert.equal(String(await getBalance(BOB, "USDT")), "89");
+
+  assert.deepEqual(await evaluateTriggers([{ symbol: "BTC", price: 80 }]), []);
+});
+
+test("evaluateTriggers: the update for a fired order goes to its owner only", async (t) => {
+  await setup(t, 89);
+  const sent = [];
+  global.io = {
+    emit: (event, payload) => sent.push(["*", payload.type]),
+    to: (room) => ({ emit: (event, payload) => sent.push([room, payload.type]) })
+  };
+  t.after(() => delete global.io);
+  await createConditionalOrders(BOB, [stopLoss]);
+
+  await evaluateTriggers([{ symbol: "BTC", price: 89 }]);
+  assert.deepEqual(sent.filter(([, type]) => type === "conditional_order_update"), [[`user:${BOB}`, "conditional_order_update"]]);
+});
+
+test("evaluateTriggers: the leg of an OCO pair that fires cancels the other", async (t) => {
+  const db = await setup(t, 85);
+  const [tp, stop] = await createConditionalOrders(BOB, [takeProfit, stopLoss]);
+  await evaluateTriggers([{ symbol: "BTC", price: 85 }]);
+
+  assert.equal(db.doc(ConditionalOrder, { _id: stop._id }).status, "triggered");
+  assert.equal(db.doc(ConditionalOrder, { _id: tp._id }).status, "cancelled");
+});
+
+test("evaluateTriggers: an order the matching engine rejects is marked failed", async (t) => {
+  const db = await setup(t, 85);
+  const [stop] = await createConditionalOrders(BOB, [{ ...stopLoss, size: 2 }]);
+  await evaluateTriggers([{ symbol: "BTC", price: 85 }]);
+
+  const stored = db.doc(ConditionalOrder, { _id: stop._id });
+  assert.equal(stored.status, "failed");
+  assert.match(stored.error, /Insufficient balance/);
+  assert.equal(String(await getBalance(BOB, "BTC")), "1");
+});
+
+test("evaluateTriggers: the other OCO leg is pending again when the fired leg's order is rejected", async (t) => {
+  const db = await setup(t, 85);
+  const [tp, stop] = await createConditionalOrders(BOB, [{ ...takeProfit, size: 2 }, { ...stopLoss, size: 2 }]);
+  await evaluateTriggers([{ symbol: "BTC", price: 85 }]);
+
+  assert.equal(db.doc(ConditionalOrder, { _id: stop._id }).status, "failed");
+  const sibling = db.doc(ConditionalOrder, { _id: tp._id });
+  assert.deepEqual([sibling.status, sibling.error, sibling.cancelledAt], ["pending", "", undefined]);
+});
+
+test("cancelConditionalOrder: cancels both legs of an OCO pair for their owner only", async (t) => {
+  await setup(t, 100);
+  const [tp] = await createConditionalOrders(BOB, [takeProfit, stopLoss]);
+
+  await assert.rejects(cancelConditionalOrder(String(tp._id), "64b000000000000000000001"), { code: "ORDER_NOT_FOUND" });
+  const cancelled = await cancelConditionalOrder(String(tp._id), BOB);
+  assert.deepEqual(cancelled.map(o => o.status), ["cancelled", "cancelled"]);
+});
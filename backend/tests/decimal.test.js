@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { memoryDb } = require("./helpers");
+const Coin = require("../models/Coin");
+const {
+  dec, toStr, quantize, coinDecimals, clearPrecisionCache, jsonReplacer, ROUND_UP
+} = require("../utils/decimal");
+
+test.beforeEach(() => clearPrecisionCache());
+
+test("dec: reads numbers, strings, Decimal128 and lean decimals alike", () => {
+  assert.equal(toStr(dec(0.1).plus("0.2")), "0.3");
+  assert.equal(toStr(mongoose.Types.Decimal128.fromString("1.50")), "1.5");
+  assert.equal(toStr({ $numberDecimal: "0.00000001" }), "0.00000001");
+  assert.equal(toStr(null), "0");
+  assert.ok(dec("abc").isNaN());
+});
+
+test("quantize: rounds down unless asked to round up", () => {
+  assert.equal(toStr(quantize("1.239", 2)), "1.23");
+  assert.equal(toStr(quantize("1.231", 2, ROUND_UP)), "1.24");
+  assert.equal(toStr(quantize("-1.231", 2, ROUND_UP)), "-1.24");
+});
+
+test("coinDecimals: the coin's own precision, else the default", async (t) => {
+  const db = memoryDb(t);
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", decimals: 6 });
+  db.insert(Coin, { symbol: "FOO", name: "Foo", decimals: 2, isCustom: true });
+
+  assert.equal(await coinDecimals("btc"), 6);
+  assert.equal(await coinDecimals("FOO"), 2);
+  assert.equal(await coinDecimals("XYZ"), 8);
+});
+
+test("jsonReplacer: Decimal128 values serialise as plain strings", () => {
+  const body = JSON.stringify({ price: mongoose.Types.Decimal128.fromString("99.5"), n: 1 }, jsonReplacer);
+  assert.equal(body, '{"price":"99.5","n":1}');
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb } = require("./helpers");
+const FeeSchedule = require("../models/FeeSchedule");
+const { getFeeRates, ENV_DEFAULTS } = require("../utils/fees");
+const { postLedgerEntry } = require("../utils/ledger");
+const { getFeeRevenue } = require("../controllers/adminController");
+
+const ALICE = "64b000000000000000000001";
+const BOB = "64b000000000000000000002";
+
+test("getFeeRates: a user override beats the pair rate, which beats the default", async (t) => {
+  const db = memoryDb(t);
+  db.insert(FeeSchedule, [
+    { scope: "default", makerRate: 0.001, takerRate: 0.002 },
+    { scope: "pair", pair: "BTC/USDT", makerRate: 0.0005, takerRate: 0.001 },
+    { scope: "user", user: ALICE, makerRate: 0, takerRate: 0.0002 }
+  ]);
+
+  assert.deepEqual(await getFeeRates(ALICE, "ETH/USDT"), { maker: 0, taker: 0.0002, source: "user" });
+  assert.deepEqual(await getFeeRates(BOB, "btc/usdt"), { maker: 0.0005, taker: 0.001, source: "pair" });
+  assert.deepEqual(await getFeeRates(BOB, "ETH/USDT"), { maker: 0.001, taker: 0.002, source: "default" });
+});
+
+test("getFeeRates: without a schedule the environment defaults apply", async (t) => {
+  memoryDb(t);
+  assert.deepEqual(await getFeeRates(ALICE, "BTC/USDT"), { ...ENV_DEFAULTS, source: "env" });
+});
+
+test("getFeeRevenue: fee revenue per coin and pair, with liquidation fees apart from trading fees", async (t) => {
+  memoryDb(t);
+  await postLedgerEntry(ALICE, "deposit", "USDT", 100);
+  await postLedgerEntry(ALICE, "fee", "USDT", "-0.1", { subtype: "taker", meta: { pair: "BTC/USDT" } });
+  await postLedgerEntry(ALICE, "fee", "USDT", "-0.2", { subtype: "maker", meta: { pair: "BTC/USDT" } });
+  await postLedgerEntry(ALICE, "fee", "USDT", "-4.55", { subtype: "liquidation_fee", meta: { pair: "BTC/USDT" } });
+
+  let body;
+  await getFeeRevenue({ query: {} }, { json: (b) => { body = b; }, status() { return this; } });
+  assert.deepEqual(body.data.byCoin, { USDT: "4.85" });
+  assert.deepEqual(body.data.bySource, { liquidation: { USDT: "4.55" }, trading: { USDT: "0.3" } });
+  assert.deepEqual(body.data.byPair.map(r => [r.source, r.pair, String(r.revenue), r.count]), [
+    ["liquidation", "BTC/USDT", "4.55", 1],
+    ["trading", "BTC/USDT", "0.3", 2]
+  ]);
+});
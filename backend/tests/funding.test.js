@@ -0,0 +1,115 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb, futuresPosition } = require("./helpers");
+const AuditLog = require("../models/AuditLog");
+const Coin = require("../models/Coin");
+const FundingRate = require("../models/FundingRate");
+const FuturesPosition = require("../models/FuturesPosition");
+const LedgerEntry = require("../models/LedgerEntry");
+const { dec } = require("../utils/decimal");
+const { getBalance, postLedgerEntry } = require("../utils/ledger");
+const { liquidationPriceOf } = require("../utils/futures");
+const { fundingTimeAt, nextFundingTime, rateFrom, settlePositionFunding, runFundingOnce } = require("../utils/funding");
+
+const ALICE = "64b000000000000000000001";
+const BOB = "64b000000000000000000002";
+const FUNDING_TIME = new Date("2026-01-01T08:00:00Z");
+const USDT = 8;
+
+// longs pay 0.1% of notional: size 10 at mark 100 is 1000, so 1 USDT
+const funding = { _id: "64b0000000000000000000f1", fundingTime: FUNDING_TIME, rate: 0.001, markPrice: "100" };
+
+async function setup(t, balances = {}) {
+  const db = memoryDb(t);
+  for (const [user, amount] of Object.entries(balances)) await postLedgerEntry(user, "deposit", "USDT", amount);
+  return db;
+}
+
+async function openAt(db, overrides = {}) {
+  const [doc] = db.insert(FuturesPosition, futuresPosition({ createdAt: new Date("2026-01-01T00:00:00Z"), ...overrides }));
+  return FuturesPosition.findById(doc._id);
+}
+
+test("fundingTimeAt: funding times fall on the interval from the epoch", () => {
+  assert.equal(fundingTimeAt(Date.parse("2026-01-01T15:59:59Z")).toISOString(), "2026-01-01T08:00:00.000Z");
+  assert.equal(nextFundingTime(Date.parse("2026-01-01T16:00:00Z")).toISOString(), "2026-01-02T00:00:00.000Z");
+});
+
+test("rateFrom: the premium of mark over index, clamped; no index means no funding", () => {
+  assert.deepEqual(rateFrom({ markPrice: dec("100.1"), indexPrice: dec(100) }), { rate: 0.001, premium: 0.001 });
+  assert.deepEqual(rateFrom({ markPrice: dec(98), indexPrice: dec(100) }), { rate: -0.0075, premium: -0.02 });
+  assert.deepEqual(rateFrom({ markPrice: dec(100), indexPrice: null }), { rate: 0, premium: null });
+});
+
+test("settlePositionFunding: the payer pays from its balance and the receiver is credited, once", async (t) => {
+  const db = await setup(t, { [ALICE]: 50 });
+  const long = await openAt(db);
+  const short = await openAt(db, { user: BOB, direction: "short" });
+
+  assert.equal((await settlePositionFunding(long, funding, USDT)).toFixed(), "1");
+  assert.equal((await settlePositionFunding(short, funding, USDT)).toFixed(), "-1");
+  assert.equal(String(await getBalance(ALICE, "USDT")), "49");
+  assert.equal(String(await getBalance(BOB, "USDT")), "1");
+  assert.equal(String(db.doc(FuturesPosition, { _id: long._id }).amount), "100");
+
+  assert.equal(await settlePositionFunding(long, funding, USDT), null);
+  assert.equal(String(await getBalance(ALICE, "USDT")), "49");
+});
+
+test("settlePositionFunding: a payer whose balance is short covers the rest from its margin, keeping its size", async (t) => {
+  const db = await setup(t, { [ALICE]: "0.4" });
+  const long = await openAt(db); // opened before sizes were stored
+
+  assert.equal((await settlePositionFunding(long, funding, USDT)).toFixed(), "1");
+  assert.equal(String(await getBalance(ALICE, "USDT")), "0");
+  const stored = db.doc(FuturesPosition, { _id: long._id });
+  assert.deepEqual([String(stored.amount), String(stored.size)], ["99.4", "10"]);
+  assert.equal(String(stored.liquidationPrice), "90.51256281");
+  assert.equal(String(stored.liquidationPrice), liquidationPriceOf(futuresPosition({ amount: "99.4", size: "10" })).toFixed());
+});
+
+test("settlePositionFunding: what neither balance nor margin covers is recorded as a shortfall, not collected", async (t) => {
+  const db = await setup(t, { [ALICE]: "0.2" });
+  const long = await openAt(db, { amount: "0.3", size: "10" });
+
+  assert.equal((await settlePositionFunding(long, funding, USDT)).toFixed(), "0.5");
+  assert.equal(String(await getBalance(ALICE, "USDT")), "0");
+  assert.equal(String(db.doc(FuturesPosition, { _id: long._id }).amount), "0");
+  const [leg] = db.docs(LedgerEntry, { subtype: "funding" });
+  assert.deepEqual([leg.meta.due, leg.meta.fromMargin, leg.meta.shortfall], ["1", "0.3", "0.5"]);
+});
+
+test("runFundingOnce: receivers are credited in proportion to what the payers actually paid", async (t) => {
+  const db = await setup(t);
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-01-01T08:30:00Z") });
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", price: "100.1", indexPrice: "100", indexUpdatedAt: new Date() });
+  await openAt(db, { user: BOB, direction: "short" }); // listed first, settled after the payer
+  await openAt(db, { amount: "0.5005", size: "10" });
+
+  const [settled] = await runFundingOnce();
+  assert.deepEqual([String(settled.charged), String(settled.collected), Number(settled.paidByLongs)], ["1.001", "0.5005", 1.001]);
+  assert.equal(String(await getBalance(BOB, "USDT")), "0.5005");
+});
+
+test("runFundingOnce: settles each pair once per funding time, for positions opened before it", async (t) => {
+  const db = await setup(t, { [ALICE]: 50 });
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-01-01T08:30:00Z") });
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", price: "100.1", indexPrice: "100", indexUpdatedAt: new Date() });
+  const long = await openAt(db);
+  const short = await openAt(db, { user: BOB, direction: "short" });
+  await openAt(db, { user: BOB, createdAt: new Date("2026-01-01T08:10:00Z") });
+
+  const [settled] = await runFundingOnce();
+  assert.deepEqual([settled.pair, settled.fundingTime.toISOString(), settled.rate, settled.status], ["BTC/USDT", FUNDING_TIME.toISOString(), 0.001, "settled"]);
+  assert.deepEqual([settled.positions, String(settled.paidByLongs), String(settled.markPrice)], [2, "2.002", "100.1"]);
+  assert.deepEqual([String(settled.charged), String(settled.collected)], ["1.001", "1.001"]);
+  assert.equal(String(await getBalance(ALICE, "USDT")), "48.999");
+  assert.equal(String(await getBalance(BOB, "USDT")), "1.001");
+  assert.equal(db.doc(FuturesPosition, { _id: long._id }).lastFundingAt.getTime(), FUNDING_TIME.getTime());
+  assert.equal(db.doc(FuturesPosition, { _id: short._id }).lastFundingAt.getTime(), FUNDING_TIME.getTime());
+  assert.equal(db.docs(AuditLog, { action: "futures:funding" }).length, 1);
+
+  assert.deepEqual(await runFundingOnce(), []);
+  assert.equal(db.docs(FundingRate).length, 1);
+  assert.equal(String(await getBalance(ALICE, "USDT")), "48.999");
+});
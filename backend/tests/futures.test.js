@@ -0,0 +1,312 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb, futuresPosition: position } = require("./helpers");
+const AuditLog = require("../models/AuditLog");
+const Coin = require("../models/Coin");
+const FuturesPosition = require("../models/FuturesPosition");
+const LedgerEntry = require("../models/LedgerEntry");
+const User = require("../models/User");
+const { dec } = require("../utils/decimal");
+const { getBalance, postLedgerEntry } = require("../utils/ledger");
+const {
+  markFromPrices, getMarkPrice, positionPnl, maintenanceRateFor, liquidationPriceOf, openPosition, settlePosition, evaluateLiquidations,
+  tpSlUpdate, triggerFor, evaluateTriggers, getFuturesAccount, setMarginMode, adjustMargin
+} = require("../utils/futures");
+
+const USER = "64b000000000000000000001";
+const BOB = "64b000000000000000000002";
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+
+test("markFromPrices: the last price, kept within the band around the index", () => {
+  assert.equal(markFromPrices(dec(103), dec(100)).toFixed(), "103");
+  assert.equal(markFromPrices(dec(120), dec(100)).toFixed(), "105");
+  assert.equal(markFromPrices(dec(80), dec(100)).toFixed(), "95");
+  assert.equal(markFromPrices(dec(80), null).toFixed(), "80");
+});
+
+test("getMarkPrice: from the coins' own prices, clamped to a fresh index only", async (t) => {
+  const db = memoryDb(t);
+  t.mock.timers.enable({ apis: ["Date"], now: T0 });
+  db.insert(Coin, [
+    { symbol: "BTC", name: "Bitcoin", price: "120", indexPrice: "100", indexUpdatedAt: new Date(T0 - 1000) },
+    { symbol: "ETH", name: "Ether", price: "80", indexPrice: "100", indexUpdatedAt: new Date(T0 - 120000) }
+  ]);
+
+  const btc = await getMarkPrice("BTC/USDT");
+  assert.deepEqual([btc.markPrice, btc.lastPrice, btc.indexPrice].map(String), ["105", "120", "100"]);
+  const eth = await getMarkPrice("ETH/USDT");
+  assert.deepEqual([String(eth.markPrice), eth.indexPrice], ["80", null]);
+  assert.equal(await getMarkPrice("XYZ/USDT"), null);
+});
+
+test("positionPnl: linear in the move, rounded down to USDT precision", async (t) => {
+  memoryDb(t);
+  assert.equal((await positionPnl(position(), dec(110))).toFixed(), "100");
+  assert.equal((await positionPnl(position({ direction: "short" }), dec(110))).toFixed(), "-100");
+  assert.equal((await positionPnl(position({ amount: "1", leverage: 1, entryPrice: "3" }), dec(4))).toFixed(), "0.33333333");
+});
+
+async function fund(t, usdt = 1000, futuresMarginMode = "isolated") {
+  const db = memoryDb(t);
+  db.insert(User, [
+    { _id: USER, username: "alice", email: "alice@example.com", password: "x", futuresMarginMode },
+    { _id: BOB, username: "bob", email: "bob@example.com", password: "x" }
+  ]);
+  if (usdt) await postLedgerEntry(USER, "deposit", "USDT", usdt);
+  return db;
+}
+
+// Socket.IO messages sent while the test runs, as [room ("*" for everyone), payload]
+function socketIo(t) {
+  const sent = [];
+  global.io = {
+    emit: (event, payload) => sent.push(["*", payload]),
+    to: (room) => ({ emit: (event, payload) => sent.push([room, payload]) })
+  };
+  t.after(() => delete global.io);
+  return sent;
+}
+
+test("maintenanceRateFor: the rate of the notional's tier", () => {
+  assert.equal(maintenanceRateFor(1000), 0.005);
+  assert.equal(maintenanceRateFor(50000), 0.005);
+  assert.equal(maintenanceRateFor(50001), 0.01);
+  assert.equal(maintenanceRateFor(5e6), 0.05);
+});
+
+test("liquidationPriceOf: where equity at the mark meets the maintenance margin, never below zero", () => {
+  // size 10, margin 100, entry 100, rate 0.5%: (1000 -/+ 100) / (10 * (1 -/+ 0.005))
+  assert.equal(liquidationPriceOf(position()).toFixed(), "90.45226131");
+  assert.equal(liquidationPriceOf(position({ direction: "short" })).toFixed(), "109.45273632");
+  assert.equal(liquidationPriceOf(position({ leverage: 1 })).toFixed(), "0");
+});
+
+test("openPosition: debits the margin and stores the liquidation price, or rejects a short balance", async (t) => {
+  const db = await fund(t);
+  const opened = await openPosition({ user: USER, pair: "BTC/USDT", direction: "long", amount: dec(100), leverage: 10, entryPrice: dec(100) });
+  assert.deepEqual([opened.maintenanceMarginRate, String(opened.liquidationPrice)], [0.005, "90.45226131"]);
+  assert.equal(String(await getBalance(USER, "USDT")), "900");
+  assert.equal(db.doc(LedgerEntry, { subtype: "margin" }).ref, String(opened._id));
+
+  await assert.rejects(openPosition({ user: USER, pair: "BTC/USDT", direction: "long", amount: dec(1000), leverage: 10, entryPrice: dec(100) }), { code: "INSUFFICIENT_BALANCE" });
+  await assert.rejects(openPosition({ user: USER, pair: "BTC/USDT", direction: "long", amount: dec(100), leverage: 200, entryPrice: dec(100) }), { code: "LEVERAGE_TOO_HIGH" });
+  assert.equal(db.docs(FuturesPosition).length, 1);
+});
+
+test("settlePosition: pays back margin + PnL once; a loss is capped at the margin", async (t) => {
+  const db = await fund(t, 0);
+  const [win, loss] = db.insert(FuturesPosition, [position(), position({ direction: "short" })]);
+  const positions = await FuturesPosition.find({}).exec();
+
+  const closed = await settlePosition(positions[0], { price: dec(110) });
+  assert.deepEqual([closed.pnl, closed.payout, closed.deficit].map(String), ["100", "200", "0"]);
+  assert.equal(db.doc(FuturesPosition, { _id: win._id }).status, "closed");
+  await assert.rejects(settlePosition(positions[0], { price: dec(120) }), { code: "POSITION_CLOSED" });
+
+  const lost = await settlePosition(positions[1], { price: dec(120) });
+  assert.deepEqual([lost.pnl, lost.payout, lost.deficit].map(String), ["-100", "0", "100"]);
+  assert.equal(String(db.doc(FuturesPosition, { _id: loss._id }).pnl), "-100");
+  assert.equal(String(await getBalance(USER, "USDT")), "200");
+});
+
+test("settlePosition: a liquidation fee comes out of what is left and is booked against the pair", async (t) => {
+  const db = await fund(t, 0);
+  const [doc] = db.insert(FuturesPosition, position());
+
+  // equity 100 - 90 = 10; fee 0.5% of 10 * 91 = 4.55
+  const result = await settlePosition(await FuturesPosition.findById(doc._id), { price: dec(91), reason: "liquidation", feePct: 0.5 });
+  assert.deepEqual([result.fee, result.payout].map(String), ["4.55", "5.45"]);
+  const fee = db.doc(LedgerEntry, { type: "fee" });
+  assert.deepEqual([fee.subtype, String(fee.amount), fee.meta.pair], ["liquidation_fee", "-4.55", "BTC/USDT"]);
+  assert.equal(String(await getBalance(USER, "USDT")), "5.45");
+});
+
+test("settlePosition: a position opened against user.wallets pays back there, not to the ledger", async (t) => {
+  const db = await fund(t, 0);
+  await User.updateOne({ _id: USER }, { $set: { wallets: [{ coin: "USDT", balance: 5 }] } });
+  db.insert(FuturesPosition, [position({ marginSource: null }), position({ user: BOB, marginSource: null })]);
+  const [alice, bob] = await FuturesPosition.find({}).exec();
+
+  await settlePosition(alice, { price: dec(110) });
+  await settlePosition(bob, { price: dec(95) });
+  assert.deepEqual(db.doc(User, { _id: USER }).wallets.map(w => [w.coin, w.balance]), [["USDT", 205]]);
+  assert.deepEqual(db.doc(User, { _id: BOB }).wallets.map(w => [w.coin, w.balance]), [["USDT", 50]]);
+  assert.equal(db.docs(LedgerEntry).length, 0);
+});
+
+test("evaluateLiquidations: closes positions past their liquidation price at the mark, with the fee", async (t) => {
+  const db = await fund(t, 0);
+  const sent = socketIo(t);
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", price: "91" });
+  const [long, short] = db.insert(FuturesPosition, [
+    position({ maintenanceMarginRate: 0.005, liquidationPrice: "90.45226131" }),
+    position({ direction: "short", maintenanceMarginRate: 0.005, liquidationPrice: "109.45273632" })
+  ]);
+
+  assert.equal((await evaluateLiquidations()).length, 0);
+  await Coin.updateOne({ symbol: "BTC" }, { $set: { price: "90.4" } });
+  const liquidated = await evaluateLiquidations();
+
+  assert.deepEqual(liquidated.map(p => String(p._id)), [String(long._id)]);
+  const stored = db.doc(FuturesPosition, { _id: long._id });
+  // equity 100 - 96 = 4 does not cover 0.5% of the 904 notional, so the fee takes all of it
+  assert.deepEqual([stored.status, String(stored.closedPrice), String(stored.fee)], ["liquidated", "90.4", "4"]);
+  assert.equal(db.doc(FuturesPosition, { _id: short._id }).status, "open");
+  assert.equal(String(await getBalance(USER, "USDT")), "0");
+  assert.equal(db.doc(AuditLog, { action: "futures:liquidation" }).details.markPrice, "90.4");
+  assert.deepEqual(sent.map(([room, e]) => [room, e.type, e.payload.positionId]), [[`user:${USER}`, "futures_liquidation", String(long._id)]]);
+});
+
+test("tpSlUpdate: triggers must sit on the far side of the mark; null clears one", () => {
+  const mark = dec(100);
+  assert.deepEqual(tpSlUpdate({ direction: "long" }, mark, { tp: "110", sl: "95" }), { tp: "110", sl: "95" });
+  assert.deepEqual(tpSlUpdate({ direction: "short" }, mark, { tp: "90", sl: null }), { tp: "90", sl: null });
+  assert.throws(() => tpSlUpdate({ direction: "long" }, mark, { tp: "99" }), { code: "INVALID_TPSL" });
+  assert.throws(() => tpSlUpdate({ direction: "short" }, mark, { sl: "99" }), { code: "INVALID_TPSL" });
+  assert.throws(() => tpSlUpdate({ direction: "long" }, mark, { trailingStop: { callbackRate: 20 } }), { code: "INVALID_TPSL" });
+  assert.deepEqual(tpSlUpdate({ direction: "long" }, mark, { trailingStop: { callbackRate: 2 } }).trailingStop,
+    { callbackRate: 2, activationPrice: null, peakPrice: "100" });
+  assert.deepEqual(tpSlUpdate({ direction: "long" }, mark, { trailingStop: { callbackRate: 2, activationPrice: "105" } }).trailingStop,
+    { callbackRate: 2, activationPrice: "105", peakPrice: null });
+});
+
+test("triggerFor: stop-loss first, then take-profit, then the trailing stop", () => {
+  const long = position({ tp: "110", sl: "95" });
+  assert.equal(triggerFor(long, dec(94)).reason, "stop_loss");
+  assert.equal(triggerFor(long, dec(111)).reason, "take_profit");
+  assert.equal(triggerFor(long, dec(100)).reason, null);
+
+  const trailing = position({ direction: "short", trailingStop: { callbackRate: 2, activationPrice: "95", peakPrice: null } });
+  assert.deepEqual(triggerFor(trailing, dec(96)), { reason: null });
+  assert.equal(triggerFor(trailing, dec(95)).peakPrice.toFixed(), "95");
+  trailing.trailingStop.peakPrice = "90";
+  assert.equal(triggerFor(trailing, dec(91)).reason, null);
+  assert.deepEqual(triggerFor(trailing, dec("91.8")), { reason: "trailing_stop", stopPrice: dec("91.8") });
+});
+
+test("evaluateTriggers: closes crossed positions at the mark and moves trailing stops with it", async (t) => {
+  const db = await fund(t, 0);
+  const sent = socketIo(t);
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", price: "100" });
+  const [tp, trailing, plain] = db.insert(FuturesPosition, [
+    position({ tp: "104" }),
+    position({ trailingStop: { callbackRate: 2, activationPrice: null, peakPrice: "100" } }),
+    position()
+  ]);
+
+  await Coin.updateOne({ symbol: "BTC" }, { $set: { price: "105" } });
+  const closed = await evaluateTriggers();
+  assert.deepEqual(closed.map(p => String(p._id)), [String(tp._id)]);
+  const stored = db.doc(FuturesPosition, { _id: tp._id });
+  assert.deepEqual([stored.status, stored.closeReason, String(stored.closedPrice), String(stored.pnl)], ["closed", "take_profit", "105", "50"]);
+  assert.equal(db.doc(AuditLog, { action: "futures:take_profit" }).details.triggerPrice, "104");
+  assert.deepEqual(sent.map(([room, e]) => [room, e.type, e.payload.reason]), [[`user:${USER}`, "futures_position_update", "take_profit"]]);
+  assert.equal(String(db.doc(FuturesPosition, { _id: trailing._id }).trailingStop.peakPrice), "105");
+
+  await Coin.updateOne({ symbol: "BTC" }, { $set: { price: "102.9" } });
+  assert.deepEqual((await evaluateTriggers()).map(p => String(p._id)), [String(trailing._id)]);
+  assert.equal(db.doc(FuturesPosition, { _id: trailing._id }).closeReason, "trailing_stop");
+  assert.equal(db.doc(FuturesPosition, { _id: plain._id }).status, "open");
+  assert.equal(String(await getBalance(USER, "USDT")), "279");
+});
+
+const open = (fields = {}) => openPosition({ user: USER, pair: "BTC/USDT", direction: "long", amount: dec(100), leverage: 10, entryPrice: dec(100), ...fields });
+
+test("settlePosition: a cross loss beyond the margin comes out of the balance, and past it is a deficit", async (t) => {
+  const db = await fund(t, 1000);
+  await postLedgerEntry(BOB, "deposit", "USDT", 20);
+  db.insert(FuturesPosition, [position({ marginMode: "cross", size: "10" }), position({ user: BOB, marginMode: "cross", size: "10" })]);
+  const [alice, bob] = await FuturesPosition.find({}).exec();
+
+  const covered = await settlePosition(alice, { price: dec(85) });
+  assert.deepEqual([covered.pnl, covered.payout, covered.deficit].map(String), ["-150", "-50", "0"]);
+  assert.equal(String(await getBalance(USER, "USDT")), "950");
+
+  const short = await settlePosition(bob, { price: dec(85), reason: "liquidation", feePct: 0.5 });
+  assert.deepEqual([short.pnl, short.fee, short.deficit].map(String), ["-120", "0", "30"]);
+  assert.equal(String(await getBalance(BOB, "USDT")), "0");
+});
+
+test("openPosition: cross positions store their size, no liquidation price, and count unrealised losses", async (t) => {
+  const db = await fund(t, 1000, "cross");
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", price: "100" });
+  const cross = await open({ marginMode: "cross" });
+  assert.deepEqual([cross.marginMode, String(cross.size), cross.liquidationPrice], ["cross", "10", null]);
+
+  await Coin.updateOne({ symbol: "BTC" }, { $set: { price: "95" } });
+  const account = await getFuturesAccount(USER);
+  assert.deepEqual(
+    [account.balance, account.available, account.crossMargin, account.unrealizedPnl, account.crossEquity, account.crossMaintenanceMargin],
+    ["900", "850", "100", "-50", "950", "4.75"]
+  );
+  await assert.rejects(open({ amount: dec(801), marginMode: "cross" }), { code: "INSUFFICIENT_BALANCE" });
+  assert.equal(db.docs(FuturesPosition).length, 1);
+});
+
+test("openPosition: a cross account must still cover its maintenance margin once the margin is set aside", async (t) => {
+  const db = await fund(t, 100, "cross");
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", price: "100" });
+  await assert.rejects(open({ marginMode: "cross" }), { code: "INSUFFICIENT_MARGIN" });
+  await open({ amount: dec(90), leverage: 5, marginMode: "cross" });
+  assert.equal(String(await getBalance(USER, "USDT")), "10");
+  assert.equal(db.docs(FuturesPosition).length, 1);
+});
+
+test("evaluateLiquidations: a cross account is liquidated once its equity falls to its maintenance margin", async (t) => {
+  const db = await fund(t, 0);
+  await postLedgerEntry(BOB, "deposit", "USDT", 50);
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", price: "90.4" });
+  const [alice, bob] = db.insert(FuturesPosition, [
+    position({ marginMode: "cross", size: "10", maintenanceMarginRate: 0.005 }),
+    position({ user: BOB, marginMode: "cross", size: "10", maintenanceMarginRate: 0.005 })
+  ]);
+
+  // Alice: equity 0 + 100 - 96 = 4 <= 4.52; Bob's balance keeps him at 54
+  const liquidated = await evaluateLiquidations();
+  assert.deepEqual(liquidated.map(p => String(p._id)), [String(alice._id)]);
+  assert.equal(db.doc(FuturesPosition, { _id: bob._id }).status, "open");
+  assert.equal(db.doc(AuditLog, { action: "futures:liquidation" }).details.marginMode, "cross");
+});
+
+test("setMarginMode: only while no position is open", async (t) => {
+  const db = await fund(t, 1000);
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", price: "100" });
+  assert.equal(await setMarginMode(USER, "cross"), "cross");
+  assert.equal(db.doc(User, { _id: USER }).futuresMarginMode, "cross");
+  await assert.rejects(setMarginMode(USER, "portfolio"), { code: "INVALID_MARGIN_MODE" });
+
+  // an open asking for the mode the user had before is turned away
+  await assert.rejects(open(), { code: "MARGIN_MODE_CHANGED" });
+  await open({ marginMode: "cross" });
+  await assert.rejects(setMarginMode(USER, "isolated"), { code: "OPEN_POSITIONS" });
+  assert.equal(db.doc(User, { _id: USER }).futuresMarginMode, "cross");
+});
+
+test("adjustMargin: adds and removes isolated margin down to the initial margin at the mark", async (t) => {
+  const db = await fund(t, 1000);
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", price: "100" });
+  const isolated = await open();
+
+  await assert.rejects(adjustMargin(isolated, "remove", 1), { code: "MARGIN_TOO_LOW" });
+  await adjustMargin(isolated, "add", 50);
+  const stored = db.doc(FuturesPosition, { _id: isolated._id });
+  assert.deepEqual([String(stored.amount), String(stored.liquidationPrice)], ["150", "85.42713568"]);
+  assert.equal(String(await getBalance(USER, "USDT")), "850");
+
+  await assert.rejects(adjustMargin(isolated, "remove", "50.01"), { code: "MARGIN_TOO_LOW" });
+  await adjustMargin(isolated, "remove", 50);
+  assert.equal(String(db.doc(FuturesPosition, { _id: isolated._id }).amount), "100");
+  assert.equal(String(await getBalance(USER, "USDT")), "900");
+
+  const [doc] = db.insert(FuturesPosition, position({ marginMode: "cross", size: "10" }));
+  await assert.rejects(adjustMargin(await FuturesPosition.findById(doc._id), "add", 10), { code: "CROSS_MARGIN" });
+});
+
+test("adjustMargin: a position opened before sizes were stored keeps its size", async (t) => {
+  const db = await fund(t, 1000);
+  const [doc] = db.insert(FuturesPosition, position({ maintenanceMarginRate: 0.005 }));
+  await adjustMargin(await FuturesPosition.findById(doc._id), "add", 50);
+
+  const stored = db.doc(FuturesPosition, { _id: doc._id });
+  assert.deepEqual([String(stored.amount), String(stored.size), String(stored.liquidationPrice)], ["150", "10", "85.42713568"]);
+});
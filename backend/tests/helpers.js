@@ -0,0 +1,645 @@
+/**
+ * Test helpers - an in-memory stand-in for the MongoDB collections behind the models, so
+ * the trading, ledger and price code runs its real queries without a server.
+ *
+ * memoryDb(t) replaces the statics of every registered model, Model.prototype.save,
+ * Model.collection.bulkWrite and mongoose.startSession through t.mock, which puts them back
+ * when the test ends. Like mongoose, filters and updates are cast by the model's schema;
+ * aggregation pipelines and driver calls are not, and go through a BSON round trip so an
+ * uncast value reaches them the way the driver would send it. Sessions run their
+ * transaction against a snapshot that is restored when it throws.
+ */
+const mongoose = require("mongoose");
+
+const { BSON } = mongoose.mongo;
+const { Decimal128, ObjectId } = mongoose.Types;
+
+const isDecimal = (v) => !!v && v._bsontype === "Decimal128";
+const isObjectId = (v) => !!v && v._bsontype === "ObjectId";
+const isPlainObject = (v) => !!v && typeof v === "object" && [Object.prototype, null].includes(Object.getPrototypeOf(v));
+
+// ---- exact decimal arithmetic on strings, for Decimal128 $inc, $sum and $multiply ----
+
+function parseDecimal(value) {
+  const m = /^([+-]?)(\d*)(?:\.(\d*))?(?:e([+-]?\d+))?$/i.exec(String(value).trim());
+  if (!m) return null;
+  let n = BigInt(`${m[2] || ""}${m[3] || ""}` || "0");
+  let scale = (m[3] || "").length - Number(m[4] || 0);
+  if (scale < 0) {
+    n *= 10n ** BigInt(-scale);
+    scale = 0;
+  }
+  return { n: m[1] === "-" ? -n : n, scale };
+}
+
+function aligned(a, b) {
+  const x = parseDecimal(a);
+  const y = parseDecimal(b);
+  const scale = Math.max(x.scale, y.scale);
+  return [x.n * 10n ** BigInt(scale - x.scale), y.n * 10n ** BigInt(scale - y.scale), scale];
+}
+
+function addDecimals(a, b) {
+  const [x, y, scale] = aligned(a, b);
+  const n = x + y;
+  let digits = (n < 0n ? -n : n).toString().padStart(scale + 1, "0");
+  if (scale) digits = `${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+  return `${n < 0n ? "-" : ""}${digits}`;
+}
+
+function multiplyDecimals(a, b) {
+  const x = parseDecimal(a);
+  const y = parseDecimal(b);
+  const n = x.n * y.n;
+  const scale = x.scale + y.scale;
+  let digits = (n < 0n ? -n : n).toString().padStart(scale + 1, "0");
+  if (scale) digits = `${digits.slice(0, -scale)}.${digits.slice(-scale)}`;
+  return `${n < 0n ? "-" : ""}${digits}`;
+}
+
+const isNumeric = (v) => typeof v === "number" || isDecimal(v);
+
+/** Product like MongoDB: a Decimal128 operand makes the result Decimal128. */
+function multiplyValues(a, b) {
+  if (typeof a === "number" && typeof b === "number") return a * b;
+  return Decimal128.fromString(multiplyDecimals(String(a), String(b)));
+}
+
+/** Sum like MongoDB: a Decimal128 operand makes the result Decimal128. */
+function addValues(a, b) {
+  if (a == null) a = 0;
+  if (typeof a === "number" && typeof b === "number") return a + b;
+  return Decimal128.fromString(addDecimals(String(a), String(b)));
+}
+
+// ---- BSON-like ordering ----
+
+function rank(v) {
+  if (v == null) return 0;
+  if (isNumeric(v)) return 1;
+  if (typeof v === "string") return 2;
+  if (isObjectId(v)) return 7;
+  if (typeof v === "boolean") return 8;
+  if (v instanceof Date) return 9;
+  return Array.isArray(v) ? 4 : 3;
+}
+
+function compare(a, b) {
+  const ra = rank(a);
+  const rb = rank(b);
+  if (ra !== rb) return ra - rb;
+  switch (ra) {
+    case 0: return 0;
+    case 1: {
+      const [x, y] = aligned(String(a), String(b));
+      return x < y ? -1 : x > y ? 1 : 0;
+    }
+    case 7: a = a.toHexString(); b = b.toHexString(); break;
+    case 8: case 9: a = Number(a); b = Number(b); break;
+    case 3: case 4: a = BSON.EJSON.stringify(a); b = BSON.EJSON.stringify(b); break;
+    default: break;
+  }
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+const equals = (a, b) => compare(a, b) === 0;
+
+// ---- paths ----
+
+function getPath(doc, path) {
+  return String(path).split(".").reduce((v, key) => (v != null && typeof v === "object" ? v[key] : undefined), doc);
+}
+
+/** Every value a filter on path sees: arrays are searched element by element. */
+function valuesAt(doc, path) {
+  let current = [doc];
+  for (const key of String(path).split(".")) {
+    const next = [];
+    current.forEach(v => {
+      if (Array.isArray(v) && !/^\d+$/.test(key)) v.forEach(e => next.push(e != null && typeof e === "object" ? e[key] : undefined));
+      else next.push(v != null && typeof v === "object" ? v[key] : undefined);
+    });
+    current = next;
+  }
+  return current.flatMap(v => (Array.isArray(v) ? [v, ...v] : [v]));
+}
+
+function setPath(doc, path, value) {
+  const keys = String(path).split(".");
+  const last = keys.pop();
+  const parent = keys.reduce((v, key) => {
+    if (v[key] == null || typeof v[key] !== "object") v[key] = {};
+    return v[key];
+  }, doc);
+  parent[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = String(path).split(".");
+  const last = keys.pop();
+  const parent = getPath(doc, keys.join(".")) ?? (keys.length ? undefined : doc);
+  if (parent && typeof parent === "object") delete parent[last];
+}
+
+function clone(v) {
+  if (Array.isArray(v)) return v.map(clone);
+  if (isPlainObject(v)) return Object.fromEntries(Object.entries(v).map(([k, e]) => [k, clone(e)]));
+  return v;
+}
+
+// ---- filters ----
+
+const isOperatorObject = (v) => isPlainObject(v) && Object.keys(v).length > 0 && Object.keys(v).every(k => k.startsWith("$"));
+
+function testOperator(op, values, arg, cond) {
+  switch (op) {
+    case "$eq": return values.some(v => equals(v, arg));
+    case "$ne": return !values.some(v => equals(v, arg));
+    case "$in": return values.some(v => arg.some(a => (a instanceof RegExp ? typeof v === "string" && a.test(v) : equals(v, a))));
+    case "$nin": return !testOperator("$in", values, arg);
+    case "$gt": return values.some(v => rank(v) === rank(arg) && compare(v, arg) > 0);
+    case "$gte": return values.some(v => rank(v) === rank(arg) && compare(v, arg) >= 0);
+    case "$lt": return values.some(v => rank(v) === rank(arg) && compare(v, arg) < 0);
+    case "$lte": return values.some(v => rank(v) === rank(arg) && compare(v, arg) <= 0);
+    case "$exists": return arg ? values.some(v => v !== undefined) : values.every(v => v === undefined);
+    case "$regex": {
+      const re = arg instanceof RegExp ? arg : new RegExp(arg, cond.$options || "");
+      return values.some(v => typeof v === "string" && re.test(v));
+    }
+    case "$options": return true;
+    case "$not": return !Object.entries(arg).every(([o, a]) => testOperator(o, values, a, arg));
+    case "$size": return values.some(v => Array.isArray(v) && v.length === arg);
+    case "$elemMatch": return values.some(v => Array.isArray(v) && v.some(e => matches(e, arg)));
+    default: throw new Error(`memoryDb: unsupported query operator ${op}`);
+  }
+}
+
+function matches(doc, filter) {
+  return Object.entries(filter || {}).every(([key, cond]) => {
+    if (key === "$and") return cond.every(f => matches(doc, f));
+    if (key === "$or") return cond.some(f => matches(doc, f));
+    if (key === "$nor") return !cond.some(f => matches(doc, f));
+    if (key === "$expr") return !!evaluate(cond, doc);
+    const values = valuesAt(doc, key);
+    if (cond instanceof RegExp) return values.some(v => typeof v === "string" && cond.test(v));
+    if (isOperatorObject(cond)) return Object.entries(cond).every(([op, arg]) => testOperator(op, values, arg, cond));
+    return values.some(v => equals(v, cond));
+  });
+}
+
+/**
+ * Sort like an index scan: ties fall back to insertion order in the direction of the
+ * last key, so a descending sort on a timestamp returns the newest of equal stamps.
+ */
+function sortDocs(docs, spec) {
+  if (!spec) return docs;
+  const keys = typeof spec === "string"
+    ? spec.split(/\s+/).filter(Boolean).map(k => (k.startsWith("-") ? [k.slice(1), -1] : [k, 1]))
+    : Object.entries(spec).map(([k, dir]) => [k, dir === "desc" || dir === "descending" || Number(dir) < 0 ? -1 : 1]);
+  if (!keys.length) return docs;
+  const tieBreak = keys[keys.length - 1][1];
+  return docs
+    .map((doc, index) => ({ doc, index }))
+    .sort((a, b) => {
+      for (const [key, dir] of keys) {
+        const c = compare(getPath(a.doc, key), getPath(b.doc, key));
+        if (c) return c * dir;
+      }
+      return (a.index - b.index) * tieBreak;
+    })
+    .map(e => e.doc);
+}
+
+// ---- aggregation expressions ----
+
+function evaluate(expr, doc) {
+  if (expr === "$$NOW") return new Date();
+  if (typeof expr === "string" && expr.startsWith("$")) return getPath(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map(e => evaluate(e, doc));
+  if (!isPlainObject(expr)) return expr;
+  const [op, ...rest] = Object.keys(expr);
+  if (!op || rest.length || !op.startsWith("$")) {
+    return Object.fromEntries(Object.entries(expr).map(([k, e]) => [k, evaluate(e, doc)]));
+  }
+  if (op === "$literal") return expr.$literal;
+  const args = [].concat(expr[op]).map(a => evaluate(a, doc));
+  switch (op) {
+    case "$ifNull": return args.find(a => a != null) ?? null;
+    case "$max": return args.filter(a => a != null).reduce((m, a) => (m == null || compare(a, m) > 0 ? a : m), null);
+    case "$min": return args.filter(a => a != null).reduce((m, a) => (m == null || compare(a, m) < 0 ? a : m), null);
+    case "$add": {
+      // a date plus milliseconds is a date
+      if (!args.some(a => a instanceof Date)) return args.reduce(addValues, 0);
+      return args.some(a => a == null) ? null : new Date(args.reduce((sum, a) => sum + Number(a), 0));
+    }
+    case "$multiply": return args.some(a => a == null) ? null : args.reduce(multiplyValues, 1);
+    case "$subtract": return args.some(a => a == null) ? null : Number(args[0]) - Number(args[1]);
+    case "$eq": return equals(args[0], args[1]);
+    case "$ne": return !equals(args[0], args[1]);
+    case "$lt": return compare(args[0], args[1]) < 0;
+    case "$lte": return compare(args[0], args[1]) <= 0;
+    case "$gt": return compare(args[0], args[1]) > 0;
+    case "$gte": return compare(args[0], args[1]) >= 0;
+    case "$cond": return args[0] ? args[1] : args[2];
+    default: throw new Error(`memoryDb: unsupported expression ${op}`);
+  }
+}
+
+const accumulators = {
+  $sum: (values) => values.filter(isNumeric).reduce(addValues, 0),
+  $first: (values) => (values.length ? values[0] : null),
+  $last: (values) => (values.length ? values[values.length - 1] : null),
+  $max: (values) => evaluate({ $max: values.map(v => ({ $literal: v })) }, {}),
+  $min: (values) => evaluate({ $min: values.map(v => ({ $literal: v })) }, {}),
+  $push: (values) => values,
+  $addToSet: (values) => values.filter((v, i) => values.findIndex(o => equals(o, v)) === i)
+};
+
+function group(docs, spec) {
+  const groups = [];
+  docs.forEach(doc => {
+    const id = evaluate(spec._id, doc) ?? null;
+    let g = groups.find(e => equals(e.id, id));
+    if (!g) groups.push(g = { id, docs: [] });
+    g.docs.push(doc);
+  });
+  return groups.map(({ id, docs: members }) => {
+    const row = { _id: id };
+    Object.entries(spec).filter(([k]) => k !== "_id").forEach(([field, acc]) => {
+      const [op] = Object.keys(acc);
+      if (!accumulators[op]) throw new Error(`memoryDb: unsupported accumulator ${op}`);
+      row[field] = accumulators[op](members.map(d => evaluate(acc[op], d)));
+    });
+    return row;
+  });
+}
+
+function project(doc, spec) {
+  const entries = Object.entries(spec);
+  const inclusive = entries.some(([k, v]) => k !== "_id" && v !== 0 && v !== false);
+  if (!inclusive) {
+    const out = clone(doc);
+    entries.forEach(([k]) => unsetPath(out, k));
+    return out;
+  }
+  const out = spec._id === 0 || spec._id === false ? {} : { _id: doc._id };
+  entries.filter(([k, v]) => k !== "_id" || (v !== 0 && v !== false && v !== 1 && v !== true)).forEach(([k, v]) => {
+    setPath(out, k, v === 1 || v === true ? getPath(doc, k) : evaluate(v, doc));
+  });
+  return out;
+}
+
+/** Round trip through BSON, as an uncast value would travel to the server. */
+function wire(value) {
+  return BSON.deserialize(BSON.serialize({ value })).value;
+}
+
+function aggregate(docs, pipeline) {
+  return wire(pipeline).reduce((rows, stage) => {
+    const [name] = Object.keys(stage);
+    const arg = stage[name];
+    switch (name) {
+      case "$match": return rows.filter(d => matches(d, arg));
+      case "$sort": return sortDocs(rows, arg);
+      case "$limit": return rows.slice(0, arg);
+      case "$skip": return rows.slice(arg);
+      case "$group": return group(rows, arg);
+      case "$project": return rows.map(d => project(d, arg));
+      case "$addFields":
+      case "$set": return rows.map(d => {
+        const out = clone(d);
+        Object.entries(arg).forEach(([k, e]) => setPath(out, k, evaluate(e, d)));
+        return out;
+      });
+      case "$count": return rows.length ? [{ [arg]: rows.length }] : [];
+      default: throw new Error(`memoryDb: unsupported stage ${name}`);
+    }
+  }, docs.map(clone));
+}
+
+// ---- updates ----
+
+/** Resolve a positional "a.$.b" path to the index the filter matched on "a.*". */
+function positional(path, doc, filter) {
+  if (!path.includes(".$")) return path;
+  const [arrayPath] = path.split(".$");
+  const [key, cond] = Object.entries(filter || {}).find(([k]) => k.startsWith(`${arrayPath}.`)) || [];
+  const items = getPath(doc, arrayPath) || [];
+  const index = key ? items.findIndex(item => matches(item, { [key.slice(arrayPath.length + 1)]: cond })) : -1;
+  if (index < 0) throw new Error(`memoryDb: positional update ${path} matched no element`);
+  return path.replace(".$", `.${index}`);
+}
+
+function applyUpdate(doc, update, { filter, inserting }) {
+  if (Array.isArray(update)) {
+    update.forEach(stage => {
+      const [name] = Object.keys(stage);
+      if (name !== "$set" && name !== "$addFields") throw new Error(`memoryDb: unsupported update stage ${name}`);
+      const before = clone(doc);
+      Object.entries(stage[name]).forEach(([k, e]) => setPath(doc, k, evaluate(e, before)));
+    });
+    return;
+  }
+  Object.entries(update).forEach(([op, fields]) => {
+    if (!op.startsWith("$")) return setPath(doc, op, fields);
+    Object.entries(fields || {}).forEach(([rawPath, value]) => {
+      const path = positional(rawPath, doc, filter);
+      const current = getPath(doc, path);
+      switch (op) {
+        case "$set": return setPath(doc, path, value);
+        case "$setOnInsert": return inserting && setPath(doc, path, value);
+        case "$unset": return unsetPath(doc, path);
+        case "$inc": return setPath(doc, path, addValues(current, value));
+        case "$min": return (current == null || compare(value, current) < 0) && setPath(doc, path, value);
+        case "$max": return (current == null || compare(value, current) > 0) && setPath(doc, path, value);
+        case "$push": {
+          const items = isPlainObject(value) && value.$each ? value.$each : [value];
+          const list = [...(current || []), ...items];
+          const slice = isPlainObject(value) ? value.$slice : undefined;
+          if (slice == null) return setPath(doc, path, list);
+          return setPath(doc, path, slice < 0 ? list.slice(slice) : list.slice(0, slice));
+        }
+        case "$pull": return setPath(doc, path, (current || []).filter(v => !(isPlainObject(value) ? matches(v, value) : equals(v, value))));
+        default: throw new Error(`memoryDb: unsupported update operator ${op}`);
+      }
+    });
+  });
+}
+
+/** Equality conditions of a filter, which an upsert copies into the new document. */
+function seedFromFilter(filter) {
+  const doc = {};
+  Object.entries(filter || {}).forEach(([k, v]) => {
+    if (k.startsWith("$")) return;
+    if (isOperatorObject(v)) {
+      if ("$eq" in v) setPath(doc, k, v.$eq);
+      return;
+    }
+    setPath(doc, k, v);
+  });
+  return doc;
+}
+
+// ---- query objects ----
+
+class MemoryQuery {
+  constructor(run) {
+    this.run = run;
+    this.options = {};
+  }
+
+  sort(spec) { this.options.sort = spec; return this; }
+
+  skip(n) { this.options.skip = n; return this; }
+
+  limit(n) { this.options.limit = n; return this; }
+
+  lean(value = true) { this.options.lean = value; return this; }
+
+  select() { return this; }
+
+  session() { return this; }
+
+  populate() { return this; }
+
+  option() { return this; }
+
+  allowDiskUse() { return this; }
+
+  exec() {
+    return Promise.resolve().then(() => this.run(this.options));
+  }
+
+  then(resolve, reject) {
+    return this.exec().then(resolve, reject);
+  }
+
+  catch(reject) {
+    return this.exec().catch(reject);
+  }
+}
+
+function page(docs, { sort, skip, limit } = {}) {
+  const sorted = sortDocs(docs, sort);
+  return sorted.slice(skip || 0, limit ? (skip || 0) + limit : undefined);
+}
+
+function duplicateKey(Model, fields) {
+  const err = new Error(`E11000 duplicate key error collection: ${Model.collection.collectionName} index: ${Object.keys(fields).join("_")}`);
+  err.code = 11000;
+  return err;
+}
+
+function timestampPaths(Model) {
+  const ts = Model.schema.options.timestamps;
+  if (!ts) return null;
+  const name = (value, fallback) => (value === false ? null : typeof value === "string" ? value : fallback);
+  return { createdAt: name(ts.createdAt, "createdAt"), updatedAt: name(ts.updatedAt, "updatedAt") };
+}
+
+/**
+ * Replace the statics of every registered model with an in-memory collection for the
+ * duration of test t.
+ * @returns {Object} db - { insert(Model, docs), docs(Model, filter), doc(Model, filter) }
+ *   to seed and inspect the collections (lean documents)
+ */
+function memoryDb(t) {
+  let collections = new Map();
+  const docsOf = (Model) => {
+    if (!collections.has(Model.modelName)) collections.set(Model.modelName, []);
+    return collections.get(Model.modelName);
+  };
+
+  const castFilter = (Model, filter) => mongoose.Model.find.call(Model, filter || {}).cast(Model);
+  const castDoc = (Model, doc) => new Model(doc).toObject({ depopulate: true, virtuals: false, getters: false });
+  const found = (Model, filter) => docsOf(Model).filter(d => matches(d, castFilter(Model, filter)));
+  const output = (Model, docs, lean) => docs.map(d => (lean ? clone(d) : Model.hydrate(clone(d))));
+
+  function checkUnique(Model, doc, others) {
+    const indexes = [[{ _id: 1 }, { unique: true }], ...Model.schema.indexes().filter(([, o]) => o && o.unique)];
+    indexes.forEach(([fields, opts]) => {
+      const paths = Object.keys(fields);
+      const indexed = (d) => (!opts.partialFilterExpression || matches(d, opts.partialFilterExpression))
+        && !(opts.sparse && paths.every(p => getPath(d, p) === undefined));
+      if (!indexed(doc)) return;
+      if (others.some(o => indexed(o) && paths.every(p => equals(getPath(o, p), getPath(doc, p))))) throw duplicateKey(Model, fields);
+    });
+  }
+
+  function put(Model, doc, { cast = true } = {}) {
+    const stored = cast ? castDoc(Model, doc) : doc;
+    if (stored._id === undefined) stored._id = new ObjectId();
+    const list = docsOf(Model);
+    const index = list.findIndex(d => equals(d._id, stored._id));
+    checkUnique(Model, stored, list.filter((_, i) => i !== index));
+    if (index >= 0) list[index] = stored;
+    else list.push(stored);
+    return stored;
+  }
+
+  function insert(Model, doc, opts) {
+    const paths = timestampPaths(Model);
+    const now = new Date();
+    if (paths) {
+      if (paths.createdAt && doc[paths.createdAt] == null) doc = { ...doc, [paths.createdAt]: now };
+      if (paths.updatedAt && doc[paths.updatedAt] == null) doc = { ...doc, [paths.updatedAt]: now };
+    }
+    const ids = docsOf(Model).map(d => d._id);
+    if (doc._id !== undefined && ids.some(id => equals(id, doc._id))) throw duplicateKey(Model, { _id: 1 });
+    return put(Model, doc, opts);
+  }
+
+  function update(Model, filter, changes, { multi = false, upsert = false, cast = true } = {}) {
+    const cond = cast ? castFilter(Model, filter) : filter;
+    const targets = docsOf(Model).filter(d => matches(d, cond));
+    const paths = cast && timestampPaths(Model);
+    const results = [];
+    for (const target of multi ? targets : targets.slice(0, 1)) {
+      const next = clone(target);
+      applyUpdate(next, changes, { filter: cond });
+      if (paths && paths.updatedAt && !Array.isArray(changes)) next[paths.updatedAt] = new Date();
+      const stored = put(Model, next, { cast });
+      results.push({ before: target, after: stored, modified: !equals(target, stored) });
+    }
+    if (!targets.length && upsert) {
+      const next = seedFromFilter(cond);
+      applyUpdate(next, changes, { filter: cond, inserting: true });
+      const stored = insert(Model, next, { cast });
+      return { matchedCount: 0, modifiedCount: 0, upsertedCount: 1, upsertedId: stored._id, results: [{ before: null, after: stored }] };
+    }
+    return { matchedCount: results.length, modifiedCount: results.filter(r => r.modified).length, upsertedCount: 0, results };
+  }
+
+  const counts = ({ results, ...rest }) => ({ acknowledged: true, ...rest });
+
+  function bulk(Model, ops, { cast }) {
+    const result = { insertedCount: 0, matchedCount: 0, modifiedCount: 0, upsertedCount: 0, deletedCount: 0 };
+    (cast ? ops : wire(ops)).forEach(op => {
+      const [name] = Object.keys(op);
+      const arg = op[name];
+      if (name === "insertOne") {
+        insert(Model, arg.document, { cast });
+        result.insertedCount += 1;
+      } else if (name === "updateOne" || name === "updateMany") {
+        const r = update(Model, arg.filter, arg.update, { multi: name === "updateMany", upsert: arg.upsert, cast });
+        result.matchedCount += r.matchedCount;
+        result.modifiedCount += r.modifiedCount;
+        result.upsertedCount += r.upsertedCount;
+      } else if (name === "deleteOne" || name === "deleteMany") {
+        result.deletedCount += remove(Model, arg.filter, { multi: name === "deleteMany", cast });
+      } else {
+        throw new Error(`memoryDb: unsupported bulk operation ${name}`);
+      }
+    });
+    return result;
+  }
+
+  function remove(Model, filter, { multi = false, cast = true } = {}) {
+    const cond = cast ? castFilter(Model, filter) : filter;
+    const list = docsOf(Model);
+    const doomed = list.filter(d => matches(d, cond)).slice(0, multi ? undefined : 1);
+    collections.set(Model.modelName, list.filter(d => !doomed.includes(d)));
+    return doomed.length;
+  }
+
+  function created(Model, docs) {
+    return docs.map(doc => {
+      const instance = doc instanceof Model ? doc : new Model(doc);
+      const err = instance.validateSync();
+      if (err) throw err;
+      return Model.hydrate(clone(insert(Model, instance.toObject({ depopulate: true }))));
+    });
+  }
+
+  mongoose.modelNames().map(name => mongoose.model(name)).forEach(Model => {
+    const mock = (name, fn) => t.mock.method(Model, name, fn);
+
+    mock("find", (filter) => Object.assign(
+      new MemoryQuery(o => output(Model, page(found(Model, filter), o), o.lean)),
+      { distinct: (field) => Model.distinct(field, filter) }
+    ));
+    mock("findOne", (filter) => new MemoryQuery(o => output(Model, page(found(Model, filter), { ...o, limit: 1 }), o.lean)[0] || null));
+    mock("findById", (id) => Model.findOne({ _id: id }));
+    mock("exists", (filter) => new MemoryQuery(() => {
+      const [doc] = found(Model, filter);
+      return doc ? { _id: doc._id } : null;
+    }));
+    mock("countDocuments", (filter) => new MemoryQuery(() => found(Model, filter).length));
+    mock("distinct", (field, filter) => new MemoryQuery(() => {
+      const values = found(Model, filter).flatMap(d => valuesAt(d, field).filter(v => v !== undefined && !Array.isArray(v)));
+      return values.filter((v, i) => values.findIndex(o => equals(o, v)) === i);
+    }));
+    mock("create", async (docs) => {
+      const list = created(Model, [].concat(docs));
+      return Array.isArray(docs) ? list : list[0];
+    });
+    mock("insertMany", async (docs) => created(Model, [].concat(docs)));
+    mock("updateOne", (filter, changes, opts = {}) => new MemoryQuery(() => counts(update(Model, filter, changes, opts))));
+    mock("updateMany", (filter, changes, opts = {}) => new MemoryQuery(() => counts(update(Model, filter, changes, { ...opts, multi: true }))));
+    mock("findOneAndUpdate", (filter, changes, opts = {}) => new MemoryQuery(o => {
+      const ordered = opts.sort ? page(found(Model, filter), { sort: opts.sort, limit: 1 }) : null;
+      const target = ordered ? (ordered[0] ? { _id: ordered[0]._id } : filter) : filter;
+      const [result] = update(Model, target, changes, opts).results;
+      if (!result) return null;
+      const after = opts.new || opts.returnDocument === "after" || opts.returnOriginal === false;
+      const doc = after ? result.after : result.before;
+      return doc && output(Model, [doc], o.lean || opts.lean)[0];
+    }));
+    mock("findByIdAndUpdate", (id, changes, opts) => Model.findOneAndUpdate({ _id: id }, changes, opts));
+    mock("deleteOne", (filter) => new MemoryQuery(() => ({ acknowledged: true, deletedCount: remove(Model, filter) })));
+    mock("deleteMany", (filter) => new MemoryQuery(() => ({ acknowledged: true, deletedCount: remove(Model, filter, { multi: true }) })));
+    mock("aggregate", (pipeline) => new MemoryQuery(() => aggregate(docsOf(Model), pipeline)));
+    mock("bulkWrite", async (ops) => bulk(Model, ops, { cast: true }));
+    t.mock.method(Model.collection, "bulkWrite", async (ops) => bulk(Model, ops, { cast: false }));
+    t.mock.method(Model.prototype, "save", async function save() {
+      const err = this.validateSync();
+      if (err) throw err;
+      const doc = this.toObject({ depopulate: true });
+      if (this.isNew) insert(Model, doc);
+      else put(Model, doc);
+      this.isNew = false;
+      return this;
+    });
+  });
+
+  t.mock.method(mongoose, "startSession", async () => ({
+    async withTransaction(fn) {
+      const snapshot = new Map([...collections].map(([name, list]) => [name, list.slice()]));
+      try {
+        return await fn(this);
+      } catch (err) {
+        collections = snapshot;
+        throw err;
+      }
+    },
+    async endSession() {}
+  }));
+
+  return {
+    insert: (Model, docs) => [].concat(docs).map(doc => clone(insert(Model, doc))),
+    docs: (Model, filter) => found(Model, filter).map(clone),
+    doc: (Model, filter) => clone(found(Model, filter)[0] || null)
+  };
+}
+
+/**
+ * Fields of an open futures position: margin 100 from the USDT ledger at 10x from 100, so
+ * size 10 and notional 1000. overrides replace any of them.
+ */
+function futuresPosition(overrides = {}) {
+  return {
+    user: "64b000000000000000000001",
+    pair: "BTC/USDT",
+    direction: "long",
+    amount: "100",
+    leverage: 10,
+    entryPrice: "100",
+    marginSource: "ledger",
+    ...overrides
+  };
+}
+
+module.exports = {
+  memoryDb,
+  futuresPosition
+};
@@ -0,0 +1,113 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb } = require("./helpers");
+const Coin = require("../models/Coin");
+const IndexPrice = require("../models/IndexPrice");
+const binance = require("../utils/priceProviders/binance");
+const coingecko = require("../utils/priceProviders/coingecko");
+const file = require("../utils/priceProviders/file");
+const { dec } = require("../utils/decimal");
+const {
+  weightedMedian, runIndexOnce, getIndexPrice, getPairIndexPrice, getLatestIndex
+} = require("../utils/indexPrice");
+
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+const sources = [{ provider: "binance", weight: 2 }, { provider: "coingecko", weight: 1 }, { provider: "file", weight: 1 }];
+
+function quote(t, provider, prices) {
+  return t.mock.method(provider, "fetchPrices", async (coins) =>
+    Object.fromEntries(coins.filter(c => prices[c.symbol] != null).map(c => [c.symbol, prices[c.symbol]])));
+}
+
+test("weightedMedian: the price where half the weight is reached", () => {
+  const items = (...pairs) => pairs.map(([price, weight]) => ({ price: dec(price), weight }));
+  assert.equal(weightedMedian(items([3, 1], [1, 1], [2, 1])).toFixed(), "2");
+  assert.equal(weightedMedian(items([1, 3], [2, 1], [10, 1])).toFixed(), "1");
+  assert.equal(weightedMedian(items([1, 1], [2, 1])).toFixed(), "1.5");
+});
+
+test("runIndexOnce: outliers are left out and the rest weighted; the coin carries the latest value", async (t) => {
+  const db = memoryDb(t);
+  db.insert(Coin, { symbol: "IDX1", name: "Index one", price: "99", indexSources: sources });
+  quote(t, binance, { IDX1: "100" });
+  quote(t, coingecko, { IDX1: "101" });
+  quote(t, file, { IDX1: "120" });
+
+  const [result] = await runIndexOnce(T0);
+  assert.deepEqual([result.method, result.price.toFixed()], ["weighted_median", "100"]);
+  assert.deepEqual(result.constituents.map(c => [c.source, c.status]), [["binance", "included"], ["coingecko", "included"], ["file", "outlier"]]);
+
+  const stored = await getLatestIndex("idx1");
+  assert.equal(String(stored.price), "100");
+  assert.equal(stored.constituents[2].deviationPct, 18.8119);
+  const coin = db.doc(Coin, { symbol: "IDX1" });
+  assert.deepEqual([String(coin.indexPrice), coin.indexUpdatedAt.getTime()], ["100", T0]);
+});
+
+test("runIndexOnce: a source that stopped quoting drops out once its quote is stale", async (t) => {
+  memoryDb(t).insert(Coin, { symbol: "IDX2", name: "Index two", indexSources: sources.slice(0, 2) });
+  t.mock.timers.enable({ apis: ["Date"], now: T0 });
+  const binanceQuote = quote(t, binance, { IDX2: "100" });
+  quote(t, coingecko, { IDX2: "102" });
+  await runIndexOnce();
+
+  binanceQuote.mock.mockImplementation(async () => ({}));
+  t.mock.timers.tick(30000);
+  const [soon] = await runIndexOnce();
+  assert.deepEqual(soon.constituents.map(c => c.status), ["included", "included"]);
+  t.mock.timers.tick(31000);
+  const [later] = await runIndexOnce();
+  assert.deepEqual(later.constituents.map(c => c.status), ["stale", "included"]);
+  assert.equal(later.price.toFixed(), "102");
+});
+
+test("runIndexOnce: reuses recent provider quotes and throttles coin and history writes", async (t) => {
+  const db = memoryDb(t);
+  db.insert(Coin, { symbol: "IDX3", name: "Index three", indexSources: sources.slice(0, 1) });
+  t.mock.timers.enable({ apis: ["Date"], now: T0 });
+  const binanceQuote = quote(t, binance, { IDX3: "100" });
+  const bulkWrite = t.mock.method(Coin, "bulkWrite", async () => ({}));
+  await runIndexOnce();
+  assert.equal(binanceQuote.mock.callCount(), 1);
+  assert.equal(bulkWrite.mock.callCount(), 1);
+  assert.equal(db.docs(IndexPrice).length, 1);
+
+  t.mock.timers.tick(10000);
+  await runIndexOnce();
+  assert.equal(binanceQuote.mock.callCount(), 1, "a quote younger than INDEX_REFRESH_MS is reused");
+  assert.equal(bulkWrite.mock.callCount(), 1, "an unchanged index is not rewritten");
+  assert.equal(db.docs(IndexPrice).length, 1);
+
+  t.mock.timers.tick(20000);
+  await runIndexOnce();
+  assert.equal(binanceQuote.mock.callCount(), 2);
+  assert.equal(bulkWrite.mock.callCount(), 2, "kept fresh every INDEX_MAX_AGE_MS / 2");
+  assert.equal(db.docs(IndexPrice).length, 1, "history only when the value changed");
+});
+
+test("runIndexOnce: internally driven coins index at the price service's price", async (t) => {
+  const db = memoryDb(t);
+  db.insert(Coin, [
+    { symbol: "SIM", name: "Simulated", price: "12.5", isCustom: true, lastPriceSource: "simulation:gbm" },
+    { symbol: "USDT", name: "Tether", price: "1" }
+  ]);
+  const results = await runIndexOnce(T0);
+  assert.deepEqual(results.map(r => [r.symbol, r.method, r.price.toFixed(), r.constituents[0].source]), [["SIM", "internal", "12.5", "internal:simulation:gbm"]]);
+  assert.equal(db.docs(IndexPrice).length, 1);
+});
+
+test("getIndexPrice: only a recent index counts, and pairs divide their sides' indexes", async (t) => {
+  const db = memoryDb(t);
+  t.mock.timers.enable({ apis: ["Date"], now: T0 });
+  db.insert(Coin, [
+    { symbol: "BTC", name: "Bitcoin", indexPrice: "60000", indexUpdatedAt: new Date(T0 - 30000) },
+    { symbol: "ETH", name: "Ether", indexPrice: "3000", indexUpdatedAt: new Date(T0 - 30000) },
+    { symbol: "OLD", name: "Old", indexPrice: "5", indexUpdatedAt: new Date(T0 - 61000) }
+  ]);
+
+  assert.equal((await getIndexPrice("btc")).toFixed(), "60000");
+  assert.equal((await getIndexPrice("USDT")).toFixed(), "1");
+  assert.equal(await getIndexPrice("OLD"), null);
+  assert.equal((await getPairIndexPrice("BTC", "ETH")).toFixed(), "20");
+  assert.equal(await getPairIndexPrice("OLD", "USDT"), null);
+});
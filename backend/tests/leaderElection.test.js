@@ -0,0 +1,89 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+process.env.NODE_ID = "node-a";
+process.env.LEADER_LEASE_TTL_MS = "3000";
+delete process.env.REDIS_URL;
+
+const { memoryDb } = require("./helpers");
+const LeaderLease = require("../models/LeaderLease");
+const { startLeaderElection, getLeaderStatus, isLeader } = require("../utils/leaderElection");
+
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+
+// let the pending lease round trip finish
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function setup(t, leases = []) {
+  const db = memoryDb(t);
+  db.insert(LeaderLease, leases);
+  t.mock.timers.enable({ apis: ["Date", "setInterval"], now: T0 });
+  t.mock.method(console, "log", () => {});
+  t.mock.method(console, "warn", () => {});
+  const events = [];
+  const stop = startLeaderElection({ onElected: () => events.push("elected"), onDemoted: () => events.push("demoted") });
+  t.after(stop);
+  return { db, events, stop };
+}
+
+async function advance(t, ms) {
+  for (let i = 0; i < ms / 1000; i++) {
+    t.mock.timers.tick(1000);
+    await settle();
+  }
+}
+
+test("startLeaderElection: a lone node takes the lease and keeps renewing it", async (t) => {
+  const { db, events } = setup(t);
+  await settle();
+
+  assert.equal(isLeader(), true);
+  assert.deepEqual(events, ["elected"]);
+  const status = getLeaderStatus();
+  assert.deepEqual([status.nodeId, status.backend, status.leader], ["node-a", "mongo", "node-a"]);
+
+  await advance(t, 5000);
+  const lease = db.doc(LeaderLease, { _id: "price-engine" });
+  assert.equal(lease.expiresAt.getTime(), T0 + 5000 + 3000);
+  assert.equal(lease.acquiredAt.getTime(), T0);
+  assert.deepEqual(events, ["elected"]);
+});
+
+test("startLeaderElection: a follower takes over once the other node's lease expires", async (t) => {
+  const { db, events } = setup(t, [{ _id: "price-engine", holder: "node-b", acquiredAt: new Date(T0), expiresAt: new Date(T0 + 2500) }]);
+  await settle();
+
+  assert.equal(isLeader(), false);
+  assert.equal(getLeaderStatus().leader, "node-b");
+  await advance(t, 2000);
+  assert.equal(isLeader(), false);
+  await advance(t, 1000);
+  assert.equal(isLeader(), true);
+  assert.deepEqual(events, ["elected"]);
+  assert.equal(db.doc(LeaderLease, { _id: "price-engine" }).holder, "node-a");
+});
+
+test("startLeaderElection: a leader that cannot renew steps down before its lease can expire", async (t) => {
+  const { events } = setup(t);
+  await settle();
+  t.mock.method(LeaderLease, "findOneAndUpdate", () => {
+    throw new Error("connection lost");
+  });
+
+  await advance(t, 1000);
+  assert.equal(isLeader(), true);
+  await advance(t, 2000);
+  assert.equal(isLeader(), false);
+  assert.deepEqual(events, ["elected", "demoted"]);
+  assert.equal(getLeaderStatus().lastError, "connection lost");
+});
+
+test("stop: the leader releases the lease so another node can take it at once", async (t) => {
+  const { db, events, stop } = setup(t);
+  await settle();
+  stop();
+  await settle();
+
+  assert.deepEqual(events, ["elected", "demoted"]);
+  assert.equal(db.doc(LeaderLease, { _id: "price-engine" }).expiresAt.getTime(), T0);
+});
@@ -0,0 +1,96 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { memoryDb } = require("./helpers");
+const Coin = require("../models/Coin");
+const LedgerEntry = require("../models/LedgerEntry");
+const {
+  getBalance, getAllBalances, postLedgerEntry, postLedgerTransaction, checkTransactionSupport
+} = require("../utils/ledger");
+const { clearPrecisionCache } = require("../utils/decimal");
+
+const ALICE = "64b000000000000000000001";
+const BOB = "64b000000000000000000002";
+
+const leg = (userId, coin, delta) => ({ userId, type: "trade", coin, delta, subtype: "fill" });
+
+test("postLedgerTransaction: legs commit together or not at all", async (t) => {
+  const db = memoryDb(t);
+  await postLedgerEntry(ALICE, "deposit", "USDT", 100);
+
+  await assert.rejects(postLedgerTransaction([leg(BOB, "USDT", 50), leg(ALICE, "USDT", -150)]), /Insufficient balance/);
+  assert.equal(String(await getBalance(BOB, "USDT")), "0");
+  assert.equal(db.docs(LedgerEntry).length, 1);
+
+  const results = await postLedgerTransaction([leg(BOB, "USDT", 50), leg(ALICE, "USDT", -50)]);
+  assert.deepEqual(results.map(r => String(r.balance)), ["50", "50"]);
+});
+
+test("postLedgerTransaction: entries are numbered per account and balances follow the numbers", async (t) => {
+  const db = memoryDb(t);
+  await postLedgerEntry(ALICE, "deposit", "USDT", 100);
+  await postLedgerEntry(ALICE, "deposit", "BTC", 1);
+  await postLedgerEntry(ALICE, "withdraw", "USDT", -30);
+
+  assert.deepEqual(db.docs(LedgerEntry, { coin: "USDT" }).map(e => e.seq), [1, 2]);
+  assert.deepEqual(db.docs(LedgerEntry, { coin: "BTC" }).map(e => e.seq), [1]);
+  // a clock step back does not reorder the account
+  db.insert(LedgerEntry, { user: ALICE, type: "deposit", coin: "USDT", amount: "5", balance: "75", seq: 3, createdAt: new Date(0) });
+  assert.equal(String(await getBalance(ALICE, "USDT")), "75");
+  assert.deepEqual((await getAllBalances(ALICE)).sort((a, b) => a.coin.localeCompare(b.coin)), [
+    { coin: "BTC", balance: "1" },
+    { coin: "USDT", balance: "75" }
+  ]);
+});
+
+test("postLedgerTransaction: a writer that read a stale balance collides on the sequence and retries", async (t) => {
+  const db = memoryDb(t);
+  await postLedgerEntry(ALICE, "deposit", "USDT", 100);
+  await postLedgerEntry(ALICE, "deposit", "USDT", 5); // committed by another writer after our read
+
+  const findOne = LedgerEntry.findOne;
+  let reads = 0;
+  t.mock.method(LedgerEntry, "findOne", (filter) => findOne(++reads === 1 ? { ...filter, seq: 1 } : filter));
+
+  const [{ balance }] = await postLedgerTransaction([leg(ALICE, "USDT", -50)]);
+  assert.equal(String(balance), "55");
+  assert.deepEqual(db.docs(LedgerEntry).map(e => [e.seq, String(e.balance)]), [[1, "100"], [2, "105"], [3, "55"]]);
+});
+
+test("postLedgerEntry: amounts are kept to the coin's precision, in the house's favour", async (t) => {
+  const db = memoryDb(t);
+  clearPrecisionCache();
+  t.after(() => clearPrecisionCache());
+  db.insert(Coin, { symbol: "USDT", name: "Tether", decimals: 2 });
+
+  await postLedgerEntry(ALICE, "deposit", "USDT", "10.129");
+  await postLedgerEntry(ALICE, "withdraw", "USDT", "-0.101");
+  assert.deepEqual(db.docs(LedgerEntry).map(e => String(e.amount)), ["10.12", "-0.11"]);
+  assert.equal(String(await getBalance(ALICE, "USDT")), "10.01");
+});
+
+function serverHello(t, hello) {
+  const { db } = mongoose.connection;
+  mongoose.connection.db = { admin: () => ({ command: async () => hello }) };
+  t.after(() => { mongoose.connection.db = db; });
+}
+
+test("checkTransactionSupport: a replica set passes and a standalone server is refused", async (t) => {
+  serverHello(t, { isWritablePrimary: true, setName: "rs0" });
+  assert.equal(await checkTransactionSupport(), true);
+  serverHello(t, { isWritablePrimary: true });
+  await assert.rejects(checkTransactionSupport(), /LEDGER_REQUIRE_TRANSACTIONS=false/);
+});
+
+test("postLedgerTransaction: without transactions nothing is written", async (t) => {
+  const db = memoryDb(t);
+  t.mock.method(mongoose, "startSession", async () => ({
+    withTransaction: async () => {
+      throw Object.assign(new Error("Transaction numbers are only allowed on a replica set member or mongos"), { code: 20 });
+    },
+    endSession: async () => {}
+  }));
+
+  await assert.rejects(postLedgerEntry(ALICE, "deposit", "USDT", 100), { code: 20 });
+  assert.equal(db.docs(LedgerEntry).length, 0);
+});
@@ -0,0 +1,32 @@
+// non-atomic settlement on a standalone server, accepted with LEDGER_REQUIRE_TRANSACTIONS=false
+process.env.LEDGER_REQUIRE_TRANSACTIONS = "false";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const mongoose = require("mongoose");
+const { memoryDb } = require("./helpers");
+const LedgerEntry = require("../models/LedgerEntry");
+const { getBalance, postLedgerEntry, postLedgerTransaction } = require("../utils/ledger");
+
+const ALICE = "64b000000000000000000001";
+const BOB = "64b000000000000000000002";
+
+const leg = (userId, coin, delta) => ({ userId, type: "trade", coin, delta, subtype: "fill" });
+
+test("postLedgerTransaction: without transactions a failed posting reverses the legs already written", async (t) => {
+  const db = memoryDb(t);
+  t.mock.method(mongoose, "startSession", async () => ({
+    withTransaction: async () => {
+      throw Object.assign(new Error("Transaction numbers are only allowed on a replica set member or mongos"), { code: 20 });
+    },
+    endSession: async () => {}
+  }));
+  t.mock.method(console, "warn", () => {});
+  await postLedgerEntry(ALICE, "deposit", "USDT", 100);
+
+  await assert.rejects(postLedgerTransaction([leg(BOB, "USDT", 50), leg(ALICE, "USDT", -150)]), /Insufficient balance/);
+  assert.equal(String(await getBalance(BOB, "USDT")), "0");
+  const reversal = db.doc(LedgerEntry, { user: BOB, subtype: "reversal" });
+  assert.equal(String(reversal.amount), "-50");
+  assert.equal(String(await getBalance(ALICE, "USDT")), "100");
+});
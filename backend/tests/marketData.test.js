@@ -0,0 +1,105 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const { memoryDb } = require("./helpers");
+const Coin = require("../models/Coin");
+const FeeSchedule = require("../models/FeeSchedule");
+const Market = require("../models/Market");
+const { postLedgerEntry } = require("../utils/ledger");
+const { placeOrder, cancelOrder } = require("../utils/matchingEngine");
+const { getDepth, getRecentTrades } = require("../utils/marketData");
+const { handleWsConnection } = require("../utils/marketStream");
+const { clearMarketCache } = require("../utils/markets");
+
+const ALICE = "64b000000000000000000001";
+const BOB = "64b000000000000000000002";
+
+// a /ws client as utils/marketStream sees it; frames it was sent land in `frames`
+function wsClient(t, ...subscriptions) {
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.frames = [];
+  ws.send = (frame) => ws.frames.push(JSON.parse(frame));
+  handleWsConnection(ws);
+  subscriptions.forEach(([channel, pair]) => ws.emit("message", JSON.stringify({ op: "subscribe", channel, pair })));
+  ws.frames.length = 0;
+  global.wss = { clients: new Set([ws]) };
+  t.after(() => delete global.wss);
+  return ws;
+}
+
+async function setup(t) {
+  const db = memoryDb(t);
+  db.insert(FeeSchedule, { scope: "default", makerRate: 0, takerRate: 0 });
+  db.insert(Market, { symbol: "BTC/USDT", base: "BTC", quote: "USDT", tickSize: "0.01", lotSize: "0.001" });
+  clearMarketCache();
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin" });
+  await postLedgerEntry(ALICE, "deposit", "USDT", 1000);
+  await postLedgerEntry(BOB, "deposit", "BTC", 5);
+  return db;
+}
+
+const limit = (userId, side, amount, price) => placeOrder({ userId, pair: "BTC/USDT", side, type: "limit", amount, price });
+
+test("getDepth: resting orders aggregate per price level, best first", async (t) => {
+  await setup(t);
+  await limit(BOB, "sell", 1, 101);
+  await limit(BOB, "sell", 0.5, 100);
+  await limit(BOB, "sell", 0.25, 100);
+  await limit(ALICE, "buy", 1, 98);
+  await limit(ALICE, "buy", 2, 99);
+
+  const depth = await getDepth("BTC/USDT");
+  assert.deepEqual(depth.asks, [["100", "0.75"], ["101", "1"]]);
+  assert.deepEqual(depth.bids, [["99", "2"], ["98", "1"]]);
+  assert.deepEqual((await getDepth("BTC/USDT", 1)).asks, [["100", "0.75"]]);
+});
+
+test("publishBookChanges: each book change is a sequenced depth update, each match a tape entry", async (t) => {
+  await setup(t);
+  const ws = wsClient(t, ["depth", "BTC/USDT"], ["trades", "*"]);
+
+  const { order: ask } = await limit(BOB, "sell", 2, 100);
+  await limit(ALICE, "buy", 2, 100);
+  await cancelOrder(String((await limit(ALICE, "buy", 1, 90)).order._id), { userId: ALICE });
+
+  const updates = ws.frames.filter(f => f.type === "depth_update").map(f => f.payload);
+  assert.deepEqual(updates.map(u => [u.bids, u.asks]), [
+    [[], [["100", "2"]]],
+    [[["100", "0"]], [["100", "0"]]],
+    [[["90", "1"]], []],
+    [[["90", "0"]], []]
+  ]);
+  updates.forEach((u, i) => i && assert.equal(u.prevSeq, updates[i - 1].seq));
+  assert.equal((await getDepth("BTC/USDT")).seq, updates[updates.length - 1].seq);
+
+  const [trade] = ws.frames.filter(f => f.type === "trade");
+  assert.equal(trade.channel, "trades");
+  assert.deepEqual(trade.payload.trades.map(e => [e.side, e.price, e.amount, e.quoteAmount]), [["buy", "100", "2", "200"]]);
+  assert.equal(JSON.stringify(trade).includes(String(ask.user)), false);
+});
+
+test("getRecentTrades: the taker side of each match, newest first", async (t) => {
+  await setup(t);
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-01-01T00:00:00Z") });
+  await limit(BOB, "sell", 1, 100);
+  await limit(ALICE, "buy", 1, 100);
+  t.mock.timers.tick(1000);
+  await limit(BOB, "sell", 1, 101);
+  await limit(ALICE, "buy", 1, 101);
+
+  const tape = await getRecentTrades("BTC/USDT");
+  assert.deepEqual(tape.map(e => [e.price, e.side]), [["101", "buy"], ["100", "buy"]]);
+  assert.deepEqual((await getRecentTrades("BTC/USDT", 1)).length, 1);
+});
+
+test("handleWsConnection: unknown channels are refused and unsubscribing stops delivery", async (t) => {
+  await setup(t);
+  const ws = wsClient(t, ["depth", "BTC/USDT"]);
+  ws.emit("message", JSON.stringify({ op: "subscribe", channel: "orders", pair: "BTC/USDT" }));
+  assert.equal(ws.frames[0].type, "subscribe_error");
+
+  ws.emit("message", JSON.stringify({ op: "unsubscribe", channel: "depth", pair: "btc/usdt" }));
+  await limit(BOB, "sell", 1, 100);
+  assert.equal(ws.frames.length, 1);
+});
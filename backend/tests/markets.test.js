@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb } = require("./helpers");
+const Coin = require("../models/Coin");
+const Market = require("../models/Market");
+const Order = require("../models/Order");
+const { postLedgerEntry } = require("../utils/ledger");
+const { placeOrder } = require("../utils/matchingEngine");
+const {
+  requireTradableMarket, checkOrderRules, clearMarketCache, serializeMarket, ensureDefaultMarkets
+} = require("../utils/markets");
+
+const ALICE = "64b000000000000000000001";
+
+const btc = { symbol: "BTC/USDT", base: "BTC", quote: "USDT", tickSize: "0.5", lotSize: "0.01", minNotional: "10", maxOrderSize: "5" };
+
+function setup(t, ...markets) {
+  const db = memoryDb(t);
+  db.insert(Market, markets);
+  clearMarketCache();
+  return db;
+}
+
+test("requireTradableMarket: only listed, trading markets accept orders", async (t) => {
+  setup(t, btc, { ...btc, symbol: "ETH/USDT", base: "ETH", status: "halted", statusReason: "maintenance" },
+    { ...btc, symbol: "SOL/USDT", base: "SOL", futuresEnabled: false });
+
+  assert.equal((await requireTradableMarket("btc/usdt")).symbol, "BTC/USDT");
+  await assert.rejects(requireTradableMarket("DOGE/USDT"), { code: "MARKET_NOT_FOUND", status: 404 });
+  await assert.rejects(requireTradableMarket("ETH/USDT"), { code: "MARKET_HALTED", message: /maintenance/ });
+  await assert.rejects(requireTradableMarket("SOL/USDT", { futures: true }), { code: "FUTURES_DISABLED" });
+});
+
+test("checkOrderRules: price on the tick, size on the lot, value and size within limits", async (t) => {
+  setup(t, btc);
+  const market = await requireTradableMarket("BTC/USDT");
+
+  assert.doesNotThrow(() => checkOrderRules(market, { amount: "0.2", price: "100.5" }));
+  assert.throws(() => checkOrderRules(market, { amount: "0.2", price: "100.25" }), { code: "INVALID_TICK_SIZE" });
+  assert.throws(() => checkOrderRules(market, { amount: "0.205", price: "100" }), { code: "INVALID_LOT_SIZE" });
+  assert.throws(() => checkOrderRules(market, { amount: "0.09", price: "100" }), { code: "MIN_NOTIONAL" });
+  assert.throws(() => checkOrderRules(market, { amount: "0.09", notionalPrice: "100" }), { code: "MIN_NOTIONAL" });
+  assert.throws(() => checkOrderRules(market, { amount: "6", price: "100" }), { code: "MAX_ORDER_SIZE" });
+});
+
+test("placeOrder: an order that breaks its market's rules is rejected before any hold", async (t) => {
+  const db = setup(t, btc);
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin" });
+  await postLedgerEntry(ALICE, "deposit", "USDT", 1000);
+
+  await assert.rejects(placeOrder({ userId: ALICE, pair: "BTC/USDT", side: "buy", type: "limit", amount: 1, price: 100.25 }), { code: "INVALID_TICK_SIZE" });
+  await assert.rejects(placeOrder({ userId: ALICE, pair: "XRP/USDT", side: "buy", type: "limit", amount: 1, price: 1 }), { code: "MARKET_NOT_FOUND" });
+  assert.equal(db.docs(Order).length, 0);
+});
+
+test("serializeMarket: decimals as strings with display precisions from tick and lot size", () => {
+  const out = serializeMarket({ ...btc, status: "trading", tickSize: { $numberDecimal: "0.01" }, lotSize: { $numberDecimal: "0.0001" } });
+  assert.equal(out.tickSize, "0.01");
+  assert.equal(out.pricePrecision, 2);
+  assert.equal(out.sizePrecision, 4);
+  assert.equal(out.maxOrderSize, "5");
+  assert.equal(out.futuresEnabled, true);
+});
+
+test("ensureDefaultMarkets: lists coins without a market against USDT and leaves existing markets alone", async (t) => {
+  const db = setup(t, { ...btc, status: "halted" });
+  db.insert(Coin, [
+    { symbol: "BTC", name: "Bitcoin", price: 60000 },
+    { symbol: "DOGE", name: "Dogecoin", price: "0.12", decimals: 8 },
+    { symbol: "SOL", name: "Solana", price: 150, decimals: 4 },
+    { symbol: "USDT", name: "Tether", price: 1 }
+  ]);
+
+  assert.equal(await ensureDefaultMarkets(), 2);
+  assert.equal(db.doc(Market, { symbol: "BTC/USDT" }).status, "halted");
+  assert.equal(db.doc(Market, { symbol: "USDT/USDT" }), null);
+  const doge = db.doc(Market, { symbol: "DOGE/USDT" });
+  assert.deepEqual([doge.status, Number(doge.tickSize), String(doge.lotSize), String(doge.minNotional), doge.futuresEnabled],
+    ["trading", 1e-8, "0.000001", "1", true]);
+  const sol = db.doc(Market, { symbol: "SOL/USDT" });
+  assert.deepEqual([String(sol.tickSize), String(sol.lotSize)], ["0.0001", "0.0001"]);
+  assert.equal((await requireTradableMarket("SOL/USDT")).symbol, "SOL/USDT");
+
+  assert.equal(await ensureDefaultMarkets(), 0);
+});
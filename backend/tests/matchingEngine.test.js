@@ -0,0 +1,268 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb } = require("./helpers");
+const Coin = require("../models/Coin");
+const FeeSchedule = require("../models/FeeSchedule");
+const LedgerEntry = require("../models/LedgerEntry");
+const Market = require("../models/Market");
+const Order = require("../models/Order");
+const Trade = require("../models/Trade");
+const { getBalance, postLedgerEntry } = require("../utils/ledger");
+const { clearMarketCache } = require("../utils/markets");
+const { placeOrder, cancelOrder, cancelAllOrders, amendOrder } = require("../utils/matchingEngine");
+const { listTransactions } = require("../controllers/walletController");
+
+const ALICE = "64b000000000000000000001";
+const BOB = "64b000000000000000000002";
+const CAROL = "64b000000000000000000003";
+
+// fees are left out of the balances unless a test sets its own schedule
+async function setup(t, fees = { makerRate: 0, takerRate: 0 }) {
+  const db = memoryDb(t);
+  db.insert(FeeSchedule, { scope: "default", ...fees });
+  db.insert(Market, [
+    { symbol: "BTC/USDT", base: "BTC", quote: "USDT", tickSize: "0.01", lotSize: "0.001" },
+    { symbol: "ETH/USDT", base: "ETH", quote: "USDT", tickSize: "0.01", lotSize: "0.001" }
+  ]);
+  clearMarketCache();
+  // freshly priced coins without a house price, so orders fill against the book only
+  db.insert(Coin, [{ symbol: "BTC", name: "Bitcoin" }, { symbol: "ETH", name: "Ether" }]);
+  await postLedgerEntry(ALICE, "deposit", "USDT", 1000);
+  await postLedgerEntry(BOB, "deposit", "BTC", 5);
+  await postLedgerEntry(CAROL, "deposit", "BTC", 5);
+  return db;
+}
+
+const limit = (userId, side, amount, price) => placeOrder({ userId, pair: "BTC/USDT", side, type: "limit", amount, price });
+
+test("placeOrder: a crossing limit order fills at the resting price and refunds the difference", async (t) => {
+  const db = await setup(t);
+  const ask = await limit(BOB, "sell", 2, 100);
+  const { order, fills } = await limit(ALICE, "buy", 1, 101);
+
+  assert.equal(order.status, "filled");
+  assert.equal(String(order.avgFillPrice), "100");
+  assert.deepEqual(fills.map(f => [f.liquidity, String(f.price), String(f.amount)]), [["taker", "100", "1"], ["maker", "100", "1"]]);
+  assert.equal(String(await getBalance(ALICE, "USDT")), "900");
+  assert.equal(String(await getBalance(ALICE, "BTC")), "1");
+  assert.equal(String(await getBalance(BOB, "USDT")), "100");
+  assert.equal(String(await getBalance(BOB, "BTC")), "3");
+
+  const maker = db.doc(Order, { _id: ask.order._id });
+  assert.equal(maker.status, "partially_filled");
+  assert.equal(String(maker.remaining), "1");
+  assert.equal(String(maker.reserved.amount), "1");
+});
+
+test("placeOrder: makers fill best price first, then oldest first", async (t) => {
+  const db = await setup(t);
+  await limit(BOB, "sell", 1, 101);
+  const first = await limit(CAROL, "sell", 1, 100);
+  const second = await limit(BOB, "sell", 1, 100);
+
+  const { order } = await limit(ALICE, "buy", 2, 101);
+  assert.equal(order.status, "filled");
+  const makers = db.docs(Trade, { liquidity: "maker" }).map(f => String(f.order));
+  assert.deepEqual(makers, [String(first.order._id), String(second.order._id)]);
+  assert.equal(db.docs(Order, { status: "open", price: 101 }).length, 1);
+});
+
+test("placeOrder: a maker that changed after the book was read is re-read instead of overfilled", async (t) => {
+  const db = await setup(t);
+  const ask = await limit(BOB, "sell", 2, 100);
+  // another fill takes half the maker between the book read and the settlement
+  const find = Order.find;
+  let raced = false;
+  t.mock.method(Order, "find", function (...args) {
+    const query = find.apply(this, args);
+    const exec = query.exec.bind(query);
+    query.exec = async () => {
+      const rows = await exec();
+      if (!raced) {
+        raced = true;
+        await Order.updateOne({ _id: ask.order._id }, { $set: { filled: "1", remaining: "1", status: "partially_filled", "reserved.amount": "1" } });
+      }
+      return rows;
+    };
+    return query;
+  });
+  const { order, fills } = await limit(ALICE, "buy", 2, 100);
+
+  assert.deepEqual(fills.map(f => [f.liquidity, String(f.amount)]), [["taker", "1"], ["maker", "1"]]);
+  assert.deepEqual([order.status, String(order.filled), String(order.remaining)], ["partially_filled", "1", "1"]);
+  const maker = db.doc(Order, { _id: ask.order._id });
+  assert.deepEqual([maker.status, String(maker.filled), String(maker.remaining)], ["filled", "2", "0"]);
+  assert.equal(db.docs(Trade).length, 2);
+  assert.equal(String(await getBalance(ALICE, "BTC")), "1");
+});
+
+test("placeOrder: an unfilled limit order rests on the book with its funds held", async (t) => {
+  const db = await setup(t);
+  const { order, fills } = await limit(ALICE, "buy", 1, 99);
+  assert.equal(fills.length, 0);
+  assert.equal(order.status, "open");
+  assert.equal(String(db.doc(Order, { _id: order._id }).reserved.amount), "99");
+  assert.equal(String(await getBalance(ALICE, "USDT")), "901");
+});
+
+test("placeOrder: a user's orders never match each other", async (t) => {
+  await setup(t);
+  await postLedgerEntry(ALICE, "deposit", "BTC", 1);
+  await limit(ALICE, "sell", 1, 100);
+  const { order, fills } = await limit(ALICE, "buy", 1, 100);
+  assert.equal(fills.length, 0);
+  assert.equal(order.status, "open");
+});
+
+test("placeOrder: an order the balance cannot hold is rejected without writing it", async (t) => {
+  const db = await setup(t);
+  await assert.rejects(limit(ALICE, "buy", 11, 100), { code: "INSUFFICIENT_BALANCE" });
+  assert.equal(db.docs(Order).length, 0);
+  assert.equal(String(await getBalance(ALICE, "USDT")), "1000");
+});
+
+const market = (userId, side, amount, opts = {}) => placeOrder({ userId, pair: "BTC/USDT", side, type: "market", amount, ...opts });
+
+test("placeOrder: a market order sweeps the book, then fills the rest at the house price", async (t) => {
+  const db = await setup(t);
+  await Coin.updateOne({ symbol: "BTC" }, { $set: { price: 100 } });
+  await limit(BOB, "sell", 1, 99);
+  const { order, fills, execution } = await market(ALICE, "buy", 2);
+
+  assert.equal(order.status, "filled");
+  assert.deepEqual(fills.filter(f => f.liquidity === "taker").map(f => String(f.price)), ["99", "100"]);
+  assert.equal(String(execution.referencePrice), "99");
+  assert.equal(String(execution.fillPrice), "99.5");
+  assert.equal(String(await getBalance(ALICE, "USDT")), "801");
+  assert.equal(String(await getBalance(ALICE, "BTC")), "2");
+});
+
+test("placeOrder: a market order that cannot fill within its slippage bound is rejected", async (t) => {
+  const db = await setup(t);
+  await Coin.updateOne({ symbol: "BTC" }, { $set: { price: 100 } });
+  await assert.rejects(market(ALICE, "buy", 1, { price: 90, maxSlippageBps: 100 }), { code: "SLIPPAGE_EXCEEDED" });
+  assert.equal(db.docs(Order).length, 0);
+  assert.equal(String(await getBalance(ALICE, "USDT")), "1000");
+});
+
+test("placeOrder: without a house price a market order is priced off the book depth within its bound", async (t) => {
+  await setup(t);
+  await limit(BOB, "sell", 1, 99);
+  await limit(CAROL, "sell", 1, 100);
+  const { order, fills } = await market(ALICE, "buy", 2, { maxSlippageBps: 200 });
+
+  assert.equal(order.status, "filled");
+  assert.equal(String(order.price), "100.98");
+  assert.deepEqual(fills.filter(f => f.liquidity === "taker").map(f => String(f.price)), ["99", "100"]);
+  assert.equal(String(await getBalance(ALICE, "USDT")), "801");
+  await assert.rejects(market(ALICE, "buy", 1, { maxSlippageBps: 200 }), { code: "NO_PRICE" });
+});
+
+test("placeOrder: a market order needs a house price or a book", async (t) => {
+  await setup(t);
+  await assert.rejects(market(ALICE, "buy", 1), { code: "NO_PRICE" });
+});
+
+test("cancelOrder: releases the hold once, and only for the owner", async (t) => {
+  const db = await setup(t);
+  const { order } = await limit(ALICE, "buy", 1, 99);
+
+  await assert.rejects(cancelOrder(String(order._id), { userId: BOB }), { code: "ORDER_NOT_FOUND" });
+  const cancelled = await cancelOrder(String(order._id), { userId: ALICE });
+  assert.equal(cancelled.status, "cancelled");
+  assert.equal(String(db.doc(Order, { _id: order._id }).reserved.amount), "0");
+  assert.equal(String(await getBalance(ALICE, "USDT")), "1000");
+  await assert.rejects(cancelOrder(String(order._id), { userId: ALICE }), { code: "ORDER_NOT_OPEN" });
+  assert.equal(String(await getBalance(ALICE, "USDT")), "1000");
+});
+
+test("cancelAllOrders: cancels the user's open orders on one pair", async (t) => {
+  const db = await setup(t);
+  await limit(ALICE, "buy", 1, 99);
+  await placeOrder({ userId: ALICE, pair: "ETH/USDT", side: "buy", type: "limit", amount: 1, price: 10 });
+  await limit(BOB, "sell", 1, 120);
+
+  const cancelled = await cancelAllOrders(ALICE, { pair: "btc/usdt" });
+  assert.equal(cancelled.length, 1);
+  assert.equal(String(await getBalance(ALICE, "USDT")), "990");
+  assert.deepEqual(db.docs(Order, { status: "open" }).map(o => o.pair).sort(), ["BTC/USDT", "ETH/USDT"]);
+});
+
+test("amendOrder: a smaller size keeps queue priority and releases the hold", async (t) => {
+  await setup(t);
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-01-01T00:00:00Z") });
+  const first = await limit(CAROL, "sell", 2, 100);
+  t.mock.timers.tick(1000);
+  await limit(BOB, "sell", 1, 100);
+  t.mock.timers.tick(1000);
+
+  const { order } = await amendOrder(String(first.order._id), CAROL, { amount: 1 });
+  assert.equal(order.priorityAt.getTime(), first.order.priorityAt.getTime());
+  assert.equal(String(await getBalance(CAROL, "BTC")), "4");
+
+  const { fills } = await limit(ALICE, "buy", 1, 100);
+  assert.equal(String(fills.find(f => f.liquidity === "maker").user), CAROL);
+});
+
+test("amendOrder: a new price that crosses the book matches the order", async (t) => {
+  await setup(t);
+  const { order: bid } = await limit(ALICE, "buy", 1, 99);
+  await limit(BOB, "sell", 1, 100);
+
+  const { order, fills } = await amendOrder(String(bid._id), ALICE, { price: 100 });
+  assert.equal(order.status, "filled");
+  assert.equal(fills.length, 2);
+  assert.equal(String(await getBalance(ALICE, "USDT")), "900");
+  assert.equal(String(await getBalance(ALICE, "BTC")), "1");
+});
+
+test("amendOrder: a larger size needs the extra funds", async (t) => {
+  const db = await setup(t);
+  const { order } = await limit(ALICE, "buy", 1, 100);
+  await assert.rejects(amendOrder(String(order._id), ALICE, { amount: 20 }), { code: "INSUFFICIENT_BALANCE" });
+  assert.equal(String(db.doc(Order, { _id: order._id }).amount), "1");
+  assert.equal(String(await getBalance(ALICE, "USDT")), "900");
+});
+
+test("placeOrder: each side pays its maker or taker fee in the asset it receives", async (t) => {
+  const db = await setup(t, { makerRate: 0.001, takerRate: 0.002 });
+  await limit(BOB, "sell", 2, 100);
+  const { fills } = await limit(ALICE, "buy", 1, 100);
+
+  assert.equal(String(await getBalance(ALICE, "BTC")), "0.998");
+  assert.equal(String(await getBalance(BOB, "USDT")), "99.9");
+  const taker = fills.find(f => f.liquidity === "taker");
+  assert.deepEqual([String(taker.fee), taker.feeCoin, taker.feeRate], ["0.002", "BTC", 0.002]);
+  const fees = db.docs(LedgerEntry, { type: "fee" });
+  assert.deepEqual(fees.map(e => [e.subtype, e.coin, String(e.amount)]), [["taker", "BTC", "-0.002"], ["maker", "USDT", "-0.1"]]);
+  assert.equal(fees[0].ref, String(taker._id));
+});
+
+test("placeOrder: a fill that fails to record leaves balances and the book as they were", async (t) => {
+  const db = await setup(t);
+  const ask = await limit(BOB, "sell", 2, 100);
+  t.mock.method(Trade, "insertMany", async () => {
+    throw new Error("write failed");
+  });
+
+  await assert.rejects(limit(ALICE, "buy", 1, 100), /write failed/);
+  assert.equal(String(await getBalance(ALICE, "BTC")), "0");
+  assert.equal(String(await getBalance(BOB, "USDT")), "0");
+  assert.equal(db.docs(LedgerEntry, { subtype: "fill" }).length, 0);
+  assert.equal(String(db.doc(Order, { _id: ask.order._id }).remaining), "2");
+});
+
+test("listTransactions: trades show as ledger legs with the coin and signed amount that moved", async (t) => {
+  await setup(t);
+  await limit(BOB, "sell", 1, 100);
+  await limit(ALICE, "buy", 1, 101);
+
+  let body;
+  await listTransactions({ user: { id: ALICE }, query: { type: "trade" } }, { json: (b) => { body = b; }, status() { return this; } });
+  const net = {};
+  body.rows.forEach(r => { net[r.coin] = (net[r.coin] || 0) + Number(r.amount); });
+  assert.deepEqual(net, { USDT: -100, BTC: 1 });
+  const fill = body.rows.find(r => r.coin === "BTC");
+  assert.deepEqual([fill.subtype, fill.status, String(fill.amount)], ["fill", "filled", "1"]);
+  assert.ok(body.rows.some(r => r.coin === "USDT" && r.status === "held"));
+});
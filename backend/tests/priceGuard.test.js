@@ -0,0 +1,91 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb } = require("./helpers");
+const AuditLog = require("../models/AuditLog");
+const Coin = require("../models/Coin");
+const Market = require("../models/Market");
+const Order = require("../models/Order");
+const binance = require("../utils/priceProviders/binance");
+const coingecko = require("../utils/priceProviders/coingecko");
+const { dec } = require("../utils/decimal");
+const { postLedgerEntry } = require("../utils/ledger");
+const { placeOrder } = require("../utils/matchingEngine");
+const { clearMarketCache } = require("../utils/markets");
+const { screenQuote, statusFor, requireFreshPrice } = require("../utils/priceGuard");
+const { tickOnce } = require("../jobs/priceService");
+
+const ALICE = "64b000000000000000000001";
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+const btcUsdt = { symbol: "BTC/USDT", base: "BTC", quote: "USDT" };
+
+test("screenQuote: a jump past the limit is held back until the next ticks confirm it", () => {
+  const coin = { symbol: "JUMP1" };
+  assert.equal(screenQuote(coin, dec(100), dec(119)).accept, true);
+  assert.deepEqual(screenQuote(coin, dec(100), dec(150)), { accept: false, jumpPct: 50 });
+  assert.equal(screenQuote(coin, dec(100), dec(152)).accept, false);
+  assert.equal(screenQuote(coin, dec(100), dec(151)).accept, true);
+
+  // a lone bad print followed by a different one starts the count again
+  assert.equal(screenQuote(coin, dec(100), dec(300)).accept, false);
+  assert.equal(screenQuote(coin, dec(100), dec(150)).accept, false);
+  assert.equal(screenQuote({ symbol: "JUMP2", priceGuard: { maxJumpPct: 60 } }, dec(100), dec(150)).accept, true);
+});
+
+test("statusFor: stale beats anomalous, within the coin's own limits", () => {
+  assert.deepEqual(statusFor({}, { freshAt: new Date(T0 - 61000) }, T0), { status: "stale", reason: "No fresh price for 61s" });
+  assert.equal(statusFor({ priceGuard: { staleAfterMs: 120000 } }, { freshAt: new Date(T0 - 61000) }, T0).status, "ok");
+  const rejected = { source: "binance", price: "150", jumpPct: 50 };
+  assert.deepEqual(statusFor({}, { freshAt: new Date(T0 - 1000), rejected }, T0), {
+    status: "anomalous",
+    reason: "binance quoted 150 (50.00% move, limit 20%)"
+  });
+});
+
+test("requireFreshPrice: a stale base or non-USD quote blocks the market", async (t) => {
+  const db = memoryDb(t);
+  db.insert(Coin, [
+    { symbol: "BTC", name: "Bitcoin", lastPriceUpdate: new Date(T0 - 30000) },
+    { symbol: "ETH", name: "Ether", lastPriceUpdate: new Date(T0 - 90000) }
+  ]);
+
+  await requireFreshPrice(btcUsdt, T0);
+  await assert.rejects(requireFreshPrice({ symbol: "BTC/ETH", base: "BTC", quote: "ETH" }, T0), { code: "PRICE_STALE", status: 409, message: /Price for ETH/ });
+  await assert.rejects(requireFreshPrice({ symbol: "SOL/USDT", base: "SOL", quote: "USDT" }, T0), { code: "PRICE_STALE" });
+});
+
+test("tickOnce: an outlier quote is held back, flagged and audited; silence makes the coin stale", async (t) => {
+  const db = memoryDb(t);
+  t.mock.timers.enable({ apis: ["Date"], now: T0 });
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", price: "60000", lastPriceUpdate: new Date(T0) });
+  const quote = t.mock.method(binance, "fetchPrices", async () => ({ BTC: "90000" }));
+  t.mock.method(coingecko, "fetchPrices", async () => ({}));
+  const btc = () => db.doc(Coin, { symbol: "BTC" });
+
+  t.mock.timers.tick(5000);
+  await tickOnce();
+  assert.deepEqual([String(btc().price), btc().lastPriceSource, btc().priceStatus], ["60000", "rejected:binance", "anomalous"]);
+  assert.equal(btc().lastPriceUpdate.getTime(), T0);
+  assert.equal(db.doc(AuditLog, { action: "price:anomalous" }).details.from, "ok");
+
+  quote.mock.mockImplementation(async () => ({ BTC: "61000" }));
+  t.mock.timers.tick(5000);
+  await tickOnce();
+  assert.deepEqual([String(btc().price), btc().priceStatus], ["61000", "ok"]);
+
+  quote.mock.mockImplementation(async () => ({}));
+  t.mock.timers.tick(61000);
+  await tickOnce();
+  assert.deepEqual([btc().lastPriceSource, btc().priceStatus], ["stale", "stale"]);
+  await assert.rejects(requireFreshPrice(btcUsdt), { code: "PRICE_STALE" });
+});
+
+test("placeOrder: orders on a market with a stale price are rejected", async (t) => {
+  const db = memoryDb(t);
+  db.insert(Market, { ...btcUsdt, tickSize: "0.01", lotSize: "0.001" });
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", lastPriceUpdate: new Date(Date.now() - 120000) });
+  clearMarketCache();
+  await postLedgerEntry(ALICE, "deposit", "USDT", 1000);
+
+  await assert.rejects(placeOrder({ userId: ALICE, pair: "BTC/USDT", side: "buy", type: "limit", amount: 1, price: 100 }), { code: "PRICE_STALE" });
+  assert.equal(db.docs(Order).length, 0);
+});
@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createRng, normalizeModelConfig, observeReference, step, getModelStatus, resetModel
+} = require("../utils/priceModels");
+
+const MINUTE = 60 * 1000;
+
+function path(coin, start, steps, dtMs = MINUTE) {
+  const out = [start];
+  for (let i = 0; i < steps; i++) out.push(step(coin, out[out.length - 1], dtMs));
+  return out;
+}
+
+test("createRng: the same seed draws the same numbers", () => {
+  const a = createRng(42);
+  const b = createRng(42);
+  const draws = (r) => [r.uniform(), r.normal(), r.normal(), r.poisson(3)];
+  assert.deepEqual(draws(a), draws(b));
+  assert.notDeepEqual(draws(createRng(42)), draws(createRng(43)));
+});
+
+test("normalizeModelConfig: fills defaults and rejects bad parameters", () => {
+  const cfg = normalizeModelConfig({ model: "GBM", sigma: "1.5" });
+  assert.deepEqual([cfg.model, cfg.sigma, cfg.mu, cfg.seed], ["gbm", 1.5, 0, null]);
+  assert.throws(() => normalizeModelConfig({ model: "heston" }), /model must be one of/);
+  assert.throws(() => normalizeModelConfig({ sigma: -1 }), /sigma must be between/);
+  assert.throws(() => normalizeModelConfig({ seed: 1.5 }), /seed must be an integer/);
+  assert.throws(() => normalizeModelConfig({ model: "ou" }), /meanPrice is required/);
+  assert.throws(() => normalizeModelConfig({ model: "correlated" }), /referenceSymbol is required/);
+});
+
+test("step: a seeded coin replays its path after a reset, and a new config restarts it", () => {
+  const coin = { symbol: "SEED1", simulation: { model: "jump", seed: 7, sigma: 2, jumpIntensity: 5000 } };
+  const first = path(coin, 100, 50);
+  assert.equal(getModelStatus("SEED1").steps, 50);
+  assert.equal(getModelStatus("SEED1").seeded, true);
+
+  resetModel("seed1");
+  assert.deepEqual(path(coin, 100, 50), first);
+  assert.notDeepEqual(path({ ...coin, simulation: { ...coin.simulation, seed: 8 } }, 100, 50), first);
+  assert.ok(first.every(p => p > 0));
+});
+
+test("step: the ou model pulls the price back toward its mean", () => {
+  const coin = { symbol: "OU1", simulation: { model: "ou", seed: 1, meanPrice: 100, reversionSpeed: 500, sigma: 0.1 } };
+  const prices = path(coin, 200, 500, 60 * MINUTE);
+  assert.ok(Math.abs(prices[prices.length - 1] - 100) < 5);
+});
+
+test("step: a fully correlated coin moves with its reference", () => {
+  const coin = { symbol: "CORR1", simulation: { model: "correlated", seed: 3, referenceSymbol: "REF", rho: 1, sigma: 0.5 } };
+  let ref = 100;
+  let price = 10;
+  observeReference("REF", ref);
+  observeReference("REF", (ref *= 1.01));
+  for (const move of [1.02, 0.97, 1.01, 0.98]) {
+    observeReference("REF", (ref *= move));
+    const next = step(coin, price, MINUTE);
+    assert.equal(Math.sign(next - price), Math.sign(move - 1));
+    price = next;
+  }
+});
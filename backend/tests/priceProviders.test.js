@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const feedDir = fs.mkdtempSync(path.join(os.tmpdir(), "price-feed-"));
+process.env.PRICE_FEED_FILE = path.join(feedDir, "prices.csv");
+test.after(() => fs.rmSync(feedDir, { recursive: true, force: true }));
+
+const { memoryDb } = require("./helpers");
+const Coin = require("../models/Coin");
+const binance = require("../utils/priceProviders/binance");
+const coingecko = require("../utils/priceProviders/coingecko");
+const file = require("../utils/priceProviders/file");
+const { fetchCoinPrices, getPrice, sourcesFor, getProviderStatus } = require("../utils/priceProviders");
+
+const status = (name) => getProviderStatus().providers.find(p => p.name === name);
+
+test("sourcesFor: a coin's primary and fallbacks, else the default order", () => {
+  assert.deepEqual(sourcesFor({ priceSource: { primary: "File", fallbacks: ["simulator", "file", "nope"] } }), ["file", "simulator"]);
+  assert.deepEqual(sourcesFor({ symbol: "BTC" }), ["binance", "coingecko"]);
+});
+
+test("fetchCoinPrices: coins a source cannot price move on to their next source", async (t) => {
+  const binanceCalls = [];
+  t.mock.method(binance, "fetchPrices", async (coins) => {
+    binanceCalls.push(coins.map(c => c.symbol).sort());
+    return { BTC: "65000.5", ETH: "-1" };
+  });
+  t.mock.method(coingecko, "fetchPrices", async () => ({ ETH: 3000 }));
+
+  const prices = await fetchCoinPrices([{ symbol: "btc" }, { symbol: "ETH" }, { symbol: "XYZ" }]);
+  assert.deepEqual(binanceCalls, [["BTC", "ETH", "XYZ"]]);
+  assert.deepEqual(Object.keys(prices).sort(), ["BTC", "ETH"]);
+  assert.deepEqual([prices.BTC.price.toFixed(), prices.BTC.source], ["65000.5", "binance"]);
+  assert.deepEqual([prices.ETH.price.toFixed(), prices.ETH.source], ["3000", "coingecko"]);
+  assert.equal(status("binance").lastMissing, 2);
+});
+
+test("fetchCoinPrices: a failing provider is skipped during its cooldown, then tried again", async (t) => {
+  t.mock.timers.enable({ apis: ["Date"], now: Date.parse("2026-01-01T00:00:00Z") });
+  t.mock.method(console, "warn", () => {});
+  const down = t.mock.method(binance, "fetchPrices", async () => {
+    throw new Error("503");
+  });
+  t.mock.method(coingecko, "fetchPrices", async () => ({ BTC: "64000" }));
+
+  for (let i = 0; i < 3; i++) assert.equal((await fetchCoinPrices([{ symbol: "BTC" }])).BTC.source, "coingecko");
+  assert.equal(status("binance").healthy, false);
+  assert.equal(status("binance").lastError, "503");
+  await fetchCoinPrices([{ symbol: "BTC" }]);
+  assert.equal(down.mock.callCount(), 3);
+
+  t.mock.timers.tick(60 * 1000);
+  down.mock.mockImplementation(async () => ({ BTC: "65000" }));
+  assert.equal((await fetchCoinPrices([{ symbol: "BTC" }])).BTC.source, "binance");
+  assert.equal(status("binance").healthy, true);
+  assert.equal(status("binance").consecutiveFailures, 0);
+});
+
+test("file provider: reads a CSV feed and picks up rewrites", async () => {
+  fs.writeFileSync(file.FEED_FILE, "symbol,price\n# offline\nBTC,65000\nETH,abc\n");
+  assert.deepEqual(await file.fetchPrices([{ symbol: "BTC" }, { symbol: "ETH" }]), { BTC: "65000" });
+
+  fs.writeFileSync(file.FEED_FILE, "BTC,66000\n");
+  fs.utimesSync(file.FEED_FILE, new Date(), new Date(Date.now() + 1000));
+  assert.deepEqual(await file.fetchPrices([{ symbol: "BTC" }]), { BTC: "66000" });
+});
+
+test("getPrice: uses the coin's own source configuration", async (t) => {
+  const db = memoryDb(t);
+  db.insert(Coin, { symbol: "FOO", name: "Foo", price: 2, priceSource: { primary: "file", fallbacks: ["simulator"] } });
+  fs.writeFileSync(file.FEED_FILE, "FOO,2.5\n");
+  fs.utimesSync(file.FEED_FILE, new Date(), new Date(Date.now() + 2000));
+
+  assert.equal((await getPrice("foo")).toFixed(), "2.5");
+  fs.writeFileSync(file.FEED_FILE, "BAR,1\n");
+  fs.utimesSync(file.FEED_FILE, new Date(), new Date(Date.now() + 3000));
+  const simulated = await getPrice("FOO");
+  assert.ok(simulated.gte(2 * 0.99) && simulated.lte(2 * 1.01));
+});
@@ -0,0 +1,119 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const replayDir = fs.mkdtempSync(path.join(os.tmpdir(), "replays-"));
+process.env.REPLAY_DATA_DIR = replayDir;
+test.after(() => fs.rmSync(replayDir, { recursive: true, force: true }));
+
+const { memoryDb } = require("./helpers");
+const Coin = require("../models/Coin");
+const PriceReplay = require("../models/PriceReplay");
+const {
+  listReplayFiles, loadReplayFile, startReplay, pauseReplay, resumeReplay, seekReplay, stopReplay, replayPrices
+} = require("../utils/priceReplay");
+const { createScenario } = require("../utils/priceScenarios");
+const { tickOnce } = require("../jobs/priceService");
+
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+const D0 = Date.parse("2025-01-01T00:00:00Z"); // data time of the files' first row
+const MINUTE = 60 * 1000;
+
+fs.writeFileSync(path.join(replayDir, "ticks.csv"), [
+  "# two coins, BTC from minute 0 and ETH from minute 2",
+  "ts,symbol,price",
+  `${D0},BTC,100`,
+  `${D0 + MINUTE},BTC,110`,
+  `${D0 + 2 * MINUTE},ETH,20`,
+  `${D0 + 3 * MINUTE},BTC,120`
+].join("\n"));
+fs.writeFileSync(path.join(replayDir, "candles.json"), JSON.stringify([
+  { openTime: D0 / 1000, open: 100, high: 130, low: 90, close: 120 },
+  { openTime: new Date(D0 + MINUTE).toISOString(), open: 120, high: 125, low: 80, close: 85 }
+]));
+
+function setup(t) {
+  const db = memoryDb(t);
+  t.mock.timers.enable({ apis: ["Date"], now: T0 });
+  db.insert(Coin, [{ symbol: "BTC", name: "Bitcoin", price: "50" }, { symbol: "ETH", name: "Ether", price: "5" }]);
+  return db;
+}
+
+async function prices(db, ms = Date.now()) {
+  const out = await replayPrices(db.docs(Coin), ms);
+  return Object.fromEntries([...out].map(([sym, v]) => [sym, `${v.price.toFixed()} ${v.source}`]));
+}
+
+test("loadReplayFile: reads tick files and plays each candle as four ticks", async () => {
+  assert.deepEqual(await listReplayFiles(), ["candles.json", "ticks.csv"]);
+  const ticks = await loadReplayFile("ticks.csv");
+  assert.equal(ticks.format, "ticks");
+  assert.deepEqual(ticks.series.BTC.map(p => p.price), [100, 110, 120]);
+  assert.deepEqual([ticks.start, ticks.end], [D0, D0 + 3 * MINUTE]);
+
+  const candles = await loadReplayFile("candles.json");
+  assert.equal(candles.format, "ohlcv");
+  assert.deepEqual(candles.series[""].map(p => p.price), [100, 90, 130, 120, 120, 125, 80, 85]);
+
+  await assert.rejects(loadReplayFile("../ticks.csv"), { code: "REPLAY_REJECTED" });
+  await assert.rejects(loadReplayFile("missing.csv"), { code: "REPLAY_FILE_NOT_FOUND" });
+});
+
+test("startReplay: checks the file, the coins and that no other replay is active", async (t) => {
+  setup(t);
+  await assert.rejects(startReplay({ file: "ticks.csv", symbols: ["SOL"] }), /No data for SOL/);
+  await assert.rejects(startReplay({ file: "ticks.csv", symbols: "BTC", speed: 500 }), /speed must be between/);
+  await assert.rejects(startReplay({ file: "ticks.csv", symbols: "BTC", from: D0 - MINUTE }), /from must be between/);
+  await assert.rejects(startReplay({ file: "candles.json", symbols: "BTC,ETH" }), /No data for BTC, ETH/);
+
+  const replay = await startReplay({ file: "candles.json", symbols: "btc" });
+  assert.deepEqual([replay.format, replay.symbols, replay.status], ["ohlcv", ["BTC"], "running"]);
+  await assert.rejects(startReplay({ file: "ticks.csv", symbols: "ETH" }), { code: "REPLAY_ACTIVE" });
+});
+
+test("replayPrices: data time runs `speed` times the clock and the replay completes at the end", async (t) => {
+  const db = setup(t);
+  const { _id } = await startReplay({ file: "ticks.csv", symbols: ["BTC", "ETH"], speed: 10 });
+
+  assert.deepEqual(await prices(db), { BTC: "100 replay", ETH: "5 replay" });
+  assert.deepEqual(await prices(db, T0 + 6 * 1000), { BTC: "110 replay", ETH: "5 replay" });
+  assert.deepEqual(await prices(db, T0 + 12 * 1000), { BTC: "110 replay", ETH: "20 replay" });
+  assert.equal(db.doc(PriceReplay, { _id }).status, "running");
+  assert.deepEqual(await prices(db, T0 + 60 * 1000), { BTC: "120 replay", ETH: "20 replay" });
+  assert.equal(db.doc(PriceReplay, { _id }).status, "completed");
+  assert.deepEqual(await prices(db, T0 + 61 * 1000), {});
+});
+
+test("pauseReplay / seekReplay / resumeReplay: re-anchor the playback position", async (t) => {
+  const db = setup(t);
+  await startReplay({ file: "ticks.csv", symbols: "BTC" });
+
+  t.mock.timers.tick(MINUTE);
+  const paused = await pauseReplay();
+  assert.equal(paused.position.getTime(), D0 + MINUTE);
+  t.mock.timers.tick(10 * MINUTE);
+  assert.deepEqual(await prices(db), { BTC: "110 replay:paused" });
+
+  await seekReplay({ offsetMs: -MINUTE });
+  assert.deepEqual(await prices(db), { BTC: "100 replay:paused" });
+  await assert.rejects(seekReplay({ to: D0 + 10 * MINUTE }), /Seek target must be between/);
+
+  await resumeReplay({ speed: 2 });
+  t.mock.timers.tick(30 * 1000);
+  assert.deepEqual(await prices(db), { BTC: "110 replay" });
+  await stopReplay();
+  await assert.rejects(pauseReplay(), { code: "REPLAY_NOT_FOUND" });
+});
+
+test("tickOnce: a replay drives its coins, and a scenario on the same coin wins", async (t) => {
+  const db = setup(t);
+  await startReplay({ file: "ticks.csv", symbols: "BTC,ETH", from: D0 + 2 * MINUTE });
+  await createScenario({ symbol: "ETH", steps: [{ action: "jump", targetPrice: 42 }, { action: "hold", minutes: 5 }] });
+
+  await tickOnce();
+  const coin = (symbol) => db.doc(Coin, { symbol });
+  assert.deepEqual([String(coin("BTC").price), coin("BTC").lastPriceSource], ["110", "replay"]);
+  assert.deepEqual([String(coin("ETH").price), coin("ETH").lastPriceSource], ["42", "scenario"]);
+});
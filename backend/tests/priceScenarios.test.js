@@ -0,0 +1,114 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb } = require("./helpers");
+const AuditLog = require("../models/AuditLog");
+const Coin = require("../models/Coin");
+const PriceScenario = require("../models/PriceScenario");
+const binance = require("../utils/priceProviders/binance");
+const {
+  createScenario, pauseScenario, resumeScenario, cancelScenario, scenarioPrices
+} = require("../utils/priceScenarios");
+const { tickOnce } = require("../jobs/priceService");
+
+const T0 = Date.parse("2026-01-01T00:00:00Z");
+const MINUTE = 60 * 1000;
+
+const timeline = [
+  { action: "ramp", targetPrice: 200, minutes: 10 },
+  { action: "hold", minutes: 5 },
+  { action: "jump", targetPrice: 150 }
+];
+
+function setup(t) {
+  const db = memoryDb(t);
+  t.mock.timers.enable({ apis: ["Date"], now: T0 });
+  db.insert(Coin, { symbol: "FOO", name: "Foo", price: "100" });
+  return db;
+}
+
+// what one price service tick at `ms` prices FOO at, as [price, source]
+async function priceAt(db, ms) {
+  const out = await scenarioPrices(db.docs(Coin), ms);
+  const row = out.get("FOO");
+  return row && [row.price.toFixed(), row.source];
+}
+
+test("createScenario: validates steps and allows one active scenario per coin", async (t) => {
+  setup(t);
+  await assert.rejects(createScenario({ symbol: "FOO", steps: [] }), { code: "SCENARIO_REJECTED" });
+  await assert.rejects(createScenario({ symbol: "FOO", steps: [{ action: "ramp", targetPrice: 1 }] }), /needs a duration/);
+  await assert.rejects(createScenario({ symbol: "FOO", steps: [{ action: "jump", targetPrice: -1 }] }), /targetPrice must be a positive number/);
+  await assert.rejects(createScenario({ symbol: "BAR", steps: timeline }), { code: "COIN_NOT_FOUND" });
+
+  const scenario = await createScenario({ symbol: "foo", steps: timeline });
+  assert.deepEqual(scenario.steps.map(s => [s.action, s.durationMs]), [["ramp", 600000], ["hold", 300000], ["jump", 0]]);
+  await assert.rejects(createScenario({ symbol: "FOO", steps: timeline }), { code: "SCENARIO_ACTIVE" });
+});
+
+test("scenarioPrices: a scenario plays its steps in order and leaves the coin at the final price", async (t) => {
+  const db = setup(t);
+  const { _id } = await createScenario({ symbol: "FOO", steps: timeline, startAt: new Date(T0 + MINUTE) });
+
+  assert.equal(await priceAt(db, T0), undefined);
+  assert.deepEqual(await priceAt(db, T0 + MINUTE), ["100", "scenario"]);
+  assert.deepEqual(await priceAt(db, T0 + 6 * MINUTE), ["150", "scenario"]);
+  assert.deepEqual(await priceAt(db, T0 + 13 * MINUTE), ["200", "scenario"]);
+  assert.equal(db.doc(PriceScenario, { _id }).currentStep, 1);
+  assert.deepEqual(await priceAt(db, T0 + 16 * MINUTE), ["150", "scenario"]);
+
+  assert.equal(db.doc(PriceScenario, { _id }).status, "completed");
+  const coin = db.doc(Coin, { symbol: "FOO" });
+  assert.deepEqual([coin.priceMode, coin.targetPrice], ["drift", 150]);
+  assert.equal(db.docs(AuditLog, { action: "price_scenario:step" }).length, 3);
+  assert.equal(await priceAt(db, T0 + 17 * MINUTE), undefined);
+});
+
+test("pauseScenario: a paused scenario holds the price and resumes where it stopped", async (t) => {
+  const db = setup(t);
+  const { _id } = await createScenario({ symbol: "FOO", steps: timeline });
+  await priceAt(db, T0);
+
+  t.mock.timers.tick(5 * MINUTE);
+  const paused = await pauseScenario(String(_id));
+  assert.equal(paused.stepElapsedMs, 5 * MINUTE);
+  assert.deepEqual(await priceAt(db, T0 + 30 * MINUTE), ["100", "scenario:paused"]);
+
+  t.mock.timers.tick(60 * MINUTE);
+  await resumeScenario(String(_id));
+  assert.deepEqual(await priceAt(db, T0 + 67 * MINUTE), ["170", "scenario"]);
+  await assert.rejects(resumeScenario(String(_id)), { code: "SCENARIO_STATE" });
+});
+
+test("cancelScenario: hands the coin back to its own price mode", async (t) => {
+  const db = setup(t);
+  t.mock.method(binance, "fetchPrices", async () => ({ FOO: "480" }));
+  const { _id } = await createScenario({ symbol: "FOO", steps: [{ action: "jump", targetPrice: 500 }, { action: "hold", minutes: 60 }] });
+
+  await tickOnce();
+  assert.deepEqual([String(db.doc(Coin, { symbol: "FOO" }).price), db.doc(Coin, { symbol: "FOO" }).lastPriceSource], ["500", "scenario"]);
+
+  await cancelScenario(String(_id));
+  await tickOnce();
+  assert.deepEqual([String(db.doc(Coin, { symbol: "FOO" }).price), db.doc(Coin, { symbol: "FOO" }).lastPriceSource], ["480", "binance"]);
+  await assert.rejects(cancelScenario(String(_id)), { code: "SCENARIO_STATE" });
+  await assert.rejects(cancelScenario("not-an-id"), { code: "SCENARIO_NOT_FOUND" });
+});
+
+test("createScenario: two creates that both pass the check still leave one active scenario", async (t) => {
+  const db = setup(t);
+  // both see no active scenario, as two requests at the same moment would
+  t.mock.method(PriceScenario, "exists", async () => null);
+  const results = await Promise.allSettled([
+    createScenario({ symbol: "FOO", steps: timeline }),
+    createScenario({ symbol: "FOO", steps: timeline })
+  ]);
+
+  assert.deepEqual(results.map(r => r.status).sort(), ["fulfilled", "rejected"]);
+  assert.equal(results.find(r => r.status === "rejected").reason.code, "SCENARIO_ACTIVE");
+  assert.equal(db.docs(PriceScenario).length, 1);
+
+  // a finished scenario no longer counts
+  await cancelScenario(String(db.doc(PriceScenario, {})._id));
+  await createScenario({ symbol: "FOO", steps: timeline });
+  assert.equal(db.docs(PriceScenario).length, 2);
+});
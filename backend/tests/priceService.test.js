@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb } = require("./helpers");
+const Coin = require("../models/Coin");
+const Market = require("../models/Market");
+const binance = require("../utils/priceProviders/binance");
+const coingecko = require("../utils/priceProviders/coingecko");
+const priceModels = require("../utils/priceModels");
+const { emitter } = require("../utils/broadcaster");
+const { tickOnce, priceModeFor, getPriceServiceStatus, startPriceRelay } = require("../jobs/priceService");
+const adminCustomCoin = require("../routes/adminCustomCoin");
+
+test("priceModeFor: an explicit mode wins, then admin drift, then custom coins simulate", () => {
+  assert.equal(priceModeFor({ priceMode: "simulation", adminControlEnabled: true, targetPrice: 5 }), "simulation");
+  assert.equal(priceModeFor({ adminControlEnabled: true, targetPrice: 5 }), "drift");
+  assert.equal(priceModeFor({ adminControlEnabled: true, targetPrice: null }), "feed");
+  assert.equal(priceModeFor({ isCustom: true }), "simulation");
+  assert.equal(priceModeFor({ symbol: "BTC" }), "feed");
+});
+
+test("tickOnce: each coin moves by its own source and one snapshot goes out", async (t) => {
+  const db = memoryDb(t);
+  db.insert(Coin, [
+    { symbol: "BTC", name: "Bitcoin", price: "60000" },
+    { symbol: "ETH", name: "Ether", price: "3000" },
+    { symbol: "FOO", name: "Foo", price: "100", adminControlEnabled: true, targetPrice: 200, driftSpeed: 0.1 },
+    { symbol: "BAR", name: "Bar", price: "10", isCustom: true, chartHistory: Array.from({ length: 500 }, (_, i) => ({ price: 10, ts: i })) }
+  ]);
+  t.mock.method(binance, "fetchPrices", async () => ({ BTC: "61000.123456789" }));
+  t.mock.method(coingecko, "fetchPrices", async () => ({}));
+  t.mock.method(priceModels, "step", () => 10.5);
+  const snapshots = [];
+  const listener = (s) => snapshots.push(s);
+  emitter.on("coin_prices", listener);
+  t.after(() => emitter.off("coin_prices", listener));
+
+  await tickOnce();
+
+  const coin = (symbol) => db.doc(Coin, { symbol });
+  assert.deepEqual([String(coin("BTC").price), String(coin("BTC").previousPrice), coin("BTC").lastPriceSource], ["61000.123456789", "60000", "binance"]);
+  assert.deepEqual([String(coin("ETH").price), coin("ETH").lastPriceSource], ["3000", "stale"]);
+  assert.deepEqual([String(coin("FOO").price), coin("FOO").lastPriceSource], ["110", "drift"]);
+  assert.deepEqual([String(coin("BAR").price), coin("BAR").lastPriceSource], ["10.5", "simulation:gbm"]);
+  assert.equal(coin("BAR").chartHistory.length, 500);
+  assert.equal(coin("BAR").chartHistory[499].price, 10.5);
+
+  assert.equal(snapshots.length, 1);
+  assert.deepEqual(snapshots[0].map(s => [s.symbol, s.price]), [["BTC", 61000.123456789], ["ETH", 3000], ["FOO", 110], ["BAR", 10.5]]);
+
+  const status = await getPriceServiceStatus();
+  assert.equal(status.ticks >= 1, true);
+  assert.deepEqual(status.coins.map(c => [c.symbol, c.mode]), [["BAR", "simulation"], ["BTC", "feed"], ["ETH", "feed"], ["FOO", "drift"]]);
+});
+
+test("tickOnce: a failing tick is recorded in the status and does not throw", async (t) => {
+  memoryDb(t);
+  const find = t.mock.method(Coin, "find", () => {
+    throw new Error("db down");
+  });
+  t.mock.method(console, "error", () => {});
+  await tickOnce();
+  find.mock.restore();
+  assert.equal((await getPriceServiceStatus()).lastError, "db down");
+});
+
+test("startPriceRelay: a follower sends the stored prices to its clients when they change", async (t) => {
+  const db = memoryDb(t);
+  t.mock.timers.enable({ apis: ["Date", "setInterval"], now: Date.parse("2026-01-01T00:00:00Z") });
+  db.insert(Coin, { symbol: "BTC", name: "Bitcoin", price: "60000", lastPriceUpdate: new Date() });
+  const sent = [];
+  global.io = { emit: (type, payload) => sent.push(payload.map(c => c.price)) };
+  t.after(() => delete global.io);
+  let leading = true;
+  const stop = startPriceRelay(() => leading);
+  t.after(stop);
+  const tick = async () => {
+    t.mock.timers.tick(5000);
+    await new Promise(resolve => setImmediate(resolve));
+  };
+
+  await tick();
+  assert.deepEqual(sent, []);
+  leading = false;
+  await tick();
+  await tick();
+  assert.deepEqual(sent, [[60000]]);
+
+  await Coin.updateOne({ symbol: "BTC" }, { $set: { price: "61000", lastPriceUpdate: new Date(Date.now() + 1) } });
+  await tick();
+  assert.deepEqual(sent, [[60000], [61000]]);
+});
+
+test("adding a custom coin lists it and simulates it from its listing price", async (t) => {
+  const db = memoryDb(t);
+  const add = adminCustomCoin.stack.find(l => l.route && l.route.path === "/add").route.stack[0].handle;
+  t.mock.method(priceModels, "step", () => 2.1);
+  let body;
+  await add({ body: { symbol: "new", name: "New coin", price: 2 } }, { json: (b) => { body = b; }, status() { return this; } });
+  assert.equal(body.success, true);
+
+  const coin = db.doc(Coin, { symbol: "NEW" });
+  assert.deepEqual([coin.priceMode, coin.adminControlEnabled, coin.targetPrice], ["simulation", false, null]);
+  assert.equal(db.doc(Market, { symbol: "NEW/USDT" }).status, "trading");
+
+  await tickOnce();
+  const ticked = db.doc(Coin, { symbol: "NEW" });
+  assert.deepEqual([String(ticked.price), ticked.lastPriceSource], ["2.1", "simulation:gbm"]);
+});
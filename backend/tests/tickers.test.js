@@ -0,0 +1,102 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { memoryDb } = require("./helpers");
+const Coin = require("../models/Coin");
+const Market = require("../models/Market");
+const Trade = require("../models/Trade");
+const { recordPrices, recordFills } = require("../utils/candles");
+const { getTickers } = require("../utils/tickers");
+const { publishTickersOnce } = require("../jobs/tickerPublisher");
+
+const NOW = Date.parse("2026-01-02T12:00:00Z");
+const HOUR = 60 * 60 * 1000;
+const USER = "64b000000000000000000001";
+const ORDER = "64b0000000000000000000aa";
+
+const trade = (pair, price, amount, ago, liquidity = "taker") => ({
+  user: USER, order: ORDER, matchId: `m${ago}`, pair, side: "buy", liquidity,
+  price: String(price), amount: String(amount), quoteAmount: String(price * amount), filledAt: new Date(NOW - ago)
+});
+
+function setup(t) {
+  const db = memoryDb(t);
+  t.mock.timers.enable({ apis: ["Date"], now: NOW });
+  db.insert(Coin, [{ symbol: "BTC", name: "Bitcoin", price: 100000 }, { symbol: "ETH", name: "Ether", price: 2000 }]);
+  db.insert(Market, [
+    { symbol: "BTC/USDT", base: "BTC", quote: "USDT", tickSize: "0.01", lotSize: "0.001" },
+    { symbol: "ETH/BTC", base: "ETH", quote: "BTC", tickSize: "0.00001", lotSize: "0.001" },
+    { symbol: "SOL/USDT", base: "SOL", quote: "USDT", tickSize: "0.01", lotSize: "0.01", status: "delisted" }
+  ]);
+  return db;
+}
+
+test("getTickers: pair tickers summarise the last 24h of the tape", async (t) => {
+  const db = setup(t);
+  db.insert(Trade, [
+    trade("BTC/USDT", 90, 1, 25 * HOUR),
+    trade("BTC/USDT", 100, 1, 2 * HOUR),
+    trade("BTC/USDT", 110, 0.5, HOUR),
+    trade("BTC/USDT", 110, 0.5, HOUR, "maker"),
+    trade("BTC/USDT", 105, 0.5, HOUR / 2)
+  ]);
+
+  const { pairs } = await getTickers({ force: true });
+  assert.deepEqual(pairs.map(p => p.pair).sort(), ["BTC/USDT", "ETH/BTC"]);
+  const btc = pairs.find(p => p.pair === "BTC/USDT");
+  assert.deepEqual(
+    [btc.open, btc.high, btc.low, btc.last, btc.change, btc.changePercent, btc.volume, btc.quoteVolume, btc.trades],
+    ["100", "110", "100", "105", "5", 5, "2", "207.5", 3]
+  );
+  const eth = pairs.find(p => p.pair === "ETH/BTC");
+  assert.deepEqual([eth.last, eth.change, eth.volume, eth.trades], ["0.02", "0", "0", 0]);
+});
+
+test("getTickers: coin tickers come from the candles, with pair volume valued in USD", async (t) => {
+  const db = setup(t);
+  await recordPrices([{ symbol: "BTC", price: 50 }], NOW - 25 * HOUR);
+  await recordPrices([{ symbol: "BTC", price: 100 }], NOW - 23 * HOUR);
+  await recordPrices([{ symbol: "BTC", price: 130 }], NOW - 10 * HOUR);
+  await recordPrices([{ symbol: "BTC", price: 120 }], NOW - HOUR);
+  await recordFills([trade("BTC/USDT", 120, 2, HOUR)]);
+  db.insert(Trade, [trade("BTC/USDT", 120, 2, HOUR), trade("ETH/BTC", 0.02, 10, HOUR)]);
+
+  const { coins } = await getTickers({ force: true });
+  assert.deepEqual(coins.map(c => c.symbol), ["BTC"]);
+  const [btc] = coins;
+  assert.deepEqual(
+    [btc.open, btc.high, btc.low, btc.last, btc.changePercent, btc.volume, btc.trades, btc.quoteVolume],
+    ["100", "130", "100", "120", 20, "2", 1, "240"]
+  );
+});
+
+test("getTickers: results are cached until the interval passes", async (t) => {
+  const db = setup(t);
+  const first = await getTickers({ force: true });
+  db.insert(Trade, trade("BTC/USDT", 100, 1, HOUR));
+  assert.equal(await getTickers(), first);
+  t.mock.timers.tick(10 * 1000);
+  assert.notEqual(await getTickers(), first);
+});
+
+test("publishTickersOnce: every ticker to '*' subscribers, each pair's to its own", async (t) => {
+  setup(t);
+  const sent = [];
+  global.io = { to: (rooms) => ({ emit: (type) => sent.push([rooms.join(","), type]) }) };
+  t.after(() => delete global.io);
+
+  await publishTickersOnce();
+  assert.deepEqual(sent.sort(), [
+    ["ticker:*", "tickers"],
+    ["ticker:BTC/USDT", "ticker"],
+    ["ticker:ETH/BTC", "ticker"]
+  ]);
+});
+
+test("getTickers: idle pairs are priced from the coins in one read", async (t) => {
+  setup(t);
+  const findOne = t.mock.method(Coin, "findOne");
+  const { pairs } = await getTickers({ force: true });
+  assert.deepEqual(pairs.map(p => [p.pair, p.last, p.trades]).sort(), [["BTC/USDT", "100000", 0], ["ETH/BTC", "0.02", 0]]);
+  assert.equal(findOne.mock.callCount(), 0);
+  assert.ok(Trade.schema.indexes().some(([fields]) => fields.liquidity === 1 && fields.filledAt === -1));
+});
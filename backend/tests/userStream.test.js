@@ -0,0 +1,85 @@
+process.env.JWT_SECRET = "test-secret";
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { EventEmitter } = require("events");
+const jwt = require("jsonwebtoken");
+const { memoryDb } = require("./helpers");
+const User = require("../models/User");
+const { broadcastToUser } = require("../utils/broadcaster");
+const { handleWsConnection, handleSocketIoConnection } = require("../utils/userStream");
+
+const ALICE = "64b000000000000000000001";
+const BOB = "64b000000000000000000002";
+
+const tokenFor = (userId) => jwt.sign({ userId }, "test-secret", { expiresIn: "1h" });
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+function setup(t) {
+  const db = memoryDb(t);
+  db.insert(User, [
+    { _id: ALICE, username: "alice", email: "alice@example.com", password: "x" },
+    { _id: BOB, username: "bob", email: "bob@example.com", password: "x", isBanned: true }
+  ]);
+  return db;
+}
+
+// a /ws client as utils/userStream sees it; frames it was sent land in `frames`
+function wsClient(url = "/ws") {
+  const ws = new EventEmitter();
+  ws.readyState = 1;
+  ws.frames = [];
+  ws.send = (frame) => ws.frames.push(JSON.parse(frame));
+  handleWsConnection(ws, { url });
+  return ws;
+}
+
+test("handleWsConnection: signs in with a valid token for a user who is not banned", async (t) => {
+  setup(t);
+  const byQuery = wsClient(`/ws?token=${tokenFor(ALICE)}`);
+  const byMessage = wsClient();
+  byMessage.emit("message", JSON.stringify({ op: "auth", token: tokenFor(BOB) }));
+  const forged = wsClient(`/ws?token=${jwt.sign({ userId: ALICE }, "other-secret")}`);
+  await settle();
+
+  assert.deepEqual(byQuery.frames, [{ type: "authenticated", payload: { userId: ALICE } }]);
+  assert.equal(byQuery.userId, ALICE);
+  assert.deepEqual([byMessage.frames[0].type, byMessage.userId], ["auth_error", undefined]);
+  assert.deepEqual([forged.frames[0].type, forged.userId], ["auth_error", undefined]);
+});
+
+test("broadcastToUser: reaches only the user's signed-in connections", async (t) => {
+  setup(t);
+  const alice = wsClient(`/ws?token=${tokenFor(ALICE)}`);
+  const anonymous = wsClient();
+  await settle();
+  alice.frames.length = 0;
+  global.wss = { clients: new Set([alice, anonymous]) };
+  const rooms = [];
+  global.io = { to: (room) => ({ emit: (event, payload) => rooms.push([room, event, payload.type]) }) };
+  t.after(() => { delete global.wss; delete global.io; });
+
+  broadcastToUser(ALICE, { type: "conditional_order_update", payload: {} });
+  assert.deepEqual(alice.frames.map(f => f.type), ["conditional_order_update"]);
+  assert.deepEqual(anonymous.frames, []);
+  assert.deepEqual(rooms, [[`user:${ALICE}`, "broadcast", "conditional_order_update"]]);
+});
+
+test("handleSocketIoConnection: a signed-in socket joins its user's room", async (t) => {
+  setup(t);
+  const socket = new EventEmitter();
+  const sent = [];
+  Object.assign(socket, {
+    data: {},
+    rooms: new Set(),
+    handshake: { auth: { token: tokenFor(ALICE) } },
+    join: (room) => socket.rooms.add(room),
+    leave: (room) => socket.rooms.delete(room),
+    emit: (event, payload) => sent.push([event, payload])
+  });
+  handleSocketIoConnection(socket);
+  await settle();
+
+  assert.deepEqual([...socket.rooms], [`user:${ALICE}`]);
+  assert.deepEqual(sent, [["authenticated", { userId: ALICE }]]);
+});
@@ -71,8 +71,38 @@ function broadcastToRoom(room, payload) {
   }
 }
 
+function userRoom(userId) {
+  return `user:${userId}`;
+}
+
+/**
+ * Send a private payload to one user's authenticated connections only (utils/userStream):
+ * the Socket.IO room user:<id> and /ws clients signed in as that user. Never falls back to
+ * a broadcast to everyone.
+ */
+function broadcastToUser(userId, payload) {
+  const id = String(userId);
+  try {
+    if (global.io && typeof global.io.to === "function") global.io.to(userRoom(id)).emit("broadcast", payload);
+    if (global.wss && global.wss.clients) {
+      const frame = JSON.stringify(payload);
+      global.wss.clients.forEach(client => {
+        try {
+          if (client.readyState === 1 && client.userId === id) client.send(frame);
+        } catch (e) { /* ignore */ }
+      });
+    }
+    return true;
+  } catch (e) {
+    console.warn("broadcastToUser failed", e && (e.message || e));
+    return false;
+  }
+}
+
 module.exports = {
   broadcast,
   broadcastToRoom,
+  broadcastToUser,
+  userRoom,
   emitter
 };
\ No newline at end of file
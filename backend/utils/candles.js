@@ -0,0 +1,161 @@
+/**
+ * Candles Util - OHLCV candle store (models/Candle)
+ *
+ * - recordPrices(snapshot) folds price engine ticks ([{ symbol, price }] in USD) into the
+ *   open candle of every interval; recordFills(fills) adds traded volume from spot fills.
+ * - Buckets are aligned to UTC epoch multiples of the interval (4h candles open at
+ *   00:00, 04:00, ...; daily ones at midnight UTC).
+ * - A candle created by a fill before any price tick has no OHLC yet; the next tick
+ *   opens it, and getKlines skips it until then.
+ * - Writes are best effort: errors are logged, never thrown to the price engine or
+ *   the matching engine.
+ */
+const Candle = require("../models/Candle");
+const { dec, toStr, toDecimal128, quantizePrice } = require("./decimal");
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+const INTERVALS = {
+  "1m": MINUTE,
+  "5m": 5 * MINUTE,
+  "15m": 15 * MINUTE,
+  "1h": 60 * MINUTE,
+  "4h": 4 * 60 * MINUTE,
+  "1d": DAY
+};
+
+// how long short-interval candles are kept (longer intervals never expire)
+const RETENTION_MS = {
+  "1m": 7 * DAY,
+  "5m": 30 * DAY,
+  "15m": 90 * DAY
+};
+
+const MAX_KLINES = 1500;
+
+function bucketStart(ts, interval) {
+  const ms = INTERVALS[interval];
+  return new Date(Math.floor(ts / ms) * ms);
+}
+
+function expiryFor(openTime, interval) {
+  return RETENTION_MS[interval] ? new Date(openTime.getTime() + INTERVALS[interval] + RETENTION_MS[interval]) : null;
+}
+
+/**
+ * Fold a price snapshot into the open candles of every interval.
+ */
+async function recordPrices(snapshot, now = Date.now()) {
+  const ops = [];
+  (snapshot || []).forEach(c => {
+    if (!c || !c.symbol || !(Number(c.price) > 0)) return;
+    const symbol = String(c.symbol).toUpperCase();
+    const price = toDecimal128(quantizePrice(c.price));
+    Object.keys(INTERVALS).forEach(interval => {
+      const openTime = bucketStart(now, interval);
+      ops.push({
+        updateOne: {
+          filter: { symbol, interval, openTime },
+          // pipeline update so the first tick of a bucket opens it, even when a fill created it
+          update: [{
+            $set: {
+              open: { $ifNull: ["$open", price] },
+              high: { $max: ["$high", price] },
+              low: { $min: ["$low", price] },
+              close: price,
+              volume: { $ifNull: ["$volume", toDecimal128(0)] },
+              trades: { $ifNull: ["$trades", 0] },
+              expireAt: { $ifNull: ["$expireAt", expiryFor(openTime, interval)] }
+            }
+          }],
+          upsert: true
+        }
+      });
+    });
+  });
+  if (!ops.length) return;
+  try {
+    await Candle.collection.bulkWrite(ops, { ordered: false });
+  } catch (e) {
+    console.warn("recordPrices failed:", e && (e.message || e));
+  }
+}
+
+/**
+ * Add the volume of spot fills (Trade documents) to their base coin's candles.
+ * Only the taker side of each match is counted.
+ */
+async function recordFills(fills) {
+  const totals = new Map(); // symbol|interval|openTime -> { volume, trades }
+  (fills || []).filter(f => f.liquidity === "taker").forEach(f => {
+    const symbol = String(f.pair || "").split("/")[0];
+    if (!symbol) return;
+    const ts = new Date(f.filledAt || Date.now()).getTime();
+    Object.keys(INTERVALS).forEach(interval => {
+      const openTime = bucketStart(ts, interval);
+      const key = `${symbol}|${interval}|${openTime.getTime()}`;
+      const row = totals.get(key) || { symbol, interval, openTime, volume: dec(0), trades: 0 };
+      row.volume = row.volume.plus(dec(f.amount));
+      row.trades += 1;
+      totals.set(key, row);
+    });
+  });
+  if (!totals.size) return;
+
+  const ops = [...totals.values()].map(r => ({
+    updateOne: {
+      filter: { symbol: r.symbol, interval: r.interval, openTime: r.openTime },
+      update: {
+        $inc: { volume: toDecimal128(r.volume), trades: r.trades },
+        $setOnInsert: { expireAt: expiryFor(r.openTime, r.interval) }
+      },
+      upsert: true
+    }
+  }));
+  try {
+    await Candle.collection.bulkWrite(ops, { ordered: false });
+  } catch (e) {
+    console.warn("recordFills failed:", e && (e.message || e));
+  }
+}
+
+function serializeCandle(c) {
+  const openTime = new Date(c.openTime).getTime();
+  return {
+    openTime,
+    closeTime: openTime + INTERVALS[c.interval] - 1,
+    open: toStr(c.open),
+    high: toStr(c.high),
+    low: toStr(c.low),
+    close: toStr(c.close),
+    volume: toStr(c.volume),
+    trades: c.trades || 0
+  };
+}
+
+/**
+ * Candles for a coin in ascending time order, the latest (still open) one included.
+ * @param {Object} opts - { from, to } as Dates (openTime range), limit (default 500, max 1500);
+ *   without `from` the latest `limit` candles up to `to` are returned
+ */
+async function getKlines(symbol, interval, { from, to, limit } = {}) {
+  const n = Math.min(MAX_KLINES, Math.max(1, parseInt(limit, 10) || 500));
+  const filter = { symbol: String(symbol).toUpperCase(), interval, open: { $ne: null } };
+  if (from || to) {
+    filter.openTime = {};
+    if (from) filter.openTime.$gte = bucketStart(from.getTime(), interval);
+    if (to) filter.openTime.$lte = to;
+  }
+  const rows = await Candle.find(filter).sort({ openTime: from ? 1 : -1 }).limit(n).lean();
+  if (!from) rows.reverse();
+  return rows.map(serializeCandle);
+}
+
+module.exports = {
+  INTERVALS,
+  bucketStart,
+  recordPrices,
+  recordFills,
+  getKlines
+};
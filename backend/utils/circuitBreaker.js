@@ -0,0 +1,141 @@
+/**
+ * Circuit Breaker Util - per-market price bands and trading halts
+ *
+ * - Each trading market keeps a rolling window of recent pair prices (in process).
+ *   A price more than circuitBreaker.maxMovePct away from any price seen in the last
+ *   windowMinutes halts the market (haltSource "circuit_breaker").
+ * - Breaker halts resume on their own once resumeAt passes (cooldownMinutes, 0 = never);
+ *   manual halts only resume through an admin.
+ * - Halts and resumes are audited and broadcast as "market_halt" / "market_resume".
+ * - While halted, requireTradableMarket rejects orders with code MARKET_HALTED; resting
+ *   orders stay on the book and can still be cancelled.
+ */
+const Market = require("../models/Market");
+const { createAudit } = require("./auditLog");
+const { broadcast } = require("./broadcaster");
+const { dec, toStr } = require("./decimal");
+const { clearMarketCache, normalizeSymbol, serializeMarket } = require("./markets");
+const { usdPricesFromSnapshot, snapshotPairPrice } = require("./marketPrice");
+
+const windows = new Map(); // symbol -> [{ ts, price }]
+
+function recordPrice(symbol, price, now, windowMs) {
+  const points = (windows.get(symbol) || []).filter(p => now - p.ts <= windowMs);
+  points.push({ ts: now, price });
+  windows.set(symbol, points);
+  return points;
+}
+
+/**
+ * Largest move (in %) of `price` against the prices in the window, with the price it moved from.
+ */
+function largestMove(points, price) {
+  let worst = { pct: dec(0), from: price };
+  for (const p of points) {
+    if (p.price.isZero()) continue;
+    const pct = price.minus(p.price).abs().div(p.price).times(100);
+    if (pct.gt(worst.pct)) worst = { pct, from: p.price };
+  }
+  return worst;
+}
+
+function notify(type, market) {
+  broadcast({ type, payload: serializeMarket(market) });
+}
+
+/**
+ * Halt a trading market. Returns the updated market, or null when it was not trading.
+ * @param {Object} opts - { reason, source: "manual"|"circuit_breaker", actorId, resumeAt, details }
+ */
+async function haltMarket(symbol, { reason = "", source = "manual", actorId = null, resumeAt = null, details = {} } = {}) {
+  const sym = normalizeSymbol(symbol);
+  const market = await Market.findOneAndUpdate(
+    { symbol: sym, status: "trading" },
+    { $set: { status: "halted", statusReason: reason, haltSource: source, haltedAt: new Date(), resumeAt, updatedBy: actorId } },
+    { new: true }
+  ).lean();
+  if (!market) return null;
+
+  clearMarketCache(sym);
+  windows.delete(sym);
+  try {
+    await createAudit(source === "manual" ? "admin:market_halt" : "market:circuit_breaker_halt", actorId, { symbol: sym, reason, resumeAt, ...details });
+  } catch (e) {
+    console.warn("market halt audit failed:", e && e.message);
+  }
+  notify("market_halt", market);
+  return market;
+}
+
+/**
+ * Resume a halted market. Returns the updated market, or null when it was not halted.
+ * @param {Object} opts - { actorId, auto } where auto marks a breaker cooldown resume
+ */
+async function resumeMarket(symbol, { actorId = null, auto = false } = {}) {
+  const sym = normalizeSymbol(symbol);
+  const filter = { symbol: sym, status: "halted" };
+  if (auto) Object.assign(filter, { haltSource: "circuit_breaker", resumeAt: { $lte: new Date() } });
+
+  const market = await Market.findOneAndUpdate(
+    filter,
+    { $set: { status: "trading", statusReason: "", haltSource: null, haltedAt: null, resumeAt: null, updatedBy: actorId } },
+    { new: true }
+  ).lean();
+  if (!market) return null;
+
+  clearMarketCache(sym);
+  windows.delete(sym);
+  try {
+    await createAudit(auto ? "market:circuit_breaker_resume" : "admin:market_resume", actorId, { symbol: sym });
+  } catch (e) {
+    console.warn("market resume audit failed:", e && e.message);
+  }
+  notify("market_resume", market);
+  return market;
+}
+
+/**
+ * Check every trading market against a price engine snapshot ([{ symbol, price }] in USD)
+ * and resume breaker halts whose cooldown has passed. Returns { halted, resumed } symbols.
+ */
+async function evaluateCircuitBreakers(snapshot, now = Date.now()) {
+  const usd = usdPricesFromSnapshot(snapshot);
+  const markets = await Market.find({ status: { $in: ["trading", "halted"] } }).lean();
+  const halted = [];
+  const resumed = [];
+
+  for (const market of markets) {
+    if (market.status === "halted") {
+      if (market.haltSource === "circuit_breaker" && market.resumeAt && market.resumeAt.getTime() <= now) {
+        if (await resumeMarket(market.symbol, { auto: true })) resumed.push(market.symbol);
+      }
+      continue;
+    }
+
+    const band = market.circuitBreaker || {};
+    if (band.enabled === false || !(band.maxMovePct > 0)) continue;
+    const price = snapshotPairPrice(usd, market.symbol);
+    if (!price || price.isZero()) continue;
+
+    const points = recordPrice(market.symbol, price, now, (band.windowMinutes || 5) * 60 * 1000);
+    const move = largestMove(points, price);
+    if (move.pct.lte(band.maxMovePct)) continue;
+
+    const cooldownMs = (band.cooldownMinutes || 0) * 60 * 1000;
+    const movePct = move.pct.toDecimalPlaces(2).toNumber();
+    const result = await haltMarket(market.symbol, {
+      source: "circuit_breaker",
+      reason: `Price moved ${movePct}% within ${band.windowMinutes} minutes`,
+      resumeAt: cooldownMs > 0 ? new Date(now + cooldownMs) : null,
+      details: { from: toStr(move.from), to: toStr(price), movePct, maxMovePct: band.maxMovePct }
+    });
+    if (result) halted.push(market.symbol);
+  }
+  return { halted, resumed };
+}
+
+module.exports = {
+  haltMarket,
+  resumeMarket,
+  evaluateCircuitBreakers
+};
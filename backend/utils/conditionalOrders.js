@@ -0,0 +1,191 @@
+/**
+ * Conditional Orders Util - stop-market, stop-limit, take-profit and OCO for spot
+ *
+ * Trigger direction depends on kind and side:
+ *  - stop (market/limit): buy fires when price >= trigger, sell when price <= trigger
+ *  - take_profit:         buy fires when price <= trigger, sell when price >= trigger
+ *
+ * No funds are held while an order waits; when it fires it goes through the normal
+ * matchingEngine.placeOrder path and fails (status "failed") if that path rejects it.
+ * Legs are checked against their Market's rules when created, with the trigger price
+ * standing in for the order value of stop-market and take-profit legs. Orders on a halted
+ * market stay pending until it resumes.
+ */
+const mongoose = require("mongoose");
+const ConditionalOrder = require("../models/ConditionalOrder");
+const { placeOrder, parsePair, orderError } = require("./matchingEngine");
+const { createAudit } = require("./auditLog");
+const { broadcastToUser } = require("./broadcaster");
+const { dec, isPositive, toStr } = require("./decimal");
+const { requireTradableMarket, checkOrderRules, checkPrice, getMarket } = require("./markets");
+const { usdPricesFromSnapshot, snapshotPairPrice } = require("./marketPrice");
+const { requireFreshPrice } = require("./priceGuard");
+
+const KINDS = ["stop_market", "stop_limit", "take_profit"];
+
+function triggerConditionFor(kind, side) {
+  const isStop = kind === "stop_market" || kind === "stop_limit";
+  if (side === "buy") return isStop ? "gte" : "lte";
+  return isStop ? "lte" : "gte";
+}
+
+function isTriggered(order, price) {
+  const trigger = dec(order.triggerPrice);
+  return order.triggerCondition === "gte" ? price.gte(trigger) : price.lte(trigger);
+}
+
+/**
+ * Create one conditional order, or an OCO pair when two legs are given.
+ * @param {ObjectId} userId
+ * @param {Array<Object>} legs - [{ pair, side, kind, triggerPrice, limitPrice, size, maxSlippageBps }]
+ */
+async function createConditionalOrders(userId, legs) {
+  if (!Array.isArray(legs) || legs.length < 1 || legs.length > 2) {
+    throw orderError("Provide one order or an OCO pair of two.", 400, "INVALID_CONDITIONAL");
+  }
+  const ocoGroup = legs.length === 2 ? new mongoose.Types.ObjectId().toString() : null;
+
+  const docs = [];
+  for (const leg of legs) {
+    if (!KINDS.includes(leg.kind)) throw orderError("Invalid conditional order kind.", 400, "INVALID_CONDITIONAL");
+    if (leg.kind === "stop_limit" && !isPositive(leg.limitPrice)) {
+      throw orderError("stop_limit orders need a limitPrice.", 400, "INVALID_PRICE");
+    }
+    const market = await requireTradableMarket(parsePair(leg.pair).pair);
+    await requireFreshPrice(market);
+    checkPrice(market, leg.triggerPrice);
+    checkOrderRules(market, {
+      amount: dec(leg.size),
+      price: leg.kind === "stop_limit" ? leg.limitPrice : null,
+      notionalPrice: leg.triggerPrice
+    });
+
+    docs.push({
+      user: userId,
+      pair: parsePair(leg.pair).pair,
+      side: leg.side,
+      kind: leg.kind,
+      triggerPrice: toStr(leg.triggerPrice),
+      triggerCondition: triggerConditionFor(leg.kind, leg.side),
+      limitPrice: leg.kind === "stop_limit" ? toStr(leg.limitPrice) : null,
+      amount: toStr(leg.size),
+      maxSlippageBps: leg.maxSlippageBps != null ? Number(leg.maxSlippageBps) : null,
+      ocoGroup
+    });
+  }
+  if (ocoGroup && docs[0].pair !== docs[1].pair) {
+    throw orderError("OCO legs must be on the same pair.", 400, "INVALID_CONDITIONAL");
+  }
+
+  return ConditionalOrder.insertMany(docs);
+}
+
+/**
+ * Cancel a pending conditional order (and its OCO sibling). Returns cancelled docs.
+ */
+async function cancelConditionalOrder(id, userId) {
+  if (!mongoose.Types.ObjectId.isValid(id)) throw orderError("Order not found.", 404, "ORDER_NOT_FOUND");
+  const order = await ConditionalOrder.findOne({ _id: id, user: userId });
+  if (!order) throw orderError("Order not found.", 404, "ORDER_NOT_FOUND");
+  if (order.status !== "pending") throw orderError(`Order already ${order.status}.`, 400, "ORDER_NOT_OPEN");
+
+  const filter = order.ocoGroup
+    ? { ocoGroup: order.ocoGroup, status: "pending" }
+    : { _id: order._id, status: "pending" };
+  await ConditionalOrder.updateMany(filter, { $set: { status: "cancelled", cancelledAt: new Date() } });
+  return ConditionalOrder.find(order.ocoGroup ? { ocoGroup: order.ocoGroup } : { _id: order._id });
+}
+
+/**
+ * Fire one conditional order at `price`. The pending -> triggered transition is
+ * claimed atomically so an order never fires twice.
+ */
+async function fireConditionalOrder(order, price) {
+  const claimed = await ConditionalOrder.findOneAndUpdate(
+    { _id: order._id, status: "pending" },
+    { $set: { status: "triggered", triggeredAt: new Date(), triggeredPrice: toStr(price) } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  // the other OCO leg is cancelled up front so it cannot fire meanwhile, and goes back to
+  // pending if this leg's order is rejected
+  const ocoReason = `OCO sibling ${claimed._id} triggered`;
+  if (claimed.ocoGroup) {
+    await ConditionalOrder.updateMany(
+      { ocoGroup: claimed.ocoGroup, _id: { $ne: claimed._id }, status: "pending" },
+      { $set: { status: "cancelled", cancelledAt: new Date(), error: ocoReason } }
+    );
+  }
+
+  try {
+    const { order: placed, execution } = await placeOrder({
+      userId: claimed.user,
+      pair: claimed.pair,
+      side: claimed.side,
+      type: claimed.kind === "stop_limit" ? "limit" : "market",
+      amount: claimed.amount,
+      price: claimed.kind === "stop_limit" ? claimed.limitPrice : undefined,
+      maxSlippageBps: claimed.maxSlippageBps != null ? claimed.maxSlippageBps : undefined
+    });
+    claimed.order = placed._id;
+    await claimed.save();
+    await createAudit("conditional:trigger", claimed.user, {
+      conditionalOrderId: claimed._id,
+      kind: claimed.kind,
+      triggerPrice: toStr(claimed.triggerPrice),
+      triggeredPrice: toStr(price),
+      orderId: placed._id,
+      fillPrice: execution.fillPrice
+    });
+  } catch (err) {
+    claimed.status = "failed";
+    claimed.error = err.message;
+    await claimed.save();
+    if (claimed.ocoGroup) {
+      await ConditionalOrder.updateMany(
+        { ocoGroup: claimed.ocoGroup, _id: { $ne: claimed._id }, status: "cancelled", error: ocoReason },
+        { $set: { status: "pending", error: "" }, $unset: { cancelledAt: 1 } }
+      );
+    }
+    await createAudit("conditional:failed", claimed.user, {
+      conditionalOrderId: claimed._id,
+      kind: claimed.kind,
+      triggeredPrice: toStr(price),
+      error: err.message
+    });
+  }
+
+  broadcastToUser(claimed.user, {
+    type: "conditional_order_update",
+    payload: { id: String(claimed._id), user: String(claimed.user), pair: claimed.pair, status: claimed.status }
+  });
+  return claimed;
+}
+
+/**
+ * Check pending conditional orders against a coin price snapshot
+ * ([{ symbol, price }] in USD, as emitted by the price engine).
+ */
+async function evaluateTriggers(snapshot) {
+  const usd = usdPricesFromSnapshot(snapshot);
+
+  const pending = await ConditionalOrder.find({ status: "pending" }).sort({ createdAt: 1 }).exec();
+  const fired = [];
+  for (const order of pending) {
+    const price = snapshotPairPrice(usd, order.pair);
+    if (!price || !isTriggered(order, price)) continue;
+    const market = await getMarket(order.pair);
+    if (market && market.status === "halted") continue;
+    const result = await fireConditionalOrder(order, price);
+    if (result) fired.push(result);
+  }
+  return fired;
+}
+
+module.exports = {
+  createConditionalOrders,
+  cancelConditionalOrder,
+  evaluateTriggers,
+  triggerConditionFor
+};
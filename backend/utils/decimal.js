@@ -0,0 +1,133 @@
+/**
+ * Decimal Util - exact arithmetic for balances, prices and amounts
+ *
+ * - Money values are stored as Decimal128 and computed with decimal.js; never with
+ *   JS floats. `dec()` accepts numbers, strings, Decimal128 and lean
+ *   { $numberDecimal } values alike.
+ * - Each coin has a precision (decimal places): Coin.decimals, else DEFAULT_DECIMALS.
+ *   Amounts are quantised to it with `quantize()`.
+ * - Rounding rules: credits round down, debits and fees round up, so rounding
+ *   never creates funds. Prices are kept to PRICE_DECIMALS places.
+ * - `jsonReplacer` (installed on the Express app) serialises Decimal128 as strings.
+ */
+const Decimal = require("decimal.js");
+const mongoose = require("mongoose");
+const Coin = require("../models/Coin");
+
+const D = Decimal.clone({ precision: 40, rounding: Decimal.ROUND_HALF_UP, toExpNeg: -40, toExpPos: 40 });
+
+const DEFAULT_DECIMALS = parseInt(process.env.DEFAULT_COIN_DECIMALS || "8", 10);
+const MAX_DECIMALS = 18;
+const PRICE_DECIMALS = 8;
+const PRECISION_TTL_MS = 60 * 1000;
+
+const ROUND_DOWN = D.ROUND_DOWN;
+const ROUND_UP = D.ROUND_UP;
+const ROUND_HALF_UP = D.ROUND_HALF_UP;
+
+const precisionCache = new Map(); // symbol -> { ts, places }
+
+/**
+ * Coerce any stored or user-supplied value to a Decimal. Invalid input gives NaN.
+ */
+function dec(value) {
+  if (value instanceof D) return value;
+  if (value == null || value === "") return new D(0);
+  try {
+    if (typeof value === "object") {
+      if (value.$numberDecimal != null) return new D(value.$numberDecimal);
+      return new D(value.toString());
+    }
+    return new D(value);
+  } catch (_) {
+    return new D(NaN);
+  }
+}
+
+function isPositive(value) {
+  const d = dec(value);
+  return d.isFinite() && d.gt(0);
+}
+
+function toDecimal128(value) {
+  return mongoose.Types.Decimal128.fromString(dec(value).toFixed());
+}
+
+function toNumber(value) {
+  return dec(value).toNumber();
+}
+
+/**
+ * Plain decimal string without exponent ("0.00000001", not "1e-8").
+ */
+function toStr(value) {
+  return dec(value).toFixed();
+}
+
+function quantize(value, places, rounding = ROUND_DOWN) {
+  return dec(value).toDecimalPlaces(places, rounding);
+}
+
+function quantizePrice(value, rounding = ROUND_HALF_UP) {
+  return quantize(value, PRICE_DECIMALS, rounding);
+}
+
+function minDec(a, b) {
+  return dec(a).lte(dec(b)) ? dec(a) : dec(b);
+}
+
+function maxDec(a, b) {
+  return dec(a).gte(dec(b)) ? dec(a) : dec(b);
+}
+
+/**
+ * Decimal places a coin's balances are kept to.
+ */
+async function coinDecimals(symbol) {
+  const sym = String(symbol || "").toUpperCase();
+  const cached = precisionCache.get(sym);
+  if (cached && Date.now() - cached.ts < PRECISION_TTL_MS) return cached.places;
+
+  const coin = await Coin.findOne({ symbol: sym }).select("decimals").lean();
+  const raw = coin && coin.decimals;
+  const places = Number.isInteger(raw) ? Math.min(MAX_DECIMALS, Math.max(0, raw)) : DEFAULT_DECIMALS;
+
+  precisionCache.set(sym, { ts: Date.now(), places });
+  return places;
+}
+
+function clearPrecisionCache(symbol) {
+  if (symbol) precisionCache.delete(String(symbol).toUpperCase());
+  else precisionCache.clear();
+}
+
+/**
+ * JSON.stringify replacer: Decimal128 arrives here already as { $numberDecimal }.
+ */
+function jsonReplacer(key, value) {
+  if (value && typeof value === "object" && typeof value.$numberDecimal === "string" && Object.keys(value).length === 1) {
+    return value.$numberDecimal;
+  }
+  return value;
+}
+
+module.exports = {
+  Decimal: D,
+  dec,
+  isPositive,
+  toDecimal128,
+  toNumber,
+  toStr,
+  quantize,
+  quantizePrice,
+  minDec,
+  maxDec,
+  coinDecimals,
+  clearPrecisionCache,
+  jsonReplacer,
+  DEFAULT_DECIMALS,
+  PRICE_DECIMALS,
+  ROUND_DOWN,
+  ROUND_UP,
+  ROUND_HALF_UP
+};
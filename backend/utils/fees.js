@@ -0,0 +1,35 @@
+/**
+ * Fees Util - resolve maker/taker rates for a user and pair
+ *
+ * Precedence: user override > pair rate > admin default > env defaults
+ * (DEFAULT_MAKER_FEE_RATE / DEFAULT_TAKER_FEE_RATE, 0.1% each if unset).
+ */
+const FeeSchedule = require("../models/FeeSchedule");
+
+const ENV_DEFAULTS = {
+  maker: parseFloat(process.env.DEFAULT_MAKER_FEE_RATE || "0.001"),
+  taker: parseFloat(process.env.DEFAULT_TAKER_FEE_RATE || "0.001")
+};
+
+const PRECEDENCE = ["user", "pair", "default"];
+
+/**
+ * Returns { maker, taker, source } for a user trading a pair.
+ */
+async function getFeeRates(userId, pair) {
+  const rows = await FeeSchedule.find({
+    $or: [
+      { scope: "user", user: userId },
+      { scope: "pair", pair: String(pair || "").toUpperCase() },
+      { scope: "default" }
+    ]
+  }).lean();
+
+  for (const scope of PRECEDENCE) {
+    const row = rows.find(r => r.scope === scope);
+    if (row) return { maker: Number(row.makerRate), taker: Number(row.takerRate), source: scope };
+  }
+  return { maker: ENV_DEFAULTS.maker, taker: ENV_DEFAULTS.taker, source: "env" };
+}
+
+module.exports = { getFeeRates, ENV_DEFAULTS };
@@ -0,0 +1,262 @@
+/**
+ * Funding Util - periodic funding between longs and shorts of perpetual futures
+ *
+ * - Funding is settled every FUNDING_INTERVAL_HOURS (default 8), at fixed times from the
+ *   epoch (00:00, 08:00, 16:00 UTC by default), for every position opened before that time.
+ * - The rate is the premium of the mark price over the index, (mark - index) / index,
+ *   clamped to FUNDING_RATE_MIN_PCT .. FUNDING_RATE_MAX_PCT (default -0.75 .. 0.75). Without
+ *   a fresh index the rate is 0. A positive rate means longs pay shorts.
+ * - Each position pays or receives rate * its notional at the mark price through the USDT
+ *   ledger (type futures, subtype funding). A payer whose balance is short covers the rest
+ *   from the position's margin, which moves its liquidation price but not its size; what
+ *   neither covers is recorded as the leg's shortfall and not collected.
+ * - Payers settle first. Receivers are then credited their share scaled by what the payers
+ *   actually paid over what they owed (FundingRate collected / charged), so a payer's
+ *   shortfall reduces what the receivers get.
+ * - Each settlement is a FundingRate document claimed by its unique (pair, fundingTime), and
+ *   each position is marked with lastFundingAt, so an interrupted settlement resumes where it
+ *   stopped and never charges a position twice.
+ */
+const FundingRate = require("../models/FundingRate");
+const FuturesPosition = require("../models/FuturesPosition");
+const { getBalance, postLedgerTransaction, withLedgerSession } = require("./ledger");
+const walletSummaryCache = require("./walletSummaryCache");
+const { createAudit } = require("./auditLog");
+const { broadcast } = require("./broadcaster");
+const { dec, toDecimal128, quantize, coinDecimals, minDec, maxDec, ROUND_DOWN, ROUND_UP } = require("./decimal");
+const { getMarkPrices, liquidationPriceOf, sizeOf } = require("./futures");
+
+const HOUR_MS = 60 * 60 * 1000;
+const INTERVAL_MS = Number(process.env.FUNDING_INTERVAL_HOURS || 8) * HOUR_MS;
+const RATE_MIN = Number(process.env.FUNDING_RATE_MIN_PCT || -0.75) / 100;
+const RATE_MAX = Number(process.env.FUNDING_RATE_MAX_PCT || 0.75) / 100;
+
+function fundingTimeAt(now = Date.now()) {
+  return new Date(Math.floor(now / INTERVAL_MS) * INTERVAL_MS);
+}
+
+function nextFundingTime(now = Date.now()) {
+  return new Date(fundingTimeAt(now).getTime() + INTERVAL_MS);
+}
+
+/**
+ * Funding rate from a mark price entry ({ markPrice, indexPrice }): { rate, premium }.
+ */
+function rateFrom(mark) {
+  if (!mark || !mark.indexPrice) return { rate: 0, premium: null };
+  const premium = mark.markPrice.minus(mark.indexPrice).div(mark.indexPrice).toDecimalPlaces(8).toNumber();
+  return { rate: Math.min(RATE_MAX, Math.max(RATE_MIN, premium)), premium };
+}
+
+function paysFunding(position, rate) {
+  return (position.direction === "long") === (rate > 0);
+}
+
+/**
+ * Charge or pay one position its funding, once per funding time, and add it to the
+ * settlement's totals in the same transaction.
+ * @param {Decimal} [scale] - fraction of its due a receiver is credited (collected / charged)
+ * @returns {Promise<Decimal|null>} amount the position actually paid (negative when it
+ *   received), or null if it was already settled
+ */
+async function settlePositionFunding(position, funding, usdt, scale = dec(1)) {
+  const ft = funding.fundingTime;
+  const rate = funding.rate;
+  const notional = sizeOf(position).times(dec(funding.markPrice));
+  const payment = quantize(notional.times(Math.abs(rate)), usdt, ROUND_UP);
+  const pays = paysFunding(position, rate);
+
+  let paid = null;
+  await withLedgerSession(async (session) => {
+    paid = null;
+    const claimed = await FuturesPosition.updateOne(
+      { _id: position._id, status: "open", lastFundingAt: { $ne: ft } },
+      { $set: { lastFundingAt: ft } },
+      { session }
+    );
+    if (!claimed.modifiedCount) return;
+    const record = async (amount) => {
+      paid = amount;
+      const totals = { positions: 1, paidByLongs: toDecimal128(position.direction === "long" ? amount : amount.neg()) };
+      if (pays) Object.assign(totals, { charged: toDecimal128(payment), collected: toDecimal128(amount) });
+      await FundingRate.updateOne({ _id: funding._id }, { $inc: totals }, { session });
+    };
+    if (payment.isZero()) {
+      await record(dec(0));
+      return;
+    }
+
+    const meta = { fundingRateId: String(funding._id), rate, notional: notional.toFixed() };
+    const leg = {
+      userId: position.user,
+      type: "futures",
+      coin: "USDT",
+      subtype: "funding",
+      ref: String(position._id),
+      note: `Funding for ${position.direction} ${position.pair} at ${(rate * 100).toFixed(4)}%`,
+      meta
+    };
+    try {
+      if (!pays) {
+        const credit = quantize(payment.times(scale), usdt, ROUND_DOWN);
+        if (credit.gt(0)) await postLedgerTransaction([{ ...leg, delta: credit, meta: { ...meta, due: payment.toFixed() } }], { session });
+        await record(credit.neg());
+        return;
+      }
+      const balance = await getBalance(position.user, "USDT", { session });
+      const fromBalance = minDec(maxDec(balance, 0), payment);
+      const fromMargin = minDec(payment.minus(fromBalance), maxDec(dec(position.amount), 0));
+      const collected = fromBalance.plus(fromMargin);
+      await postLedgerTransaction([{
+        ...leg,
+        delta: fromBalance.neg(),
+        meta: { ...meta, due: payment.toFixed(), fromMargin: fromMargin.toFixed(), shortfall: payment.minus(collected).toFixed() }
+      }], { session });
+      if (fromMargin.gt(0)) {
+        // the size stays as opened: written out for positions that predate stored sizes,
+        // which would otherwise derive a smaller one from the reduced margin
+        const amount = dec(position.amount).minus(fromMargin);
+        const set = { amount: amount.toFixed(), size: sizeOf(position).toFixed() };
+        if (position.marginMode !== "cross") set.liquidationPrice = liquidationPriceOf({ ...position.toObject(), ...set }).toFixed();
+        await FuturesPosition.updateOne({ _id: position._id }, { $set: set }, { session });
+      }
+      await record(collected);
+    } catch (err) {
+      // without transactions the mark is already written; take it back so the next run retries
+      if (!session) await FuturesPosition.updateOne({ _id: position._id }, { $set: { lastFundingAt: position.lastFundingAt || null } });
+      throw err;
+    }
+  });
+  if (paid && !paid.isZero()) walletSummaryCache.invalidate(String(position.user));
+  return paid;
+}
+
+/**
+ * Settle every position of one funding document and mark it settled: payers first, then
+ * receivers scaled by what the payers actually paid.
+ */
+async function settleFunding(funding) {
+  const usdt = await coinDecimals("USDT");
+  const positions = await FuturesPosition.find({
+    pair: funding.pair,
+    status: "open",
+    createdAt: { $lte: funding.fundingTime },
+    lastFundingAt: { $ne: funding.fundingTime }
+  }).exec();
+
+  const settleAll = async (list, scale) => {
+    for (const position of list) {
+      try {
+        await settlePositionFunding(position, funding, usdt, scale);
+      } catch (err) {
+        // left unmarked, so the next run retries this position
+        console.error(`funding for position ${position._id} failed:`, err && (err.message || err));
+        return false;
+      }
+    }
+    return true;
+  };
+  if (!await settleAll(positions.filter(p => paysFunding(p, funding.rate)))) return null;
+  const totals = await FundingRate.findById(funding._id).select("charged collected").lean();
+  const charged = dec(totals && totals.charged);
+  const scale = charged.gt(0) ? minDec(dec(totals.collected).div(charged), 1) : dec(1);
+  if (!await settleAll(positions.filter(p => !paysFunding(p, funding.rate)), scale)) return null;
+
+  const settled = await FundingRate.findOneAndUpdate(
+    { _id: funding._id, status: "settling" },
+    { $set: { status: "settled", settledAt: new Date() } },
+    { new: true }
+  ).lean();
+  if (!settled) return null;
+
+  const details = {
+    pair: settled.pair,
+    fundingTime: settled.fundingTime,
+    rate: settled.rate,
+    premium: settled.premium,
+    positions: settled.positions,
+    paidByLongs: settled.paidByLongs,
+    charged: settled.charged,
+    collected: settled.collected
+  };
+  await createAudit("futures:funding", null, details);
+  broadcast({ type: "funding_settled", payload: { ...details, ts: Date.now() } });
+  return settled;
+}
+
+/**
+ * Open the current funding time's settlement for every pair with open positions, and
+ * finish every settlement still in progress.
+ */
+async function runFundingOnce(now = Date.now()) {
+  const fundingTime = fundingTimeAt(now);
+  const pairs = await FuturesPosition.distinct("pair", { status: "open", createdAt: { $lte: fundingTime } });
+  if (pairs.length) {
+    const marks = await getMarkPrices(pairs);
+    for (const pair of pairs) {
+      if (await FundingRate.exists({ pair, fundingTime })) continue;
+      const mark = marks.get(pair);
+      if (!mark) continue;
+      try {
+        await FundingRate.create({
+          pair,
+          fundingTime,
+          ...rateFrom(mark),
+          markPrice: mark.markPrice.toFixed(),
+          indexPrice: mark.indexPrice ? mark.indexPrice.toFixed() : null
+        });
+      } catch (err) {
+        if (!err || err.code !== 11000) throw err;
+      }
+    }
+  }
+
+  const pending = await FundingRate.find({ status: "settling" }).sort({ fundingTime: 1 }).lean();
+  const settled = [];
+  for (const funding of pending) {
+    const done = await settleFunding(funding);
+    if (done) settled.push(done);
+  }
+  return settled;
+}
+
+/**
+ * Funding rate history of a pair, newest first, with the next funding time and the rate
+ * it would get at the current mark price.
+ */
+async function getFundingInfo(pair, limit = 50) {
+  const n = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500);
+  const [history, marks] = await Promise.all([
+    FundingRate.find({ pair }).sort({ fundingTime: -1 }).limit(n).lean(),
+    getMarkPrices([pair])
+  ]);
+  const mark = marks.get(pair) || null;
+  return {
+    pair,
+    intervalHours: INTERVAL_MS / HOUR_MS,
+    nextFundingTime: nextFundingTime(),
+    predictedRate: mark ? rateFrom(mark).rate : null,
+    markPrice: mark ? mark.markPrice.toFixed() : null,
+    indexPrice: mark && mark.indexPrice ? mark.indexPrice.toFixed() : null,
+    rateBounds: { min: RATE_MIN, max: RATE_MAX },
+    history: history.map(f => ({
+      fundingTime: f.fundingTime,
+      rate: f.rate,
+      premium: f.premium,
+      markPrice: f.markPrice,
+      indexPrice: f.indexPrice,
+      status: f.status,
+      positions: f.positions
+    }))
+  };
+}
+
+module.exports = {
+  INTERVAL_MS,
+  fundingTimeAt,
+  nextFundingTime,
+  rateFrom,
+  settlePositionFunding,
+  runFundingOnce,
+  getFundingInfo
+};
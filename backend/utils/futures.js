@@ -0,0 +1,739 @@
+/**
+ * Futures Util - mark price, margin and position settlement
+ *
+ * - The mark price comes from our own data only, so positions can be closed and valued
+ *   while every outside provider is down: the pair's last price from the Coin collection
+ *   (jobs/priceService, covering feed, admin-controlled and custom coins), kept within
+ *   FUTURES_MARK_BAND_PCT (default 5) of the composite index (utils/indexPrice) while that
+ *   index is fresh.
+ * - A position's size (base units) is fixed at open: margin * leverage / entry price. PnL is
+ *   linear in USDT, size * price move, rounded down to USDT precision.
+ * - Margin lives in the ledger: opening debits it (type futures, subtype margin), closing
+ *   credits back margin + PnL. Positions opened before that (no marginSource) took their
+ *   margin from the embedded user.wallets and pay back there, so no ledger USDT is created.
+ * - Margin modes (the user's futuresMarginMode, fixed on each position at open):
+ *   isolated - the position's own margin is all it can lose; margin can be added or removed.
+ *   cross    - every cross position of the user also draws on the USDT balance: losses beyond
+ *              a position's margin come out of the balance, and available balance counts the
+ *              unrealised losses.
+ * - Maintenance margin is a rate of the position's notional, tiered by notional
+ *   (FUTURES_MAINTENANCE_TIERS, "upToNotional:pct,...,*:pct"). An isolated position whose
+ *   equity at the mark price falls to its maintenance margin is liquidated
+ *   (jobs/liquidationEngine); cross positions are liquidated together once the account's
+ *   equity (balance + margins + PnL) falls to their combined maintenance margin. Liquidations
+ *   close at the mark, charge FUTURES_LIQUIDATION_FEE_PCT (default 0.5) of notional out of
+ *   what is left, and are audited and announced to the user over the broadcaster.
+ * - Take-profit, stop-loss and trailing stops close a position at the mark price once it
+ *   crosses them (evaluateTriggers, after liquidations on each tick). A trailing stop follows
+ *   the best mark price seen since activation and fires when the mark moves back from it by
+ *   callbackRate percent. The position's closeReason records what closed it.
+ */
+const mongoose = require("mongoose");
+const Coin = require("../models/Coin");
+const FuturesPosition = require("../models/FuturesPosition");
+const User = require("../models/User");
+const { getBalance, postLedgerTransaction, withLedgerSession } = require("./ledger");
+const walletSummaryCache = require("./walletSummaryCache");
+const { createAudit } = require("./auditLog");
+const { broadcastToUser } = require("./broadcaster");
+const { dec, quantize, quantizePrice, coinDecimals, minDec, maxDec, toStr, ROUND_DOWN, ROUND_UP } = require("./decimal");
+const { USD_QUOTES } = require("./marketPrice");
+const { freshIndexOf } = require("./indexPrice");
+
+const MARK_BAND_PCT = Number(process.env.FUTURES_MARK_BAND_PCT || 5);
+const LIQUIDATION_FEE_PCT = Number(process.env.FUTURES_LIQUIDATION_FEE_PCT || 0.5);
+
+function parseTiers(spec) {
+  return String(spec)
+    .split(",")
+    .map(part => {
+      const [upTo, pct] = part.split(":").map(s => (s || "").trim());
+      return { upTo: upTo === "*" ? Infinity : Number(upTo), rate: Number(pct) / 100 };
+    })
+    .filter(t => t.upTo > 0 && t.rate > 0)
+    .sort((a, b) => a.upTo - b.upTo);
+}
+
+const CLOSE_REASONS = ["manual", "liquidation", "take_profit", "stop_loss", "trailing_stop"];
+const MARGIN_MODES = ["isolated", "cross"];
+const MIN_CALLBACK_RATE = 0.1;
+const MAX_CALLBACK_RATE = 10;
+
+const MAINTENANCE_TIERS = parseTiers(process.env.FUTURES_MAINTENANCE_TIERS || "50000:0.5,250000:1,1000000:2.5,*:5");
+
+/**
+ * Error carrying an HTTP status and a machine-readable code for controllers.
+ */
+function futuresError(message, status = 400, code = "FUTURES_REJECTED") {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+/**
+ * Mark price from a last price and an optional index price (Decimals): the last price,
+ * clamped to the index band when there is an index.
+ */
+function markFromPrices(last, index) {
+  if (!index) return last;
+  const band = index.times(MARK_BAND_PCT).div(100);
+  const lo = index.minus(band);
+  const hi = index.plus(band);
+  return quantizePrice(last.lt(lo) ? lo : last.gt(hi) ? hi : last);
+}
+
+/**
+ * Mark prices of several "BASE/QUOTE" pairs from one Coin read.
+ * @returns {Promise<Map>} pair -> { markPrice, lastPrice, indexPrice } (Decimals, indexPrice null
+ *   when not fresh); pairs without a last price are left out
+ */
+async function getMarkPrices(pairs, now = Date.now()) {
+  const symbols = new Set();
+  pairs.forEach(p => String(p).split("/").forEach(s => symbols.add(s)));
+  const coins = await Coin.find({ symbol: { $in: [...symbols] } }).select("symbol price indexPrice indexUpdatedAt").lean();
+
+  const last = {};
+  const index = {};
+  USD_QUOTES.forEach(q => { last[q] = dec(1); index[q] = dec(1); });
+  coins.forEach(c => {
+    if (USD_QUOTES.includes(c.symbol)) return;
+    const p = dec(c.price);
+    if (p.isFinite() && p.gt(0)) last[c.symbol] = p;
+    const i = freshIndexOf(c, now);
+    if (i) index[c.symbol] = i;
+  });
+
+  const marks = new Map();
+  pairs.forEach(pair => {
+    const [base, quote] = String(pair).split("/");
+    if (!last[base] || !last[quote]) return;
+    const lastPrice = quantizePrice(last[base].div(last[quote]));
+    const indexPrice = index[base] && index[quote] ? quantizePrice(index[base].div(index[quote])) : null;
+    marks.set(pair, { markPrice: markFromPrices(lastPrice, indexPrice), lastPrice, indexPrice });
+  });
+  return marks;
+}
+
+/**
+ * Mark price of one pair ({ markPrice, lastPrice, indexPrice }), or null without a last price.
+ */
+async function getMarkPrice(pair) {
+  return (await getMarkPrices([pair])).get(pair) || null;
+}
+
+/**
+ * Position size in base units (Decimal); derived from the margin for positions opened
+ * before sizes were stored.
+ */
+function sizeOf(position) {
+  if (position.size != null) return dec(position.size);
+  return dec(position.amount).times(position.leverage).div(dec(position.entryPrice));
+}
+
+function isCross(position) {
+  return position.marginMode === "cross";
+}
+
+// positions opened before margin moved to the ledger hold margin taken from user.wallets
+function isLedgerMargin(position) {
+  return position.marginSource === "ledger";
+}
+
+/**
+ * Credit a legacy position's payout to the user's embedded USDT wallet, where its margin
+ * was taken from.
+ */
+async function creditLegacyWallet(userId, amount, session) {
+  if (!amount.gt(0)) return;
+  const inc = amount.toNumber();
+  const res = await User.updateOne({ _id: userId, "wallets.coin": "USDT" }, { $inc: { "wallets.$.balance": inc } }, { session });
+  if (res.matchedCount) return;
+  const pushed = await User.updateOne(
+    { _id: userId, "wallets.coin": { $ne: "USDT" } },
+    { $push: { wallets: { coin: "USDT", balance: inc, address: "" } } },
+    { session }
+  );
+  // a concurrent write may have added the wallet in between
+  if (!pushed.matchedCount) await User.updateOne({ _id: userId, "wallets.coin": "USDT" }, { $inc: { "wallets.$.balance": inc } }, { session });
+}
+
+/**
+ * PnL of a position at a price, rounded down to USDT precision (Decimal).
+ */
+async function positionPnl(position, price) {
+  const entry = dec(position.entryPrice);
+  const move = position.direction === "long" ? dec(price).minus(entry) : entry.minus(dec(price));
+  return quantize(move.times(sizeOf(position)), await coinDecimals("USDT"), ROUND_DOWN);
+}
+
+/**
+ * Maintenance margin rate (fraction of notional) for a position notional.
+ */
+function maintenanceRateFor(notional) {
+  const n = dec(notional);
+  const tier = MAINTENANCE_TIERS.find(t => n.lte(t.upTo)) || MAINTENANCE_TIERS[MAINTENANCE_TIERS.length - 1];
+  return tier.rate;
+}
+
+function maintenanceRateOf(position) {
+  if (position.maintenanceMarginRate != null) return position.maintenanceMarginRate;
+  return maintenanceRateFor(sizeOf(position).times(dec(position.entryPrice)));
+}
+
+/**
+ * Mark price at which an isolated position's equity (margin + PnL) equals its maintenance
+ * margin (rate * size * price). The rate is fixed by the notional at entry.
+ */
+function liquidationPriceOf(position) {
+  const margin = dec(position.amount);
+  const entry = dec(position.entryPrice);
+  const size = sizeOf(position);
+  const rate = maintenanceRateOf(position);
+  const price = position.direction === "long"
+    ? entry.times(size).minus(margin).div(size.times(1 - rate))
+    : entry.times(size).plus(margin).div(size.times(1 + rate));
+  return quantizePrice(maxDec(price, 0));
+}
+
+function shouldLiquidateIsolated(position, markPrice) {
+  const liq = position.liquidationPrice != null ? dec(position.liquidationPrice) : liquidationPriceOf(position);
+  return position.direction === "long" ? markPrice.lte(liq) : markPrice.gte(liq);
+}
+
+/**
+ * Reject a new cross position (a position doc) unless the account can carry it: the
+ * margin must fit in the balance net of cross unrealised losses, and the account's equity
+ * after the margin is set aside must still cover the maintenance margin of every cross
+ * position, the new one included. Reads inside the open's session, so two opens cannot
+ * both pass on the same balance.
+ */
+async function checkCrossOpen(doc, session) {
+  const margin = dec(doc.amount);
+  const [balance, open] = await Promise.all([
+    getBalance(doc.user, "USDT", { session }),
+    FuturesPosition.find({ user: doc.user, status: "open", marginMode: "cross" }).session(session).exec()
+  ]);
+  const marks = await getMarkPrices([...new Set([...open.map(p => p.pair), doc.pair])]);
+  const state = await crossAccountState(doc.user, [...open, doc], marks, balance.minus(margin));
+  if (!state) throw futuresError("No mark price available", 409, "NO_PRICE");
+  if (balance.plus(minDec(state.pnl, 0)).lt(margin)) throw futuresError("Not enough available USDT balance", 400, "INSUFFICIENT_BALANCE");
+  if (state.equity.minus(margin).lt(state.maintenance)) {
+    throw futuresError("Cross account equity would not cover its maintenance margin with this position", 400, "INSUFFICIENT_MARGIN");
+  }
+}
+
+/**
+ * Open a position: debit its margin from the user's USDT ledger balance and store it,
+ * in one transaction. Throws INSUFFICIENT_BALANCE (400) when the available balance is short,
+ * INSUFFICIENT_MARGIN (400) when a cross account could not carry the position (checkCrossOpen)
+ * and MARGIN_MODE_CHANGED (409) when the user's margin mode changed meanwhile.
+ * @param {Object} fields - { user, pair, direction, amount (margin Decimal), leverage, entryPrice,
+ *   marginMode, tp, sl, trailingStop }
+ */
+async function openPosition(fields) {
+  const margin = dec(fields.amount);
+  const entryPrice = dec(fields.entryPrice);
+  const notional = margin.times(fields.leverage);
+  const maintenanceMarginRate = maintenanceRateFor(notional);
+  if (1 / fields.leverage <= maintenanceMarginRate) {
+    throw futuresError(`Leverage too high: maintenance margin for this size is ${maintenanceMarginRate * 100}%.`, 400, "LEVERAGE_TOO_HIGH");
+  }
+  const marginMode = MARGIN_MODES.includes(fields.marginMode) ? fields.marginMode : "isolated";
+  const doc = {
+    _id: new mongoose.Types.ObjectId(),
+    ...fields,
+    marginMode,
+    marginSource: "ledger",
+    amount: margin.toFixed(),
+    size: notional.div(entryPrice).toFixed(),
+    entryPrice: entryPrice.toFixed(),
+    maintenanceMarginRate
+  };
+  doc.liquidationPrice = marginMode === "isolated" ? liquidationPriceOf(doc).toFixed() : null;
+
+  let position;
+  try {
+    await withLedgerSession(async (session) => {
+      // the mode must still be the user's; the write conflicts with a concurrent setMarginMode
+      const current = await User.updateOne(
+        { _id: fields.user, futuresMarginMode: marginMode === "isolated" ? { $in: ["isolated", null] } : marginMode },
+        { $set: { futuresOpenedAt: new Date() } },
+        { session }
+      );
+      if (!current.matchedCount) throw futuresError("Margin mode changed; try again", 409, "MARGIN_MODE_CHANGED");
+      if (marginMode === "cross") await checkCrossOpen(doc, session);
+      await postLedgerTransaction([{
+        userId: fields.user,
+        type: "futures",
+        coin: "USDT",
+        delta: margin.neg(),
+        subtype: "margin",
+        ref: String(doc._id),
+        note: `Margin for ${marginMode} ${fields.direction} ${fields.pair} x${fields.leverage}`
+      }], { session });
+      [position] = await FuturesPosition.create([doc], { session: session || undefined });
+    });
+  } catch (err) {
+    if (err && err.message === "Insufficient balance") throw futuresError("Not enough USDT balance", 400, "INSUFFICIENT_BALANCE");
+    throw err;
+  }
+  walletSummaryCache.invalidate(String(fields.user));
+  return position;
+}
+
+/**
+ * Close an open position at a price and settle margin + PnL - fee in USDT, in one
+ * transaction. An isolated position never pays back more than its margin; a cross position's
+ * loss beyond its margin is taken from the USDT balance. What neither covers is absorbed by
+ * the house (deficit). Throws POSITION_CLOSED (409) if another close got there first.
+ * @param {Object} opts - { price (Decimal), reason (one of CLOSE_REASONS), feePct }
+ * @returns {Promise<Object>} { position, pnl, payout, fee, deficit } (Decimals besides position)
+ */
+async function settlePosition(position, { price, reason = "manual", feePct = 0 }) {
+  const usdt = await coinDecimals("USDT");
+  const margin = dec(position.amount);
+  const rawPnl = await positionPnl(position, price);
+  const raw = margin.plus(rawPnl);
+  const feeDue = quantize(sizeOf(position).times(price).times(feePct).div(100), usdt, ROUND_UP);
+  const liquidated = reason === "liquidation";
+  const ref = String(position._id);
+
+  let result;
+  await withLedgerSession(async (session) => {
+    const closedAt = new Date();
+    const claimed = await FuturesPosition.updateOne(
+      { _id: position._id, status: "open" },
+      { $set: { status: liquidated ? "liquidated" : "closed", closedAt } },
+      { session }
+    );
+    if (!claimed.modifiedCount) throw futuresError("Position not found or already closed", 409, "POSITION_CLOSED");
+    try {
+      // balance a cross position may draw on beyond its margin
+      const cover = isCross(position) ? maxDec(await getBalance(position.user, "USDT", { session }), 0) : dec(0);
+      const equity = maxDec(raw, cover.neg()); // negative: taken from the balance
+      const fee = minDec(maxDec(equity.plus(cover), 0), feeDue);
+      const pnl = equity.minus(margin);
+      const deficit = maxDec(equity.minus(raw), 0);
+
+      if (isLedgerMargin(position)) {
+        const legs = [{
+          userId: position.user,
+          type: "futures",
+          coin: "USDT",
+          delta: equity,
+          subtype: liquidated ? "liquidation" : "close",
+          ref,
+          note: `${liquidated ? "Liquidation" : "Close"} of ${position.direction} ${position.pair} at ${price.toFixed()}`,
+          meta: { reason, marginMode: position.marginMode || "isolated", pnl: pnl.toFixed(), price: price.toFixed(), deficit: deficit.toFixed() }
+        }];
+        if (fee.gt(0)) {
+          legs.push({ userId: position.user, type: "fee", coin: "USDT", delta: fee.neg(), subtype: "liquidation_fee", ref, note: `Liquidation fee for ${position.pair}`, meta: { pair: position.pair } });
+        }
+        await postLedgerTransaction(legs, { session });
+      } else {
+        await creditLegacyWallet(position.user, equity.minus(fee), session);
+      }
+
+      const update = {
+        status: liquidated ? "liquidated" : "closed",
+        closeReason: reason,
+        closedPrice: price.toFixed(),
+        closedAt,
+        pnl: pnl.toFixed(),
+        fee: fee.toFixed()
+      };
+      await FuturesPosition.updateOne({ _id: position._id }, { $set: update }, { session });
+      result = { update, pnl, payout: equity.minus(fee), fee, deficit };
+    } catch (err) {
+      // without transactions the claim is already written; put the position back
+      if (!session) await FuturesPosition.updateOne({ _id: position._id }, { $set: { status: "open" } });
+      throw err;
+    }
+  });
+  position.set(result.update);
+  walletSummaryCache.invalidate(String(position.user));
+  return { position, pnl: result.pnl, payout: result.payout, fee: result.fee, deficit: result.deficit };
+}
+
+/**
+ * Force-close a position at the mark price with the liquidation fee, then audit and notify.
+ */
+async function liquidatePosition(position, markPrice) {
+  const result = await settlePosition(position, { price: markPrice, reason: "liquidation", feePct: LIQUIDATION_FEE_PCT });
+  const details = {
+    positionId: position._id,
+    pair: position.pair,
+    direction: position.direction,
+    marginMode: position.marginMode || "isolated",
+    leverage: position.leverage,
+    margin: toStr(position.amount),
+    entryPrice: toStr(position.entryPrice),
+    liquidationPrice: position.liquidationPrice != null ? toStr(position.liquidationPrice) : null,
+    markPrice: markPrice.toFixed(),
+    pnl: result.pnl.toFixed(),
+    fee: result.fee.toFixed(),
+    payout: result.payout.toFixed(),
+    deficit: result.deficit.toFixed()
+  };
+  await createAudit("futures:liquidation", position.user, details);
+  broadcastToUser(position.user, { type: "futures_liquidation", payload: { ...details, positionId: String(position._id), user: String(position.user), ts: Date.now() } });
+  return result;
+}
+
+/**
+ * Equity, maintenance margin and unrealised PnL of a user's cross positions at the given
+ * marks (Decimals). Equity counts the USDT balance plus each position's margin and PnL.
+ */
+async function crossAccountState(userId, positions, marks, balance) {
+  let equity = dec(balance != null ? balance : await getBalance(userId, "USDT"));
+  let maintenance = dec(0);
+  let pnl = dec(0);
+  for (const p of positions) {
+    const mark = marks.get(p.pair);
+    if (!mark) return null;
+    const pnlAtMark = await positionPnl(p, mark.markPrice);
+    pnl = pnl.plus(pnlAtMark);
+    equity = equity.plus(dec(p.amount)).plus(pnlAtMark);
+    maintenance = maintenance.plus(sizeOf(p).times(mark.markPrice).times(maintenanceRateOf(p)));
+  }
+  return { equity, maintenance, pnl };
+}
+
+/**
+ * Liquidate every isolated position whose mark price has reached its liquidation price, and
+ * every cross account whose equity has fallen to its maintenance margin.
+ * @returns {Promise<Array>} liquidated positions
+ */
+async function evaluateLiquidations() {
+  const open = await FuturesPosition.find({ status: "open" }).exec();
+  if (!open.length) return [];
+  const marks = await getMarkPrices([...new Set(open.map(p => p.pair))]);
+
+  const due = [];
+  const crossByUser = new Map();
+  for (const position of open) {
+    if (isCross(position)) {
+      const key = String(position.user);
+      if (!crossByUser.has(key)) crossByUser.set(key, []);
+      crossByUser.get(key).push(position);
+      continue;
+    }
+    const mark = marks.get(position.pair);
+    if (mark && shouldLiquidateIsolated(position, mark.markPrice)) due.push({ position, markPrice: mark.markPrice });
+  }
+  for (const positions of crossByUser.values()) {
+    const state = await crossAccountState(positions[0].user, positions, marks);
+    if (!state || state.equity.gt(state.maintenance)) continue;
+    // close winners first so their profit is in the balance before the losers draw on it
+    const withPnl = await Promise.all(positions.map(async p => ({ position: p, markPrice: marks.get(p.pair).markPrice, pnl: await positionPnl(p, marks.get(p.pair).markPrice) })));
+    withPnl.sort((a, b) => b.pnl.cmp(a.pnl)).forEach(({ position, markPrice }) => due.push({ position, markPrice }));
+  }
+
+  const liquidated = [];
+  for (const { position, markPrice } of due) {
+    try {
+      await liquidatePosition(position, markPrice);
+      liquidated.push(position);
+    } catch (err) {
+      if (err && err.code === "POSITION_CLOSED") continue;
+      console.error(`liquidation of position ${position._id} failed:`, err && (err.message || err));
+    }
+  }
+  return liquidated;
+}
+
+/**
+ * Futures account of a user: margin mode, USDT balance, what is available for new margin,
+ * and the state of the open positions.
+ * Available = balance, less the net unrealised loss of cross positions.
+ */
+async function getFuturesAccount(userId) {
+  const [user, balance, open] = await Promise.all([
+    User.findById(userId).select("futuresMarginMode").lean(),
+    getBalance(userId, "USDT"),
+    FuturesPosition.find({ user: userId, status: "open" }).exec()
+  ]);
+  const marks = open.length ? await getMarkPrices([...new Set(open.map(p => p.pair))]) : new Map();
+
+  let isolatedMargin = dec(0);
+  let crossMargin = dec(0);
+  let crossPnl = dec(0);
+  let unrealizedPnl = dec(0);
+  for (const p of open) {
+    const mark = marks.get(p.pair);
+    const pnl = mark ? await positionPnl(p, mark.markPrice) : dec(0);
+    unrealizedPnl = unrealizedPnl.plus(pnl);
+    if (isCross(p)) {
+      crossMargin = crossMargin.plus(dec(p.amount));
+      crossPnl = crossPnl.plus(pnl);
+    } else {
+      isolatedMargin = isolatedMargin.plus(dec(p.amount));
+    }
+  }
+  const cross = open.filter(isCross);
+  const state = cross.length ? await crossAccountState(userId, cross, marks, balance) : null;
+
+  return {
+    marginMode: (user && user.futuresMarginMode) || "isolated",
+    balance: balance.toFixed(),
+    available: maxDec(balance.plus(minDec(crossPnl, 0)), 0).toFixed(),
+    isolatedMargin: isolatedMargin.toFixed(),
+    crossMargin: crossMargin.toFixed(),
+    unrealizedPnl: unrealizedPnl.toFixed(),
+    crossEquity: state ? state.equity.toFixed() : null,
+    crossMaintenanceMargin: state ? quantize(state.maintenance, await coinDecimals("USDT"), ROUND_UP).toFixed() : null,
+    openPositions: open.length
+  };
+}
+
+/**
+ * Set the margin mode for the user's new positions. Not allowed while any position is open.
+ */
+async function setMarginMode(userId, mode) {
+  if (!MARGIN_MODES.includes(mode)) throw futuresError(`marginMode must be one of ${MARGIN_MODES.join(", ")}`, 400, "INVALID_MARGIN_MODE");
+  await withLedgerSession(async (session) => {
+    // written before the check, so an open racing this one conflicts on the user document
+    const before = await User.findOneAndUpdate({ _id: userId }, { $set: { futuresMarginMode: mode } }, { session }).select("futuresMarginMode").lean();
+    if (await FuturesPosition.exists({ user: userId, status: "open" }).session(session)) {
+      if (!session && before) await User.updateOne({ _id: userId }, { $set: { futuresMarginMode: before.futuresMarginMode || "isolated" } });
+      throw futuresError("Close all open positions before changing the margin mode.", 409, "OPEN_POSITIONS");
+    }
+  });
+  return mode;
+}
+
+/**
+ * Add margin to, or remove it from, an isolated position through the USDT ledger balance.
+ * Removal is limited to what keeps the position's margin (net of unrealised loss) at its
+ * initial margin at the mark price, size * mark / leverage.
+ * @param {String} action - "add" | "remove"
+ */
+async function adjustMargin(position, action, amount) {
+  if (isCross(position)) throw futuresError("Cross positions share the USDT balance; their margin cannot be adjusted.", 400, "CROSS_MARGIN");
+  const usdt = await coinDecimals("USDT");
+  const change = quantize(amount, usdt, ROUND_DOWN);
+  if (!change.isFinite() || !change.gt(0)) throw futuresError("Invalid amount", 400, "INVALID_AMOUNT");
+  const margin = dec(position.amount);
+
+  if (action === "remove") {
+    const mark = await getMarkPrice(position.pair);
+    if (!mark) throw futuresError("No mark price available", 409, "NO_PRICE");
+    const pnl = await positionPnl(position, mark.markPrice);
+    const initial = sizeOf(position).times(mark.markPrice).div(position.leverage);
+    const removable = quantize(maxDec(margin.plus(minDec(pnl, 0)).minus(initial), 0), usdt, ROUND_DOWN);
+    if (change.gt(removable)) throw futuresError(`At most ${removable.toFixed()} USDT can be removed`, 400, "MARGIN_TOO_LOW");
+  } else if (action !== "add") {
+    throw futuresError("action must be add or remove", 400, "INVALID_ACTION");
+  }
+
+  const newMargin = action === "add" ? margin.plus(change) : margin.minus(change);
+  // size written out so positions without a stored one keep it when the margin changes
+  const update = { amount: newMargin.toFixed(), size: sizeOf(position).toFixed() };
+  update.liquidationPrice = liquidationPriceOf({ ...position.toObject(), ...update }).toFixed();
+  try {
+    await withLedgerSession(async (session) => {
+      // the margin read above must still be current
+      const claimed = await FuturesPosition.updateOne({ _id: position._id, status: "open", amount: position.amount }, { $set: update }, { session });
+      if (!claimed.modifiedCount) throw futuresError("Position was closed or changed; try again", 409, "POSITION_CHANGED");
+      try {
+        await postLedgerTransaction([{
+          userId: position.user,
+          type: "futures",
+          coin: "USDT",
+          delta: action === "add" ? change.neg() : change,
+          subtype: action === "add" ? "margin_add" : "margin_remove",
+          ref: String(position._id),
+          note: `${action === "add" ? "Margin added to" : "Margin removed from"} ${position.direction} ${position.pair}`
+        }], { session });
+      } catch (err) {
+        if (!session) await FuturesPosition.updateOne({ _id: position._id }, { $set: { amount: position.amount, liquidationPrice: position.liquidationPrice } });
+        throw err;
+      }
+    });
+  } catch (err) {
+    if (err && err.message === "Insufficient balance") throw futuresError("Not enough USDT balance", 400, "INSUFFICIENT_BALANCE");
+    throw err;
+  }
+  position.set(update);
+  walletSummaryCache.invalidate(String(position.user));
+  return position;
+}
+
+/**
+ * Check new TP / SL / trailing stop settings against the mark price, so none fires at once.
+ * @param {Object} position - { direction } (plus entry fields for a new position)
+ * @param {Decimal} markPrice
+ * @param {Object} changes - { tp, sl, trailingStop: { callbackRate, activationPrice } }; null clears one
+ * @returns {Object} $set fields for the position (Decimal strings, null to clear)
+ */
+function tpSlUpdate(position, markPrice, { tp, sl, trailingStop } = {}) {
+  const long = position.direction === "long";
+  const set = {};
+  const priceOf = (value, name) => {
+    const p = dec(value);
+    if (!p.isFinite() || !p.gt(0)) throw futuresError(`Invalid ${name} price`, 400, "INVALID_TPSL");
+    return p;
+  };
+
+  if (tp !== undefined) {
+    if (tp === null || tp === "") {
+      set.tp = null;
+    } else {
+      const p = priceOf(tp, "take-profit");
+      if (long ? p.lte(markPrice) : p.gte(markPrice)) {
+        throw futuresError(`Take-profit must be ${long ? "above" : "below"} the mark price ${markPrice.toFixed()}`, 400, "INVALID_TPSL");
+      }
+      set.tp = p.toFixed();
+    }
+  }
+  if (sl !== undefined) {
+    if (sl === null || sl === "") {
+      set.sl = null;
+    } else {
+      const p = priceOf(sl, "stop-loss");
+      if (long ? p.gte(markPrice) : p.lte(markPrice)) {
+        throw futuresError(`Stop-loss must be ${long ? "below" : "above"} the mark price ${markPrice.toFixed()}`, 400, "INVALID_TPSL");
+      }
+      set.sl = p.toFixed();
+    }
+  }
+  if (trailingStop !== undefined) {
+    if (trailingStop === null) {
+      set.trailingStop = null;
+    } else {
+      const rate = Number(trailingStop.callbackRate);
+      if (!(rate >= MIN_CALLBACK_RATE && rate <= MAX_CALLBACK_RATE)) {
+        throw futuresError(`callbackRate must be between ${MIN_CALLBACK_RATE} and ${MAX_CALLBACK_RATE} (%)`, 400, "INVALID_TPSL");
+      }
+      let activationPrice = null;
+      if (trailingStop.activationPrice != null && trailingStop.activationPrice !== "") {
+        activationPrice = priceOf(trailingStop.activationPrice, "activation");
+        if (long ? activationPrice.lte(markPrice) : activationPrice.gte(markPrice)) {
+          throw futuresError(`Activation price must be ${long ? "above" : "below"} the mark price ${markPrice.toFixed()}`, 400, "INVALID_TPSL");
+        }
+      }
+      // without an activation price the stop trails from the current mark
+      set.trailingStop = {
+        callbackRate: rate,
+        activationPrice: activationPrice ? activationPrice.toFixed() : null,
+        peakPrice: activationPrice ? null : markPrice.toFixed()
+      };
+    }
+  }
+  return set;
+}
+
+/**
+ * Change TP / SL / trailing stop on an open position (see tpSlUpdate).
+ */
+async function updateTpSl(position, changes) {
+  const mark = await getMarkPrice(position.pair);
+  if (!mark) throw futuresError("No mark price available", 409, "NO_PRICE");
+  const set = tpSlUpdate(position, mark.markPrice, changes);
+  if (!Object.keys(set).length) return position;
+  const updated = await FuturesPosition.findOneAndUpdate({ _id: position._id, status: "open" }, { $set: set }, { new: true });
+  if (!updated) throw futuresError("Position not found or already closed", 409, "POSITION_CLOSED");
+  return updated;
+}
+
+/**
+ * Which trigger, if any, a mark price fires on a position: "take_profit", "stop_loss",
+ * "trailing_stop" or null. Also returns the trailing stop's new peak when it improved.
+ */
+function triggerFor(position, markPrice) {
+  const long = position.direction === "long";
+  const crossedUp = (p) => p != null && markPrice.gte(dec(p));
+  const crossedDown = (p) => p != null && markPrice.lte(dec(p));
+
+  if (long ? crossedDown(position.sl) : crossedUp(position.sl)) return { reason: "stop_loss" };
+  if (long ? crossedUp(position.tp) : crossedDown(position.tp)) return { reason: "take_profit" };
+
+  const ts = position.trailingStop;
+  if (!ts || !ts.callbackRate) return { reason: null };
+  const peak = ts.peakPrice != null ? dec(ts.peakPrice) : null;
+  if (!peak) {
+    // not active until the mark reaches the activation price
+    if (ts.activationPrice != null && !(long ? crossedUp(ts.activationPrice) : crossedDown(ts.activationPrice))) return { reason: null };
+    return { reason: null, peakPrice: markPrice };
+  }
+  if (long ? markPrice.gt(peak) : markPrice.lt(peak)) return { reason: null, peakPrice: markPrice };
+  const f = dec(ts.callbackRate).div(100);
+  const stop = long ? peak.times(dec(1).minus(f)) : peak.times(f.plus(1));
+  if (long ? markPrice.lte(stop) : markPrice.gte(stop)) return { reason: "trailing_stop", stopPrice: quantizePrice(stop) };
+  return { reason: null };
+}
+
+/**
+ * Close every open position whose TP, SL or trailing stop the mark price has crossed, and
+ * move trailing stops along with the mark.
+ * @returns {Promise<Array>} closed positions
+ */
+async function evaluateTriggers() {
+  const open = await FuturesPosition.find({
+    status: "open",
+    $or: [{ tp: { $ne: null } }, { sl: { $ne: null } }, { "trailingStop.callbackRate": { $gt: 0 } }]
+  }).exec();
+  if (!open.length) return [];
+  const marks = await getMarkPrices([...new Set(open.map(p => p.pair))]);
+
+  const closed = [];
+  for (const position of open) {
+    const mark = marks.get(position.pair);
+    if (!mark) continue;
+    const hit = triggerFor(position, mark.markPrice);
+    try {
+      if (!hit.reason) {
+        if (hit.peakPrice) {
+          await FuturesPosition.updateOne({ _id: position._id, status: "open" }, { $set: { "trailingStop.peakPrice": hit.peakPrice.toFixed() } });
+        }
+        continue;
+      }
+      const result = await settlePosition(position, { price: mark.markPrice, reason: hit.reason });
+      const details = {
+        positionId: position._id,
+        pair: position.pair,
+        direction: position.direction,
+        reason: hit.reason,
+        triggerPrice: hit.stopPrice ? hit.stopPrice.toFixed() : toStr(hit.reason === "take_profit" ? position.tp : position.sl),
+        markPrice: mark.markPrice.toFixed(),
+        pnl: result.pnl.toFixed(),
+        payout: result.payout.toFixed()
+      };
+      await createAudit(`futures:${hit.reason}`, position.user, details);
+      broadcastToUser(position.user, { type: "futures_position_update", payload: { ...details, positionId: String(position._id), user: String(position.user), status: "closed", ts: Date.now() } });
+      closed.push(position);
+    } catch (err) {
+      if (err && err.code === "POSITION_CLOSED") continue;
+      console.error(`TP/SL close of position ${position._id} failed:`, err && (err.message || err));
+    }
+  }
+  return closed;
+}
+
+module.exports = {
+  MARK_BAND_PCT,
+  LIQUIDATION_FEE_PCT,
+  MAINTENANCE_TIERS,
+  CLOSE_REASONS,
+  MARGIN_MODES,
+  futuresError,
+  markFromPrices,
+  getMarkPrices,
+  getMarkPrice,
+  sizeOf,
+  positionPnl,
+  maintenanceRateFor,
+  liquidationPriceOf,
+  openPosition,
+  settlePosition,
+  liquidatePosition,
+  evaluateLiquidations,
+  getFuturesAccount,
+  setMarginMode,
+  adjustMargin,
+  tpSlUpdate,
+  updateTpSl,
+  triggerFor,
+  evaluateTriggers
+};
@@ -0,0 +1,206 @@
+/**
+ * Index Price Util - composite reference price per coin, separate from the last price
+ *
+ * - Feed coins: each index source (Coin.indexSources, else INDEX_PROVIDERS, default
+ *   "binance:1,coingecko:1" as provider:weight) is read from the providers' last quotes
+ *   (utils/priceProviders, shared with the price service's ticks) and only asked directly,
+ *   without fallbacks, when it has not quoted the coin for INDEX_REFRESH_MS (default 30s).
+ *   A source whose last quote is older than INDEX_SOURCE_STALE_MS (default 60s) is
+ *   excluded as stale; a quote more than INDEX_OUTLIER_PCT (default 5) from the median of
+ *   the fresh quotes is excluded as an outlier. The index is the weighted median of the rest.
+ * - Coins driven internally (drift, simulation, scenarios, replays) have no outside market;
+ *   their index is the price service's price.
+ * - The latest value is kept on the coin (indexPrice, indexUpdatedAt) when it changes, and
+ *   at least every INDEX_MAX_AGE_MS / 2 so it stays fresh; getIndexPrice() only returns an
+ *   index younger than INDEX_MAX_AGE_MS (default 60s). A history document with the
+ *   constituents (models/IndexPrice) is stored per coin at most every
+ *   INDEX_HISTORY_INTERVAL_MS (default 60s), and only when the value changed.
+ */
+const Coin = require("../models/Coin");
+const IndexPrice = require("../models/IndexPrice");
+const { dec, quantizePrice } = require("./decimal");
+const { USD_QUOTES } = require("./marketPrice");
+const { fetchFromProvider, lastQuote, PROVIDER_NAMES } = require("./priceProviders");
+const { priceModeFor } = require("./priceModes");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OUTLIER_PCT = Number(process.env.INDEX_OUTLIER_PCT || 5);
+const SOURCE_STALE_MS = parseInt(process.env.INDEX_SOURCE_STALE_MS || "60000", 10);
+const MAX_AGE_MS = parseInt(process.env.INDEX_MAX_AGE_MS || "60000", 10);
+const HISTORY_MS = Number(process.env.INDEX_HISTORY_DAYS || 7) * DAY_MS;
+const REFRESH_MS = parseInt(process.env.INDEX_REFRESH_MS || "30000", 10);
+const HISTORY_INTERVAL_MS = parseInt(process.env.INDEX_HISTORY_INTERVAL_MS || "60000", 10);
+
+const written = new Map(); // symbol -> { coinPrice, coinAt, historyPrice, historyAt } (last writes)
+
+function parseSources(spec) {
+  return String(spec || "")
+    .split(",")
+    .map(part => {
+      const [provider, weight] = part.split(":").map(s => (s || "").trim());
+      return { provider: provider.toLowerCase(), weight: weight ? Number(weight) : 1 };
+    })
+    .filter(s => PROVIDER_NAMES.includes(s.provider) && s.weight > 0);
+}
+
+const DEFAULT_SOURCES = parseSources(process.env.INDEX_PROVIDERS || "binance:1,coingecko:1");
+
+function sourcesFor(coin) {
+  const own = (coin && coin.indexSources) || [];
+  return own.length ? own.filter(s => PROVIDER_NAMES.includes(s.provider) && s.weight > 0) : DEFAULT_SOURCES;
+}
+
+/**
+ * Weighted median of [{ price: Decimal, weight }]: the price at which half the total
+ * weight is reached (midpoint of the two middle prices on an exact tie).
+ */
+function weightedMedian(items) {
+  const sorted = [...items].sort((a, b) => a.price.cmp(b.price));
+  const half = sorted.reduce((sum, i) => sum + i.weight, 0) / 2;
+  let acc = 0;
+  for (let i = 0; i < sorted.length; i++) {
+    acc += sorted[i].weight;
+    if (acc > half) return sorted[i].price;
+    if (acc === half) return sorted[i].price.plus(sorted[i + 1].price).div(2);
+  }
+  return null;
+}
+
+function median(prices) {
+  return weightedMedian(prices.map(price => ({ price, weight: 1 })));
+}
+
+/**
+ * Index of one coin from the cached source quotes: { price: Decimal|null, constituents }.
+ */
+function compositeFor(coin, now) {
+  const constituents = sourcesFor(coin).map(({ provider, weight }) => {
+    const q = lastQuote(provider, coin.symbol);
+    const fresh = q && now - q.at <= SOURCE_STALE_MS;
+    return { source: provider, price: q ? q.price : null, weight, quotedAt: q ? new Date(q.at) : null, status: fresh ? "included" : "stale", deviationPct: null };
+  });
+
+  const fresh = constituents.filter(c => c.status === "included");
+  if (fresh.length) {
+    const mid = median(fresh.map(c => c.price));
+    fresh.forEach(c => {
+      const dev = c.price.minus(mid).abs().div(mid).times(100);
+      c.deviationPct = dev.toDecimalPlaces(4).toNumber();
+      if (dev.gt(OUTLIER_PCT)) c.status = "outlier";
+    });
+  }
+  const used = constituents.filter(c => c.status === "included");
+  return { price: used.length ? quantizePrice(weightedMedian(used)) : null, constituents };
+}
+
+function isInternal(coin) {
+  const src = String(coin.lastPriceSource || "");
+  return priceModeFor(coin) !== "feed" || src.startsWith("replay") || src.startsWith("scenario");
+}
+
+/**
+ * Compute, store and return the index of every coin.
+ * @returns {Promise<Array>} [{ symbol, price: Decimal|null, method, constituents }]
+ */
+async function runIndexOnce(now = Date.now()) {
+  const coins = await Coin.find({ symbol: { $nin: USD_QUOTES } })
+    .select("symbol price priceMode isCustom adminControlEnabled targetPrice lastPriceSource indexSources priceSource coingeckoId")
+    .lean();
+  const external = coins.filter(c => !isInternal(c));
+
+  // one call per provider with every coin it has not quoted lately; the price service's
+  // ticks keep each feed coin's current source quoted already
+  const byProvider = {};
+  external.forEach(c => sourcesFor(c).forEach(s => {
+    const q = lastQuote(s.provider, c.symbol);
+    if (q && now - q.at < REFRESH_MS) return;
+    (byProvider[s.provider] = byProvider[s.provider] || []).push(c);
+  }));
+  await Promise.all(Object.keys(byProvider).map(provider => fetchFromProvider(provider, byProvider[provider])));
+
+  const results = coins.map(c => {
+    if (!isInternal(c)) return { symbol: c.symbol, method: "weighted_median", ...compositeFor(c, now) };
+    const price = dec(c.price);
+    const ok = price.isFinite() && price.gt(0);
+    return {
+      symbol: c.symbol,
+      method: "internal",
+      price: ok ? price : null,
+      constituents: ok ? [{ source: `internal:${c.lastPriceSource || "price_service"}`, price, weight: 1, quotedAt: new Date(now), status: "included", deviationPct: 0 }] : []
+    };
+  });
+
+  const computedAt = new Date(now);
+  const toStored = (c) => ({ ...c, price: c.price ? c.price.toFixed() : null });
+  const priceOf = (r) => (r.price ? r.price.toFixed() : null);
+  const last = (r) => written.get(r.symbol) || {};
+  const current = results.filter(r => r.price && (priceOf(r) !== last(r).coinPrice || now - last(r).coinAt >= MAX_AGE_MS / 2));
+  const history = results.filter(r => priceOf(r) !== last(r).historyPrice && !(now - last(r).historyAt < HISTORY_INTERVAL_MS));
+  try {
+    if (current.length) {
+      await Coin.bulkWrite(current.map(r => ({
+        updateOne: { filter: { symbol: r.symbol }, update: { $set: { indexPrice: r.price.toFixed(), indexUpdatedAt: computedAt } } }
+      })), { ordered: false });
+      current.forEach(r => written.set(r.symbol, { ...last(r), coinPrice: priceOf(r), coinAt: now }));
+    }
+    if (history.length) {
+      await IndexPrice.insertMany(history.map(r => ({
+        symbol: r.symbol,
+        price: priceOf(r),
+        method: r.method,
+        constituents: r.constituents.map(toStored),
+        computedAt,
+        expireAt: new Date(now + HISTORY_MS)
+      })), { ordered: false });
+      history.forEach(r => written.set(r.symbol, { ...last(r), historyPrice: priceOf(r), historyAt: now }));
+    }
+  } catch (e) {
+    console.warn("index price write failed:", e && (e.message || e));
+  }
+  return results;
+}
+
+/**
+ * Index price stored on a (lean) coin as a Decimal, or null when missing or older than MAX_AGE_MS.
+ */
+function freshIndexOf(coin, now = Date.now()) {
+  if (!coin || coin.indexPrice == null || !coin.indexUpdatedAt) return null;
+  if (now - new Date(coin.indexUpdatedAt).getTime() > MAX_AGE_MS) return null;
+  const price = dec(coin.indexPrice);
+  return price.isFinite() && price.gt(0) ? price : null;
+}
+
+/**
+ * Current USD index price of a coin (Decimal), or null when none is fresh.
+ */
+async function getIndexPrice(symbol, now = Date.now()) {
+  const sym = String(symbol || "").toUpperCase();
+  if (USD_QUOTES.includes(sym)) return dec(1);
+  const coin = await Coin.findOne({ symbol: sym }).select("indexPrice indexUpdatedAt").lean();
+  return freshIndexOf(coin, now);
+}
+
+/**
+ * Index price of base in quote, or null when either side has no fresh index.
+ */
+async function getPairIndexPrice(base, quote) {
+  const [b, q] = await Promise.all([getIndexPrice(base), getIndexPrice(quote)]);
+  return b && q ? quantizePrice(b.div(q)) : null;
+}
+
+/**
+ * Latest stored index of a coin with its constituents, or null.
+ */
+async function getLatestIndex(symbol) {
+  return IndexPrice.findOne({ symbol: String(symbol || "").toUpperCase() }).sort({ computedAt: -1 }).lean();
+}
+
+module.exports = {
+  MAX_AGE_MS,
+  weightedMedian,
+  runIndexOnce,
+  freshIndexOf,
+  getIndexPrice,
+  getPairIndexPrice,
+  getLatestIndex
+};
@@ -0,0 +1,178 @@
+/**
+ * Leader Election Util - one node at a time runs the DB-writing jobs
+ *
+ * - Every node competes for one lease ("price-engine") and renews it every TTL/3.
+ *   Backend: Redis (SET NX PX plus a holder-checked renew) when REDIS_URL is set,
+ *   otherwise a LeaderLease document in MongoDB.
+ * - A node that holds the lease is leader until it fails to renew; it steps down on its
+ *   own before the lease can expire elsewhere, and a follower takes over on its next
+ *   attempt after expiry (within LEADER_LEASE_TTL_MS + TTL/3, ~13s by default).
+ * - NODE_ID names the node (default hostname:pid:random); getLeaderStatus() reports it
+ *   with the current leader for /api/health.
+ */
+const os = require("os");
+const crypto = require("crypto");
+const LeaderLease = require("../models/LeaderLease");
+
+const LEASE_NAME = "price-engine";
+const TTL_MS = Math.max(3000, parseInt(process.env.LEADER_LEASE_TTL_MS || "10000", 10));
+const RENEW_MS = Math.floor(TTL_MS / 3);
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}:${process.pid}:${crypto.randomBytes(3).toString("hex")}`;
+
+const REDIS_KEY = `aexon:leader:${LEASE_NAME}`;
+const REDIS_RENEW = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("pexpire", KEYS[1], ARGV[2]) else return 0 end';
+const REDIS_RELEASE = 'if redis.call("get", KEYS[1]) == ARGV[1] then return redis.call("del", KEYS[1]) else return 0 end';
+
+const mongoBackend = {
+  name: "mongo",
+  async acquire() {
+    try {
+      // take the lease if it is ours or has expired (by the database clock)
+      const doc = await LeaderLease.findOneAndUpdate(
+        { _id: LEASE_NAME, $or: [{ holder: NODE_ID }, { $expr: { $lt: ["$expiresAt", "$$NOW"] } }] },
+        [{
+          $set: {
+            holder: NODE_ID,
+            acquiredAt: { $cond: [{ $eq: ["$holder", NODE_ID] }, "$acquiredAt", "$$NOW"] },
+            renewedAt: "$$NOW",
+            expiresAt: { $add: ["$$NOW", TTL_MS] }
+          }
+        }],
+        { upsert: true, new: true }
+      ).lean();
+      return { leader: true, holder: doc.holder, expiresAt: doc.expiresAt };
+    } catch (e) {
+      // held by another node: the upsert collides with the existing lease
+      if (!e || e.code !== 11000) throw e;
+      const doc = await LeaderLease.findById(LEASE_NAME).lean();
+      return { leader: false, holder: doc ? doc.holder : null, expiresAt: doc ? doc.expiresAt : null };
+    }
+  },
+  async release() {
+    await LeaderLease.updateOne({ _id: LEASE_NAME, holder: NODE_ID }, [{ $set: { expiresAt: "$$NOW" } }]);
+  }
+};
+
+function redisBackend(url) {
+  const IORedis = require("ioredis");
+  const client = new IORedis(url, { maxRetriesPerRequest: 1, connectTimeout: 3000 });
+  client.on("error", (e) => console.warn("Redis error (leader election):", e && (e.message || e)));
+  return {
+    name: "redis",
+    async acquire() {
+      let ok = await client.set(REDIS_KEY, NODE_ID, "PX", TTL_MS, "NX");
+      if (!ok) ok = await client.eval(REDIS_RENEW, 1, REDIS_KEY, NODE_ID, TTL_MS);
+      const [holder, ttl] = await Promise.all([client.get(REDIS_KEY), client.pttl(REDIS_KEY)]);
+      return { leader: !!ok && holder === NODE_ID, holder, expiresAt: ttl > 0 ? new Date(Date.now() + ttl) : null };
+    },
+    async release() {
+      await client.eval(REDIS_RELEASE, 1, REDIS_KEY, NODE_ID);
+    },
+    close() {
+      client.disconnect();
+    }
+  };
+}
+
+const state = {
+  running: false,
+  isLeader: false,
+  leaderSince: null,
+  leader: null,
+  leaseExpiresAt: null,
+  lastCheckAt: null,
+  lastError: null
+};
+let backend = null;
+
+function isLeader() {
+  return state.isLeader;
+}
+
+function getLeaderStatus() {
+  return {
+    nodeId: NODE_ID,
+    backend: backend ? backend.name : null,
+    isLeader: state.isLeader,
+    leader: state.leader,
+    leaderSince: state.leaderSince,
+    leaseExpiresAt: state.leaseExpiresAt,
+    leaseTtlMs: TTL_MS,
+    lastCheckAt: state.lastCheckAt,
+    lastError: state.lastError
+  };
+}
+
+/**
+ * Compete for the lease until stopped.
+ * @param {Object} hooks - { onElected, onDemoted } called when this node gains / loses leadership
+ * @returns {Function} stop - steps down (releasing the lease) and stops competing
+ */
+function startLeaderElection({ onElected = () => {}, onDemoted = () => {} } = {}) {
+  backend = process.env.REDIS_URL ? redisBackend(process.env.REDIS_URL) : mongoBackend;
+  state.running = true;
+  let checking = false;
+  let validUntil = 0; // local time by which this node must have renewed or step down
+
+  const promote = () => {
+    state.isLeader = true;
+    state.leaderSince = new Date();
+    console.log(`Leader election: ${NODE_ID} is now leader (${backend.name})`);
+    try { onElected(); } catch (e) { console.warn("onElected failed:", e && (e.message || e)); }
+  };
+  const demote = (reason) => {
+    if (!state.isLeader) return;
+    state.isLeader = false;
+    state.leaderSince = null;
+    console.warn(`Leader election: ${NODE_ID} stepped down (${reason})`);
+    try { onDemoted(); } catch (e) { console.warn("onDemoted failed:", e && (e.message || e)); }
+  };
+
+  async function check() {
+    if (state.isLeader && Date.now() > validUntil) demote("lease not renewed in time");
+    if (checking) return;
+    checking = true;
+    const started = Date.now();
+    try {
+      const r = await backend.acquire();
+      state.leader = r.holder;
+      state.leaseExpiresAt = r.expiresAt;
+      state.lastError = null;
+      if (r.leader) {
+        // keep a margin of one renew period before the lease could expire elsewhere
+        validUntil = started + TTL_MS - RENEW_MS;
+        if (!state.isLeader && state.running) promote();
+      } else {
+        demote(`lease held by ${r.holder}`);
+      }
+    } catch (e) {
+      state.lastError = e && (e.message || String(e));
+      if (state.isLeader && Date.now() > validUntil) demote("lease not renewed in time");
+    } finally {
+      state.lastCheckAt = new Date();
+      checking = false;
+    }
+  }
+
+  check();
+  const id = setInterval(check, RENEW_MS);
+
+  return () => {
+    clearInterval(id);
+    state.running = false;
+    const wasLeader = state.isLeader;
+    demote("stopping");
+    const b = backend;
+    // hand over at once instead of making followers wait for expiry
+    Promise.resolve(wasLeader ? b.release() : null)
+      .catch(e => console.warn("lease release failed:", e && (e.message || e)))
+      .finally(() => { if (b.close) b.close(); });
+  };
+}
+
+module.exports = {
+  NODE_ID,
+  startLeaderElection,
+  getLeaderStatus,
+  isLeader
+};
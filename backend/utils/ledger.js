@@ -3,69 +3,236 @@
  *
  * Added helper: getAllBalances(userId) -> returns last-known balance per coin (from ledger)
  * This is read-only and safe for admin queries.
+ *
+ * Writes are serialised per user+coin with a sequence number: every entry stores
+ * seq = previous seq + 1 under a unique (user, coin, seq) index, so two writers that
+ * read the same previous balance cannot both commit. Multi-leg postings
+ * (debit + credit + fee) go through postLedgerTransaction and commit all-or-nothing
+ * inside a MongoDB transaction. Transactions need a replica set (or sharded cluster);
+ * checkTransactionSupport() refuses a standalone server at startup unless
+ * LEDGER_REQUIRE_TRANSACTIONS=false explicitly accepts non-atomic settlement.
+ *
+ * Amounts and balances are Decimal128. Each leg is quantised to its coin's precision
+ * (utils/decimal.coinDecimals): credits round down and debits round up.
  */
 const LedgerEntry = require("../models/LedgerEntry");
 const mongoose = require("mongoose");
+const { dec, quantize, coinDecimals, toStr, ROUND_DOWN, ROUND_UP } = require("./decimal");
+
+const MAX_ATTEMPTS = 5;
+const REQUIRE_TRANSACTIONS = process.env.LEDGER_REQUIRE_TRANSACTIONS !== "false";
+
+let transactionsUnsupported = false;
+
+function isDuplicateKey(err) {
+  return !!err && (err.code === 11000 || /E11000/.test(err.message || ""));
+}
+
+function isTransactionUnsupported(err) {
+  return !!err && (err.code === 20 || /Transaction numbers are only allowed/i.test(err.message || ""));
+}
+
+function lastEntryQuery(userId, coin, session) {
+  return LedgerEntry.findOne({ user: userId, coin: coin.toUpperCase() })
+    .sort({ seq: -1, createdAt: -1 })
+    .session(session || null);
+}
 
 /**
  * Get the balance for a specific user & coin using the ledger (source-of-truth).
+ * Returns a Decimal (utils/decimal).
  */
-async function getBalance(userId, coin) {
-  const last = await LedgerEntry.findOne({ user: userId, coin: coin.toUpperCase() })
-    .sort({ createdAt: -1 });
-  return last ? last.balance : 0;
+async function getBalance(userId, coin, { session } = {}) {
+  const last = await lastEntryQuery(userId, coin, session);
+  return dec(last ? last.balance : 0);
 }
 
 /**
  * Get the latest balance per coin for a user using aggregation.
- * Returns array: [{ coin: "USDT", balance: 123.45 }, ...]
+ * Returns array: [{ coin: "USDT", balance: "123.45" }, ...]
  */
 async function getAllBalances(userId) {
   if (!userId) return [];
   let objectId;
   try {
-    objectId = mongoose.Types.ObjectId(userId);
+    objectId = new mongoose.Types.ObjectId(String(userId));
   } catch (_) {
     // If invalid ObjectId, return empty
     return [];
   }
 
-  // Aggregation: sort desc by createdAt then group by coin picking first balance
+  // Aggregation: latest entry first (seq, then createdAt for pre-seq entries) then group by coin
   const rows = await LedgerEntry.aggregate([
     { $match: { user: objectId } },
-    { $sort: { createdAt: -1 } },
+    { $sort: { seq: -1, createdAt: -1 } },
     { $group: { _id: "$coin", balance: { $first: "$balance" } } },
     { $project: { _id: 0, coin: "$_id", balance: 1 } }
   ]).exec();
 
-  return Array.isArray(rows) ? rows : [];
+  return Array.isArray(rows) ? rows.map(r => ({ coin: r.coin, balance: toStr(r.balance) })) : [];
 }
 
 /**
- * Add an entry to the ledger and return new balance.
+ * Append one leg after the latest entry of its account. Throws on insufficient
+ * balance, or with a duplicate-key error if another writer took the same seq.
+ */
+async function appendLeg(leg, session) {
+  const coin = String(leg.coin || "").toUpperCase();
+  if (!coin) throw new Error("Coin required");
+  const raw = dec(leg.delta);
+  if (!raw.isFinite()) throw new Error("Amount required");
+  const delta = quantize(raw, await coinDecimals(coin), raw.isNegative() ? ROUND_UP : ROUND_DOWN);
+
+  const last = await lastEntryQuery(leg.userId, coin, session);
+  const prevBalance = dec(last ? last.balance : 0);
+  const newBalance = prevBalance.plus(delta);
+  if (newBalance.lt(0)) throw new Error("Insufficient balance");
+
+  const [entry] = await LedgerEntry.create([{
+    user: leg.userId,
+    type: leg.type,
+    coin,
+    amount: delta.toFixed(),
+    balance: newBalance.toFixed(),
+    seq: (last && last.seq ? last.seq : 0) + 1,
+    subtype: leg.subtype,
+    ref: leg.ref,
+    note: leg.note,
+    meta: leg.meta,
+  }], { session: session || undefined });
+  return { entry, balance: newBalance };
+}
+
+/**
+ * Check that the connected server supports transactions. Throws on a standalone server
+ * unless LEDGER_REQUIRE_TRANSACTIONS=false, in which case it warns and later postings
+ * run without a session.
+ * @returns {Promise<boolean>} whether transactions are available
+ */
+async function checkTransactionSupport() {
+  const hello = await mongoose.connection.db.admin().command({ hello: 1 });
+  if (hello.setName || hello.msg === "isdbgrid") return true;
+  if (REQUIRE_TRANSACTIONS) {
+    throw new Error("Ledger: MongoDB transactions are unavailable (standalone server). Run MongoDB as a replica set, or set LEDGER_REQUIRE_TRANSACTIONS=false to accept non-atomic settlement.");
+  }
+  console.warn("Ledger: MongoDB transactions unavailable (standalone server); multi-leg postings are not atomic.");
+  transactionsUnsupported = true;
+  return false;
+}
+
+/**
+ * Run fn(session) inside a MongoDB transaction, retrying on write conflicts and
+ * sequence collisions. Without transaction support it throws, or runs fn with
+ * session = null when LEDGER_REQUIRE_TRANSACTIONS=false.
+ * fn may run more than once, so it must not depend on state it mutated earlier.
+ */
+async function withLedgerSession(fn) {
+  for (let attempt = 1; ; attempt++) {
+    if (transactionsUnsupported) {
+      try {
+        return await fn(null);
+      } catch (err) {
+        if (isDuplicateKey(err) && attempt < MAX_ATTEMPTS) continue;
+        throw err;
+      }
+    }
+
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await fn(session);
+      });
+      return result;
+    } catch (err) {
+      if (isTransactionUnsupported(err) && !REQUIRE_TRANSACTIONS) {
+        console.warn("Ledger: MongoDB transactions unavailable (standalone server); multi-leg postings are not atomic.");
+        transactionsUnsupported = true;
+        continue;
+      }
+      if (isDuplicateKey(err) && attempt < MAX_ATTEMPTS) continue;
+      throw err;
+    } finally {
+      await session.endSession();
+    }
+  }
+}
+
+/**
+ * Post several legs all-or-nothing and return [{ entry, balance }] in leg order.
+ * @param {Array<Object>} legs - [{ userId, type, coin, delta, subtype, ref, note, meta }]; delta may be a
+ *   number, decimal string or Decimal
+ * @param {Object} opts - { session } to join a caller's transaction
+ *
+ * Without transaction support, legs that were already written are reversed
+ * (type adjustment, subtype reversal) when a later leg fails.
+ */
+async function postLedgerTransaction(legs, { session } = {}) {
+  if (!Array.isArray(legs) || legs.length === 0) return [];
+
+  const run = async (s) => {
+    const results = [];
+    try {
+      for (const leg of legs) results.push(await appendLeg(leg, s));
+      return results;
+    } catch (err) {
+      if (!s && results.length) await reverseLegs(results);
+      throw err;
+    }
+  };
+
+  if (session !== undefined) return run(session);
+  return withLedgerSession(run);
+}
+
+async function reverseLegs(results) {
+  for (const { entry } of results.slice().reverse()) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      try {
+        await appendLeg({
+          userId: entry.user,
+          type: 'adjustment',
+          coin: entry.coin,
+          delta: dec(entry.amount).neg(),
+          subtype: 'reversal',
+          ref: String(entry._id),
+          note: `Reversal of failed multi-leg posting (${entry.type})`
+        }, null);
+        break;
+      } catch (err) {
+        if (!isDuplicateKey(err) || attempt === MAX_ATTEMPTS) {
+          console.error("Ledger reversal failed:", entry._id, err && err.message);
+          break;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Add an entry to the ledger and return new balance (a Decimal).
  * @param {ObjectId} userId - user id
  * @param {String} type - deposit/withdraw/trade/fee/etc.
  * @param {String} coin - currency/ticker
- * @param {Number} delta - change (positive: credit, negative: debit)
- * @param {Object} opts - { subtype, ref, note, meta }
+ * @param {Number|String|Decimal} delta - change (positive: credit, negative: debit)
+ * @param {Object} opts - { subtype, ref, note, meta, session }
  *
- * Note: This function remains unchanged in semantics; admin read endpoints use getAllBalances.
+ * Note: single-leg form of postLedgerTransaction; admin read endpoints use getAllBalances.
  */
 async function postLedgerEntry(userId, type, coin, delta, opts = {}) {
-  coin = coin.toUpperCase();
-  if (typeof delta !== 'number' || !Number.isFinite(delta)) throw new Error("Amount required");
-  let prevBalance = await getBalance(userId, coin);
-  let newBalance = prevBalance + delta;
-  if (newBalance < 0) throw new Error("Insufficient balance");
-  const entry = await LedgerEntry.create({
-    user: userId,
-    type,
-    coin,
-    amount: delta,
-    balance: newBalance,
-    ...opts,
-  });
-  return { entry, balance: newBalance };
+  const { session, ...rest } = opts;
+  const [result] = await postLedgerTransaction(
+    [{ userId, type, coin, delta, ...rest }],
+    session !== undefined ? { session } : {}
+  );
+  return result;
 }
 
-module.exports = { getBalance, postLedgerEntry, getAllBalances };
\ No newline at end of file
+module.exports = {
+  getBalance,
+  postLedgerEntry,
+  postLedgerTransaction,
+  withLedgerSession,
+  checkTransactionSupport,
+  getAllBalances
+};
@@ -0,0 +1,128 @@
+/**
+ * Market Data Util - public order book depth and trade tape
+ *
+ * - Depth aggregates resting orders (open/partially_filled) per price level:
+ *   bids best (highest) first, asks best (lowest) first, as [price, size] strings.
+ * - Every book change on a pair bumps that pair's depth sequence number and is
+ *   published as a "depth_update" carrying the changed levels (size "0" removes a level)
+ *   with seq and prevSeq. A client rebuilds a local book by buffering updates, fetching
+ *   the REST snapshot, dropping updates with seq <= snapshot.seq and refetching whenever
+ *   an update's prevSeq is not the last seq it applied. Sequences are per process and
+ *   restart from 0, which also shows up as a gap.
+ * - The tape lists one entry per match (the taker's side of it), without user ids.
+ *
+ * The matching engine calls publishBookChanges under the pair lock, and snapshots are
+ * read under the same lock, so sequence numbers follow book order.
+ */
+const Order = require("../models/Order");
+const Trade = require("../models/Trade");
+const { dec, toStr, toDecimal128 } = require("./decimal");
+const { publish } = require("./marketStream");
+
+const OPEN_STATUSES = ["open", "partially_filled"];
+const MAX_LIMIT = 500;
+
+const depthSeq = new Map(); // pair -> last published sequence number
+
+function clampLimit(limit, fallback = 50) {
+  const n = parseInt(limit, 10);
+  if (!Number.isFinite(n) || n < 1) return fallback;
+  return Math.min(n, MAX_LIMIT);
+}
+
+function levelRows(rows) {
+  return rows.map(r => [toStr(r._id), toStr(r.size)]);
+}
+
+async function sideLevels(pair, side, { limit, prices } = {}) {
+  const match = { pair, side, status: { $in: OPEN_STATUSES } };
+  if (prices) match.price = { $in: prices.map(toDecimal128) };
+  const pipeline = [
+    { $match: match },
+    { $group: { _id: "$price", size: { $sum: "$remaining" }, orders: { $sum: 1 } } },
+    { $sort: { _id: side === "buy" ? -1 : 1 } }
+  ];
+  if (limit) pipeline.push({ $limit: limit });
+  return Order.aggregate(pipeline);
+}
+
+/**
+ * Aggregated book for a pair: { pair, seq, bids, asks, ts }.
+ * Read it under the pair lock for a snapshot consistent with seq.
+ */
+async function getDepth(pair, limit) {
+  const n = clampLimit(limit);
+  const [bids, asks] = await Promise.all([sideLevels(pair, "buy", { limit: n }), sideLevels(pair, "sell", { limit: n })]);
+  return { pair, seq: depthSeq.get(pair) || 0, bids: levelRows(bids), asks: levelRows(asks), ts: Date.now() };
+}
+
+/**
+ * Latest matches on a pair, newest first: [{ id, price, amount, quoteAmount, side, ts }].
+ * `side` is the taker's side.
+ */
+async function getRecentTrades(pair, limit) {
+  const rows = await Trade.find({ pair, liquidity: "taker" })
+    .sort({ filledAt: -1, _id: -1 })
+    .limit(clampLimit(limit))
+    .select("matchId price amount quoteAmount side filledAt")
+    .lean();
+  return rows.map(tapeEntry);
+}
+
+function tapeEntry(t) {
+  return {
+    id: t.matchId,
+    price: toStr(t.price),
+    amount: toStr(t.amount),
+    quoteAmount: toStr(t.quoteAmount),
+    side: t.side,
+    ts: new Date(t.filledAt).getTime()
+  };
+}
+
+/**
+ * Publish the book levels touched by an engine step and the trades it produced.
+ * @param {String} pair
+ * @param {Array<Object>} levels - [{ side, price }] whose resting size may have changed
+ * @param {Array<Object>} fills - Trade documents from settleFill (both sides of each match)
+ * Never throws: market data is best effort and must not fail an order.
+ */
+async function publishBookChanges(pair, levels = [], fills = []) {
+  try {
+    const tape = fills.filter(f => f.liquidity === "taker").map(tapeEntry);
+    if (tape.length) publish("trades", pair, "trade", { pair, trades: tape });
+
+    const wanted = { buy: new Set(), sell: new Set() };
+    levels.forEach(l => {
+      if (l && wanted[l.side] && l.price != null) wanted[l.side].add(dec(l.price).toFixed());
+    });
+    if (!wanted.buy.size && !wanted.sell.size) return;
+
+    const changes = {};
+    for (const side of ["buy", "sell"]) {
+      const prices = [...wanted[side]];
+      if (!prices.length) {
+        changes[side] = [];
+        continue;
+      }
+      const sizes = new Map(levelRows(await sideLevels(pair, side, { prices })));
+      changes[side] = prices
+        .map(p => [p, sizes.get(p) || "0"])
+        .sort((a, b) => (side === "buy" ? dec(b[0]).cmp(dec(a[0])) : dec(a[0]).cmp(dec(b[0]))));
+    }
+
+    const prevSeq = depthSeq.get(pair) || 0;
+    const seq = prevSeq + 1;
+    depthSeq.set(pair, seq);
+    publish("depth", pair, "depth_update", { pair, seq, prevSeq, bids: changes.buy, asks: changes.sell, ts: Date.now() });
+  } catch (e) {
+    console.warn("publishBookChanges failed:", e && (e.message || e));
+  }
+}
+
+module.exports = {
+  OPEN_STATUSES,
+  getDepth,
+  getRecentTrades,
+  publishBookChanges
+};
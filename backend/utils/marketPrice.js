@@ -0,0 +1,86 @@
+/**
+ * Market Price Util - server-side reference prices for order execution
+ *
+ * - Prices come from the Coin collection (kept current by jobs/priceService).
+ * - Pair prices are quoted in the quote coin; USD stablecoins count as 1.
+ * - Slippage helpers express tolerances in basis points (1 bps = 0.01%).
+ * - Prices are returned as Decimals (utils/decimal), rounded to PRICE_DECIMALS.
+ */
+const Coin = require("../models/Coin");
+const { dec, quantizePrice } = require("./decimal");
+
+const USD_QUOTES = ["USDT", "USD", "USDC"];
+const DEFAULT_MAX_SLIPPAGE_BPS = parseInt(process.env.DEFAULT_MAX_SLIPPAGE_BPS || "500", 10);
+
+/**
+ * Current USD price of a coin (Decimal), or null when unknown.
+ */
+async function getCoinPrice(symbol) {
+  const sym = String(symbol || "").toUpperCase();
+  if (USD_QUOTES.includes(sym)) return dec(1);
+  const coin = await Coin.findOne({ symbol: sym }).select("price").lean();
+  const price = coin ? dec(coin.price) : null;
+  return price && price.isFinite() && price.gt(0) ? price : null;
+}
+
+/**
+ * Current price of base expressed in quote, or null when either side is unknown.
+ */
+async function getPairPrice(base, quote) {
+  const [basePrice, quotePrice] = await Promise.all([getCoinPrice(base), getCoinPrice(quote)]);
+  if (!basePrice || !quotePrice) return null;
+  const price = quantizePrice(basePrice.div(quotePrice));
+  return price.gt(0) ? price : null;
+}
+
+/**
+ * USD prices from a price engine snapshot ([{ symbol, price }]), stablecoins included.
+ */
+function usdPricesFromSnapshot(snapshot) {
+  const usd = {};
+  USD_QUOTES.forEach(q => { usd[q] = 1; });
+  (snapshot || []).forEach(c => {
+    if (c && c.symbol && Number(c.price) > 0) usd[String(c.symbol).toUpperCase()] = Number(c.price);
+  });
+  return usd;
+}
+
+/**
+ * Price of a "BASE/QUOTE" pair from usdPricesFromSnapshot() output, or null when either side is missing.
+ */
+function snapshotPairPrice(usd, pair) {
+  const [base, quote] = String(pair || "").split("/");
+  if (!usd[base] || !usd[quote]) return null;
+  return quantizePrice(dec(usd[base]).div(dec(usd[quote])));
+}
+
+/**
+ * Worst acceptable execution price for a side given an expected price.
+ * Buys may pay up to expected * (1 + bps); sells may receive down to expected * (1 - bps).
+ */
+function slippageBound(expected, side, bps = DEFAULT_MAX_SLIPPAGE_BPS) {
+  const f = dec(Math.max(0, Number(bps) || 0)).div(10000);
+  const bound = side === "buy" || side === "long" ? dec(expected).times(f.plus(1)) : dec(expected).times(dec(1).minus(f));
+  return quantizePrice(bound);
+}
+
+/**
+ * Signed slippage of an execution price against an expected price, in bps.
+ * Positive means worse for the taker.
+ */
+function slippageBps(expected, actual, side) {
+  if (!expected || dec(expected).isZero()) return 0;
+  const diff = side === "buy" || side === "long" ? dec(actual).minus(dec(expected)) : dec(expected).minus(dec(actual));
+  return diff.div(dec(expected)).times(10000).toDecimalPlaces(2).toNumber();
+}
+
+module.exports = {
+  getCoinPrice,
+  getPairPrice,
+  usdPricesFromSnapshot,
+  snapshotPairPrice,
+  slippageBound,
+  slippageBps,
+  DEFAULT_MAX_SLIPPAGE_BPS,
+  USD_QUOTES
+};
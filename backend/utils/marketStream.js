@@ -0,0 +1,105 @@
+/**
+ * Market Stream Util - per-channel market data subscriptions over Socket.IO and /ws
+ *
+ * Clients subscribe to a channel ("depth", "trades", "ticker") for one pair, or for every
+ * pair with pair "*":
+ *  - Socket.IO: emit "subscribe" / "unsubscribe" with { channel, pair }; messages arrive as
+ *    events named after their type (e.g. "depth_update") carrying the payload.
+ *  - /ws: send {"op":"subscribe","channel":"depth","pair":"BTC/USDT"}; messages arrive as
+ *    { type, channel, pair, payload } JSON frames.
+ *
+ * Unlike utils/broadcaster, messages only reach subscribers of the channel.
+ */
+const { normalizeSymbol } = require("./markets");
+
+const CHANNELS = ["depth", "trades", "ticker"];
+
+function roomFor(channel, pair) {
+  return `${channel}:${pair}`;
+}
+
+function parseSubscription(msg) {
+  const channel = String((msg && msg.channel) || "").toLowerCase();
+  if (!CHANNELS.includes(channel)) return null;
+  const pair = msg.pair === "*" ? "*" : normalizeSymbol(msg.pair);
+  if (!pair) return null;
+  return { channel, pair, room: roomFor(channel, pair) };
+}
+
+/**
+ * Wire subscribe/unsubscribe handlers onto a Socket.IO socket.
+ */
+function handleSocketIoConnection(socket) {
+  socket.on("subscribe", (msg) => {
+    const sub = parseSubscription(msg);
+    if (!sub) return socket.emit("subscribe_error", { error: "Invalid channel or pair", request: msg });
+    socket.join(sub.room);
+    socket.emit("subscribed", { channel: sub.channel, pair: sub.pair });
+  });
+  socket.on("unsubscribe", (msg) => {
+    const sub = parseSubscription(msg);
+    if (sub) socket.leave(sub.room);
+  });
+}
+
+/**
+ * Wire subscribe/unsubscribe handling onto a native ws connection.
+ */
+function handleWsConnection(ws) {
+  ws.subscriptions = new Set();
+  ws.on("message", (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(String(raw));
+    } catch (_) {
+      return;
+    }
+    if (!msg || (msg.op !== "subscribe" && msg.op !== "unsubscribe")) return;
+    const sub = parseSubscription(msg);
+    try {
+      if (!sub) {
+        ws.send(JSON.stringify({ type: "subscribe_error", payload: { error: "Invalid channel or pair", request: msg } }));
+      } else if (msg.op === "subscribe") {
+        ws.subscriptions.add(sub.room);
+        ws.send(JSON.stringify({ type: "subscribed", payload: { channel: sub.channel, pair: sub.pair } }));
+      } else {
+        ws.subscriptions.delete(sub.room);
+      }
+    } catch (_) { /* socket closed */ }
+  });
+}
+
+/**
+ * Send a message to subscribers of channel for pair and, unless wildcard is false,
+ * to subscribers of the channel for "*".
+ */
+function publish(channel, pair, type, payload, { wildcard = true } = {}) {
+  const rooms = [roomFor(channel, pair)];
+  if (wildcard && pair !== "*") rooms.push(roomFor(channel, "*"));
+  try {
+    if (global.io && typeof global.io.to === "function") global.io.to(rooms).emit(type, payload);
+  } catch (e) {
+    console.warn("marketStream Socket.IO publish failed:", e && e.message);
+  }
+  try {
+    if (global.wss && global.wss.clients) {
+      const frame = JSON.stringify({ type, channel, pair, payload });
+      global.wss.clients.forEach(client => {
+        try {
+          if (client.readyState === 1 && client.subscriptions && rooms.some(r => client.subscriptions.has(r))) {
+            client.send(frame);
+          }
+        } catch (_) { /* ignore */ }
+      });
+    }
+  } catch (e) {
+    console.warn("marketStream ws publish failed:", e && e.message);
+  }
+}
+
+module.exports = {
+  CHANNELS,
+  handleSocketIoConnection,
+  handleWsConnection,
+  publish
+};
@@ -0,0 +1,205 @@
+/**
+ * Markets Util - look up pairs in the Market registry and enforce their trading rules
+ *
+ * - Markets are cached briefly in process; admin writes clear the cache.
+ * - Rule violations throw errors carrying { status, code } like matchingEngine.orderError,
+ *   so controllers surface them the same way.
+ * - ensureDefaultMarkets() lists every coin without a market against USDT with default rules;
+ *   it runs on startup so deployments that predate the registry keep trading.
+ */
+const Coin = require("../models/Coin");
+const Market = require("../models/Market");
+const { dec, isPositive, toStr } = require("./decimal");
+
+const CACHE_TTL_MS = parseInt(process.env.MARKET_CACHE_TTL_MS || "5000", 10);
+const DEFAULT_QUOTE = "USDT";
+const STABLES = ["USDT", "USD", "USDC"];
+const DEFAULT_MIN_NOTIONAL = process.env.MARKET_DEFAULT_MIN_NOTIONAL || "1";
+
+const cache = new Map(); // symbol -> { ts, market }
+
+function marketError(message, status = 400, code = "ORDER_REJECTED") {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function normalizeSymbol(pair) {
+  const [base, quote] = String(pair || "").toUpperCase().split("/");
+  return base && quote ? `${base}/${quote}` : null;
+}
+
+/**
+ * Market document (lean) for a pair, or null when it is not listed.
+ */
+async function getMarket(pair) {
+  const symbol = normalizeSymbol(pair);
+  if (!symbol) return null;
+  const hit = cache.get(symbol);
+  if (hit && Date.now() - hit.ts < CACHE_TTL_MS) return hit.market;
+
+  const market = await Market.findOne({ symbol }).lean();
+  cache.set(symbol, { ts: Date.now(), market });
+  return market;
+}
+
+function clearMarketCache(symbol) {
+  if (symbol) cache.delete(normalizeSymbol(symbol));
+  else cache.clear();
+}
+
+/**
+ * Market for a pair that currently accepts new orders.
+ * @param {Object} opts - { futures } also requires futuresEnabled
+ */
+async function requireTradableMarket(pair, { futures = false } = {}) {
+  const market = await getMarket(pair);
+  if (!market || market.status === "delisted") {
+    throw marketError(`Market ${normalizeSymbol(pair) || pair} is not listed.`, 404, "MARKET_NOT_FOUND");
+  }
+  if (market.status === "halted") {
+    throw marketError(`Market ${market.symbol} is halted${market.statusReason ? `: ${market.statusReason}` : ""}.`, 409, "MARKET_HALTED");
+  }
+  if (futures && !market.futuresEnabled) {
+    throw marketError(`Futures are not enabled for ${market.symbol}.`, 409, "FUTURES_DISABLED");
+  }
+  return market;
+}
+
+function isMultipleOf(value, step) {
+  if (!isPositive(step)) return true;
+  return dec(value).mod(dec(step)).isZero();
+}
+
+function checkPrice(market, price) {
+  if (!isMultipleOf(price, market.tickSize)) {
+    throw marketError(`Price must be a multiple of the tick size ${toStr(market.tickSize)}.`, 400, "INVALID_TICK_SIZE");
+  }
+}
+
+function checkMaxSize(market, amount) {
+  if (market.maxOrderSize != null && isPositive(market.maxOrderSize) && dec(amount).gt(dec(market.maxOrderSize))) {
+    throw marketError(`Size exceeds the maximum order size ${toStr(market.maxOrderSize)} ${market.base}.`, 400, "MAX_ORDER_SIZE");
+  }
+}
+
+function checkSize(market, amount) {
+  if (!isMultipleOf(amount, market.lotSize)) {
+    throw marketError(`Size must be a multiple of the lot size ${toStr(market.lotSize)}.`, 400, "INVALID_LOT_SIZE");
+  }
+  checkMaxSize(market, amount);
+}
+
+function checkNotional(market, notional) {
+  if (isPositive(market.minNotional) && dec(notional).lt(dec(market.minNotional))) {
+    throw marketError(`Order value is below the minimum of ${toStr(market.minNotional)} ${market.quote}.`, 400, "MIN_NOTIONAL");
+  }
+}
+
+/**
+ * Check a spot order against its market's rules.
+ * @param {Object} params - { amount, price } where price is the limit price (tick-checked);
+ *   notionalPrice estimates the order value when there is no limit price (market orders)
+ */
+function checkOrderRules(market, { amount, price, notionalPrice } = {}) {
+  checkSize(market, amount);
+  if (price != null) checkPrice(market, price);
+  const valuePrice = price != null ? price : notionalPrice;
+  if (valuePrice != null) checkNotional(market, dec(amount).times(dec(valuePrice)));
+}
+
+/**
+ * Public shape of a market for API responses, with display precisions derived from
+ * tick and lot size.
+ */
+function serializeMarket(m) {
+  return {
+    symbol: m.symbol,
+    base: m.base,
+    quote: m.quote,
+    status: m.status,
+    statusReason: m.statusReason || "",
+    haltSource: m.haltSource || null,
+    haltedAt: m.haltedAt || null,
+    resumeAt: m.resumeAt || null,
+    tickSize: toStr(m.tickSize),
+    lotSize: toStr(m.lotSize),
+    minNotional: toStr(m.minNotional),
+    maxOrderSize: m.maxOrderSize != null ? toStr(m.maxOrderSize) : null,
+    pricePrecision: dec(m.tickSize).decimalPlaces(),
+    sizePrecision: dec(m.lotSize).decimalPlaces(),
+    futuresEnabled: m.futuresEnabled !== false,
+    circuitBreaker: m.circuitBreaker ? {
+      enabled: m.circuitBreaker.enabled !== false,
+      maxMovePct: m.circuitBreaker.maxMovePct,
+      windowMinutes: m.circuitBreaker.windowMinutes,
+      cooldownMinutes: m.circuitBreaker.cooldownMinutes
+    } : null
+  };
+}
+
+function defaultTickSize(price) {
+  const p = dec(price);
+  if (p.gte(1000)) return "0.01";
+  if (p.gte(1)) return "0.0001";
+  return "0.00000001";
+}
+
+function defaultLotSize(decimals) {
+  const places = Math.min(6, Number.isInteger(decimals) ? decimals : 8);
+  return dec(10).pow(-places).toFixed();
+}
+
+/**
+ * List every non-stablecoin coin against USDT, leaving existing markets untouched so admin
+ * changes (rules, delistings, halts) survive. Defaults: tick size from the coin's current
+ * price, lot size from its precision (at most 6 places), min notional
+ * MARKET_DEFAULT_MIN_NOTIONAL (1 USDT), no max size, futures enabled.
+ * @returns {Promise<number>} markets created
+ */
+async function ensureDefaultMarkets() {
+  const coins = await Coin.find({ symbol: { $nin: STABLES } }).select("symbol price decimals").lean();
+  if (!coins.length) return 0;
+  const ops = coins.map((c) => {
+    const base = String(c.symbol).toUpperCase();
+    const symbol = `${base}/${DEFAULT_QUOTE}`;
+    return {
+      updateOne: {
+        filter: { symbol },
+        update: {
+          $setOnInsert: {
+            symbol,
+            base,
+            quote: DEFAULT_QUOTE,
+            status: "trading",
+            tickSize: defaultTickSize(c.price),
+            lotSize: defaultLotSize(c.decimals),
+            minNotional: DEFAULT_MIN_NOTIONAL,
+            maxOrderSize: null,
+            futuresEnabled: true
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+  const result = await Market.bulkWrite(ops, { ordered: false });
+  if (result.upsertedCount) clearMarketCache();
+  return result.upsertedCount || 0;
+}
+
+module.exports = {
+  ensureDefaultMarkets,
+  getMarket,
+  requireTradableMarket,
+  clearMarketCache,
+  checkOrderRules,
+  checkPrice,
+  checkSize,
+  checkMaxSize,
+  checkNotional,
+  serializeMarket,
+  normalizeSymbol,
+  marketError
+};
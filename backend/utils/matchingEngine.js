@@ -0,0 +1,632 @@
+/**
+ * Matching Engine - spot order book with price-time priority
+ *
+ * - Orders are persisted in the Order collection; the resting book is simply the
+ *   open/partially_filled orders for a pair, so it survives restarts.
+ * - Work on a pair is serialised through an in-process lock (one match at a time).
+ * - Funds are held in the ledger when an order is placed (subtype order_hold) and
+ *   released on fill price improvement, completion or cancellation.
+ * - Every fill is settled for both sides through utils/ledger.postLedgerTransaction and
+ *   recorded as Trade documents (one per side), with maker/taker fees from utils/fees.
+ * - Each step (hold, fill, release, amend) commits its ledger legs, Trade documents and
+ *   Order state in one transaction. Order state is computed first and written with
+ *   updateOne so a retried transaction never applies it twice.
+ * - A fill only applies to an order that is still open with the remaining size it was
+ *   read with; otherwise the fill aborts as a conflict and matching re-reads the orders.
+ *
+ * Orders are checked against the pair's Market (utils/markets: status, tick/lot size,
+ * min notional, max size) before any funds are held.
+ *
+ * After each step the touched book levels and new trades are published as market
+ * data (utils/marketData) while the pair lock is still held; fill volume goes to the
+ * candle store (utils/candles).
+ *
+ * Market orders are priced on the server: they sweep the book up to a slippage
+ * bound and any remainder is filled against house liquidity at the Coin price.
+ *
+ * All quantities are Decimals (utils/decimal). Sizes are cut to the base coin's
+ * precision; holds round up and fill proceeds round down in the quote coin, which
+ * keeps every hold at least as large as what its remainder can still cost.
+ */
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Trade = require("../models/Trade");
+const { postLedgerTransaction, withLedgerSession } = require("./ledger");
+const walletSummaryCache = require("./walletSummaryCache");
+const { getFeeRates } = require("./fees");
+const { getPairPrice, slippageBound, slippageBps, DEFAULT_MAX_SLIPPAGE_BPS } = require("./marketPrice");
+const { requireTradableMarket, checkOrderRules, checkNotional } = require("./markets");
+const { OPEN_STATUSES, publishBookChanges } = require("./marketData");
+const { recordFills } = require("./candles");
+const { requireFreshPrice } = require("./priceGuard");
+const {
+  dec, isPositive, toStr, toDecimal128, quantize, quantizePrice, minDec, maxDec, coinDecimals, ROUND_DOWN, ROUND_UP
+} = require("./decimal");
+
+const MATCH_BATCH = 50;
+const MAX_FILL_CONFLICTS = 5;
+
+const pairLocks = new Map();
+
+/**
+ * Error carrying an HTTP status and a machine-readable code for controllers.
+ */
+function orderError(message, status = 400, code = "ORDER_REJECTED") {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+function parsePair(pair) {
+  const [base, quote] = String(pair || "").toUpperCase().split("/");
+  if (!base || !quote) throw orderError("Invalid pair format.", 400, "INVALID_PAIR");
+  return { pair: `${base}/${quote}`, base, quote };
+}
+
+/**
+ * Run fn after every previously queued job for the same pair has finished.
+ */
+function withPairLock(pair, fn) {
+  const prev = pairLocks.get(pair) || Promise.resolve();
+  const run = prev.then(() => fn());
+  const tail = run.catch(() => {});
+  pairLocks.set(pair, tail);
+  tail.then(() => {
+    if (pairLocks.get(pair) === tail) pairLocks.delete(pair);
+  });
+  return run;
+}
+
+/**
+ * Base and quote precision (decimal places) of a pair.
+ */
+async function pairDecimals(base, quote) {
+  const [baseDp, quoteDp] = await Promise.all([coinDecimals(base), coinDecimals(quote)]);
+  return { baseDp, quoteDp };
+}
+
+/**
+ * Order fields after filling qty for quoteAmount (pure; nothing is written).
+ * The average fill price is derived from the settled quote total.
+ */
+function fillState(order, qty, quoteAmount) {
+  const prevFilled = dec(order.filled);
+  // orders filled before filledQuote existed only have the average price
+  const prevQuote = dec(order.filledQuote).gt(0) || prevFilled.isZero()
+    ? dec(order.filledQuote)
+    : dec(order.avgFillPrice).times(prevFilled);
+  const filled = prevFilled.plus(qty);
+  const filledQuote = prevQuote.plus(quoteAmount);
+  const remaining = maxDec(0, dec(order.amount).minus(filled));
+  return {
+    filled: filled.toFixed(),
+    filledQuote: filledQuote.toFixed(),
+    remaining: remaining.toFixed(),
+    avgFillPrice: filled.gt(0) ? quantizePrice(filledQuote.div(filled)).toFixed() : "0",
+    status: remaining.gt(0) ? "partially_filled" : "filled"
+  };
+}
+
+function releaseLeg(order, amount, note) {
+  return {
+    userId: order.user,
+    type: "trade",
+    coin: order.reserved.coin,
+    delta: dec(amount),
+    subtype: "order_release",
+    ref: String(order._id),
+    note
+  };
+}
+
+/**
+ * Move an order to a final state and return whatever is still held for it,
+ * in one transaction.
+ */
+async function closeOrder(order, state, note) {
+  const amount = dec(order.reserved && order.reserved.amount);
+  const update = { ...state, "reserved.amount": "0" };
+  await withLedgerSession(async (session) => {
+    if (amount.gt(0)) await postLedgerTransaction([releaseLeg(order, amount, note)], { session });
+    await Order.updateOne({ _id: order._id }, { $set: update }, { session });
+  });
+  order.set(update);
+}
+
+/**
+ * Settle one fill between a taker and a maker (or the house when maker is null)
+ * at `price` for `qty` base units. Each side receives its asset, then pays its
+ * maker/taker fee in that asset as a separate 'fee' ledger entry whose ref is the
+ * side's Trade id; an order that completes gets its leftover hold back. All legs,
+ * both Trade documents and both order updates commit together.
+ * Returns the Trade documents created.
+ */
+async function settleFill(taker, maker, qty, price) {
+  const { baseDp, quoteDp } = await pairDecimals(taker.base, taker.quote);
+  const matchId = new mongoose.Types.ObjectId().toString();
+  qty = dec(qty);
+  price = dec(price);
+  const quoteAmount = quantize(qty.times(price), quoteDp, ROUND_DOWN);
+  const note = `Fill ${toStr(qty)} ${taker.pair} @${toStr(price)}`;
+  const filledAt = new Date();
+
+  const parties = [{ order: taker, liquidity: "taker", counterparty: maker ? maker.user : null }];
+  if (maker) parties.push({ order: maker, liquidity: "maker", counterparty: taker.user });
+
+  const legs = [];
+  const docs = [];
+  const updates = [];
+  for (const { order, liquidity, counterparty } of parties) {
+    const tradeId = new mongoose.Types.ObjectId();
+    const isBuy = order.side === "buy";
+    const receiveCoin = isBuy ? order.base : order.quote;
+    const received = isBuy ? qty : quoteAmount;
+    const feeRate = (await getFeeRates(order.user, order.pair))[liquidity];
+    const fee = minDec(received, quantize(received.times(feeRate), isBuy ? baseDp : quoteDp, ROUND_UP));
+
+    legs.push({
+      userId: order.user,
+      type: "trade",
+      coin: receiveCoin,
+      delta: received,
+      subtype: "fill",
+      ref: String(tradeId),
+      note,
+      meta: { order: String(order._id), side: order.side, matchId }
+    });
+    if (fee.gt(0)) {
+      legs.push({
+        userId: order.user,
+        type: "fee",
+        coin: receiveCoin,
+        delta: fee.neg(),
+        subtype: liquidity,
+        ref: String(tradeId),
+        note: `${liquidity} fee on ${note}`,
+        meta: { order: String(order._id), pair: order.pair, rate: feeRate, matchId }
+      });
+    }
+
+    // The buyer held qty * its own limit price; refund any price improvement
+    const paid = isBuy ? quoteAmount : qty;
+    const held = dec(order.reserved.amount);
+    const consumed = minDec(held, isBuy ? quantize(qty.times(dec(order.price)), quoteDp, ROUND_DOWN) : qty);
+    const improvement = consumed.minus(paid);
+    if (improvement.gt(0)) legs.push(releaseLeg(order, improvement, `Price improvement on ${note}`));
+    let reserved = held.minus(consumed);
+
+    const state = fillState(order, qty, quoteAmount);
+    if (state.status === "filled" && reserved.gt(0)) {
+      legs.push(releaseLeg(order, reserved, `Release remaining hold for filled order ${order._id}`));
+      reserved = dec(0);
+    }
+    state["reserved.amount"] = reserved.toFixed();
+    updates.push({ order, state, readRemaining: dec(order.remaining) });
+
+    docs.push({
+      _id: tradeId,
+      user: order.user,
+      order: order._id,
+      counterparty,
+      matchId,
+      pair: order.pair,
+      side: order.side,
+      amount: qty.toFixed(),
+      price: price.toFixed(),
+      quoteAmount: quoteAmount.toFixed(),
+      liquidity,
+      fee: fee.toFixed(),
+      feeCoin: receiveCoin,
+      feeRate,
+      filledAt
+    });
+  }
+
+  let trades = [];
+  await withLedgerSession(async (session) => {
+    await postLedgerTransaction(legs, { session });
+    trades = await Trade.insertMany(docs, { session });
+    for (const { order, state, readRemaining } of updates) {
+      const { filled, remaining, ...rest } = state;
+      const res = await Order.updateOne(
+        { _id: order._id, status: { $in: OPEN_STATUSES }, remaining: toDecimal128(readRemaining) },
+        { $inc: { filled: toDecimal128(qty), remaining: toDecimal128(qty.neg()) }, $set: rest },
+        { session }
+      );
+      if (res.matchedCount === 0) {
+        throw orderError(`Order ${order._id} changed while it was being filled.`, 409, "FILL_CONFLICT");
+      }
+    }
+  });
+  updates.forEach(({ order, state }) => order.set(state));
+  return trades;
+}
+
+/**
+ * Reload an order's fill state and hold from the database after a fill conflict.
+ */
+async function reloadOrder(order) {
+  const fresh = await Order.findById(order._id).select("-_id status filled filledQuote remaining avgFillPrice reserved").lean();
+  if (!fresh) throw orderError("Order not found.", 404, "ORDER_NOT_FOUND");
+  order.set(fresh);
+}
+
+/**
+ * Book levels an engine step touched: the makers it traded with plus the given order's
+ * own level when it rests on the book.
+ */
+function touchedLevels(order, fills) {
+  const levels = fills.filter(f => f.liquidity === "maker").map(f => ({ side: f.side, price: f.price }));
+  if (order.type === "limit") levels.push({ side: order.side, price: order.price });
+  return levels;
+}
+
+/**
+ * Query for resting orders a taker may trade with, best price first.
+ * Buy takers never pay above their price (their hold is sized on it);
+ * sell takers never sell below theirs. A taker without a price sees the whole side.
+ */
+function bookQuery(taker) {
+  const filter = {
+    pair: taker.pair,
+    side: taker.side === "buy" ? "sell" : "buy",
+    status: { $in: OPEN_STATUSES },
+    user: { $ne: new mongoose.Types.ObjectId(String(taker.user)) } // no self-trades
+  };
+  if (taker.price != null) filter.price = taker.side === "buy" ? { $lte: taker.price } : { $gte: taker.price };
+  const sort = { price: taker.side === "buy" ? 1 : -1, priorityAt: 1, _id: 1 };
+  return { filter, sort };
+}
+
+/**
+ * Match a taker order against resting orders on the opposite side.
+ */
+async function matchAgainstBook(taker) {
+  const fills = [];
+  const touched = new Set();
+  const { filter, sort } = bookQuery(taker);
+  let conflicts = 0;
+
+  while (dec(taker.remaining).gt(0) && OPEN_STATUSES.includes(taker.status)) {
+    const makers = await Order.find(filter).sort(sort).limit(MATCH_BATCH).exec();
+    if (!makers.length) break;
+
+    let conflicted = false;
+    for (const maker of makers) {
+      if (!dec(taker.remaining).gt(0)) break;
+      const qty = minDec(taker.remaining, maker.remaining);
+      if (!qty.gt(0)) continue;
+      try {
+        fills.push(...await settleFill(taker, maker, qty, maker.price));
+      } catch (err) {
+        if (err.code !== "FILL_CONFLICT" || ++conflicts > MAX_FILL_CONFLICTS) throw err;
+        // nothing was written; re-read the taker and the book and carry on from there
+        await reloadOrder(taker);
+        conflicted = true;
+        break;
+      }
+      touched.add(String(maker.user));
+    }
+    if (!conflicted && makers.length < MATCH_BATCH) break;
+  }
+
+  return { fills, touched };
+}
+
+/**
+ * Price a market order on the server (must run under the pair lock).
+ * - The reference is the best of the top of book and the house price (Coin data).
+ * - The caller's expected price (or the reference) plus maxSlippageBps gives the
+ *   worst acceptable price; book levels beyond the house price are never taken.
+ * - The order is rejected up front when it cannot fill completely within bounds.
+ * Returns { price, housePrice, referencePrice, expectedPrice } where price is the cap.
+ */
+async function priceMarketOrder({ userId, pair, base, quote, side, amount, expectedPrice, maxSlippageBps }) {
+  const housePrice = await getPairPrice(base, quote);
+  const probe = { pair, side, user: userId, price: null };
+  const { filter, sort } = bookQuery(probe);
+  const top = await Order.findOne(filter).sort(sort).select("price").lean();
+
+  const candidates = [housePrice, top && top.price].filter(p => p != null && isPositive(p)).map(dec);
+  if (!candidates.length) throw orderError("No market price available for this pair.", 409, "NO_PRICE");
+  const referencePrice = candidates.reduce(side === "buy" ? minDec : maxDec);
+
+  const expected = isPositive(expectedPrice) ? dec(expectedPrice) : referencePrice;
+  const bound = slippageBound(expected, side, maxSlippageBps != null ? maxSlippageBps : DEFAULT_MAX_SLIPPAGE_BPS);
+  const houseUsable = housePrice != null && (side === "buy" ? housePrice.lte(bound) : housePrice.gte(bound));
+  let cap = bound;
+  if (houseUsable) cap = side === "buy" ? minDec(bound, housePrice) : maxDec(bound, housePrice);
+
+  if (!houseUsable) {
+    // aggregate pipelines are not cast by the schema, so the cap goes over as a Decimal128
+    const { filter: capped } = bookQuery({ ...probe, price: toDecimal128(cap) });
+    const [depth] = await Order.aggregate([
+      { $match: capped },
+      { $group: { _id: null, qty: { $sum: "$remaining" } } }
+    ]);
+    if (!depth || dec(depth.qty).lt(amount)) {
+      throw orderError("Order would fill beyond the allowed slippage.", 409, "SLIPPAGE_EXCEEDED");
+    }
+  }
+
+  return { price: cap, housePrice: houseUsable ? housePrice : null, referencePrice, expectedPrice: expected };
+}
+
+/**
+ * Summarise the fills of one order for API responses (amounts as strings).
+ */
+function summarizeExecution(order, fills, pricing) {
+  const totals = {};
+  fills
+    .filter(f => String(f.order) === String(order._id))
+    .forEach(f => {
+      if (isPositive(f.fee) && f.feeCoin) totals[f.feeCoin] = dec(totals[f.feeCoin]).plus(dec(f.fee));
+    });
+  const fees = {};
+  Object.keys(totals).forEach(coin => { fees[coin] = totals[coin].toFixed(); });
+
+  const filled = dec(order.filled);
+  const execution = {
+    filled: filled.toFixed(),
+    fillPrice: filled.gt(0) ? toStr(order.avgFillPrice) : null,
+    fees
+  };
+  if (pricing) {
+    execution.referencePrice = pricing.referencePrice.toFixed();
+    execution.expectedPrice = pricing.expectedPrice.toFixed();
+    execution.slippageBps = filled.gt(0) ? slippageBps(pricing.expectedPrice, order.avgFillPrice, order.side) : 0;
+  }
+  return execution;
+}
+
+/**
+ * Place a spot order, match it and return { order, fills, execution }.
+ * @param {Object} params - { userId, pair, side, type, amount, price, maxSlippageBps }
+ *  - limit orders need a price and rest on the book for any unfilled amount
+ *  - market orders are priced on the server; `price` is only the caller's
+ *    expected price that maxSlippageBps is measured against
+ */
+async function placeOrder({ userId, pair, side, type, amount, price, maxSlippageBps }) {
+  const parsed = parsePair(pair);
+  const orderType = type || "market";
+  const { baseDp, quoteDp } = await pairDecimals(parsed.base, parsed.quote);
+  const size = quantize(amount, baseDp, ROUND_DOWN);
+  const requestedPrice = price != null ? dec(price) : null;
+
+  if (!["buy", "sell"].includes(side)) throw orderError("Invalid side.", 400, "INVALID_SIDE");
+  if (!["market", "limit"].includes(orderType)) throw orderError("Invalid order type.", 400, "INVALID_TYPE");
+  if (!isPositive(size)) throw orderError("Invalid size.", 400, "INVALID_SIZE");
+  if (orderType === "limit" && !isPositive(requestedPrice)) {
+    throw orderError("Price required.", 400, "INVALID_PRICE");
+  }
+  const market = await requireTradableMarket(parsed.pair);
+  await requireFreshPrice(market);
+  checkOrderRules(market, { amount: dec(amount), price: orderType === "limit" ? requestedPrice : null });
+
+  return withPairLock(parsed.pair, async () => {
+    let pricing = null;
+    if (orderType === "market") {
+      pricing = await priceMarketOrder({
+        userId,
+        ...parsed,
+        side,
+        amount: size,
+        expectedPrice: requestedPrice,
+        maxSlippageBps
+      });
+      checkNotional(market, size.times(pricing.referencePrice));
+    }
+    const orderPrice = pricing ? pricing.price : requestedPrice;
+
+    const order = new Order({
+      user: userId,
+      pair: parsed.pair,
+      base: parsed.base,
+      quote: parsed.quote,
+      side,
+      type: orderType,
+      price: orderPrice.toFixed(),
+      amount: size.toFixed(),
+      remaining: size.toFixed(),
+      reserved: {
+        coin: side === "buy" ? parsed.quote : parsed.base,
+        amount: (side === "buy" ? quantize(size.times(orderPrice), quoteDp, ROUND_UP) : size).toFixed()
+      }
+    });
+
+    const holdLeg = {
+      userId,
+      type: "trade",
+      coin: order.reserved.coin,
+      delta: dec(order.reserved.amount).neg(),
+      subtype: "order_hold",
+      ref: String(order._id),
+      note: `Hold for ${orderType} ${side} ${size.toFixed()} ${parsed.pair} @${orderPrice.toFixed()}`
+    };
+    try {
+      await withLedgerSession(async (session) => {
+        await postLedgerTransaction([holdLeg], { session });
+        await Order.create([order.toObject()], { session });
+      });
+    } catch (err) {
+      if (/Insufficient balance/i.test(err.message)) throw orderError("Insufficient balance.", 400, "INSUFFICIENT_BALANCE");
+      throw err;
+    }
+
+    const { fills, touched } = await matchAgainstBook(order);
+
+    if (pricing && dec(order.remaining).gt(0) && OPEN_STATUSES.includes(order.status) && pricing.housePrice) {
+      try {
+        fills.push(...await settleFill(order, null, order.remaining, pricing.housePrice));
+      } catch (err) {
+        if (err.code !== "FILL_CONFLICT") throw err;
+        await reloadOrder(order);
+      }
+    }
+    if (order.type === "market" && dec(order.remaining).gt(0) && OPEN_STATUSES.includes(order.status)) {
+      // Never leave a market order resting; cancel whatever could not fill
+      await closeOrder(
+        order,
+        { status: "cancelled", cancelledAt: new Date() },
+        `Release unfilled market remainder for order ${order._id}`
+      );
+    }
+
+    touched.add(String(userId));
+    touched.forEach(id => walletSummaryCache.invalidate(id));
+    await publishBookChanges(parsed.pair, touchedLevels(order, fills), fills);
+    await recordFills(fills);
+
+    return { order, fills, execution: summarizeExecution(order, fills, pricing) };
+  });
+}
+
+/**
+ * Cancel a resting order and release its hold.
+ * @param {String} orderId
+ * @param {Object} opts - { userId } restricts to the owner; { actorId } records who cancelled
+ */
+async function cancelOrder(orderId, { userId, actorId } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) throw orderError("Order not found.", 404, "ORDER_NOT_FOUND");
+  const existing = await Order.findById(orderId).select("pair").lean();
+  if (!existing) throw orderError("Order not found.", 404, "ORDER_NOT_FOUND");
+
+  return withPairLock(existing.pair, async () => {
+    const order = await Order.findById(orderId);
+    if (!order || (userId && String(order.user) !== String(userId))) {
+      throw orderError("Order not found.", 404, "ORDER_NOT_FOUND");
+    }
+    if (!OPEN_STATUSES.includes(order.status)) {
+      throw orderError(`Order already ${order.status}.`, 400, "ORDER_NOT_OPEN");
+    }
+
+    await closeOrder(
+      order,
+      { status: "cancelled", cancelledAt: new Date(), cancelledBy: actorId || order.user },
+      `Release hold for cancelled order ${order._id}`
+    );
+
+    walletSummaryCache.invalidate(order.user);
+    await publishBookChanges(order.pair, touchedLevels(order, []));
+    return order;
+  });
+}
+
+/**
+ * Cancel every open order of a user, optionally for one pair only.
+ * Returns the cancelled orders.
+ */
+async function cancelAllOrders(userId, { pair, actorId } = {}) {
+  const filter = { user: userId, status: { $in: OPEN_STATUSES } };
+  if (pair) filter.pair = parsePair(pair).pair;
+  const open = await Order.find(filter).select("_id").lean();
+
+  const cancelled = [];
+  for (const o of open) {
+    try {
+      cancelled.push(await cancelOrder(o._id, { userId, actorId }));
+    } catch (err) {
+      // filled or cancelled concurrently — nothing left to release
+      if (err.code !== "ORDER_NOT_OPEN") throw err;
+    }
+  }
+  return cancelled;
+}
+
+/**
+ * Amend price and/or size of a resting limit order.
+ * - A price change or a size increase moves the order to the back of its level.
+ * - A size decrease keeps queue priority.
+ * - The hold is topped up or partially released to match the new remainder,
+ *   and a repriced order is matched again in case it now crosses the book.
+ */
+async function amendOrder(orderId, userId, { price, amount } = {}) {
+  if (!mongoose.Types.ObjectId.isValid(orderId)) throw orderError("Order not found.", 404, "ORDER_NOT_FOUND");
+  const existing = await Order.findById(orderId).select("pair").lean();
+  if (!existing) throw orderError("Order not found.", 404, "ORDER_NOT_FOUND");
+
+  return withPairLock(existing.pair, async () => {
+    const order = await Order.findById(orderId);
+    if (!order || String(order.user) !== String(userId)) {
+      throw orderError("Order not found.", 404, "ORDER_NOT_FOUND");
+    }
+    if (!OPEN_STATUSES.includes(order.status)) {
+      throw orderError(`Order already ${order.status}.`, 400, "ORDER_NOT_OPEN");
+    }
+    if (order.type !== "limit") throw orderError("Only limit orders can be amended.", 400, "ORDER_NOT_AMENDABLE");
+    const market = await requireTradableMarket(order.pair);
+    await requireFreshPrice(market);
+
+    const { baseDp, quoteDp } = await pairDecimals(order.base, order.quote);
+    const newPrice = price != null ? dec(price) : dec(order.price);
+    const newAmount = amount != null ? quantize(amount, baseDp, ROUND_DOWN) : dec(order.amount);
+    if (!isPositive(newPrice)) throw orderError("Invalid price.", 400, "INVALID_PRICE");
+    if (!newAmount.isFinite() || newAmount.lte(dec(order.filled))) {
+      throw orderError("Size must exceed the filled amount.", 400, "INVALID_SIZE");
+    }
+    checkOrderRules(market, { amount: amount != null ? dec(amount) : newAmount, price: price != null ? newPrice : null, notionalPrice: newPrice });
+
+    const previousLevel = { side: order.side, price: order.price };
+    const priceChanged = !newPrice.eq(dec(order.price));
+    const sizeIncreased = newAmount.gt(dec(order.amount));
+    const newRemaining = newAmount.minus(dec(order.filled));
+    const required = order.side === "buy" ? quantize(newRemaining.times(newPrice), quoteDp, ROUND_UP) : newRemaining;
+    const delta = required.minus(dec(order.reserved.amount));
+
+    const update = {
+      price: newPrice.toFixed(),
+      amount: newAmount.toFixed(),
+      remaining: newRemaining.toFixed(),
+      "reserved.amount": required.toFixed()
+    };
+    if (priceChanged || sizeIncreased) update.priorityAt = new Date();
+
+    const legs = [];
+    if (!delta.isZero()) {
+      legs.push({
+        userId: order.user,
+        type: "trade",
+        coin: order.reserved.coin,
+        delta: delta.neg(),
+        subtype: delta.gt(0) ? "order_hold" : "order_release",
+        ref: String(order._id),
+        note: `${delta.gt(0) ? "Additional hold" : "Release hold"} for amended order ${order._id}`
+      });
+    }
+    try {
+      await withLedgerSession(async (session) => {
+        await postLedgerTransaction(legs, { session });
+        await Order.updateOne({ _id: order._id }, { $set: update }, { session });
+      });
+    } catch (err) {
+      if (/Insufficient balance/i.test(err.message)) throw orderError("Insufficient balance.", 400, "INSUFFICIENT_BALANCE");
+      throw err;
+    }
+    order.set(update);
+
+    let fills = [];
+    const touched = new Set([String(order.user)]);
+    if (priceChanged) {
+      const result = await matchAgainstBook(order);
+      fills = result.fills;
+      result.touched.forEach(id => touched.add(id));
+    }
+
+    touched.forEach(id => walletSummaryCache.invalidate(id));
+    await publishBookChanges(order.pair, [previousLevel, ...touchedLevels(order, fills)], fills);
+    await recordFills(fills);
+    return { order, fills };
+  });
+}
+
+module.exports = {
+  placeOrder,
+  cancelOrder,
+  cancelAllOrders,
+  amendOrder,
+  withPairLock,
+  parsePair,
+  orderError,
+  OPEN_STATUSES
+};
@@ -0,0 +1,129 @@
+/**
+ * Price Guard Util - staleness and outlier checks on coin prices
+ *
+ * - Coin.lastPriceUpdate is only advanced by jobs/priceService when a source actually
+ *   priced the coin. A coin whose price is older than staleAfterMs (PRICE_STALE_AFTER_MS,
+ *   default 60s, or the coin's priceGuard.staleAfterMs) is stale: requireFreshPrice()
+ *   rejects spot orders, conditional orders and futures opens on its markets.
+ * - A feed quote moving more than maxJumpPct (PRICE_MAX_JUMP_PCT, default 20, or the
+ *   coin's priceGuard.maxJumpPct) from the last price in one tick is held back and the
+ *   coin flagged anomalous. If the next quotes confirm the new level for
+ *   PRICE_OUTLIER_CONFIRM_TICKS ticks (default 3) in a row, it is accepted.
+ *   Admin-driven sources (drift, simulation, scenarios, replays) are not screened.
+ * - Status changes (ok / stale / anomalous) are stored on the coin, audited and broadcast
+ *   as "price_alert".
+ */
+const Coin = require("../models/Coin");
+const { createAudit } = require("./auditLog");
+const { broadcast } = require("./broadcaster");
+const { marketError } = require("./markets");
+const { USD_QUOTES } = require("./marketPrice");
+
+const STALE_AFTER_MS = parseInt(process.env.PRICE_STALE_AFTER_MS || "60000", 10);
+const MAX_JUMP_PCT = Number(process.env.PRICE_MAX_JUMP_PCT || 20);
+const CONFIRM_TICKS = Math.max(1, parseInt(process.env.PRICE_OUTLIER_CONFIRM_TICKS || "3", 10));
+
+const pending = new Map(); // symbol -> { price: Decimal, count }
+
+function limitsFor(coin) {
+  const g = (coin && coin.priceGuard) || {};
+  return {
+    staleAfterMs: g.staleAfterMs > 0 ? g.staleAfterMs : STALE_AFTER_MS,
+    maxJumpPct: g.maxJumpPct > 0 ? g.maxJumpPct : MAX_JUMP_PCT
+  };
+}
+
+function movePct(from, to) {
+  return to.minus(from).abs().div(from).times(100);
+}
+
+/**
+ * Screen a feed quote against the coin's current price.
+ * @returns {{ accept: boolean, jumpPct: number }}
+ */
+function screenQuote(coin, current, quoted) {
+  const sym = coin.symbol;
+  if (!current.isFinite() || !current.gt(0)) {
+    pending.delete(sym);
+    return { accept: true, jumpPct: 0 };
+  }
+  const { maxJumpPct } = limitsFor(coin);
+  const pct = movePct(current, quoted);
+  if (pct.lte(maxJumpPct)) {
+    pending.delete(sym);
+    return { accept: true, jumpPct: pct.toNumber() };
+  }
+
+  // the same jump seen on consecutive ticks is a real move, not a bad print
+  const p = pending.get(sym);
+  const count = p && movePct(p.price, quoted).lte(maxJumpPct) ? p.count + 1 : 1;
+  if (count >= CONFIRM_TICKS) {
+    pending.delete(sym);
+    return { accept: true, jumpPct: pct.toNumber() };
+  }
+  pending.set(sym, { price: quoted, count });
+  return { accept: false, jumpPct: pct.toNumber() };
+}
+
+/**
+ * Price status of a coin after a tick.
+ * @param {Object} coin - lean Coin
+ * @param {Object} tick - { freshAt: Date of the last accepted price, rejected: { source, price, jumpPct } | null }
+ * @returns {{ status, reason }}
+ */
+function statusFor(coin, { freshAt, rejected }, now = Date.now()) {
+  const { staleAfterMs, maxJumpPct } = limitsFor(coin);
+  const age = freshAt ? now - new Date(freshAt).getTime() : Infinity;
+  if (age > staleAfterMs) {
+    return { status: "stale", reason: freshAt ? `No fresh price for ${Math.round(age / 1000)}s` : "Never priced" };
+  }
+  if (rejected) {
+    return {
+      status: "anomalous",
+      reason: `${rejected.source} quoted ${rejected.price} (${rejected.jumpPct.toFixed(2)}% move, limit ${maxJumpPct}%)`
+    };
+  }
+  return { status: "ok", reason: "" };
+}
+
+/**
+ * Audit and broadcast price status changes ([{ symbol, from, to, reason, price, lastPriceUpdate }]).
+ */
+async function notifyStatusChanges(changes) {
+  for (const c of changes || []) {
+    broadcast({ type: "price_alert", payload: { ...c, ts: Date.now() } });
+    try {
+      await createAudit(`price:${c.to}`, null, c);
+    } catch (e) {
+      console.warn("price alert audit failed:", e && e.message);
+    }
+  }
+}
+
+/**
+ * Throw PRICE_STALE (409) when the market's base coin, or a non-USD quote coin, has no
+ * fresh price. Checked from lastPriceUpdate, so it holds even if the price loop stops.
+ */
+async function requireFreshPrice(market, now = Date.now()) {
+  const symbols = [market.base];
+  if (!USD_QUOTES.includes(market.quote)) symbols.push(market.quote);
+  const coins = await Coin.find({ symbol: { $in: symbols } }).select("symbol lastPriceUpdate priceStatus priceGuard").lean();
+  for (const sym of symbols) {
+    const coin = coins.find(c => c.symbol === sym);
+    const { staleAfterMs } = limitsFor(coin);
+    const age = coin && coin.lastPriceUpdate ? now - new Date(coin.lastPriceUpdate).getTime() : Infinity;
+    if (!coin || coin.priceStatus === "stale" || age > staleAfterMs) {
+      throw marketError(`Price for ${sym} is stale; trading on ${market.symbol} is paused until it updates.`, 409, "PRICE_STALE");
+    }
+  }
+}
+
+module.exports = {
+  STALE_AFTER_MS,
+  MAX_JUMP_PCT,
+  limitsFor,
+  screenQuote,
+  statusFor,
+  notifyStatusChanges,
+  requireFreshPrice
+};
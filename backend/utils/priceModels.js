@@ -0,0 +1,228 @@
+/**
+ * Price Models - stochastic processes for coins in "simulation" mode (jobs/priceService)
+ *
+ * Models (Coin.simulation.model), parameters annualised:
+ *  - gbm:        geometric Brownian motion; drift mu, volatility sigma
+ *  - ou:         mean reversion (Ornstein-Uhlenbeck on log price) toward meanPrice at
+ *                reversionSpeed, with volatility sigma
+ *  - jump:       Merton jump diffusion; gbm plus Poisson jumps (jumpIntensity per year,
+ *                log jump size ~ N(jumpMean, jumpVolatility))
+ *  - correlated: gbm whose shocks have correlation rho with the reference coin's returns
+ *                (any coin, whatever drives it); the reference's per-tick volatility is
+ *                estimated with an EWMA of its log returns
+ *
+ * Each coin has its own seeded RNG (mulberry32), so a coin with a fixed seed replays the
+ * same path from the same starting price. Without a seed one is drawn at startup and
+ * reported in getModelStatus(). Changing a coin's model or parameters restarts its RNG.
+ * Models work in floats; the price service quantises results to PRICE_DECIMALS.
+ */
+const MODELS = ["gbm", "ou", "jump", "correlated"];
+const YEAR_MS = 365 * 24 * 60 * 60 * 1000;
+const EWMA_LAMBDA = 0.94;
+const MAX_SHOCK = 6;
+
+// parameter bounds, and the defaults for a coin with no explicit value
+const PARAMS = {
+  mu: { min: -10, max: 10, default: 0 },
+  sigma: { min: 0, max: 20, default: 0.8 },
+  meanPrice: { min: 0, max: Infinity, default: null },
+  reversionSpeed: { min: 0, max: 1000, default: 5 },
+  jumpIntensity: { min: 0, max: 10000, default: 20 },
+  jumpMean: { min: -1, max: 1, default: 0 },
+  jumpVolatility: { min: 0, max: 2, default: 0.05 },
+  rho: { min: -1, max: 1, default: 0.8 }
+};
+
+const coinState = new Map(); // symbol -> { key, seed, rng, steps }
+const referenceState = new Map(); // symbol -> { price, variance }
+
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return function next() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Seeded RNG with uniform(), normal() (Box-Muller) and poisson(lambda) draws.
+ */
+function createRng(seed) {
+  const uniform = mulberry32(seed);
+  let spare = null;
+  function normal() {
+    if (spare !== null) {
+      const z = spare;
+      spare = null;
+      return z;
+    }
+    let u = 0;
+    while (u === 0) u = uniform();
+    const r = Math.sqrt(-2 * Math.log(u));
+    const theta = 2 * Math.PI * uniform();
+    spare = r * Math.sin(theta);
+    return r * Math.cos(theta);
+  }
+  function poisson(lambda) {
+    // Knuth; lambda per tick is small
+    const limit = Math.exp(-lambda);
+    let k = 0;
+    let p = uniform();
+    while (p > limit) {
+      k += 1;
+      p *= uniform();
+    }
+    return k;
+  }
+  return { uniform, normal, poisson };
+}
+
+/**
+ * Check a model config ({ model, seed, referenceSymbol, ...params }) and fill in defaults.
+ * Throws an Error with a user-facing message when it is invalid.
+ */
+function normalizeModelConfig(input = {}) {
+  const model = String(input.model || "gbm").toLowerCase();
+  if (!MODELS.includes(model)) throw new Error(`model must be one of ${MODELS.join(", ")}`);
+
+  const cfg = { model, seed: null, referenceSymbol: null };
+  if (input.seed != null && input.seed !== "") {
+    const seed = Number(input.seed);
+    if (!Number.isInteger(seed) || seed < 0 || seed > 0xFFFFFFFF) throw new Error("seed must be an integer between 0 and 4294967295");
+    cfg.seed = seed;
+  }
+  Object.keys(PARAMS).forEach(name => {
+    const spec = PARAMS[name];
+    if (input[name] == null || input[name] === "") {
+      cfg[name] = spec.default;
+      return;
+    }
+    const v = Number(input[name]);
+    if (!Number.isFinite(v) || v < spec.min || v > spec.max) throw new Error(`${name} must be between ${spec.min} and ${spec.max}`);
+    cfg[name] = v;
+  });
+  if (model === "ou" && !(cfg.meanPrice > 0)) throw new Error("meanPrice is required for the ou model");
+  if (model === "correlated") {
+    cfg.referenceSymbol = String(input.referenceSymbol || "").toUpperCase().trim();
+    if (!cfg.referenceSymbol) throw new Error("referenceSymbol is required for the correlated model");
+  }
+  return cfg;
+}
+
+function configKey(cfg) {
+  return JSON.stringify(cfg);
+}
+
+function stateFor(symbol, cfg) {
+  const key = configKey(cfg);
+  let st = coinState.get(symbol);
+  if (!st || st.key !== key) {
+    const seed = cfg.seed != null ? cfg.seed : Math.floor(Math.random() * 0xFFFFFFFF);
+    st = { key, seed, rng: createRng(seed), steps: 0, startedAt: new Date() };
+    coinState.set(symbol, st);
+  }
+  return st;
+}
+
+/**
+ * Record a reference price for this tick; returns the standardised log return (or null
+ * on the first observation).
+ */
+function observeReference(symbol, price) {
+  const p = Number(price);
+  if (!(p > 0)) return null;
+  const prev = referenceState.get(symbol);
+  if (!prev) {
+    referenceState.set(symbol, { price: p, variance: null, shock: null });
+    return null;
+  }
+  const r = Math.log(p / prev.price);
+  const variance = prev.variance == null ? r * r : EWMA_LAMBDA * prev.variance + (1 - EWMA_LAMBDA) * r * r;
+  const sd = Math.sqrt(variance);
+  const shock = sd > 0 ? Math.max(-MAX_SHOCK, Math.min(MAX_SHOCK, r / sd)) : 0;
+  referenceState.set(symbol, { price: p, variance, shock });
+  return shock;
+}
+
+function referenceShock(symbol) {
+  const st = referenceState.get(symbol);
+  return st && st.shock != null ? st.shock : null;
+}
+
+/**
+ * Next price for a simulated coin.
+ * @param {Object} coin - { symbol, simulation } (lean Coin)
+ * @param {number} price - current price
+ * @param {number} dtMs - tick length in milliseconds
+ * @returns {number} next price, or the current one when it cannot move
+ */
+function step(coin, price, dtMs) {
+  const p = Number(price);
+  if (!(p > 0)) return p;
+  let cfg;
+  try {
+    cfg = normalizeModelConfig(coin.simulation || {});
+  } catch (e) {
+    cfg = normalizeModelConfig({});
+  }
+  const st = stateFor(coin.symbol, cfg);
+  const dt = dtMs / YEAR_MS;
+  const { mu, sigma } = cfg;
+  const z = st.rng.normal();
+  let logReturn;
+
+  if (cfg.model === "ou") {
+    const decay = Math.exp(-cfg.reversionSpeed * dt);
+    const mean = Math.log(cfg.meanPrice);
+    const sd = cfg.reversionSpeed > 0 ? sigma * Math.sqrt((1 - decay * decay) / (2 * cfg.reversionSpeed)) : sigma * Math.sqrt(dt);
+    logReturn = mean + (Math.log(p) - mean) * decay + sd * z - Math.log(p);
+  } else if (cfg.model === "jump") {
+    const { jumpIntensity, jumpMean, jumpVolatility } = cfg;
+    const k = Math.exp(jumpMean + (jumpVolatility * jumpVolatility) / 2) - 1;
+    logReturn = (mu - (sigma * sigma) / 2 - jumpIntensity * k) * dt + sigma * Math.sqrt(dt) * z;
+    const jumps = st.rng.poisson(jumpIntensity * dt);
+    for (let i = 0; i < jumps; i++) logReturn += jumpMean + jumpVolatility * st.rng.normal();
+  } else {
+    let shock = z;
+    if (cfg.model === "correlated") {
+      const ref = referenceShock(cfg.referenceSymbol);
+      if (ref != null) shock = cfg.rho * ref + Math.sqrt(1 - cfg.rho * cfg.rho) * z;
+    }
+    logReturn = (mu - (sigma * sigma) / 2) * dt + sigma * Math.sqrt(dt) * shock;
+  }
+
+  st.steps += 1;
+  const next = p * Math.exp(logReturn);
+  return Number.isFinite(next) && next > 0 ? next : p;
+}
+
+/**
+ * Model, seed and step count of a simulated coin, or null before its first step.
+ */
+function getModelStatus(symbol) {
+  const st = coinState.get(symbol);
+  if (!st) return null;
+  const cfg = JSON.parse(st.key);
+  return { ...cfg, seed: st.seed, seeded: cfg.seed != null, steps: st.steps, startedAt: st.startedAt };
+}
+
+/**
+ * Drop a coin's RNG so its next step starts a fresh run (same path again for a fixed seed).
+ */
+function resetModel(symbol) {
+  coinState.delete(String(symbol || "").toUpperCase());
+}
+
+module.exports = {
+  MODELS,
+  PARAMS,
+  createRng,
+  normalizeModelConfig,
+  observeReference,
+  step,
+  getModelStatus,
+  resetModel
+};
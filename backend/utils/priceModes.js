@@ -0,0 +1,25 @@
+/**
+ * Price Modes - which source drives a coin's price (jobs/priceService)
+ *
+ *  - feed:       external or local providers (utils/priceProviders)
+ *  - drift:      moves toward the admin's targetPrice
+ *  - simulation: the coin's stochastic model (utils/priceModels)
+ */
+
+const PRICE_MODES = ["feed", "drift", "simulation"];
+
+/**
+ * Source that drives a coin: an explicit priceMode wins; otherwise admin control with a
+ * target means drift, custom coins (no external market) simulate and the rest follow feeds.
+ */
+function priceModeFor(coin) {
+  if (PRICE_MODES.includes(coin.priceMode)) return coin.priceMode;
+  if (coin.adminControlEnabled && coin.targetPrice != null) return "drift";
+  if (coin.isCustom) return "simulation";
+  return "feed";
+}
+
+module.exports = {
+  PRICE_MODES,
+  priceModeFor
+};
@@ -0,0 +1,24 @@
+/**
+ * Binance price provider - spot tickers quoted in USDT, fetched in one call
+ */
+const axios = require("axios");
+
+const BASE_URL = process.env.BINANCE_API_URL || "https://api.binance.com";
+
+async function fetchPrices(coins) {
+  const { data } = await axios.get(`${BASE_URL}/api/v3/ticker/price`, { timeout: 7000 });
+  // data: [{ symbol: 'BTCUSDT', price: '...' }, ...]
+  const byTicker = Object.create(null);
+  (data || []).forEach(d => {
+    if (d && d.symbol && d.price) byTicker[String(d.symbol).toUpperCase()] = String(d.price);
+  });
+
+  const out = {};
+  coins.forEach(c => {
+    const quoted = byTicker[`${c.symbol}USDT`];
+    if (quoted) out[c.symbol] = quoted;
+  });
+  return out;
+}
+
+module.exports = { name: "binance", fetchPrices };
@@ -0,0 +1,48 @@
+/**
+ * CoinGecko price provider - USD prices from /simple/price
+ * Coins are looked up by Coin.coingeckoId, else a few well-known ids, else the
+ * lowercased symbol.
+ */
+const axios = require("axios");
+
+const BASE_URL = process.env.COINGECKO_API_URL || "https://api.coingecko.com/api/v3";
+
+const KNOWN_IDS = {
+  BTC: "bitcoin",
+  ETH: "ethereum",
+  SOL: "solana",
+  BNB: "binancecoin",
+  USDT: "tether",
+  USDC: "usd-coin",
+  XRP: "ripple",
+  ADA: "cardano",
+  DOGE: "dogecoin",
+  DOT: "polkadot",
+  AVAX: "avalanche-2",
+  MATIC: "matic-network",
+  LINK: "chainlink",
+  LTC: "litecoin",
+  TRX: "tron"
+};
+
+function idFor(coin) {
+  return coin.coingeckoId || KNOWN_IDS[coin.symbol] || coin.symbol.toLowerCase();
+}
+
+async function fetchPrices(coins) {
+  const ids = {};
+  coins.forEach(c => { ids[idFor(c)] = c.symbol; });
+  const { data } = await axios.get(`${BASE_URL}/simple/price`, {
+    params: { ids: Object.keys(ids).join(","), vs_currencies: "usd" },
+    timeout: 7000
+  });
+
+  const out = {};
+  Object.keys(ids).forEach(id => {
+    const usd = data && data[id] && data[id].usd;
+    if (usd != null) out[ids[id]] = String(usd);
+  });
+  return out;
+}
+
+module.exports = { name: "coingecko", fetchPrices };
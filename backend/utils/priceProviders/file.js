@@ -0,0 +1,57 @@
+/**
+ * File price provider - reads USD prices from a local JSON or CSV file (PRICE_FEED_FILE)
+ *
+ * JSON: { "BTC": "65000.5", ... } or [{ "symbol": "BTC", "price": 65000.5 }, ...]
+ * CSV:  one "symbol,price" per line; a header line and # comments are ignored
+ *
+ * The file is re-read whenever its modification time changes, so tests and offline
+ * setups can move prices by rewriting it.
+ */
+const fs = require("fs");
+const path = require("path");
+
+const FEED_FILE = process.env.PRICE_FEED_FILE || path.join(__dirname, "..", "..", "data", "prices.json");
+
+let cached = { mtimeMs: 0, prices: {} };
+
+function parseFeed(text, file) {
+  const prices = {};
+  if (/\.csv$/i.test(file)) {
+    text.split(/\r?\n/).forEach(line => {
+      const [symbol, price] = line.split(",").map(s => (s || "").trim());
+      if (!symbol || symbol.startsWith("#") || !Number.isFinite(Number(price))) return;
+      prices[symbol.toUpperCase()] = price;
+    });
+    return prices;
+  }
+
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) {
+    data.forEach(r => {
+      if (r && r.symbol && r.price != null) prices[String(r.symbol).toUpperCase()] = String(r.price);
+    });
+  } else if (data && typeof data === "object") {
+    Object.keys(data).forEach(k => { prices[k.toUpperCase()] = String(data[k]); });
+  }
+  return prices;
+}
+
+async function loadFeed() {
+  const stat = await fs.promises.stat(FEED_FILE);
+  if (stat.mtimeMs !== cached.mtimeMs) {
+    const text = await fs.promises.readFile(FEED_FILE, "utf8");
+    cached = { mtimeMs: stat.mtimeMs, prices: parseFeed(text, FEED_FILE) };
+  }
+  return cached.prices;
+}
+
+async function fetchPrices(coins) {
+  const prices = await loadFeed();
+  const out = {};
+  coins.forEach(c => {
+    if (prices[c.symbol] != null) out[c.symbol] = prices[c.symbol];
+  });
+  return out;
+}
+
+module.exports = { name: "file", fetchPrices, FEED_FILE };
@@ -0,0 +1,191 @@
+/**
+ * Price Providers - one interface over every external or local source of coin prices
+ *
+ * Adapters (binance, coingecko, file, simulator) export { name, fetchPrices(coins) } and
+ * return USD prices as { SYMBOL: "decimal string" } for whichever coins they know; they
+ * throw when the source itself fails.
+ *
+ * - Each coin tries its sources in order: Coin.priceSource.primary then .fallbacks, or
+ *   PRICE_PROVIDER_ORDER (default "binance,coingecko") when no primary is set.
+ *   PRICE_PROVIDER_ORDER=file runs the stack offline from the file feed.
+ * - Coins are fetched in rounds: each round calls every provider once with all coins
+ *   currently waiting on it, and unpriced coins move to their next source.
+ * - Health is tracked per provider. After PROVIDER_FAILURE_THRESHOLD consecutive failures
+ *   a provider is skipped for PROVIDER_COOLDOWN_MS, so its coins go straight to their fallback.
+ * - Every quote a provider returns is kept as its last quote for that coin (lastQuote), so
+ *   the index calculator reuses what the price service's ticks already fetched.
+ */
+const Coin = require("../../models/Coin");
+const { dec } = require("../decimal");
+
+const PROVIDERS = {
+  binance: require("./binance"),
+  coingecko: require("./coingecko"),
+  file: require("./file"),
+  simulator: require("./simulator")
+};
+
+const NAMES = Object.keys(PROVIDERS);
+const DEFAULT_ORDER = String(process.env.PRICE_PROVIDER_ORDER || "binance,coingecko")
+  .split(",")
+  .map(s => s.trim().toLowerCase())
+  .filter(n => PROVIDERS[n]);
+const FAILURE_THRESHOLD = parseInt(process.env.PROVIDER_FAILURE_THRESHOLD || "3", 10);
+const COOLDOWN_MS = parseInt(process.env.PROVIDER_COOLDOWN_MS || "60000", 10);
+
+const lastQuotes = new Map(); // "provider|SYMBOL" -> { price: Decimal, at: ms }
+const health = {};
+NAMES.forEach(name => {
+  health[name] = {
+    calls: 0,
+    failures: 0,
+    consecutiveFailures: 0,
+    lastSuccessAt: null,
+    lastFailureAt: null,
+    lastError: null,
+    latencyMs: null,
+    lastServed: 0,
+    lastMissing: 0,
+    disabledUntil: null
+  };
+});
+
+function isAvailable(name, now = Date.now()) {
+  const h = health[name];
+  return !!h && (!h.disabledUntil || h.disabledUntil.getTime() <= now);
+}
+
+/**
+ * Ordered source names for a coin ({ priceSource: { primary, fallbacks } }).
+ */
+function sourcesFor(coin) {
+  const cfg = (coin && coin.priceSource) || {};
+  const list = cfg.primary ? [cfg.primary, ...(cfg.fallbacks || [])] : DEFAULT_ORDER;
+  return [...new Set(list.map(s => String(s).toLowerCase()))].filter(n => PROVIDERS[n]);
+}
+
+async function callProvider(name, coins) {
+  const h = health[name];
+  const started = Date.now();
+  h.calls += 1;
+  try {
+    const raw = await PROVIDERS[name].fetchPrices(coins);
+    const prices = {};
+    Object.keys(raw || {}).forEach(sym => {
+      const p = dec(raw[sym]);
+      if (p.isFinite() && p.gt(0)) prices[sym] = p;
+    });
+    const at = Date.now();
+    Object.keys(prices).forEach(sym => lastQuotes.set(`${name}|${sym}`, { price: prices[sym], at }));
+    Object.assign(h, {
+      consecutiveFailures: 0,
+      lastSuccessAt: new Date(),
+      latencyMs: Date.now() - started,
+      lastServed: Object.keys(prices).length,
+      lastMissing: coins.length - Object.keys(prices).length,
+      disabledUntil: null
+    });
+    return prices;
+  } catch (err) {
+    h.failures += 1;
+    h.consecutiveFailures += 1;
+    Object.assign(h, { lastFailureAt: new Date(), lastError: err && (err.message || String(err)), latencyMs: Date.now() - started });
+    if (h.consecutiveFailures >= FAILURE_THRESHOLD) {
+      h.disabledUntil = new Date(Date.now() + COOLDOWN_MS);
+      console.warn(`Price provider ${name} disabled for ${COOLDOWN_MS}ms after ${h.consecutiveFailures} failures:`, h.lastError);
+    }
+    return {};
+  }
+}
+
+/**
+ * Fetch USD prices for coins ([{ symbol, price, priceSource, coingeckoId }]) through their
+ * configured sources. Returns { SYMBOL: { price: Decimal, source } }; coins no source
+ * could price are left out.
+ */
+async function fetchCoinPrices(coins) {
+  const pending = (coins || [])
+    .filter(c => c && c.symbol)
+    .map(c => ({ coin: { ...c, symbol: String(c.symbol).toUpperCase() }, sources: sourcesFor(c), next: 0 }));
+  const result = {};
+
+  while (pending.length) {
+    const now = Date.now();
+    const groups = {};
+    for (let i = pending.length - 1; i >= 0; i--) {
+      const p = pending[i];
+      while (p.next < p.sources.length && !isAvailable(p.sources[p.next], now)) p.next += 1;
+      if (p.next >= p.sources.length) {
+        pending.splice(i, 1);
+        continue;
+      }
+      const name = p.sources[p.next];
+      (groups[name] = groups[name] || []).push(p);
+    }
+    const names = Object.keys(groups);
+    if (!names.length) break;
+
+    await Promise.all(names.map(async name => {
+      const prices = await callProvider(name, groups[name].map(p => p.coin));
+      groups[name].forEach(p => {
+        const price = prices[p.coin.symbol];
+        if (price) {
+          result[p.coin.symbol] = { price, source: name };
+          pending.splice(pending.indexOf(p), 1);
+        } else {
+          p.next += 1;
+        }
+      });
+    }));
+  }
+  return result;
+}
+
+/**
+ * Quotes from one named provider for coins, without fallbacks: { SYMBOL: Decimal }.
+ * Returns {} when the provider is unknown, cooling down or failing.
+ */
+async function fetchFromProvider(name, coins) {
+  const provider = String(name || "").toLowerCase();
+  if (!PROVIDERS[provider] || !isAvailable(provider)) return {};
+  const list = (coins || []).filter(c => c && c.symbol).map(c => ({ ...c, symbol: String(c.symbol).toUpperCase() }));
+  return list.length ? callProvider(provider, list) : {};
+}
+
+/**
+ * Last quote of a coin from one provider, whoever asked for it: { price: Decimal, at: ms },
+ * or null when that provider has not quoted the coin.
+ */
+function lastQuote(name, symbol) {
+  return lastQuotes.get(`${String(name || "").toLowerCase()}|${String(symbol || "").toUpperCase()}`) || null;
+}
+
+/**
+ * USD price of one coin through its configured sources (Decimal), or null.
+ */
+async function getPrice(symbol) {
+  const sym = String(symbol || "").toUpperCase();
+  const coin = await Coin.findOne({ symbol: sym }).select("symbol price priceSource coingeckoId").lean();
+  const prices = await fetchCoinPrices([coin || { symbol: sym }]);
+  return prices[sym] ? prices[sym].price : null;
+}
+
+function getProviderStatus() {
+  const now = Date.now();
+  return {
+    defaultOrder: DEFAULT_ORDER,
+    failureThreshold: FAILURE_THRESHOLD,
+    cooldownMs: COOLDOWN_MS,
+    providers: NAMES.map(name => ({ name, healthy: isAvailable(name, now), ...health[name] }))
+  };
+}
+
+module.exports = {
+  PROVIDER_NAMES: NAMES,
+  fetchCoinPrices,
+  fetchFromProvider,
+  lastQuote,
+  getPrice,
+  sourcesFor,
+  getProviderStatus
+};
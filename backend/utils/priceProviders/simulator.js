@@ -0,0 +1,22 @@
+/**
+ * Simulator price provider - random walk from each coin's current price
+ *
+ * Needs no network, so it works as a last-resort fallback or for offline runs.
+ * Step size is SIMULATOR_VOLATILITY (fraction per tick, default 0.002).
+ */
+const { dec, quantizePrice } = require("../decimal");
+
+const VOLATILITY = Number(process.env.SIMULATOR_VOLATILITY || 0.002);
+
+async function fetchPrices(coins) {
+  const out = {};
+  coins.forEach(c => {
+    const current = dec(c.price);
+    if (!current.isFinite() || !current.gt(0)) return;
+    const pct = (Math.random() * 2 - 1) * VOLATILITY;
+    out[c.symbol] = quantizePrice(current.times(1 + pct)).toFixed();
+  });
+  return out;
+}
+
+module.exports = { name: "simulator", fetchPrices };
@@ -0,0 +1,364 @@
+/**
+ * Price Replay Util - plays recorded price files into jobs/priceService (models/PriceReplay)
+ *
+ * Files live in REPLAY_DATA_DIR (default data/replays) as CSV with a header line, or JSON
+ * (an array of rows, or { SYMBOL: [rows] }). Two formats are recognised from the columns:
+ *  - ticks: ts, symbol, price
+ *  - ohlcv: openTime (or ts/time), symbol, open, high, low, close[, volume, closeTime];
+ *    each candle is played as four ticks: open, the nearer extreme, the other extreme, close
+ * Timestamps are epoch milliseconds, epoch seconds or ISO dates. A file without a symbol
+ * column can be replayed for exactly one chosen symbol. The klines endpoint's output
+ * (GET /api/coin/:symbol/klines) saved as JSON is a valid ohlcv file.
+ *
+ * - One replay is active at a time. While running or paused it drives its symbols instead
+ *   of their own price mode (an active price scenario still wins); each symbol holds its
+ *   current price until the replay reaches its first tick.
+ * - Data time advances `speed` (1-100) times faster than the clock. Reaching the end of the
+ *   file completes the replay and hands the symbols back to their own mode.
+ * - Start, pause, resume, seek and stop are audited.
+ */
+const fs = require("fs");
+const path = require("path");
+const Coin = require("../models/Coin");
+const PriceReplay = require("../models/PriceReplay");
+const { createAudit } = require("./auditLog");
+const { dec, quantizePrice } = require("./decimal");
+
+const REPLAY_DIR = process.env.REPLAY_DATA_DIR || path.join(__dirname, "..", "data", "replays");
+const ACTIVE = ["running", "paused"];
+const MAX_SPEED = 100;
+const DEFAULT_CANDLE_MS = 60 * 1000;
+
+const fileCache = new Map(); // file -> { mtimeMs, data }
+
+function replayError(message, status = 400, code = "REPLAY_REJECTED") {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+async function audit(action, actorId, details) {
+  try {
+    await createAudit(action, actorId, details);
+  } catch (e) {
+    console.warn("price replay audit failed:", e && e.message);
+  }
+}
+
+function parseTime(v) {
+  if (v == null || v === "") return NaN;
+  if (v instanceof Date) return v.getTime();
+  const n = Number(v);
+  if (Number.isFinite(n)) return n < 1e12 ? n * 1000 : n;
+  return new Date(v).getTime();
+}
+
+function readRows(text, file) {
+  if (/\.csv$/i.test(file)) {
+    const lines = text.split(/\r?\n/).map(l => l.trim()).filter(l => l && !l.startsWith("#"));
+    const header = (lines.shift() || "").split(",").map(h => h.trim());
+    return lines.map(line => {
+      const cells = line.split(",").map(s => s.trim());
+      const row = {};
+      header.forEach((h, i) => { row[h] = cells[i]; });
+      return row;
+    });
+  }
+  const data = JSON.parse(text);
+  if (Array.isArray(data)) return data;
+  if (data && typeof data === "object") {
+    return Object.keys(data).flatMap(sym => (Array.isArray(data[sym]) ? data[sym] : []).map(r => ({ symbol: sym, ...r })));
+  }
+  return [];
+}
+
+/**
+ * Turn rows into { format, series: { SYMBOL: [{ ts, price }] sorted }, start, end }.
+ * Rows without a symbol are filed under "".
+ */
+function buildSeries(rows) {
+  const isOhlcv = rows.some(r => r && r.close != null && r.price == null);
+  const series = {};
+  const push = (sym, ts, price) => {
+    const p = Number(price);
+    if (!Number.isFinite(ts) || !(p > 0)) return;
+    (series[sym] = series[sym] || []).push({ ts, price: p });
+  };
+
+  if (!isOhlcv) {
+    rows.forEach(r => push(String(r.symbol || "").toUpperCase(), parseTime(r.ts != null ? r.ts : r.time || r.timestamp), r.price));
+  } else {
+    const candles = {};
+    rows.forEach(r => {
+      const sym = String(r.symbol || "").toUpperCase();
+      const openTime = parseTime(r.openTime != null ? r.openTime : r.ts != null ? r.ts : r.time);
+      if (!Number.isFinite(openTime)) return;
+      (candles[sym] = candles[sym] || []).push({ ...r, openTime, closeTime: parseTime(r.closeTime) });
+    });
+    Object.keys(candles).forEach(sym => {
+      const list = candles[sym].sort((a, b) => a.openTime - b.openTime);
+      list.forEach((c, i) => {
+        const next = list[i + 1];
+        const span = Number.isFinite(c.closeTime) ? c.closeTime - c.openTime + 1 : next ? next.openTime - c.openTime : DEFAULT_CANDLE_MS;
+        // a rising candle most likely dipped first, a falling one peaked first
+        const [first, second] = Number(c.close) >= Number(c.open) ? [c.low, c.high] : [c.high, c.low];
+        push(sym, c.openTime, c.open);
+        push(sym, c.openTime + span / 3, first);
+        push(sym, c.openTime + (2 * span) / 3, second);
+        push(sym, c.openTime + span - 1, c.close);
+      });
+    });
+  }
+
+  let start = Infinity;
+  let end = -Infinity;
+  Object.keys(series).forEach(sym => {
+    series[sym].sort((a, b) => a.ts - b.ts);
+    start = Math.min(start, series[sym][0].ts);
+    end = Math.max(end, series[sym][series[sym].length - 1].ts);
+  });
+  if (!Object.keys(series).length) throw replayError("Replay file has no usable rows");
+  return { format: isOhlcv ? "ohlcv" : "ticks", series, start, end };
+}
+
+function resolveFile(file) {
+  const name = path.basename(String(file || ""));
+  if (!name || name !== String(file) || !/\.(csv|json)$/i.test(name)) throw replayError("file must be a .csv or .json name in the replay directory");
+  return path.join(REPLAY_DIR, name);
+}
+
+async function loadReplayFile(file) {
+  const full = resolveFile(file);
+  let stat;
+  try {
+    stat = await fs.promises.stat(full);
+  } catch (e) {
+    throw replayError(`Replay file ${file} not found`, 404, "REPLAY_FILE_NOT_FOUND");
+  }
+  const cached = fileCache.get(full);
+  if (cached && cached.mtimeMs === stat.mtimeMs) return cached.data;
+
+  let data;
+  try {
+    data = buildSeries(readRows(await fs.promises.readFile(full, "utf8"), full));
+  } catch (e) {
+    throw e.status ? e : replayError(`Replay file ${file} could not be parsed: ${e.message}`);
+  }
+  fileCache.set(full, { mtimeMs: stat.mtimeMs, data });
+  return data;
+}
+
+/**
+ * Replay files available in REPLAY_DATA_DIR.
+ */
+async function listReplayFiles() {
+  try {
+    const names = await fs.promises.readdir(REPLAY_DIR);
+    return names.filter(n => /\.(csv|json)$/i.test(n)).sort();
+  } catch (e) {
+    return [];
+  }
+}
+
+function seriesFor(data, symbol, replaySymbols) {
+  if (data.series[symbol]) return data.series[symbol];
+  // a file without symbols belongs to the single replayed symbol
+  return replaySymbols.length === 1 && data.series[""] ? data.series[""] : null;
+}
+
+function priceAt(series, ts) {
+  let lo = 0;
+  let hi = series.length - 1;
+  if (!series.length || series[0].ts > ts) return null;
+  while (lo < hi) {
+    const mid = (lo + hi + 1) >> 1;
+    if (series[mid].ts <= ts) lo = mid;
+    else hi = mid - 1;
+  }
+  return series[lo].price;
+}
+
+/**
+ * Data time (ms) a replay has reached at `now`.
+ */
+function dataTime(replay, now = Date.now()) {
+  const pos = new Date(replay.position).getTime();
+  if (replay.status !== "running") return pos;
+  return Math.min(new Date(replay.dataEnd).getTime(), pos + (now - new Date(replay.anchoredAt).getTime()) * replay.speed);
+}
+
+function parseSpeed(speed, fallback) {
+  if (speed == null || speed === "") return fallback;
+  const s = Number(speed);
+  if (!Number.isFinite(s) || s < 1 || s > MAX_SPEED) throw replayError(`speed must be between 1 and ${MAX_SPEED}`);
+  return s;
+}
+
+/**
+ * Start replaying a file for some symbols.
+ * @param {Object} opts - { file, symbols, speed (1-100, default 1), from (data time; default file start), actorId }
+ */
+async function startReplay({ file, symbols, speed, from, actorId = null } = {}) {
+  const rate = parseSpeed(speed, 1);
+  const data = await loadReplayFile(file);
+  const wanted = (Array.isArray(symbols) ? symbols : String(symbols || "").split(","))
+    .map(s => String(s).toUpperCase().trim())
+    .filter(Boolean);
+  const syms = [...new Set(wanted)];
+  if (!syms.length) throw replayError("symbols is required");
+  const missing = syms.filter(s => !seriesFor(data, s, syms));
+  if (missing.length) throw replayError(`No data for ${missing.join(", ")} in ${file}`);
+  const known = await Coin.find({ symbol: { $in: syms } }).distinct("symbol");
+  const unknown = syms.filter(s => !known.includes(s));
+  if (unknown.length) throw replayError(`Unknown coin ${unknown.join(", ")}`, 404, "COIN_NOT_FOUND");
+  if (await PriceReplay.exists({ status: { $in: ACTIVE } })) throw replayError("A replay is already active", 409, "REPLAY_ACTIVE");
+
+  let position = data.start;
+  if (from != null && from !== "") {
+    position = parseTime(from);
+    if (!Number.isFinite(position) || position < data.start || position > data.end) {
+      throw replayError(`from must be between ${new Date(data.start).toISOString()} and ${new Date(data.end).toISOString()}`);
+    }
+  }
+
+  const replay = await PriceReplay.create({
+    file: path.basename(String(file)),
+    format: data.format,
+    symbols: syms,
+    speed: rate,
+    dataStart: new Date(data.start),
+    dataEnd: new Date(data.end),
+    position: new Date(position),
+    anchoredAt: new Date(),
+    startedBy: actorId
+  });
+  await audit("admin:price_replay_start", actorId, { replayId: replay._id, file: replay.file, symbols: syms, speed: rate, from: new Date(position) });
+  return replay.toObject();
+}
+
+async function activeReplay() {
+  return PriceReplay.findOne({ status: { $in: ACTIVE } }).sort({ createdAt: -1 }).lean();
+}
+
+/**
+ * Re-anchor the active replay: `change(replay, dataTimeNow)` returns the fields to set.
+ * The update only applies if nobody re-anchored it since it was read.
+ */
+async function reanchor(allowed, change, action, actorId) {
+  const replay = await activeReplay();
+  if (!replay) throw replayError("No active replay", 404, "REPLAY_NOT_FOUND");
+  if (!allowed.includes(replay.status)) throw replayError(`Replay is ${replay.status}`, 409, "REPLAY_STATE");
+  const now = Date.now();
+  const fields = change(replay, dataTime(replay, now));
+  const updated = await PriceReplay.findOneAndUpdate(
+    { _id: replay._id, status: replay.status, anchoredAt: replay.anchoredAt },
+    { $set: { ...fields, anchoredAt: new Date(now) } },
+    { new: true }
+  ).lean();
+  if (!updated) throw replayError("Replay changed meanwhile, try again", 409, "REPLAY_STATE");
+  await audit(action, actorId, { replayId: replay._id, position: updated.position, speed: updated.speed, status: updated.status });
+  return updated;
+}
+
+function pauseReplay({ actorId = null } = {}) {
+  return reanchor(["running"], (r, t) => ({ status: "paused", position: new Date(t) }), "admin:price_replay_pause", actorId);
+}
+
+function resumeReplay({ speed, actorId = null } = {}) {
+  return reanchor(["running", "paused"], (r, t) => ({ status: "running", position: new Date(t), speed: parseSpeed(speed, r.speed) }), "admin:price_replay_resume", actorId);
+}
+
+/**
+ * Jump to a data time (`to`: ms, seconds or ISO date) or move by `offsetMs`; keeps the
+ * running / paused state.
+ */
+function seekReplay({ to, offsetMs, actorId = null } = {}) {
+  return reanchor(ACTIVE, (r, t) => {
+    const target = to != null && to !== "" ? parseTime(to) : t + Number(offsetMs);
+    const start = new Date(r.dataStart).getTime();
+    const end = new Date(r.dataEnd).getTime();
+    if (!Number.isFinite(target) || target < start || target > end) {
+      throw replayError(`Seek target must be between ${new Date(start).toISOString()} and ${new Date(end).toISOString()}`);
+    }
+    return { position: new Date(target) };
+  }, "admin:price_replay_seek", actorId);
+}
+
+async function stopReplay({ actorId = null } = {}) {
+  const replay = await PriceReplay.findOneAndUpdate(
+    { status: { $in: ACTIVE } },
+    { $set: { status: "stopped", stoppedAt: new Date() } },
+    { new: true, sort: { createdAt: -1 } }
+  ).lean();
+  if (!replay) throw replayError("No active replay", 404, "REPLAY_NOT_FOUND");
+  await audit("admin:price_replay_stop", actorId, { replayId: replay._id, position: replay.position });
+  return replay;
+}
+
+/**
+ * Active replay (with its current data time and progress), the latest finished one and
+ * the available files.
+ */
+async function getReplayStatus() {
+  const [active, last, files] = await Promise.all([
+    activeReplay(),
+    PriceReplay.findOne({ status: { $nin: ACTIVE } }).sort({ createdAt: -1 }).lean(),
+    listReplayFiles()
+  ]);
+  let current = null;
+  if (active) {
+    const t = dataTime(active);
+    const span = new Date(active.dataEnd).getTime() - new Date(active.dataStart).getTime();
+    current = {
+      ...active,
+      dataTime: new Date(t),
+      progress: span > 0 ? Math.round(((t - new Date(active.dataStart).getTime()) / span) * 10000) / 100 : 100
+    };
+  }
+  return { active: current, last, files, directory: REPLAY_DIR };
+}
+
+/**
+ * Prices for the coins the active replay drives this tick.
+ * @param {Array} coins - lean Coin documents
+ * @returns {Promise<Map>} symbol -> { price: Decimal, source }
+ */
+async function replayPrices(coins, now = Date.now()) {
+  const out = new Map();
+  const replay = await activeReplay();
+  if (!replay) return out;
+
+  const data = await loadReplayFile(replay.file);
+  const t = dataTime(replay, now);
+  const source = replay.status === "paused" ? "replay:paused" : "replay";
+  (coins || []).forEach(c => {
+    if (!replay.symbols.includes(c.symbol)) return;
+    const series = seriesFor(data, c.symbol, replay.symbols);
+    const p = series ? priceAt(series, t) : null;
+    // before the symbol's first tick it holds its current price
+    out.set(c.symbol, { price: p != null ? quantizePrice(p) : dec(c.price), source });
+  });
+
+  if (replay.status === "running" && t >= new Date(replay.dataEnd).getTime()) {
+    const done = await PriceReplay.findOneAndUpdate(
+      { _id: replay._id, status: "running" },
+      { $set: { status: "completed", completedAt: new Date(now), position: replay.dataEnd, anchoredAt: new Date(now) } }
+    ).lean();
+    if (done) await audit("price_replay:complete", null, { replayId: replay._id, file: replay.file, symbols: replay.symbols });
+  }
+  return out;
+}
+
+module.exports = {
+  REPLAY_DIR,
+  listReplayFiles,
+  loadReplayFile,
+  startReplay,
+  pauseReplay,
+  resumeReplay,
+  seekReplay,
+  stopReplay,
+  getReplayStatus,
+  replayPrices
+};
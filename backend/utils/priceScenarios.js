@@ -0,0 +1,264 @@
+/**
+ * Price Scenarios Util - scripted price timelines (models/PriceScenario)
+ *
+ * - A coin has at most one active (scheduled, running or paused) scenario. While it runs
+ *   it drives the coin's price; while paused it holds the price; either way the coin's own
+ *   price mode is suspended. Cancelling hands the coin back to its own mode.
+ * - jobs/priceService calls scenarioPrices() every tick: scheduled scenarios start once
+ *   startAt passes, running ones advance through their steps (several short steps may
+ *   finish in one tick). Step changes are written with a conditional update, so a pause
+ *   or cancel that lands mid-tick wins.
+ * - A completed scenario leaves the coin in drift mode targeting the final price, so it
+ *   stays where the timeline ended.
+ * - Creation, pause, resume, cancel, the start and every finished step are audited.
+ */
+const mongoose = require("mongoose");
+const Coin = require("../models/Coin");
+const PriceScenario = require("../models/PriceScenario");
+const { createAudit } = require("./auditLog");
+const { dec, toStr, quantizePrice } = require("./decimal");
+
+const ACTIVE = ["scheduled", "running", "paused"];
+const ACTIONS = ["ramp", "hold", "jump"];
+const MAX_STEPS = 100;
+const MAX_STEP_MS = 7 * 24 * 60 * 60 * 1000;
+
+function scenarioError(message, status = 400, code = "SCENARIO_REJECTED") {
+  const err = new Error(message);
+  err.status = status;
+  err.code = code;
+  return err;
+}
+
+async function audit(action, actorId, details) {
+  try {
+    await createAudit(action, actorId, details);
+  } catch (e) {
+    console.warn("price scenario audit failed:", e && e.message);
+  }
+}
+
+/**
+ * Validate steps given as [{ action, targetPrice, minutes }] (or durationMs instead of minutes).
+ */
+function parseSteps(input) {
+  if (!Array.isArray(input) || input.length === 0) throw scenarioError("steps must be a non-empty list");
+  if (input.length > MAX_STEPS) throw scenarioError(`At most ${MAX_STEPS} steps`);
+  return input.map((s, i) => {
+    const action = String((s && s.action) || "").toLowerCase();
+    if (!ACTIONS.includes(action)) throw scenarioError(`steps[${i}].action must be one of ${ACTIONS.join(", ")}`);
+
+    let durationMs = 0;
+    if (action !== "jump") {
+      durationMs = s.durationMs != null ? Number(s.durationMs) : Number(s.minutes) * 60 * 1000;
+      if (!Number.isFinite(durationMs) || durationMs <= 0 || durationMs > MAX_STEP_MS) {
+        throw scenarioError(`steps[${i}] needs a duration (minutes) of up to 7 days`);
+      }
+      durationMs = Math.round(durationMs);
+    }
+
+    let targetPrice = null;
+    if (action !== "hold") {
+      const p = dec(s.targetPrice);
+      if (!p.isFinite() || !p.gt(0)) throw scenarioError(`steps[${i}].targetPrice must be a positive number`);
+      targetPrice = quantizePrice(p).toFixed();
+    }
+    return { action, targetPrice, durationMs };
+  });
+}
+
+/**
+ * Create a scenario for a coin.
+ * @param {Object} opts - { symbol, name, steps, startAt, actorId }
+ */
+async function createScenario({ symbol, name = "", steps, startAt = null, actorId = null } = {}) {
+  const sym = String(symbol || "").toUpperCase().trim();
+  if (!sym) throw scenarioError("symbol is required");
+  const parsed = parseSteps(steps);
+  let start = null;
+  if (startAt) {
+    start = new Date(startAt);
+    if (isNaN(start.getTime())) throw scenarioError("startAt must be a date");
+  }
+  if (!(await Coin.exists({ symbol: sym }))) throw scenarioError("Coin not found", 404, "COIN_NOT_FOUND");
+  if (await PriceScenario.exists({ symbol: sym, status: { $in: ACTIVE } })) {
+    throw scenarioError(`${sym} already has an active scenario`, 409, "SCENARIO_ACTIVE");
+  }
+
+  let scenario;
+  try {
+    scenario = await PriceScenario.create({
+      symbol: sym,
+      name: String(name || "").slice(0, 100),
+      steps: parsed,
+      startAt: start,
+      createdBy: actorId
+    });
+  } catch (err) {
+    // a concurrent create got past the check above; the unique active-symbol index stops it
+    if (err && err.code === 11000) throw scenarioError(`${sym} already has an active scenario`, 409, "SCENARIO_ACTIVE");
+    throw err;
+  }
+  await audit("admin:price_scenario_create", actorId, { scenarioId: scenario._id, symbol: sym, name: scenario.name, steps: parsed, startAt: start });
+  return scenario.toObject();
+}
+
+async function transition(id, from, update, action, actorId) {
+  if (!mongoose.isValidObjectId(id)) throw scenarioError("Scenario not found", 404, "SCENARIO_NOT_FOUND");
+  const scenario = await PriceScenario.findOneAndUpdate({ _id: id, status: { $in: from } }, update, { new: true }).lean();
+  if (!scenario) {
+    const current = await PriceScenario.findById(id).select("status").lean();
+    if (!current) throw scenarioError("Scenario not found", 404, "SCENARIO_NOT_FOUND");
+    throw scenarioError(`Scenario is ${current.status}`, 409, "SCENARIO_STATE");
+  }
+  await audit(action, actorId, { scenarioId: scenario._id, symbol: scenario.symbol, step: scenario.currentStep });
+  return scenario;
+}
+
+function pauseScenario(id, { actorId = null } = {}) {
+  const now = new Date();
+  // bank the time spent in the current step so far
+  return transition(id, ["running"], [{
+    $set: {
+      status: "paused",
+      pausedAt: now,
+      stepElapsedMs: { $add: ["$stepElapsedMs", { $subtract: [now, "$stepStartedAt"] }] },
+      stepStartedAt: null
+    }
+  }], "admin:price_scenario_pause", actorId);
+}
+
+function resumeScenario(id, { actorId = null } = {}) {
+  return transition(id, ["paused"], { $set: { status: "running", stepStartedAt: new Date(), pausedAt: null } }, "admin:price_scenario_resume", actorId);
+}
+
+function cancelScenario(id, { actorId = null } = {}) {
+  return transition(id, ACTIVE, { $set: { status: "cancelled", cancelledAt: new Date() } }, "admin:price_scenario_cancel", actorId);
+}
+
+async function listScenarios({ symbol, status, limit = 100 } = {}) {
+  const filter = {};
+  if (symbol) filter.symbol = String(symbol).toUpperCase();
+  if (status === "active") filter.status = { $in: ACTIVE };
+  else if (status) filter.status = String(status);
+  return PriceScenario.find(filter).sort({ createdAt: -1 }).limit(Math.min(500, Math.max(1, parseInt(limit, 10) || 100))).lean();
+}
+
+/**
+ * Where a running scenario is at `now`: { step, startPrice, elapsed, price, finished },
+ * with finished = [{ step, action, price }] for the steps completed since the last write.
+ */
+function position(s, now) {
+  let step = s.currentStep;
+  let startPrice = dec(s.stepStartPrice);
+  let elapsed = (s.stepElapsedMs || 0) + (s.stepStartedAt ? now - new Date(s.stepStartedAt).getTime() : 0);
+  const finished = [];
+
+  while (step < s.steps.length && elapsed >= s.steps[step].durationMs) {
+    const st = s.steps[step];
+    elapsed -= st.durationMs;
+    startPrice = st.action === "hold" ? startPrice : dec(st.targetPrice);
+    finished.push({ step, action: st.action, price: startPrice.toFixed() });
+    step += 1;
+  }
+
+  let price = startPrice;
+  const st = s.steps[step];
+  if (st && st.action === "ramp") {
+    price = quantizePrice(startPrice.plus(dec(st.targetPrice).minus(startPrice).times(elapsed).div(st.durationMs)));
+  }
+  return { step, startPrice, elapsed, price, finished };
+}
+
+async function startDue(s, coin, now) {
+  const started = await PriceScenario.findOneAndUpdate(
+    { _id: s._id, status: "scheduled" },
+    {
+      $set: {
+        status: "running",
+        startedAt: new Date(now),
+        currentStep: 0,
+        stepStartPrice: toStr(coin.price),
+        stepStartedAt: new Date(now),
+        stepElapsedMs: 0
+      }
+    },
+    { new: true }
+  ).lean();
+  if (started) await audit("price_scenario:start", null, { scenarioId: s._id, symbol: s.symbol, price: toStr(coin.price) });
+  return started;
+}
+
+async function advance(s, now) {
+  const pos = position(s, now);
+  if (!pos.finished.length) return { price: pos.price, source: "scenario" };
+
+  const done = pos.step >= s.steps.length;
+  const saved = await PriceScenario.findOneAndUpdate(
+    { _id: s._id, status: "running", currentStep: s.currentStep },
+    {
+      $set: {
+        currentStep: pos.step,
+        stepStartPrice: pos.startPrice.toFixed(),
+        stepStartedAt: new Date(now - pos.elapsed),
+        stepElapsedMs: 0,
+        ...(done ? { status: "completed", completedAt: new Date(now) } : {})
+      }
+    }
+  ).lean();
+  if (!saved) return null; // paused or cancelled meanwhile
+
+  for (const f of pos.finished) {
+    await audit("price_scenario:step", null, { scenarioId: s._id, symbol: s.symbol, ...f, of: s.steps.length, at: new Date(now) });
+  }
+  if (done) {
+    // keep the coin at the final price instead of snapping back to its feed or old target
+    await Coin.updateOne(
+      { symbol: s.symbol },
+      { $set: { priceMode: "drift", adminControlEnabled: true, targetPrice: pos.price.toNumber() } }
+    );
+    await audit("price_scenario:complete", null, { scenarioId: s._id, symbol: s.symbol, price: pos.price.toFixed() });
+  }
+  return { price: pos.price, source: "scenario" };
+}
+
+/**
+ * Prices for the coins that an active scenario drives this tick.
+ * @param {Array} coins - lean Coin documents
+ * @returns {Promise<Map>} symbol -> { price: Decimal, source }
+ */
+async function scenarioPrices(coins, now = Date.now()) {
+  const out = new Map();
+  const bySymbol = new Map((coins || []).map(c => [c.symbol, c]));
+  const scenarios = await PriceScenario.find({ symbol: { $in: [...bySymbol.keys()] }, status: { $in: ACTIVE } }).lean();
+
+  for (let s of scenarios) {
+    const coin = bySymbol.get(s.symbol);
+    try {
+      if (s.status === "paused") {
+        out.set(s.symbol, { price: dec(coin.price), source: "scenario:paused" });
+        continue;
+      }
+      if (s.status === "scheduled") {
+        if (s.startAt && new Date(s.startAt).getTime() > now) continue;
+        s = await startDue(s, coin, now);
+        if (!s) continue;
+      }
+      const next = await advance(s, now);
+      if (next) out.set(s.symbol, next);
+    } catch (e) {
+      console.warn(`price scenario ${s._id} (${s.symbol}) failed:`, e && (e.message || e));
+    }
+  }
+  return out;
+}
+
+module.exports = {
+  ACTIVE_STATUSES: ACTIVE,
+  createScenario,
+  pauseScenario,
+  resumeScenario,
+  cancelScenario,
+  listScenarios,
+  scenarioPrices
+};
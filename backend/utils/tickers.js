@@ -0,0 +1,156 @@
+/**
+ * Tickers Util - rolling 24h statistics per coin and per pair
+ *
+ * - Coin tickers come from the candle store (15m candles covering the last 24h): open,
+ *   high, low and last in USD, base volume and trade count from fills. quoteVolume is
+ *   the USD value of the coin's pair volumes at current quote prices.
+ * - Pair tickers come from the trade tape (taker side of each match in the last 24h),
+ *   in the pair's quote coin. A listed pair without trades reports the house price as
+ *   last, with no change and zero volume.
+ * - Results are cached for TICKER_INTERVAL_MS; jobs/tickerPublisher recomputes and
+ *   publishes them on the "ticker" channel.
+ */
+const Candle = require("../models/Candle");
+const Coin = require("../models/Coin");
+const Market = require("../models/Market");
+const Trade = require("../models/Trade");
+const { dec, quantizePrice, toStr } = require("./decimal");
+const { bucketStart } = require("./candles");
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+const TICKER_INTERVAL_MS = parseInt(process.env.TICKER_INTERVAL_MS || "5000", 10);
+const USD_QUOTES = ["USDT", "USD", "USDC"];
+
+let cache = { ts: 0, data: null, pending: null };
+
+function stats({ open, high, low, last, volume, quoteVolume, trades }) {
+  const o = open != null ? dec(open) : null;
+  const l = last != null ? dec(last) : null;
+  const change = o && l ? l.minus(o) : null;
+  return {
+    open: o ? o.toFixed() : null,
+    high: high != null ? toStr(high) : null,
+    low: low != null ? toStr(low) : null,
+    last: l ? l.toFixed() : null,
+    change: change ? change.toFixed() : null,
+    changePercent: change && o.gt(0) ? change.div(o).times(100).toDecimalPlaces(2).toNumber() : null,
+    volume: toStr(volume),
+    quoteVolume: toStr(quoteVolume),
+    trades: trades || 0
+  };
+}
+
+/**
+ * USD prices (Decimals) of several coins from one Coin read, as marketPrice.getCoinPrice
+ * would return them; unknown coins are left out.
+ */
+async function usdPrices(symbols) {
+  const usd = {};
+  USD_QUOTES.forEach(q => { usd[q] = dec(1); });
+  const coins = await Coin.find({ symbol: { $in: [...new Set(symbols)].filter(s => !USD_QUOTES.includes(s)) } }).select("symbol price").lean();
+  coins.forEach(c => {
+    const p = dec(c.price);
+    if (p.isFinite() && p.gt(0)) usd[c.symbol] = p;
+  });
+  return usd;
+}
+
+async function computePairTickers(now) {
+  const since = new Date(now - WINDOW_MS);
+  const [rows, markets] = await Promise.all([
+    Trade.aggregate([
+      { $match: { liquidity: "taker", filledAt: { $gte: since } } },
+      { $sort: { filledAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: "$pair",
+          open: { $first: "$price" },
+          high: { $max: "$price" },
+          low: { $min: "$price" },
+          last: { $last: "$price" },
+          volume: { $sum: "$amount" },
+          quoteVolume: { $sum: "$quoteAmount" },
+          trades: { $sum: 1 }
+        }
+      }
+    ]),
+    Market.find({ status: { $ne: "delisted" } }).select("symbol base quote").lean()
+  ]);
+
+  const byPair = new Map(rows.map(r => [r._id, r]));
+  const idle = markets.filter(m => !byPair.has(m.symbol));
+  const usd = idle.length ? await usdPrices(idle.flatMap(m => [m.base, m.quote])) : {};
+  return markets.map(m => {
+    const row = byPair.get(m.symbol);
+    if (row) return { pair: m.symbol, base: m.base, quote: m.quote, ...stats(row) };
+    const price = usd[m.base] && usd[m.quote] ? quantizePrice(usd[m.base].div(usd[m.quote])) : null;
+    return {
+      pair: m.symbol,
+      base: m.base,
+      quote: m.quote,
+      ...stats({ open: price, high: price, low: price, last: price, volume: 0, quoteVolume: 0, trades: 0 })
+    };
+  });
+}
+
+async function computeCoinTickers(now, pairTickers) {
+  const rows = await Candle.aggregate([
+    { $match: { interval: "15m", openTime: { $gte: bucketStart(now - WINDOW_MS, "15m") }, open: { $ne: null } } },
+    { $sort: { openTime: 1 } },
+    {
+      $group: {
+        _id: "$symbol",
+        open: { $first: "$open" },
+        high: { $max: "$high" },
+        low: { $min: "$low" },
+        last: { $last: "$close" },
+        volume: { $sum: "$volume" },
+        trades: { $sum: "$trades" }
+      }
+    }
+  ]);
+
+  const quotes = [...new Set(pairTickers.map(t => t.quote))].filter(q => !USD_QUOTES.includes(q));
+  const usd = {};
+  USD_QUOTES.forEach(q => { usd[q] = dec(1); });
+  (await Coin.find({ symbol: { $in: quotes } }).select("symbol price").lean()).forEach(c => { usd[c.symbol] = dec(c.price); });
+
+  const usdVolume = {};
+  pairTickers.forEach(t => {
+    if (!usd[t.quote]) return;
+    usdVolume[t.base] = dec(usdVolume[t.base]).plus(dec(t.quoteVolume).times(usd[t.quote]));
+  });
+
+  return rows
+    .map(r => ({ symbol: r._id, ...stats({ ...r, quoteVolume: usdVolume[r._id] || 0 }) }))
+    .sort((a, b) => a.symbol.localeCompare(b.symbol));
+}
+
+/**
+ * { coins: [...], pairs: [...], ts }, recomputed when older than TICKER_INTERVAL_MS
+ * (or always with { force: true }). Concurrent callers share one computation.
+ */
+async function getTickers({ force = false } = {}) {
+  const now = Date.now();
+  if (!force && cache.data && now - cache.ts < TICKER_INTERVAL_MS) return cache.data;
+  if (cache.pending) return cache.pending;
+
+  cache.pending = (async () => {
+    try {
+      const pairs = await computePairTickers(now);
+      const coins = await computeCoinTickers(now, pairs);
+      const data = { coins, pairs, ts: now };
+      cache = { ts: now, data, pending: null };
+      return data;
+    } catch (err) {
+      cache.pending = null;
+      throw err;
+    }
+  })();
+  return cache.pending;
+}
+
+module.exports = {
+  getTickers,
+  TICKER_INTERVAL_MS
+};
@@ -0,0 +1,78 @@
+/**
+ * User Stream Util - private per-user messages over Socket.IO and /ws
+ *
+ * Connections sign in with the same JWT as the REST API; signed-in connections receive
+ * the messages sent with utils/broadcaster.broadcastToUser (order triggers, liquidations,
+ * position closes) for that user only:
+ *  - Socket.IO: pass { auth: { token } } when connecting, or emit "authenticate" with
+ *    { token } later; the socket joins the room user:<id>.
+ *  - /ws: connect with ?token=..., or send {"op":"auth","token":"..."}.
+ * Both answer "authenticated" ({ userId }) or "auth_error".
+ */
+const { URL } = require("url");
+const User = require("../models/User");
+const { userIdFromToken } = require("../middlewares/auth");
+const { userRoom } = require("./broadcaster");
+
+async function userFor(token) {
+  const userId = userIdFromToken(token);
+  if (!userId) return null;
+  const user = await User.findById(userId).select("isBanned").lean();
+  return user && !user.isBanned ? userId : null;
+}
+
+/**
+ * Wire sign-in onto a Socket.IO socket.
+ */
+function handleSocketIoConnection(socket) {
+  const signIn = async (token) => {
+    try {
+      const userId = await userFor(token);
+      if (!userId) return socket.emit("auth_error", { error: "Token invalid or expired." });
+      if (socket.data.userId && socket.data.userId !== userId) socket.leave(userRoom(socket.data.userId));
+      socket.data.userId = userId;
+      socket.join(userRoom(userId));
+      socket.emit("authenticated", { userId });
+    } catch (e) {
+      socket.emit("auth_error", { error: "Sign-in failed." });
+    }
+  };
+  const token = (socket.handshake.auth && socket.handshake.auth.token) || (socket.handshake.query && socket.handshake.query.token);
+  if (token) signIn(token);
+  socket.on("authenticate", (msg) => signIn(msg && msg.token));
+}
+
+/**
+ * Wire sign-in onto a native ws connection (req is the upgrade request).
+ */
+function handleWsConnection(ws, req) {
+  const signIn = async (token) => {
+    let frame;
+    try {
+      const userId = await userFor(token);
+      if (userId) ws.userId = userId;
+      frame = userId ? { type: "authenticated", payload: { userId } } : { type: "auth_error", payload: { error: "Token invalid or expired." } };
+    } catch (e) {
+      frame = { type: "auth_error", payload: { error: "Sign-in failed." } };
+    }
+    try { ws.send(JSON.stringify(frame)); } catch (_) { /* socket closed */ }
+  };
+  try {
+    const token = new URL(req.url, "http://localhost").searchParams.get("token");
+    if (token) signIn(token);
+  } catch (_) { /* no query */ }
+  ws.on("message", (raw) => {
+    let msg;
+    try {
+      msg = JSON.parse(String(raw));
+    } catch (_) {
+      return;
+    }
+    if (msg && msg.op === "auth") signIn(msg.token);
+  });
+}
+
+module.exports = {
+  handleSocketIoConnection,
+  handleWsConnection
+};
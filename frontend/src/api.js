@@ -92,6 +92,37 @@ export function getMyTrades() {
   return api.get("/trade/my");
 }
 
+export function getMarkets(params = {}) {
+  return api.get("/markets", { params });
+}
+
+// OHLCV candles: params { interval: 1m|5m|15m|1h|4h|1d, from, to, limit }; times in epoch ms
+export function getKlines(symbol, params = {}) {
+  return api.get(`/coin/${encodeURIComponent(String(symbol).toUpperCase())}/klines`, { params });
+}
+
+// candles -> ApexCharts candlestick points
+export function klinesToSeries(candles = []) {
+  return candles.map(c => ({
+    x: new Date(c.openTime),
+    y: [Number(c.open), Number(c.high), Number(c.low), Number(c.close)]
+  }));
+}
+
+// 24h tickers: { coins, pairs, ts }; params { symbol, pair }
+export function getTickers(params = {}) {
+  return api.get("/market/tickers", { params });
+}
+
+// pair as "BTC/USDT"; the path form is BTC-USDT
+export function getMarketDepth(pair, limit = 50) {
+  return api.get(`/market/${String(pair).replace("/", "-")}/depth`, { params: { limit } });
+}
+
+export function getMarketTrades(pair, limit = 50) {
+  return api.get(`/market/${String(pair).replace("/", "-")}/trades`, { params: { limit } });
+}
+
 /* ================================
    NEWS & ANNOUNCEMENTS
 ================================ */
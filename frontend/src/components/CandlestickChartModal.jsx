@@ -1,11 +1,15 @@
 import React, { useEffect, useState } from "react";
 import { Dialog, DialogTitle, DialogContent, CircularProgress, Box, Typography } from "@mui/material";
 import ReactApexChart from "react-apexcharts";
+import { getKlines, klinesToSeries } from "../api";
+
+const THIRTY_DAYS_MS = 30 * 24 * 60 * 60 * 1000;
 
 /**
  * CandlestickChartModal
- * - Fetches OHLC from CoinGecko as fallback, but will use provided series prop if supplied.
- * - Props: open, onClose, coin (object with id/symbol/name), series (optional precomputed OHLC series)
+ * - Loads 30 days of 4h candles from the backend (GET /api/coin/:symbol/klines), but will use
+ *   provided series prop if supplied.
+ * - Props: open, onClose, coin (object with symbol/name), series (optional precomputed OHLC series)
  */
 export default function CandlestickChartModal({ open, onClose, coin, series: externalSeries = null }) {
   const [chartData, setChartData] = useState([]);
@@ -19,20 +23,13 @@ export default function CandlestickChartModal({ open, onClose, coin, series: ext
       setChartData(externalSeries);
       return;
     }
-    if (coin?.id) {
+    if (coin?.symbol) {
       setLoading(true);
-      fetch(`https://api.coingecko.com/api/v3/coins/${coin.id}/ohlc?vs_currency=usd&days=30`)
-        .then(res => res.json())
-        .then(data => {
-          if (!Array.isArray(data)) {
-            setError("No chart data");
-            setChartData([]);
-            return;
-          }
-          setChartData(data.map(([time, open, high, low, close]) => ({
-            x: new Date(time),
-            y: [open, high, low, close]
-          })));
+      getKlines(coin.symbol, { interval: "4h", from: Date.now() - THIRTY_DAYS_MS })
+        .then(res => {
+          const candles = res.data?.data?.candles || [];
+          if (!candles.length) setError("No chart data");
+          setChartData(klinesToSeries(candles));
         })
         .catch(() => setError("Failed to load chart data"))
         .finally(() => setLoading(false));
@@ -2,12 +2,15 @@ import React, { useState, useEffect } from "react";
 import {
   Dialog, DialogTitle, DialogContent, DialogActions, Button, TextField, MenuItem, Alert, Box
 } from "@mui/material";
+import { loadMarkets, pairForCoin } from "../services/marketService";
 
 /**
  * TradeModal
  * - Controlled modal used by Trade pages and Admin tools to create a spot trade.
- * - onTrade: async function({ pair, type, amount, price }) -> should call API and return result.
- * - coins: array of coin objects { symbol, name, price }
+ * - onTrade: async function({ pair, type, amount, price, maxSlippageBps }) -> should call API and return result.
+ *   `price` is the price last seen by the user; the server fills market orders at its own price
+ *   and rejects them if the fill is worse than price by more than maxSlippageBps.
+ * - coins: array of coin objects { symbol, name, price }; the pair is the coin's listed market (GET /api/markets)
  * - wallets: array of user wallets to validate balances before submission.
  */
 export default function TradeModal({ open, onClose, coins = [], onTrade, wallets = [] }) {
@@ -16,6 +19,11 @@ export default function TradeModal({ open, onClose, coins = [], onTrade, wallets
   const [amount, setAmount] = useState("");
   const [alert, setAlert] = useState("");
   const [submitting, setSubmitting] = useState(false);
+  const [markets, setMarkets] = useState([]);
+
+  useEffect(() => {
+    if (open) loadMarkets().then(setMarkets).catch(() => setMarkets([]));
+  }, [open]);
 
   useEffect(() => {
     if (open && coins.length) setSelectedCoin(prev => prev || coins[0].symbol);
@@ -32,6 +40,7 @@ export default function TradeModal({ open, onClose, coins = [], onTrade, wallets
     if (!amount || isNaN(amount) || Number(amount) <= 0) return "Enter a positive amount.";
     const coinObj = coins.find(c => c.symbol === selectedCoin);
     if (!coinObj) return "Selected coin not available.";
+    if (!pairForCoin(markets, selectedCoin)) return `${selectedCoin} has no trading market.`;
     if (tradeType === "buy") {
       const usdt = wallets.find(w => (w.coin || "").toUpperCase() === "USDT");
       const price = Number(coinObj.price ?? coinObj.current_price ?? 0);
@@ -47,12 +56,13 @@ export default function TradeModal({ open, onClose, coins = [], onTrade, wallets
     const err = guardValidation();
     if (err) { setAlert(err); return; }
     const coinObj = coins.find(c => c.symbol === selectedCoin);
-    const price = Number(coinObj.price ?? coinObj.current_price ?? 0);
+    const expectedPrice = Number(coinObj.price ?? coinObj.current_price ?? 0);
     const payload = {
-      pair: `${selectedCoin}/USDT`,
+      pair: pairForCoin(markets, selectedCoin).symbol,
       type: tradeType,
       amount: Number(amount),
-      price
+      price: expectedPrice,
+      maxSlippageBps: 100
     };
     setSubmitting(true);
     try {
@@ -5,10 +5,10 @@ import {
 import { useParams, useNavigate } from "react-router-dom";
 import ReactApexChart from "react-apexcharts";
 import ArrowBackIcon from "@mui/icons-material/ArrowBack";
-import { getCoins } from "../api";
+import { getCoins, getKlines, klinesToSeries } from "../api";
 
 /**
- * Full Coin detail page with 30-day candlestick (via CoinGecko fallback)
+ * Full Coin detail page with 30-day candlestick (4h candles from the backend klines endpoint)
  * and larger UX for trading action. Uses getCoins (backend) for price & meta.
  */
 export default function CoinDetailPage() {
@@ -37,17 +37,8 @@ export default function CoinDetailPage() {
     async function fetchOhlc() {
       setChartLoading(true);
       try {
-        const cgMap = {
-          btc: "bitcoin",
-          eth: "ethereum",
-          usdt: "tether",
-          usdc: "usd-coin",
-        };
-        const cgId = cgMap[coinId.toLowerCase()] || coinId.toLowerCase();
-        const url = `https://api.coingecko.com/api/v3/coins/${cgId}/ohlc?vs_currency=usd&days=30`;
-        const res = await fetch(url);
-        const data = await res.json();
-        setOhlcData(Array.isArray(data) ? data.map(([x, o, h, l, c]) => ({ x, y: [o, h, l, c] })) : []);
+        const res = await getKlines(coinId, { interval: "4h", from: Date.now() - 30 * 24 * 60 * 60 * 1000 });
+        setOhlcData(klinesToSeries(res.data?.data?.candles || []));
       } catch (e) {
         setOhlcData([]);
       } finally {
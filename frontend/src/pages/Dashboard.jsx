@@ -101,10 +101,10 @@ export default function Dashboard() {
           const coin = String(b.coin).toUpperCase();
           const balance = Number(b.balance || 0);
           const coinInfo = priceMap.get(coin);
-          if (coinInfo && typeof coinInfo.previousPrice === "number" && coinInfo.previousPrice > 0) {
-            accumPrev += balance * Number(coinInfo.previousPrice);
+          if (coinInfo && Number(coinInfo.open24h) > 0) {
+            accumPrev += balance * Number(coinInfo.open24h);
             havePrev = true;
-          } else if (coinInfo && typeof coinInfo.price === "number") {
+          } else if (coinInfo && Number.isFinite(Number(coinInfo.price))) {
             accumPrev += balance * Number(coinInfo.price);
           }
         }
@@ -121,12 +121,11 @@ export default function Dashboard() {
   const marketMovers = useMemo(() => {
     if (!coins || coins.length === 0) return { gainers: [], losers: [] };
     const rows = coins
-      .filter(c => c && typeof c.price === "number")
+      .filter(c => c && c.price != null && Number.isFinite(Number(c.price))) // prices arrive as decimal strings
       .map(c => {
         const symbol = String(c.symbol || "").toUpperCase();
         const price = Number(c.price || 0);
-        const prev = (typeof c.previousPrice === "number" && c.previousPrice > 0) ? Number(c.previousPrice) : null;
-        const change = prev ? ((price - prev) / prev) * 100 : 0;
+        const change = Number(c.changePercent24h) || 0; // rolling 24h, from GET /api/coin
         return { symbol, price, change };
       });
     const sorted = rows.sort((a, b) => (b.change - a.change));
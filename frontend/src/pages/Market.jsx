@@ -164,16 +164,16 @@ export default function Market() {
                   <img src={coin.iconUrl || coin.image} alt={coin.symbol} loading="lazy" width={32} height={32} style={{ borderRadius: 8 }} onError={e => { e.target.onerror = null; e.target.src = "/assets/coins/default.png"; }} />
                   <Box>
                     <Typography fontWeight={600} fontSize={15}>{coin.name}</Typography>
-                    <Typography fontSize={14}>${(coin.price ?? coin.current_price)?.toLocaleString()}</Typography>
-                    <Typography fontSize={14} color={coin.price_change_percentage_24h > 0 ? "#10B981" : "#F43F5E"}>
-                      {(coin.price_change_percentage_24h ?? 0).toFixed(2)}%
+                    <Typography fontSize={14}>${Number(coin.price ?? coin.current_price ?? 0).toLocaleString(undefined, { maximumFractionDigits: 8 })}</Typography>
+                    <Typography fontSize={14} color={coin.changePercent24h > 0 ? "#10B981" : "#F43F5E"}>
+                      {(coin.changePercent24h ?? 0).toFixed(2)}%
                     </Typography>
                   </Box>
                   <Button
                     variant="contained"
                     size="small"
                     sx={{
-                      background: coin.price_change_percentage_24h >= 0 ? "#21c97a" : "#f44336",
+                      background: coin.changePercent24h >= 0 ? "#21c97a" : "#f44336",
                       color: "#fff",
                       borderRadius: 2,
                       fontWeight: 700,
@@ -185,7 +185,7 @@ export default function Market() {
                     }}
                     onClick={() => navigate(`/market/${coin.symbol}`)}
                   >
-                    {(coin.price_change_percentage_24h >= 0 ? "+" : "") + (coin.price_change_percentage_24h ?? 0).toFixed(2) + "%"}
+                    {(coin.changePercent24h >= 0 ? "+" : "") + (coin.changePercent24h ?? 0).toFixed(2) + "%"}
                   </Button>
                 </Box>
                 <Divider />
@@ -3,6 +3,7 @@ import { Box, Typography, Paper, Select, MenuItem, TextField, Button, Alert, Gri
 import BottomNav from "../components/BottomNav";
 import { useRealtime } from "../context/RealtimeContext";
 import { placeTrade } from "../services/tradeService";
+import { loadMarkets, pairForCoin } from "../services/marketService";
 import api from "../api";
 import { useNotification } from "../components/NotificationProvider";
 
@@ -11,11 +12,13 @@ import { useNotification } from "../components/NotificationProvider";
  * - Replaces the previous local simulation with backend placeTrade.
  * - Uses RealtimeContext for live prices but sends the request to backend for execution.
  * - Refreshes wallet and notifies user on success/failure.
+ * - Only coins with a trading market (GET /api/markets) can be selected; orders go to that pair.
  */
 export default function Spot() {
   const realtime = useRealtime();
   const notify = useNotification();
   const [coins, setCoins] = useState([]);
+  const [markets, setMarkets] = useState([]);
   const [wallet, setWallet] = useState([]);
   const [type, setType] = useState("buy");
   const [coin, setCoin] = useState("");
@@ -27,12 +30,14 @@ export default function Spot() {
   useEffect(() => {
     let mounted = true;
     setLoading(true);
-    api.get("/coin")
-      .then(res => {
+    Promise.all([api.get("/coin"), loadMarkets().catch(() => [])])
+      .then(([res, listed]) => {
         const arr = res.data?.data || res.data || [];
         if (!mounted) return;
-        setCoins(Array.isArray(arr) ? arr : []);
-        if (Array.isArray(arr) && arr.length && !coin) setCoin(arr[0].symbol);
+        const tradable = (Array.isArray(arr) ? arr : []).filter(c => pairForCoin(listed, c.symbol));
+        setMarkets(listed);
+        setCoins(tradable);
+        if (tradable.length && !coin) setCoin(tradable[0].symbol);
       })
       .catch(() => {
         if (!mounted) return;
@@ -67,22 +72,33 @@ export default function Spot() {
     return map;
   }, [coins, realtime?.prices]);
 
+  const market = useMemo(() => pairForCoin(markets, coin), [markets, coin]);
+
   const handlePlaceTrade = async () => {
     setErrorMsg("");
     if (!coin || !amount || Number(amount) <= 0) {
       setErrorMsg("Please select a coin and enter a positive amount.");
       return;
     }
-    const price = priceMap[coin] || 0;
+    if (!market) {
+      setErrorMsg(`${coin} has no trading market.`);
+      return;
+    }
+    const expectedPrice = priceMap[coin] || 0;
     setPlacing(true);
     try {
-      await placeTrade({
+      const res = await placeTrade({
         type,
-        coinSymbol: coin,
+        pair: market.symbol,
         amount: Number(amount),
-        price
+        price: expectedPrice
       });
-      notify.showNotification("Trade executed (backend). Refreshing balances...", "success", 4000);
+      const fillPrice = res?.data?.execution?.fillPrice;
+      notify.showNotification(
+        fillPrice ? `Trade filled @ $${Number(fillPrice).toLocaleString()}. Refreshing balances...` : "Trade executed (backend). Refreshing balances...",
+        "success",
+        4000
+      );
       // refresh wallet and optionally trades
       try {
         const w = await api.get("/wallet");
@@ -125,7 +141,7 @@ export default function Spot() {
               <MenuItem value="" disabled>Select Coin</MenuItem>
               {(Array.isArray(coins) ? coins : []).map(c => (
                 <MenuItem key={c.symbol} value={c.symbol}>
-                  {c.name} ({c.symbol}) — ${Number(priceMap[c.symbol] || 0).toLocaleString()}
+                  {c.name} ({pairForCoin(markets, c.symbol)?.symbol || c.symbol}) — ${Number(priceMap[c.symbol] || 0).toLocaleString()}
                 </MenuItem>
               ))}
             </Select>
@@ -148,11 +164,12 @@ export default function Spot() {
               fullWidth
               sx={{ mb: 2 }}
               onChange={e => setAmount(e.target.value)}
-              inputProps={{ min: 0, step: "any" }}
+              inputProps={{ min: 0, step: market?.lotSize || "any" }}
+              helperText={market ? `Lot size ${market.lotSize} ${market.base} · min order ${market.minNotional} ${market.quote}` : ""}
             />
 
             <TextField
-              label="Price (USD)"
+              label="Market price (USD, filled by server)"
               value={priceMap[coin] || ""}
               type="number"
               fullWidth
@@ -3,6 +3,7 @@ import {
   Container, Paper, Typography, Table, TableHead, TableRow, TableCell, TableBody, Button, TextField, MenuItem, Alert, Box
 } from "@mui/material";
 import axios from "axios";
+import { resolvePair } from "../services/marketService";
 
 const API = axios.create({ baseURL: process.env.REACT_APP_API_BASE + "/api" });
 
@@ -56,12 +57,32 @@ export default function TradePage({ user }) {
         return;
       }
     }
-    await API.post("/trade/place", {
-      pair: `${selectedCoin}/USDT`,
-      type: tradeType,
-      amount: Number(amount),
-      price: coinObj.price ?? coinObj.current_price
-    }, { headers: { Authorization: `Bearer ${token}` } });
+    let pair;
+    try {
+      pair = await resolvePair(selectedCoin);
+    } catch (e) {
+      setAlert({ type: "error", msg: typeof e === "string" ? e : "No market for this coin." });
+      return;
+    }
+    // market order sized in the base coin; a buy amount is entered in USDT
+    const price = Number(coinObj.price ?? coinObj.current_price);
+    const size = tradeType === "buy" ? Number((Number(amount) / price).toFixed(8)) : Number(amount);
+    if (!(size > 0)) {
+      setAlert({ type: "error", msg: "No price available for this coin." });
+      return;
+    }
+    try {
+      await API.post("/trade/place", {
+        pair,
+        side: tradeType,
+        type: "market",
+        size,
+        price
+      }, { headers: { Authorization: `Bearer ${token}` } });
+    } catch (e) {
+      setAlert({ type: "error", msg: e.response?.data?.error || "Trade failed." });
+      return;
+    }
     setAlert({ type: "success", msg: "Trade placed!" });
     setAmount("");
     API.get("/user/wallet", { headers: { Authorization: `Bearer ${token}` } }).then(res => setWallets(res.data));
@@ -0,0 +1,48 @@
+/**
+ * Market registry helpers
+ *
+ * - loadMarkets(): listed markets from GET /api/markets (cached for a minute).
+ * - pairForCoin(markets, symbol): the market a coin trades on, preferring USDT quotes.
+ * - resolvePair(symbol): loadMarkets + pairForCoin, throws if the coin has no trading market.
+ *
+ * Market fields: { symbol, base, quote, status, tickSize, lotSize, minNotional, maxOrderSize,
+ * pricePrecision, sizePrecision }; sizes and prices are decimal strings.
+ */
+import { getMarkets } from "../api";
+
+const CACHE_MS = 60 * 1000;
+const PREFERRED_QUOTES = ["USDT", "USDC", "USD"];
+
+let cache = { ts: 0, promise: null };
+
+export function loadMarkets({ force = false } = {}) {
+  if (!force && cache.promise && Date.now() - cache.ts < CACHE_MS) return cache.promise;
+  const promise = getMarkets()
+    .then(res => {
+      const list = res.data?.data || res.data || [];
+      return Array.isArray(list) ? list : [];
+    })
+    .catch(err => {
+      cache = { ts: 0, promise: null };
+      throw err;
+    });
+  cache = { ts: Date.now(), promise };
+  return promise;
+}
+
+export function pairForCoin(markets, symbol) {
+  const base = String(symbol || "").toUpperCase();
+  const candidates = (markets || []).filter(m => m.base === base && m.status === "trading");
+  if (!candidates.length) return null;
+  const rank = m => {
+    const i = PREFERRED_QUOTES.indexOf(m.quote);
+    return i === -1 ? PREFERRED_QUOTES.length : i;
+  };
+  return candidates.sort((a, b) => rank(a) - rank(b))[0];
+}
+
+export async function resolvePair(symbol) {
+  const market = pairForCoin(await loadMarkets(), symbol);
+  if (!market) throw `No trading market listed for ${String(symbol || "").toUpperCase()}.`;
+  return market.symbol;
+}
@@ -7,14 +7,20 @@
  * All functions return the backend result (data object) or throw an error string.
  */
 import api from "../api";
+import { resolvePair } from "./marketService";
 
-export async function placeTrade({ type, coinSymbol, amount, price }) {
+// Market order: the server picks the fill price. `price` is only the price the
+// user saw; the order is rejected if the fill is worse by more than maxSlippageBps.
+// Pass `pair` (e.g. "BTC/USDT") or `coinSymbol` to trade on the coin's listed market.
+export async function placeTrade({ type, pair, coinSymbol, amount, price, maxSlippageBps = 100 }) {
   try {
     const res = await api.post("/trade/place", {
-      type,
-      coinSymbol,
-      amount,
-      price
+      pair: pair || await resolvePair(coinSymbol),
+      side: type,
+      size: amount,
+      type: "market",
+      ...(price > 0 ? { price } : {}),
+      maxSlippageBps
     });
     return res.data;
   } catch (err) {
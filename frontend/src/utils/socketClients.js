@@ -4,6 +4,8 @@ const socket = io(process.env.REACT_APP_WS_URL || "https://aexon-qedx.onrender.c
   path: "/socket.io",
   transports: ["websocket"],
   autoConnect: true,
+  // signed-in sockets also receive the user's private updates (order triggers, liquidations)
+  auth: (cb) => cb({ token: localStorage.getItem("token") || undefined }),
 });
 socket.on("connect", () => {
   console.log("WS connected", socket.id);